@@ -9,7 +9,15 @@ const BaseAgent = require('../lib/BaseAgent');
 class AnomalyDetectionAgent extends BaseAgent {
   constructor(logger) {
     super('AnomalyDetectionAgent', 'Anomaly Detection and Self-Correction', logger);
+    this.taskSchemas = {
+      'detect-anomalies': { workflowResults: {}, metrics: { type: 'object' } },
+      'analyze-output': { output: {}, expectedFormat: { type: 'object' }, context: { type: 'object' } },
+      'check-reasoning': { reasoning: { type: 'string', required: true }, context: { type: 'object' } },
+      recover: { anomaly: { type: 'object', required: true }, context: { type: 'object' } }
+    };
     this.anomalyHistory = [];
+    this.memoryFields = ['anomalyHistory'];
+    this.costModel = { perCall: 0.004, perSecond: 0.002 };
     this.recoveryStrategies = new Map();
     this.initializeRecoveryStrategies();
   }
@@ -30,6 +38,8 @@ class AnomalyDetectionAgent extends BaseAgent {
     try {
       let result;
       
+      this.throwIfAborted(task);
+
       switch (task.type) {
         case 'detect-anomalies':
           result = await this.detectAnomalies(task.data);
@@ -46,9 +56,11 @@ class AnomalyDetectionAgent extends BaseAgent {
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
+
+      this.throwIfAborted(task);
       
       const duration = Date.now() - startTime;
-      this.updateMetrics(duration, false);
+      this.updateMetrics(duration, false, task.type);
       this.recordTask(task, result);
       this.setState('idle');
       
@@ -56,10 +68,10 @@ class AnomalyDetectionAgent extends BaseAgent {
         success: true,
         agent: this.name,
         data: result,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
-      return this.handleError(error, task);
+      return this.handleError(error, task, Date.now() - startTime);
     }
   }
 
@@ -86,7 +98,7 @@ class AnomalyDetectionAgent extends BaseAgent {
 
     // Store in history for learning
     this.anomalyHistory.push({
-      timestamp: Date.now(),
+      timestamp: this.now(),
       anomalies,
       metrics
     });
@@ -285,6 +297,18 @@ class AnomalyDetectionAgent extends BaseAgent {
       });
     }
 
+    // Timed-out steps get their own anomaly so the timeout recovery strategy applies
+    const timedOutSteps = results.filter(r => r.result?.errorType === 'timeout');
+    if (timedOutSteps.length > 0) {
+      anomalies.push({
+        type: 'timeout',
+        category: 'execution',
+        severity: 'high',
+        message: `${timedOutSteps.length} step(s) timed out`,
+        details: timedOutSteps.map(s => s.step)
+      });
+    }
+
     return anomalies;
   }
 
@@ -9,7 +9,15 @@ const BaseAgent = require('../lib/BaseAgent');
 class ImplementationAgent extends BaseAgent {
   constructor(logger) {
     super('ImplementationAgent', 'Solution Development and Documentation', logger);
+    this.taskSchemas = {
+      design: { component: { type: 'object', required: true }, requirements: { type: 'object', required: true }, constraints: { type: 'object' } },
+      implement: { design: { type: 'object', required: true }, component: { type: 'object', required: true }, specifications: { type: 'object' } },
+      document: { implementation: { type: 'object', required: true }, component: { type: 'object' } },
+      optimize: { implementation: { type: 'object', required: true }, metrics: { type: 'object' }, targets: { type: 'object' } }
+    };
     this.implementations = new Map();
+    this.memoryFields = ['implementations'];
+    this.costModel = { perCall: 0.02, perSecond: 0.01 };
   }
 
   /**
@@ -24,6 +32,8 @@ class ImplementationAgent extends BaseAgent {
     try {
       let result;
       
+      this.throwIfAborted(task);
+
       switch (task.type) {
         case 'design':
           result = await this.designSolution(task.data);
@@ -40,9 +50,11 @@ class ImplementationAgent extends BaseAgent {
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
+
+      this.throwIfAborted(task);
       
       const duration = Date.now() - startTime;
-      this.updateMetrics(duration, false);
+      this.updateMetrics(duration, false, task.type);
       this.recordTask(task, result);
       this.setState('idle');
       
@@ -50,10 +62,10 @@ class ImplementationAgent extends BaseAgent {
         success: true,
         agent: this.name,
         data: result,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
-      return this.handleError(error, task);
+      return this.handleError(error, task, Date.now() - startTime);
     }
   }
 
@@ -103,7 +115,7 @@ class ImplementationAgent extends BaseAgent {
       logic: this.explainLogic(design),
       edgeCaseHandling: this.implementEdgeCases(design.edgeCases || []),
       errorHandling: this.implementErrorHandling(design),
-      timestamp: new Date().toISOString()
+      timestamp: new Date(this.now()).toISOString()
     };
 
     // Store implementation
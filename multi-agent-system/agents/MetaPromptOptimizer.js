@@ -9,8 +9,16 @@ const BaseAgent = require('../lib/BaseAgent');
 class MetaPromptOptimizer extends BaseAgent {
   constructor(logger) {
     super('MetaPromptOptimizer', 'Prompt Optimization and Learning', logger);
+    this.taskSchemas = {
+      'analyze-prompt': { prompt: { type: 'string', required: true }, outcome: { type: 'object' }, context: { type: 'object' } },
+      'optimize-prompt': { prompt: { type: 'string', required: true }, goals: { type: 'object' }, constraints: { type: 'object' } },
+      'learn-patterns': { outcomes: { type: 'array' } },
+      'suggest-improvements': { prompt: { type: 'string', required: true }, context: { type: 'object' } }
+    };
     this.promptHistory = [];
     this.optimizationPatterns = new Map();
+    this.memoryFields = ['promptHistory', 'optimizationPatterns'];
+    this.costModel = { perCall: 0.01, perSecond: 0.005 };
   }
 
   async process(task) {
@@ -22,6 +30,8 @@ class MetaPromptOptimizer extends BaseAgent {
     try {
       let result;
       
+      this.throwIfAborted(task);
+
       switch (task.type) {
         case 'analyze-prompt':
           result = await this.analyzePrompt(task.data);
@@ -38,9 +48,11 @@ class MetaPromptOptimizer extends BaseAgent {
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
+
+      this.throwIfAborted(task);
       
       const duration = Date.now() - startTime;
-      this.updateMetrics(duration, false);
+      this.updateMetrics(duration, false, task.type);
       this.recordTask(task, result);
       this.setState('idle');
       
@@ -48,10 +60,10 @@ class MetaPromptOptimizer extends BaseAgent {
         success: true,
         agent: this.name,
         data: result,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
-      return this.handleError(error, task);
+      return this.handleError(error, task, Date.now() - startTime);
     }
   }
 
@@ -69,7 +81,7 @@ class MetaPromptOptimizer extends BaseAgent {
     };
 
     // Store for learning
-    this.promptHistory.push({ prompt, outcome, analysis, timestamp: Date.now() });
+    this.promptHistory.push({ prompt, outcome, analysis, timestamp: this.now() });
 
     return {
       analysis,
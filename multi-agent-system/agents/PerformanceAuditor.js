@@ -9,7 +9,15 @@ const BaseAgent = require('../lib/BaseAgent');
 class PerformanceAuditor extends BaseAgent {
   constructor(logger) {
     super('PerformanceAuditor', 'Performance and Ethical Review', logger);
+    this.taskSchemas = {
+      'audit-performance': { solution: { type: 'object' }, metrics: { type: 'object' }, targets: { type: 'object' } },
+      'audit-ethics': { solution: { type: 'object' }, context: { type: 'object' } },
+      'audit-compliance': { solution: { type: 'object' }, standards: { type: 'array' }, regulations: { type: 'array' } },
+      'compare-metrics': { baseline: { type: 'object' }, current: { type: 'object' }, targets: { type: 'object' } }
+    };
     this.auditHistory = [];
+    this.memoryFields = ['auditHistory'];
+    this.costModel = { perCall: 0.005, perSecond: 0.002 };
     this.benchmarks = {
       speed: { target: 1000, unit: 'ms' },
       cost: { target: 1.0, unit: 'USD' },
@@ -26,6 +34,8 @@ class PerformanceAuditor extends BaseAgent {
     try {
       let result;
       
+      this.throwIfAborted(task);
+
       switch (task.type) {
         case 'audit-performance':
           result = await this.auditPerformance(task.data);
@@ -42,9 +52,11 @@ class PerformanceAuditor extends BaseAgent {
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
+
+      this.throwIfAborted(task);
       
       const duration = Date.now() - startTime;
-      this.updateMetrics(duration, false);
+      this.updateMetrics(duration, false, task.type);
       this.recordTask(task, result);
       this.setState('idle');
       
@@ -52,10 +64,10 @@ class PerformanceAuditor extends BaseAgent {
         success: true,
         agent: this.name,
         data: result,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
-      return this.handleError(error, task);
+      return this.handleError(error, task, Date.now() - startTime);
     }
   }
 
@@ -74,7 +86,7 @@ class PerformanceAuditor extends BaseAgent {
       meetsBenchmarks: this.checkBenchmarks(metrics)
     };
 
-    this.auditHistory.push({ audit, timestamp: Date.now() });
+    this.auditHistory.push({ audit, timestamp: this.now() });
 
     return {
       audit,
@@ -332,7 +344,7 @@ class PerformanceAuditor extends BaseAgent {
   checkStandards(solution, standards) {
     return standards.map(std => ({
       standard: std,
-      compliant: Math.random() > 0.3, // Simplified check
+      compliant: this.random() > 0.3, // Simplified check
       gaps: []
     }));
   }
@@ -340,7 +352,7 @@ class PerformanceAuditor extends BaseAgent {
   checkRegulations(solution, regulations) {
     return regulations.map(reg => ({
       regulation: reg,
-      compliant: Math.random() > 0.2, // Simplified check
+      compliant: this.random() > 0.2, // Simplified check
       requirements: []
     }));
   }
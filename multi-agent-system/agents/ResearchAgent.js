@@ -8,7 +8,15 @@ const BaseAgent = require('../lib/BaseAgent');
 class ResearchAgent extends BaseAgent {
   constructor(logger) {
     super('ResearchAgent', 'Planning and Information Gathering', logger);
+    this.taskSchemas = {
+      decompose: { problem: { type: 'string', required: true }, context: { type: 'object' } },
+      plan: { components: { type: 'array', required: true }, context: { type: 'object' }, constraints: { type: 'object' } },
+      research: { topic: { type: 'string', required: true }, scope: { type: 'string' } },
+      clarify: { problem: { type: 'string' }, plan: { type: 'object' } }
+    };
     this.knowledgeBase = new Map();
+    this.memoryFields = ['knowledgeBase'];
+    this.costModel = { perCall: 0.01, perSecond: 0.005 };
   }
 
   /**
@@ -23,6 +31,8 @@ class ResearchAgent extends BaseAgent {
     try {
       let result;
       
+      this.throwIfAborted(task);
+
       switch (task.type) {
         case 'decompose':
           result = await this.decomposeProblem(task.data);
@@ -39,9 +49,11 @@ class ResearchAgent extends BaseAgent {
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
+
+      this.throwIfAborted(task);
       
       const duration = Date.now() - startTime;
-      this.updateMetrics(duration, false);
+      this.updateMetrics(duration, false, task.type);
       this.recordTask(task, result);
       this.setState('idle');
       
@@ -49,10 +61,10 @@ class ResearchAgent extends BaseAgent {
         success: true,
         agent: this.name,
         data: result,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
-      return this.handleError(error, task);
+      return this.handleError(error, task, Date.now() - startTime);
     }
   }
 
@@ -145,7 +157,7 @@ class ResearchAgent extends BaseAgent {
 
     // Check knowledge base first
     const cachedInfo = this.knowledgeBase.get(topic);
-    if (cachedInfo && Date.now() - cachedInfo.timestamp < 3600000) {
+    if (cachedInfo && this.now() - cachedInfo.timestamp < 3600000) {
       this.log('info', 'Using cached knowledge', { topic });
       return cachedInfo.data;
     }
@@ -163,7 +175,7 @@ class ResearchAgent extends BaseAgent {
     // Cache the information
     this.knowledgeBase.set(topic, {
       data: information,
-      timestamp: Date.now()
+      timestamp: this.now()
     });
 
     return {
@@ -264,7 +276,7 @@ class ResearchAgent extends BaseAgent {
   }
 
   estimateTime(component) {
-    return Math.ceil(Math.random() * 5 + 2); // 2-7 time units
+    return Math.ceil(this.random() * 5 + 2); // 2-7 time units
   }
 
   identifyResources(components, context) {
@@ -9,8 +9,17 @@ const BaseAgent = require('../lib/BaseAgent');
 class UserInteractionAgent extends BaseAgent {
   constructor(logger) {
     super('UserInteractionAgent', 'User Engagement and Feedback', logger);
+    this.taskSchemas = {
+      'request-clarification': { ambiguities: { type: 'array', required: true }, context: { type: 'object' }, userId: { type: 'string' } },
+      'collect-feedback': { targetItem: {}, feedbackType: { type: 'string' }, context: { type: 'object' }, userId: { type: 'string' } },
+      'personalize-interaction': { userId: { type: 'string' }, interactionType: { type: 'string' }, content: {} },
+      'integrate-feedback': { feedback: { required: true }, target: { required: true }, context: { type: 'object' } },
+      'suggest-options': { decision: { required: true }, context: { type: 'object' }, userId: { type: 'string' } }
+    };
     this.userContext = new Map();
     this.feedbackHistory = [];
+    this.memoryFields = ['userContext', 'feedbackHistory'];
+    this.costModel = { perCall: 0.002, perSecond: 0.001 };
     this.clarificationTemplates = this.initializeTemplates();
   }
 
@@ -34,6 +43,8 @@ class UserInteractionAgent extends BaseAgent {
     try {
       let result;
       
+      this.throwIfAborted(task);
+
       switch (task.type) {
         case 'request-clarification':
           result = await this.requestClarification(task.data);
@@ -53,9 +64,11 @@ class UserInteractionAgent extends BaseAgent {
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
+
+      this.throwIfAborted(task);
       
       const duration = Date.now() - startTime;
-      this.updateMetrics(duration, false);
+      this.updateMetrics(duration, false, task.type);
       this.recordTask(task, result);
       this.setState('idle');
       
@@ -63,10 +76,10 @@ class UserInteractionAgent extends BaseAgent {
         success: true,
         agent: this.name,
         data: result,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
-      return this.handleError(error, task);
+      return this.handleError(error, task, Date.now() - startTime);
     }
   }
 
@@ -88,7 +101,7 @@ class UserInteractionAgent extends BaseAgent {
       const personalizedQuestion = this.personalizeQuestion(template, amb, userCtx);
       
       return {
-        id: `clarification-${Date.now()}-${index}`,
+        id: `clarification-${this.now()}-${index}`,
         type: amb.type,
         question: personalizedQuestion,
         priority: amb.priority || 'medium',
@@ -99,7 +112,7 @@ class UserInteractionAgent extends BaseAgent {
 
     // Update user context
     userCtx.history.push({
-      timestamp: Date.now(),
+      timestamp: this.now(),
       type: 'clarification-request',
       questions: questions.map(q => q.id)
     });
@@ -117,12 +130,12 @@ class UserInteractionAgent extends BaseAgent {
     this.log('info', 'Collecting user feedback', { type: feedbackType });
 
     const feedbackRequest = {
-      id: `feedback-${Date.now()}`,
+      id: `feedback-${this.now()}`,
       targetItem,
       type: feedbackType,
       questions: this.generateFeedbackQuestions(targetItem, feedbackType, context),
       format: this.determineFeedbackFormat(feedbackType),
-      timestamp: Date.now()
+      timestamp: this.now()
     };
 
     // Store in feedback history
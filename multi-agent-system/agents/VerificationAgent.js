@@ -9,7 +9,16 @@ const BaseAgent = require('../lib/BaseAgent');
 class VerificationAgent extends BaseAgent {
   constructor(logger) {
     super('VerificationAgent', 'Quality Assurance and Improvement', logger);
+    this.taskSchemas = {
+      'verify-design': { design: { type: 'object', required: true }, requirements: { type: 'object' } },
+      'verify-implementation': { implementation: { type: 'object', required: true }, design: { type: 'object' } },
+      'verify-logic': { logic: { type: 'object', required: true }, context: { type: 'object' } },
+      'suggest-improvements': { target: {}, type: { type: 'string' }, issues: { type: 'array' } },
+      'assess-quality': { target: {}, criteria: { type: 'object' } }
+    };
     this.verificationResults = new Map();
+    this.memoryFields = ['verificationResults'];
+    this.costModel = { perCall: 0.008, perSecond: 0.004 };
     this.issueThresholds = {
       critical: 0,
       high: 2,
@@ -30,6 +39,8 @@ class VerificationAgent extends BaseAgent {
     try {
       let result;
       
+      this.throwIfAborted(task);
+
       switch (task.type) {
         case 'verify-design':
           result = await this.verifyDesign(task.data);
@@ -49,9 +60,11 @@ class VerificationAgent extends BaseAgent {
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
+
+      this.throwIfAborted(task);
       
       const duration = Date.now() - startTime;
-      this.updateMetrics(duration, false);
+      this.updateMetrics(duration, false, task.type);
       this.recordTask(task, result);
       this.setState('idle');
       
@@ -59,10 +72,10 @@ class VerificationAgent extends BaseAgent {
         success: true,
         agent: this.name,
         data: result,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
-      return this.handleError(error, task);
+      return this.handleError(error, task, Date.now() - startTime);
     }
   }
 
@@ -402,8 +415,11 @@ class VerificationAgent extends BaseAgent {
     const issues = [];
     
     // Check for potential performance issues
-    const hasOptimization = implementation.optimizations || 
-                           (implementation.logic && implementation.logic.includes('cache'));
+    // ImplementationAgent explains its logic as an object, older callers pass a string
+    const logic = typeof implementation.logic === 'string'
+      ? implementation.logic
+      : JSON.stringify(implementation.logic || '');
+    const hasOptimization = implementation.optimizations || logic.toLowerCase().includes('cach');
     
     if (!hasOptimization) {
       issues.push({
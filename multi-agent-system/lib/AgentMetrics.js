@@ -0,0 +1,239 @@
+/**
+ * AgentMetrics - What an agent has done, how often it failed and how long it took
+ * Keeps lifetime totals, and per-minute slices of the last 24 hours from which a
+ * window (e.g. the last hour) is summed: counts by task type and a latency histogram
+ * with p50/p95/p99. Percentiles are estimated within histogram buckets, so they are
+ * as precise as the bucket bounds around them.
+ *
+ * A task is counted once when it ends, as a success or an error; a retry or a final
+ * failure is counted on top by whoever retries (the orchestrator). Steps answered
+ * from the step cache are not tasks; they count as cache hits, with the time saved.
+ */
+
+const { parseDuration } = require('./duration');
+
+// Upper bounds in ms; the last bucket has no bound
+const BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000];
+const SLICE_MS = 60 * 1000;
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW = '1h';
+
+/**
+ * Parse a window such as `15m`, `1h` or `1d`
+ * @returns {number|null} - ms, or null when invalid or longer than the 24 hours kept
+ */
+function parseWindow(window) {
+  const ms = parseDuration(window);
+  return ms !== null && ms <= MAX_WINDOW_MS ? ms : null;
+}
+
+function emptyCounts() {
+  return { tasksProcessed: 0, successes: 0, errors: 0, retries: 0, failures: 0, cacheHits: 0, cacheSavedMs: 0 };
+}
+
+function emptyLatency() {
+  return { buckets: BUCKETS_MS.map(() => 0).concat(0), count: 0, sum: 0, max: 0 };
+}
+
+function addLatency(into, from) {
+  from.buckets.forEach((count, index) => { into.buckets[index] += count; });
+  into.count += from.count;
+  into.sum += from.sum;
+  into.max = Math.max(into.max, from.max);
+}
+
+/**
+ * Estimate a percentile from bucket counts, interpolating within the bucket it falls in
+ */
+function percentile(latency, q) {
+  if (latency.count === 0) {
+    return null;
+  }
+
+  const rank = q * latency.count;
+  let seen = 0;
+  for (let index = 0; index < latency.buckets.length; index++) {
+    const count = latency.buckets[index];
+    if (count > 0 && seen + count >= rank) {
+      const lower = index === 0 ? 0 : BUCKETS_MS[index - 1];
+      const upper = index < BUCKETS_MS.length ? BUCKETS_MS[index] : latency.max;
+      const estimate = lower + (upper - lower) * (rank - seen) / count;
+      return Math.round(Math.min(estimate, latency.max));
+    }
+    seen += count;
+  }
+  return latency.max;
+}
+
+function summarizeLatency(latency) {
+  return {
+    count: latency.count,
+    mean: latency.count > 0 ? Math.round(latency.sum / latency.count) : null,
+    p50: percentile(latency, 0.5),
+    p95: percentile(latency, 0.95),
+    p99: percentile(latency, 0.99),
+    max: latency.count > 0 ? latency.max : null
+  };
+}
+
+class AgentMetrics {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || Date.now;
+    this.totals = { ...emptyCounts(), totalTime: 0, timed: 0 };
+    this.totalsByTaskType = new Map();
+    // Slice start time -> Map of task type -> { counts, latency }
+    this.slices = new Map();
+  }
+
+  /**
+   * Count a task that ended
+   * @param {string} [taskType]
+   * @param {number} [durationMs] - Left out when unknown; the task is counted but not timed
+   * @param {boolean} [error]
+   */
+  record(taskType, durationMs, error = false) {
+    const outcome = error ? 'errors' : 'successes';
+    this.count(taskType, { tasksProcessed: 1, [outcome]: 1 });
+
+    if (typeof durationMs === 'number' && durationMs >= 0) {
+      this.totals.totalTime += durationMs;
+      this.totals.timed++;
+
+      const { latency } = this.entry(taskType);
+      const index = BUCKETS_MS.findIndex(bound => durationMs <= bound);
+      latency.buckets[index === -1 ? BUCKETS_MS.length : index]++;
+      latency.count++;
+      latency.sum += durationMs;
+      latency.max = Math.max(latency.max, durationMs);
+    }
+  }
+
+  recordRetry(taskType) {
+    this.count(taskType, { retries: 1 });
+  }
+
+  recordFailure(taskType) {
+    this.count(taskType, { failures: 1 });
+  }
+
+  /**
+   * Count a step answered from the step cache instead of a call
+   * @param {number} [savedMs] - How long the call that produced the cached result took
+   */
+  recordCacheHit(taskType, savedMs = 0) {
+    this.count(taskType, { cacheHits: 1, cacheSavedMs: savedMs });
+  }
+
+  count(taskType, increments) {
+    const type = taskType || 'unknown';
+    if (!this.totalsByTaskType.has(type)) {
+      this.totalsByTaskType.set(type, emptyCounts());
+    }
+    const { counts } = this.entry(type);
+
+    Object.entries(increments).forEach(([field, amount]) => {
+      this.totals[field] += amount;
+      this.totalsByTaskType.get(type)[field] += amount;
+      counts[field] += amount;
+    });
+  }
+
+  /**
+   * The current slice's entry for a task type, dropping slices older than 24 hours
+   */
+  entry(taskType) {
+    const now = this.clock();
+    const start = now - (now % SLICE_MS);
+    if (!this.slices.has(start)) {
+      this.slices.forEach((slice, sliceStart) => {
+        if (sliceStart <= now - MAX_WINDOW_MS) this.slices.delete(sliceStart);
+      });
+      this.slices.set(start, new Map());
+    }
+
+    const slice = this.slices.get(start);
+    const type = taskType || 'unknown';
+    if (!slice.has(type)) {
+      slice.set(type, { counts: emptyCounts(), latency: emptyLatency() });
+    }
+    return slice.get(type);
+  }
+
+  /**
+   * Counts and latency over the last `window`, overall and by task type
+   * Whole one-minute slices are summed, so the window can reach up to a minute further back.
+   * @param {string} [window] - e.g. `15m`, `1h`, `1d` (default 1h, at most 24h)
+   * @returns {Object|null} - null when the window is invalid
+   */
+  snapshot(window = DEFAULT_WINDOW) {
+    const windowMs = parseWindow(window);
+    if (windowMs === null) {
+      return null;
+    }
+
+    const now = this.clock();
+    const overall = { counts: emptyCounts(), latency: emptyLatency() };
+    const byTaskType = new Map();
+
+    this.slices.forEach((slice, sliceStart) => {
+      if (sliceStart + SLICE_MS <= now - windowMs) {
+        return;
+      }
+      slice.forEach((entry, type) => {
+        if (!byTaskType.has(type)) {
+          byTaskType.set(type, { counts: emptyCounts(), latency: emptyLatency() });
+        }
+        [overall, byTaskType.get(type)].forEach(target => {
+          Object.keys(target.counts).forEach(field => { target.counts[field] += entry.counts[field]; });
+          addLatency(target.latency, entry.latency);
+        });
+      });
+    });
+
+    const describe = ({ counts, latency }) => ({
+      ...counts,
+      errorRate: counts.tasksProcessed > 0 ? Math.round(counts.errors / counts.tasksProcessed * 1000) / 1000 : 0,
+      latency: summarizeLatency(latency)
+    });
+
+    return {
+      window,
+      windowMs,
+      from: new Date(now - windowMs).toISOString(),
+      to: new Date(now).toISOString(),
+      ...describe(overall),
+      histogram: BUCKETS_MS.map((le, index) => ({ le, count: overall.latency.buckets[index] }))
+        .concat({ le: '+Inf', count: overall.latency.buckets[BUCKETS_MS.length] }),
+      byTaskType: Object.fromEntries(Array.from(byTaskType.entries()).map(([type, entry]) => [type, describe(entry)]))
+    };
+  }
+
+  /**
+   * Lifetime totals, with latency percentiles over the last hour
+   */
+  toJSON() {
+    const lastHour = this.snapshot(DEFAULT_WINDOW);
+
+    return {
+      tasksProcessed: this.totals.tasksProcessed,
+      successes: this.totals.successes,
+      errors: this.totals.errors,
+      retries: this.totals.retries,
+      failures: this.totals.failures,
+      cacheHits: this.totals.cacheHits,
+      cacheSavedMs: this.totals.cacheSavedMs,
+      averageProcessingTime: this.totals.timed > 0 ? Math.round(this.totals.totalTime / this.totals.timed) : 0,
+      latency: { window: DEFAULT_WINDOW, ...lastHour.latency },
+      byTaskType: Object.fromEntries(this.totalsByTaskType)
+    };
+  }
+}
+
+AgentMetrics.BUCKETS_MS = BUCKETS_MS;
+AgentMetrics.parseWindow = parseWindow;
+
+module.exports = AgentMetrics;
@@ -1,146 +1,2109 @@
+const { resolveInput, publishOutput } = require('./workflowMapping');
+const { buildDependencies } = require('./workflowGraph');
+const { evaluateCondition } = require('./workflowConditions');
+const { validateWorkflowDefinition } = require('./workflowValidation');
+const { resolveParameters, instantiateTemplate } = require('./workflowTemplates');
+const { planWorkflow } = require('./workflowPlan');
+const { resolveBudget, checkBudget, roundCost, DEFAULT_WARN_AT } = require('./budget');
+const MemoryRunStore = require('./stores/MemoryRunStore');
+const RunEvents = require('./RunEvents');
+const RunQueue = require('./RunQueue');
+const CircuitBreaker = require('./CircuitBreaker');
+const RunStore = require('./stores/RunStore');
+const { Tracer } = require('./tracing');
+const StepCache = require('./StepCache');
+const { parseDuration, MAX_TIMER_MS } = require('./duration');
+const {
+  TimeoutError,
+  QueueFullError,
+  CircuitOpenError,
+  ApprovalRejectedError,
+  BudgetExceededError,
+  NotFoundError,
+  WorkflowValidationError
+} = require('./errors');
+const { classifyError, resolveRetryPolicy, computeDelay } = require('./retryPolicy');
+const { runDeterministic, newSeed } = require('./determinism');
+const { encodeValue, replayEntry, replayEntries, describeEntry } = require('./runReplay');
+const crypto = require('crypto');
+
 /**
  * AgentOrchestrator - Manages multi-agent collaboration and workflow execution
  * Handles agent coordination, escalation, and iterative refinement
  */
 class AgentOrchestrator {
-  constructor(logger) {
+  /**
+   * @param {Object} logger - Winston-compatible logger
+   * @param {Object} [options]
+   * @param {RunStore} [options.runStore] - Where runs are checkpointed (defaults to memory)
+   * @param {RunEvents} [options.events] - Where progress events are published
+   * @param {number} [options.maxConcurrentTasks] - Runs executing at once (default 10)
+   * @param {number} [options.maxQueueSize] - Runs waiting for a slot before new runs are refused (default 100)
+   * @param {Object} [options.circuitBreaker] - Default CircuitBreaker options for every agent
+   * @param {boolean} [options.recordRuns] - Record every run for replay (default false)
+   * @param {Tracer} [options.tracer] - Where run, step, agent call and retry spans go (default: not exported)
+   * @param {StepCache} [options.stepCache] - Results of steps with a `cache` setting (default: 1000 entries in memory)
+   */
+  constructor(logger, options = {}) {
     this.logger = logger;
     this.agents = new Map();
     this.workflows = new Map();
+    this.workflowVersions = new Map();
     this.activeTasksCount = 0;
-    this.maxConcurrentTasks = 10;
+    this.maxConcurrentTasks = options.maxConcurrentTasks || 10;
+    this.runStore = options.runStore || new MemoryRunStore();
+    this.activeRuns = new Map();
+    this.events = options.events || new RunEvents();
+    this.queue = new RunQueue({ maxSize: options.maxQueueSize });
+    this.runningByWorkflow = new Map();
+    this.queueStats = { admitted: 0, totalWaitMs: 0, finished: 0, totalRunMs: 0 };
+    this.circuitBreakerOptions = options.circuitBreaker || {};
+    this.breakers = new Map();
+    this.recordRuns = Boolean(options.recordRuns);
+    this.approvalTimers = new Map();
+    this.decidingApprovals = new Set();
+    this.tracer = options.tracer || new Tracer({ serviceName: 'multi-agent-system' });
+    this.stepCache = options.stepCache || new StepCache();
+  }
+
+  /**
+   * Register an agent with the orchestrator
+   * Its state changes are published as `agent-state-changed` events.
+   * @param {Object} [options]
+   * @param {Object} [options.circuitBreaker] - CircuitBreaker options overriding the orchestrator defaults
+   */
+  registerAgent(agent, options = {}) {
+    if (this.agents.has(agent.name)) {
+      throw new Error(`Agent ${agent.name} is already registered`);
+    }
+    
+    this.agents.set(agent.name, agent);
+    agent.onStateChange = (state, previous) => {
+      this.events.publish({ type: 'agent-state-changed', data: { agent: agent.name, state, previous } });
+    };
+    this.breakers.set(agent.name, new CircuitBreaker(agent.name, {
+      ...this.circuitBreakerOptions,
+      ...options.circuitBreaker,
+      onStateChange: (state, previous) => {
+        this.log(state === 'open' ? 'warn' : 'info', `Circuit breaker for ${agent.name}: ${previous} -> ${state}`);
+      }
+    }));
+    this.log('info', `Agent registered: ${agent.name} (${agent.role})`);
+  }
+
+  /**
+   * Register a workflow as its newest version
+   * Every registered definition is kept as a numbered version; registering a
+   * definition identical to the newest version does not add another.
+   * @returns {Object} - The version entry { version, hash, registeredAt, definition }
+   */
+  registerWorkflow(name, workflow) {
+    this.validateWorkflow(name, workflow);
+
+    const versions = this.workflowVersions.get(name) || [];
+    const hash = crypto.createHash('sha256').update(JSON.stringify(workflow)).digest('hex').slice(0, 16);
+    let entry = versions[versions.length - 1];
+
+    if (!entry || entry.hash !== hash) {
+      entry = { version: versions.length + 1, hash, registeredAt: new Date().toISOString(), definition: workflow };
+      versions.push(entry);
+      this.workflowVersions.set(name, versions);
+    }
+
+    this.workflows.set(name, entry.definition);
+    this.log('info', `Workflow registered: ${name} v${entry.version}`);
+    return entry;
+  }
+
+  /**
+   * Every registered version of a workflow, oldest first, or null for an unknown workflow
+   */
+  getWorkflowVersions(name) {
+    return this.workflowVersions.get(name) || null;
+  }
+
+  /**
+   * A workflow's definition: the given version, or the current one
+   * @returns {Object} - The version entry { version, hash, registeredAt, definition }
+   */
+  resolveWorkflow(name, version) {
+    const versions = this.workflowVersions.get(name);
+    if (!versions || !this.workflows.has(name)) {
+      throw new NotFoundError(`Workflow not found: ${name}`);
+    }
+
+    if (version === undefined) {
+      return versions.find(entry => entry.definition === this.workflows.get(name));
+    }
+
+    const entry = versions.find(candidate => candidate.version === version);
+    if (!entry) {
+      throw new NotFoundError(`Workflow version not found: ${name} v${version}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Dry-run a workflow: check its agents, task types and input mappings, and
+   * return the plan a run would follow without executing any step
+   * @param {Object} [initialTask] - Sample task; its data is checked against `$input` references
+   * @param {Object} [options] - { version } to check instead of the current one, { parameters }
+   *   for a template, { budget } overriding the workflow's budget
+   * @returns {Object} - { workflow, version, valid, errors, warnings, plan }
+   */
+  dryRun(workflowName, initialTask = {}, options = {}) {
+    const { definition, version } = this.resolveWorkflow(workflowName, options.version);
+    let instance;
+
+    try {
+      instance = this.instantiateWorkflow(workflowName, definition, options.parameters);
+    } catch (error) {
+      if (!(error instanceof WorkflowValidationError)) throw error;
+      return { workflow: workflowName, version, valid: false, errors: error.errors, warnings: [], plan: null };
+    }
+
+    return {
+      workflow: workflowName,
+      version,
+      parameters: instance.parameters,
+      ...planWorkflow({ ...instance.workflow, budget: resolveBudget(instance.workflow.budget, options.budget) }, this.agents, initialTask, {
+        resolveWorkflow: (name, childVersion, parameters) =>
+          this.instantiateWorkflow(name, this.resolveWorkflow(name, childVersion).definition, parameters).workflow
+      })
+    };
+  }
+
+  /**
+   * The workflow a run of `definition` follows: a template is instantiated with the
+   * given parameters (over its defaults); other workflows take no parameters
+   * @returns {Object} - { workflow, parameters } with parameters only for templates
+   */
+  instantiateWorkflow(name, definition, parameters) {
+    if (!definition.parameters) {
+      const given = Object.keys(parameters || {});
+      if (given.length > 0) {
+        throw new WorkflowValidationError(`Workflow ${name} does not take parameters`, {
+          errors: given.map(field => `parameters.${field}: workflow "${name}" is not a template`)
+        });
+      }
+      return { workflow: definition };
+    }
+
+    const { values, errors } = resolveParameters(definition.parameters, parameters || {});
+    const workflow = errors.length === 0 ? instantiateTemplate(definition, values) : null;
+    if (workflow) {
+      errors.push(...validateWorkflowDefinition(workflow));
+    }
+    if (errors.length > 0) {
+      throw new WorkflowValidationError(`Invalid parameters for workflow ${name}: ${errors.join('; ')}`, { errors });
+    }
+
+    return { workflow, parameters: values };
+  }
+
+  /**
+   * Remove a workflow; its versions are kept and runs already started keep their definition
+   */
+  unregisterWorkflow(name) {
+    const removed = this.workflows.delete(name);
+    if (removed) {
+      this.log('info', `Workflow unregistered: ${name}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Validate a workflow definition: step types, dependencies, mappings, branches and loops
+   */
+  validateWorkflow(name, workflow) {
+    const errors = validateWorkflowDefinition(workflow);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid workflow ${name}: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Build the task for a workflow step
+   * Steps with an input mapping get their data from the run input and earlier step
+   * outputs; steps without one receive what their parent steps forwarded
+   */
+  buildStepTask(step, run, frame) {
+    const parents = frame.dependencies.get(step.name)
+      .filter(parent => run.forwarded[parent] !== undefined);
+    let previousData = frame.rootData;
+
+    if (parents.length === 1) {
+      previousData = run.forwarded[parents[0]];
+    } else if (parents.length > 1) {
+      // Join step: merge what each parent forwarded, later parents win on clashing names
+      previousData = Object.assign({}, ...parents.map(parent => run.forwarded[parent]));
+    }
+
+    const data = step.input
+      ? { ...(step.config || {}), ...resolveInput(step.input, run.context) }
+      : previousData;
+
+    return {
+      task: {
+        ...run.initialTask,
+        type: step.taskType || run.initialTask.type,
+        data,
+        stepName: step.name,
+        stepConfig: step.config
+      },
+      received: previousData
+    };
+  }
+
+  /**
+   * Execute a multi-agent workflow and wait for it to finish
+   * @param {Object} [options] - { priority } overriding the workflow's priority, { version } to run
+   *   instead of the current one, { record } to record the run for replay, { parameters } for a template,
+   *   { budget } overriding the workflow's budget limit by limit (see lib/budget.js),
+   *   { idempotencyKey } of the request that started it
+   */
+  async executeWorkflow(workflowName, initialTask, options = {}) {
+    const run = await this.createRun(workflowName, initialTask, options);
+    return this.startRun(run);
+  }
+
+  /**
+   * Start a multi-agent workflow in the background
+   * @param {Object} [options] - { priority } overriding the workflow's priority, { version } to run
+   *   instead of the current one, { record } to record the run for replay, { parameters } for a template,
+   *   { budget } overriding the workflow's budget, { scheduleId, scheduledFor } when a schedule starts the run,
+   *   { idempotencyKey } of the request that started it
+   * @returns {Promise<Object>} - The new run record; poll getRun(runId) for progress
+   */
+  async startWorkflow(workflowName, initialTask, options = {}) {
+    const run = await this.createRun(workflowName, initialTask, options);
+    const { record } = run;
+
+    this.startRun(run).catch(error => {
+      this.log('error', `Background run failed: ${run.id}`, { error: error.message });
+    });
+
+    return record;
+  }
+
+  /**
+   * Create, queue and checkpoint a new run for a workflow
+   * The run starts straight away when a slot is free; otherwise it waits in the
+   * queue. New runs are refused only when they would have to wait and the queue is full.
+   */
+  async createRun(workflowName, initialTask, options = {}) {
+    const { definition, version, hash } = this.resolveWorkflow(workflowName, options.version);
+    const { workflow, parameters } = this.instantiateWorkflow(workflowName, definition, options.parameters);
+
+    this.log('info', `Executing workflow: ${workflowName} v${version}`, { task: initialTask });
+
+    if (!this.canStart(workflow) && this.queue.isFull()) {
+      throw new QueueFullError(`Run queue is full (${this.queue.maxSize} runs waiting)`, {
+        retryAfter: this.estimateRetryAfter()
+      });
+    }
+
+    const now = new Date().toISOString();
+    const run = this.restoreRun({
+      id: crypto.randomUUID(),
+      workflow: workflowName,
+      workflowVersion: version,
+      workflowHash: hash,
+      parameters,
+      status: 'queued',
+      priority: options.priority !== undefined ? options.priority : (workflow.priority || 0),
+      input: initialTask,
+      budget: resolveBudget(workflow.budget, options.budget),
+      recording: (options.record !== undefined ? options.record : this.recordRuns) ? [] : undefined,
+      scheduleId: options.scheduleId,
+      scheduledFor: options.scheduledFor,
+      idempotencyKey: options.idempotencyKey,
+      traceparent: this.tracer.traceparent(),
+      createdAt: now,
+      queuedAt: now
+    }, workflow);
+
+    this.enqueue(run);
+    await this.checkpoint(run);
+    return run;
+  }
+
+  /**
+   * Wait for a run's slot, then execute it
+   */
+  async startRun(run) {
+    const admitted = await run.admission;
+    if (!admitted) {
+      return run.record.result;
+    }
+
+    await this.checkpoint(run);
+    return this.runWorkflow(run);
+  }
+
+  /**
+   * Put a run in the queue and start whatever can run now
+   */
+  enqueue(run) {
+    run.admission = new Promise(resolve => {
+      this.queue.push({ run, priority: run.record.priority || 0, resolve });
+    });
+    this.emitRunEvent(run, 'run-queued', {
+      priority: run.record.priority || 0,
+      resumed: run.checkpoint.completed.size > 0
+    });
+    this.drainQueue();
+  }
+
+  /**
+   * Whether a run of the workflow could take a slot right now
+   */
+  canStart(workflow) {
+    const running = this.runningByWorkflow.get(workflow.name) || 0;
+    return this.activeTasksCount < this.maxConcurrentTasks &&
+      (!workflow.maxConcurrent || running < workflow.maxConcurrent);
+  }
+
+  /**
+   * Give free slots to queued runs in priority order, skipping workflows at their cap
+   */
+  drainQueue() {
+    while (this.activeTasksCount < this.maxConcurrentTasks) {
+      const entry = this.queue.take(candidate => this.canStart(candidate.run.workflow));
+      if (!entry) {
+        break;
+      }
+
+      const { run } = entry;
+      const waitMs = Date.now() - entry.enqueuedAt;
+      const now = new Date().toISOString();
+
+      this.activeTasksCount++;
+      this.runningByWorkflow.set(run.workflow.name, (this.runningByWorkflow.get(run.workflow.name) || 0) + 1);
+      this.queueStats.admitted++;
+      this.queueStats.totalWaitMs += waitMs;
+
+      // Keep the original start of a resumed run so its workflow deadline still holds
+      run.record = { ...run.record, status: 'running', startedAt: run.record.startedAt || now, waitMs };
+      entry.resolve(true);
+    }
+  }
+
+  /**
+   * Free a finished run's slot and start the next queued runs
+   */
+  releaseSlot(run) {
+    this.activeTasksCount--;
+    this.runningByWorkflow.set(run.workflow.name, this.runningByWorkflow.get(run.workflow.name) - 1);
+    this.activeRuns.delete(run.id);
+    this.queueStats.finished++;
+    this.queueStats.totalRunMs += Date.now() - Date.parse(run.record.startedAt);
+    this.drainQueue();
+  }
+
+  /**
+   * Seconds until a queue place is likely to free up: one average run spread over the slots
+   */
+  estimateRetryAfter() {
+    const { finished, totalRunMs } = this.queueStats;
+    const averageRunMs = finished > 0 ? totalRunMs / finished : 1000;
+    return Math.max(1, Math.ceil(averageRunMs / this.maxConcurrentTasks / 1000));
+  }
+
+  /**
+   * Request cancellation of a run
+   * A run executing in this process stops before its next step starts; steps already
+   * running finish first, and its running child runs are cancelled too. A run awaiting approval is cancelled and its completed steps
+   * compensated. A run that is not executing here is marked cancelled directly.
+   * @returns {Promise<Object|null>} - { runId, status, accepted }, or null when the run is unknown
+   */
+  async cancelRun(runId) {
+    const queued = this.queue.remove(runId);
+    if (queued) {
+      const { run } = queued;
+      run.cancelRequested = true;
+      this.log('info', `Queued run cancelled: ${runId}`);
+      await this.finishCancelled(run, Date.parse(run.record.createdAt));
+      queued.resolve(false);
+      return { runId, status: 'cancelled', accepted: true };
+    }
+
+    const active = this.activeRuns.get(runId);
+    if (active) {
+      active.cancelRequested = true;
+      this.log('info', `Cancellation requested for run ${runId}`);
+      const children = Array.from(this.activeRuns.values()).filter(candidate => candidate.parent === active);
+      await Promise.all(children.map(child => this.cancelRun(child.id)));
+      return { runId, status: 'cancelling', accepted: true };
+    }
+
+    const record = await this.runStore.getRun(runId);
+    if (!record) {
+      return null;
+    }
+
+    const awaitingApproval = record.status === 'awaiting-approval' && !this.decidingApprovals.has(runId);
+    if (!RunStore.UNFINISHED_STATUSES.includes(record.status) && !awaitingApproval) {
+      return { runId, status: record.status, accepted: false };
+    }
+
+    const workflow = awaitingApproval && this.pinnedWorkflow(record);
+    this.clearApprovalTimer(runId);
+    if (workflow) {
+      const run = this.restoreRun(record, workflow);
+      run.cancelRequested = true;
+      this.log('info', `Run awaiting approval cancelled: ${runId}`);
+      await this.finishCancelled(run, Date.parse(record.createdAt));
+      return { runId, status: 'cancelled', accepted: true };
+    }
+
+    await this.runStore.saveRun({ ...record, status: 'cancelled', completedAt: new Date().toISOString() });
+    return { runId, status: 'cancelled', accepted: true };
+  }
+
+  /**
+   * Approve the step a run is waiting on and resume the run
+   * @param {Object} [options] - { comment, data }; `data` replaces what the approval step passes on
+   * @returns {Promise<Object|null>} - { runId, status, decision, accepted }, or null when the run is unknown
+   */
+  async approveRun(runId, options = {}) {
+    return this.decideApproval(runId, 'approved', options);
+  }
+
+  /**
+   * Reject the step a run is waiting on and resume the run, which fails or escalates that step
+   * @param {Object} [options] - { comment, data }
+   * @returns {Promise<Object|null>} - { runId, status, decision, accepted }, or null when the run is unknown
+   */
+  async rejectRun(runId, options = {}) {
+    return this.decideApproval(runId, 'rejected', options);
+  }
+
+  /**
+   * Record the decision on a run's pending approval and queue the run again
+   * The approval step then completes from the recorded decision; steps that completed
+   * before the run paused are not executed again.
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {Object} [options] - { comment, data, expired }
+   */
+  async decideApproval(runId, decision, options = {}) {
+    const record = await this.runStore.getRun(runId);
+    if (!record) {
+      return null;
+    }
+
+    if (record.status !== 'awaiting-approval' || this.decidingApprovals.has(runId)) {
+      return { runId, status: record.status, accepted: false };
+    }
+
+    this.decidingApprovals.add(runId);
+    try {
+      this.clearApprovalTimer(runId);
+
+      const workflow = this.pinnedWorkflow(record);
+      if (!workflow) {
+        const error = `Workflow not found: ${record.workflow}`;
+        this.log('error', `Cannot resume run ${runId}: ${error}`);
+        await this.runStore.saveRun({ ...record, status: 'failed', error, completedAt: new Date().toISOString() });
+        return { runId, status: 'failed', accepted: false };
+      }
+
+      const { approval } = record;
+      const now = Date.now();
+      const run = this.restoreRun({
+        ...record,
+        status: 'queued',
+        approval: null,
+        queuedAt: new Date(now).toISOString(),
+        approvalWaitMs: (record.approvalWaitMs || 0) + now - Date.parse(approval.requestedAt)
+      }, workflow);
+
+      run.checkpoint.approvals[approval.key] = {
+        decision,
+        comment: options.comment,
+        data: options.data,
+        context: approval.context,
+        expired: Boolean(options.expired),
+        requestedAt: approval.requestedAt,
+        decidedAt: new Date(now).toISOString()
+      };
+
+      this.log('info', `Approval ${approval.step} ${decision} for run ${runId}`, { comment: options.comment, expired: Boolean(options.expired) });
+      this.emitRunEvent(run, 'approval-decided', {
+        step: approval.step,
+        decision,
+        comment: options.comment,
+        expired: Boolean(options.expired)
+      });
+
+      this.enqueue(run);
+      await this.checkpoint(run);
+      this.startRun(run).catch(error => {
+        this.log('error', `Resumed run failed: ${run.id}`, { error: error.message });
+      });
+
+      return { runId, status: run.record.status, decision, accepted: true };
+    } finally {
+      this.decidingApprovals.delete(runId);
+    }
+  }
+
+  /**
+   * Take an approval's `onExpiry` action (default reject) once its expiry time has passed
+   * Timers live in this process; recoverRuns() sets them again after a restart.
+   * Expiry further off than MAX_TIMER_MS is waited for in chunks of at most that.
+   */
+  armApprovalTimer(runId, approval) {
+    if (!approval.expiresAt) {
+      return;
+    }
+
+    const waitMs = Date.parse(approval.expiresAt) - Date.now();
+    const timer = setTimeout(() => {
+      if (waitMs > MAX_TIMER_MS) {
+        this.armApprovalTimer(runId, approval);
+        return;
+      }
+      this.approvalTimers.delete(runId);
+      this.log('warn', `Approval ${approval.step} expired for run ${runId}, default action: ${approval.onExpiry}`);
+      this.decideApproval(runId, approval.onExpiry === 'approve' ? 'approved' : 'rejected', { expired: true }).catch(error => {
+        this.log('error', `Expired approval failed: ${runId}`, { error: error.message });
+      });
+    }, Math.max(0, Math.min(MAX_TIMER_MS, waitMs)));
+
+    this.approvalTimers.set(runId, timer);
+  }
+
+  clearApprovalTimer(runId) {
+    clearTimeout(this.approvalTimers.get(runId));
+    this.approvalTimers.delete(runId);
+  }
+
+  /**
+   * List run records from the store
+   * @param {Object} [filter] - { workflow, status, from, to, parentRunId, scheduleId, idempotencyKey }
+   */
+  async listRuns(filter = {}) {
+    return this.runStore.listRuns(filter);
+  }
+
+  /**
+   * Resume every run the store holds as unfinished, e.g. after a crash or restart
+   * Resumed runs queue again with their priority. Steps that completed before the
+   * interruption are not executed again; steps that were in flight run again from the start.
+   * Runs awaiting approval keep waiting, with their approval expiry timers set again.
+   * Child runs resume with their parent's sub-workflow step rather than on their own.
+   * @returns {Promise<Object[]>} - { runId, promise } for each resumed run
+   */
+  async recoverRuns() {
+    const awaiting = await this.runStore.listRuns({ status: 'awaiting-approval' });
+    awaiting
+      .filter(record => record.approval && !this.approvalTimers.has(record.id))
+      .forEach(record => this.armApprovalTimer(record.id, record.approval));
+
+    const records = (await this.runStore.listUnfinishedRuns()).filter(record => !record.parentRunId);
+    const resumed = [];
+
+    for (const record of records) {
+      const workflow = this.pinnedWorkflow(record);
+
+      if (!workflow) {
+        this.log('error', `Cannot resume run ${record.id}: workflow not found: ${record.workflow}`);
+        await this.runStore.saveRun({
+          ...record,
+          status: 'failed',
+          error: `Workflow not found: ${record.workflow}`,
+          completedAt: new Date().toISOString()
+        });
+        continue;
+      }
+
+      const run = this.restoreRun(record, workflow);
+      this.log('info', `Resuming run ${run.id} (${record.workflow})`, { completedSteps: run.checkpoint.completed.size });
+
+      this.enqueue(run);
+      const promise = this.startRun(run).catch(error => {
+        this.log('error', `Resumed run failed: ${run.id}`, { error: error.message });
+      });
+      resumed.push({ runId: run.id, promise });
+    }
+
+    return resumed;
+  }
+
+  /**
+   * The definition a stored run started with
+   * Runs are pinned to their version; when a restart renumbered the versions, the
+   * definition with the same hash is used, and failing that the current one.
+   * Templates are instantiated again with the run's parameters.
+   */
+  pinnedWorkflow(record) {
+    const versions = this.workflowVersions.get(record.workflow) || [];
+    const pinned = versions.find(entry => entry.version === record.workflowVersion && entry.hash === record.workflowHash) ||
+      versions.find(entry => entry.hash === record.workflowHash);
+    let definition = pinned && pinned.definition;
+
+    if (!definition) {
+      definition = this.workflows.get(record.workflow);
+      if (definition && record.workflowHash) {
+        this.log('warn', `Run ${record.id} resumes with the current ${record.workflow} definition; v${record.workflowVersion} is no longer known`);
+      }
+    }
+    if (!definition || !definition.parameters) {
+      return definition;
+    }
+
+    try {
+      return this.instantiateWorkflow(record.workflow, definition, record.parameters).workflow;
+    } catch (error) {
+      this.log('error', `Cannot instantiate ${record.workflow} for run ${record.id}`, { errors: error.errors });
+      return undefined;
+    }
+  }
+
+  /**
+   * Get a run record from the store
+   */
+  async getRun(runId) {
+    return this.runStore.getRun(runId);
+  }
+
+  /**
+   * A recorded run's record, or NotFoundError
+   */
+  async getRecording(runId) {
+    const record = await this.runStore.getRun(runId);
+    if (!record) {
+      throw new NotFoundError(`Run not found: ${runId}`);
+    }
+    if (!Array.isArray(record.recording)) {
+      throw new NotFoundError(`Run ${runId} was not recorded`);
+    }
+    return record;
+  }
+
+  /**
+   * Re-execute a recorded run's agent calls in order, each with the clock, seed and
+   * agent memory it was recorded with, stopping at the first output that differs
+   * @param {Object} [options]
+   * @param {Object} [options.agents] - Agents by name to replay on instead of the registered ones
+   * @returns {Promise<Object>} - { runId, workflow, total, replayed, matched, divergence, calls }
+   */
+  async replayRun(runId, options = {}) {
+    const record = await this.getRecording(runId);
+    const agents = options.agents || {};
+    const report = await replayEntries(record.recording, name => agents[name] || this.agents.get(name));
+
+    this.log(report.matched ? 'info' : 'warn', `Replayed run ${runId}: ${report.matched ? 'matched' : 'diverged'}`, {
+      replayed: report.replayed,
+      total: report.total,
+      divergence: report.divergence
+    });
+    return { runId, workflow: record.workflow, ...report };
+  }
+
+  /**
+   * Re-execute one recorded step call in isolation, e.g. against a modified agent
+   * The step's last recorded attempt is used unless `attempt` is given; steps in
+   * loops take the last iteration unless `iteration` is given.
+   * @param {Object} [options] - { iteration, attempt, agent }
+   * @returns {Promise<Object>} - The call, { matches, difference, recorded, replayed }
+   */
+  async replayStep(runId, stepName, options = {}) {
+    const record = await this.getRecording(runId);
+    const candidates = record.recording
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => entry.step === stepName && !entry.compensation &&
+        (options.iteration === undefined || entry.iteration === options.iteration) &&
+        (options.attempt === undefined || entry.attempt === options.attempt));
+
+    if (candidates.length === 0) {
+      throw new NotFoundError(`No recorded call for step ${stepName} in run ${runId}`);
+    }
+
+    const { entry, index } = candidates[candidates.length - 1];
+    const agent = options.agent || this.agents.get(entry.agent);
+    if (!agent) {
+      throw new NotFoundError(`Agent not found: ${entry.agent}`);
+    }
+
+    const { matches, difference, ...replayed } = await replayEntry(agent, entry);
+    return {
+      runId,
+      ...describeEntry(entry, index),
+      matches,
+      difference,
+      recorded: entry.error ? { error: entry.error } : { output: entry.output },
+      replayed
+    };
+  }
+
+  /**
+   * Build in-memory run state from a stored record
+   */
+  restoreRun(record, workflow) {
+    const checkpoint = record.checkpoint || {};
+    const spend = record.spend || {};
+
+    return {
+      id: record.id,
+      workflow,
+      record,
+      controller: new AbortController(),
+      initialTask: record.input,
+      context: { input: (record.input && record.input.data) || {}, steps: record.outputs || {} },
+      forwarded: record.forwarded || {},
+      results: record.results || [],
+      skipped: record.skipped || [],
+      recording: record.recording,
+      lineage: record.lineage || [record.workflow],
+      spend: { agentCalls: spend.agentCalls || 0, costUsd: spend.costUsd || 0 },
+      budgetWarnings: record.budgetWarnings || [],
+      checkpoint: {
+        completed: new Set(checkpoint.completed || []),
+        skipped: new Set(checkpoint.skipped || []),
+        notTaken: new Set(checkpoint.notTaken || []),
+        loops: checkpoint.loops || {},
+        approvals: checkpoint.approvals || {},
+        children: checkpoint.children || {}
+      }
+    };
+  }
+
+  /**
+   * Save the run's current state to the run store
+   * A failing store is logged rather than failing the run.
+   */
+  async checkpoint(run, changes = {}) {
+    run.record = {
+      ...run.record,
+      ...changes,
+      results: run.results,
+      skipped: run.skipped,
+      outputs: run.context.steps,
+      forwarded: run.forwarded,
+      recording: run.recording,
+      spend: this.spendOf(run),
+      budgetWarnings: run.budgetWarnings,
+      checkpoint: {
+        completed: [...run.checkpoint.completed],
+        skipped: [...run.checkpoint.skipped],
+        notTaken: [...run.checkpoint.notTaken],
+        loops: run.checkpoint.loops,
+        approvals: run.checkpoint.approvals,
+        children: run.checkpoint.children
+      },
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      await this.runStore.saveRun(run.record);
+    } catch (error) {
+      this.log('error', `Failed to checkpoint run ${run.id}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Run (or resume) a workflow run to completion and record its final status
+   * The run is a span in the trace of the request, schedule or parent step that created
+   * it; a resumed run adds another span to the same trace.
+   */
+  runWorkflow(run) {
+    const attributes = {
+      'workflow.name': run.workflow.name,
+      'workflow.version': run.record.workflowVersion,
+      'run.id': run.id,
+      'run.parent_id': run.record.parentRunId,
+      'run.resumed': run.checkpoint.completed.size > 0
+    };
+
+    return this.tracer.trace(`run ${run.workflow.name}`, { parent: run.record.traceparent, attributes }, async span => {
+      const result = await this.executeRun(run);
+      const { status, error } = run.record;
+
+      // Failed runs throw, which marks the span as an error
+      span.setAttribute('run.status', status);
+      if (status === 'escalated' || status === 'budget-exceeded') {
+        span.setStatus('error', error || result.error.error);
+      }
+      return result;
+    });
+  }
+
+  async executeRun(run) {
+    const { workflow } = run;
+    this.activeRuns.set(run.id, run);
+    const workflowTimer = this.startWorkflowTimer(run);
+    const budgetTimers = this.startBudgetTimers(run);
+    const startTime = Date.now();
+
+    try {
+      this.emitRunEvent(run, 'run-started', {
+        resumed: run.checkpoint.completed.size > 0,
+        completedSteps: [...run.checkpoint.completed]
+      });
+
+      const escalation = await this.runSteps(run, {
+        key: '',
+        steps: workflow.steps,
+        dependencies: buildDependencies(workflow.steps),
+        rootData: run.initialTask.data,
+        scope: {}
+      });
+
+      if (run.controller.signal.aborted) {
+        throw run.controller.signal.reason;
+      }
+
+      if (run.cancelRequested) {
+        return this.finishCancelled(run, startTime);
+      }
+
+      if (escalation) {
+        this.log('warn', `Step failed, escalating: ${escalation.step.name}`);
+        this.emitRunEvent(run, 'escalation', {
+          step: escalation.step.name,
+          error: escalation.result.error,
+          handler: workflow.escalationHandler
+        });
+        const compensations = await this.compensate(run);
+        const result = await this.handleEscalation(workflow, escalation.step, escalation.result, run.results, compensations);
+        result.runId = run.id;
+        result.workflowVersion = run.record.workflowVersion;
+        await this.checkpoint(run, { status: 'escalated', result, completedAt: new Date().toISOString() });
+        this.emitRunEvent(run, 'run-completed', { status: 'escalated', duration: Date.now() - startTime });
+        return result;
+      }
+
+      if (run.pendingApproval) {
+        return this.pauseForApproval(run, startTime);
+      }
+
+      const duration = Date.now() - startTime;
+      this.log('info', `Workflow completed: ${workflow.name}`, { duration, stepsCompleted: run.results.length });
+
+      const result = {
+        success: true,
+        runId: run.id,
+        workflow: workflow.name,
+        workflowVersion: run.record.workflowVersion,
+        results: run.results,
+        skipped: run.skipped,
+        outputs: run.context.steps,
+        spend: this.spendOf(run),
+        duration,
+        timestamp: new Date().toISOString()
+      };
+
+      await this.checkpoint(run, { status: 'completed', result, completedAt: result.timestamp });
+      this.emitRunEvent(run, 'run-completed', { status: 'completed', duration });
+      return result;
+    } catch (error) {
+      if (error.type === 'budget-exceeded') {
+        return this.finishBudgetExceeded(run, error, startTime);
+      }
+
+      this.log('error', `Workflow execution failed: ${workflow.name}`, { error: error.message });
+      error.compensations = await this.compensate(run);
+      await this.checkpoint(run, {
+        status: 'failed',
+        error: error.message,
+        errorType: error.type,
+        completedAt: new Date().toISOString()
+      });
+      this.emitRunEvent(run, 'run-completed', {
+        status: 'failed',
+        error: error.message,
+        errorType: error.type,
+        duration: Date.now() - startTime
+      });
+      throw error;
+    } finally {
+      clearTimeout(workflowTimer);
+      budgetTimers.forEach(timer => clearTimeout(timer));
+      // Child runs execute in their parent's slot
+      if (run.parent) {
+        this.activeRuns.delete(run.id);
+      } else {
+        this.releaseSlot(run);
+      }
+    }
+  }
+
+  /**
+   * Record a run as cancelled and build its result
+   */
+  async finishCancelled(run, startTime) {
+    this.log('info', `Workflow cancelled: ${run.workflow.name}`, { runId: run.id, stepsCompleted: run.results.length });
+
+    const compensations = await this.compensate(run);
+    const result = {
+      success: false,
+      cancelled: true,
+      runId: run.id,
+      workflow: run.workflow.name,
+      workflowVersion: run.record.workflowVersion,
+      results: run.results,
+      skipped: run.skipped,
+      outputs: run.context.steps,
+      compensations,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+    await this.checkpoint(run, { status: 'cancelled', result, completedAt: result.timestamp });
+    this.emitRunEvent(run, 'run-completed', { status: 'cancelled', duration: result.duration });
+    return result;
+  }
+
+  /**
+   * Record a run stopped by its budget (or an ancestor's) and build its result
+   */
+  async finishBudgetExceeded(run, error, startTime) {
+    this.log('warn', `Workflow stopped by its budget: ${run.workflow.name}`, {
+      runId: run.id,
+      limit: error.limit,
+      spent: error.spent,
+      max: error.max
+    });
+
+    const compensations = await this.compensate(run);
+    const result = {
+      success: false,
+      budgetExceeded: true,
+      error: error.message,
+      exceeded: { limit: error.limit, spent: error.spent, max: error.max },
+      runId: run.id,
+      workflow: run.workflow.name,
+      workflowVersion: run.record.workflowVersion,
+      budget: run.record.budget,
+      spend: this.spendOf(run),
+      results: run.results,
+      skipped: run.skipped,
+      outputs: run.context.steps,
+      compensations,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+    await this.checkpoint(run, {
+      status: 'budget-exceeded',
+      result,
+      error: error.message,
+      errorType: error.type,
+      completedAt: result.timestamp
+    });
+    this.emitRunEvent(run, 'run-completed', { status: 'budget-exceeded', duration: result.duration, limit: error.limit });
+    return result;
+  }
+
+  /**
+   * Record a run as awaiting approval and build its result
+   * The run's slot is freed by runWorkflow; approveRun() or rejectRun() queue it again,
+   * as does the approval's `onExpiry` action once its `timeoutMs` has passed.
+   */
+  async pauseForApproval(run, startTime) {
+    const approval = run.pendingApproval;
+    this.log('info', `Run ${run.id} awaiting approval: ${approval.step}`, { expiresAt: approval.expiresAt });
+
+    await this.checkpoint(run, { status: 'awaiting-approval', approval });
+    this.armApprovalTimer(run.id, approval);
+    this.emitRunEvent(run, 'approval-requested', {
+      step: approval.step,
+      loop: approval.loop,
+      iteration: approval.iteration,
+      message: approval.message,
+      expiresAt: approval.expiresAt,
+      onExpiry: approval.onExpiry
+    });
+
+    return {
+      success: false,
+      awaitingApproval: true,
+      runId: run.id,
+      workflow: run.workflow.name,
+      workflowVersion: run.record.workflowVersion,
+      approval,
+      results: run.results,
+      skipped: run.skipped,
+      outputs: run.context.steps,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Abort a run once its workflow's `timeoutMs` has passed since the run started
+   * The deadline counts from the run's original start, so a resumed run keeps it;
+   * time spent awaiting approval does not count.
+   * @returns {Object|undefined} - Timer to clear when the run finishes
+   */
+  startWorkflowTimer(run) {
+    const { timeoutMs, name } = run.workflow;
+    if (!timeoutMs) {
+      return undefined;
+    }
+
+    const deadline = Date.parse(run.record.startedAt) + timeoutMs + (run.record.approvalWaitMs || 0);
+
+    return setTimeout(() => {
+      this.log('warn', `Workflow timed out: ${name}`, { runId: run.id, timeoutMs });
+      run.controller.abort(new TimeoutError(`Workflow ${name} timed out after ${timeoutMs}ms`, { timeoutMs }));
+    }, Math.max(0, deadline - Date.now()));
+  }
+
+  /**
+   * Warn when a run's wall time passes its budget's soft limit, and stop it at the hard limit
+   * Like the workflow timeout, wall time counts from the run's original start and
+   * leaves out time spent awaiting approval.
+   * @returns {Object[]} - Timers to clear when the run finishes
+   */
+  startBudgetTimers(run) {
+    const { budget } = run.record;
+    if (!budget || !budget.wallTimeMs) {
+      return [];
+    }
+
+    const max = budget.wallTimeMs;
+    const elapsed = this.spendOf(run).wallTimeMs;
+    const timers = [setTimeout(() => this.exceedBudget(run, 'wallTimeMs', this.spendOf(run).wallTimeMs, max),
+      Math.max(0, Math.min(MAX_TIMER_MS, max - elapsed + 1)))];
+
+    if (!run.budgetWarnings.includes('wallTimeMs')) {
+      const warnAfter = max * (budget.warnAt || DEFAULT_WARN_AT) - elapsed;
+      timers.push(setTimeout(() => this.warnBudget(run, 'wallTimeMs', this.spendOf(run).wallTimeMs, max),
+        Math.max(0, warnAfter)));
+    }
+    return timers;
+  }
+
+  /**
+   * What a run has spent so far: { wallTimeMs, agentCalls, costUsd }
+   */
+  spendOf(run) {
+    const { startedAt, approvalWaitMs = 0 } = run.record;
+    const finishedAt = run.record.completedAt ? Date.parse(run.record.completedAt) : Date.now();
+
+    return {
+      wallTimeMs: startedAt ? Math.max(0, finishedAt - Date.parse(startedAt) - approvalWaitMs) : 0,
+      agentCalls: run.spend.agentCalls,
+      costUsd: roundCost(run.spend.costUsd)
+    };
+  }
+
+  /**
+   * Refuse an agent call that would take a run, or any run it is part of, past its agentCalls limit
+   * @throws {BudgetExceededError} - After stopping the run whose budget it is
+   */
+  reserveAgentCall(run) {
+    for (let target = run; target; target = target.parent) {
+      const max = target.record.budget && target.record.budget.agentCalls;
+      if (max && target.spend.agentCalls + 1 > max) {
+        this.exceedBudget(target, 'agentCalls', target.spend.agentCalls + 1, max);
+        throw target.controller.signal.reason;
+      }
+    }
+  }
+
+  /**
+   * Add an agent call to the spend of a run and every run it is part of
+   * Each budget warns once per limit past its soft limit and, when `enforce` is set,
+   * stops its run past the hard limit. Compensations are charged without enforcing.
+   * @param {Object} charge - { agentCalls, costUsd }
+   */
+  chargeBudget(run, { agentCalls = 0, costUsd = 0 }, enforce = true) {
+    for (let target = run; target; target = target.parent) {
+      target.spend.agentCalls += agentCalls;
+      target.spend.costUsd += costUsd;
+
+      const { budget } = target.record;
+      if (!budget) {
+        continue;
+      }
+
+      const spend = this.spendOf(target);
+      const { warnings, exceeded } = checkBudget(budget, spend, target.budgetWarnings);
+      warnings.forEach(limit => this.warnBudget(target, limit, spend[limit], budget[limit]));
+      if (exceeded && enforce) {
+        this.exceedBudget(target, exceeded, spend[exceeded], budget[exceeded]);
+      }
+    }
+  }
+
+  warnBudget(run, limit, spent, max) {
+    if (run.budgetWarnings.includes(limit)) {
+      return;
+    }
+
+    run.budgetWarnings.push(limit);
+    this.log('warn', `Run ${run.id} has used ${Math.round(spent / max * 100)}% of its ${limit} budget`, { spent, max });
+    this.emitRunEvent(run, 'budget-warning', { limit, spent, max });
+  }
+
+  /**
+   * Stop a run that went past a budget limit; steps still running are aborted
+   */
+  exceedBudget(run, limit, spent, max) {
+    if (run.controller.signal.aborted) {
+      return;
+    }
+
+    this.log('warn', `Run ${run.id} exceeded its ${limit} budget`, { spent, max });
+    run.controller.abort(new BudgetExceededError(`Run exceeded its ${limit} budget (${spent} > ${max})`, { limit, spent, max }));
+  }
+
+  /**
+   * Run one level of workflow steps (the workflow or a loop body) as their dependencies complete
+   * Independent steps run concurrently. A step is skipped when a branch did not take it
+   * or when every step it depends on was skipped. Once a step needs escalation or throws,
+   * an approval step is waiting for a decision, or the run is cancelled or times out, no
+   * further steps start; steps already running are allowed to finish (a timed-out run
+   * aborts their signal). A waiting approval is left in `run.pendingApproval`.
+   * Progress is checkpointed after every step, keyed by `frame.key` + step name, so a
+   * resumed run starts only the steps that had not completed.
+   * @param {Object} run - Run state shared by every level
+   * @param {Object} frame - { key, steps, dependencies, rootData, scope } for this level
+   * @returns {Promise<Object|null>} - The step to escalate, or null when all steps ran
+   */
+  async runSteps(run, frame) {
+    const { steps, dependencies } = frame;
+    const { checkpoint } = run;
+    const keyOf = name => `${frame.key}${name}`;
+    const completed = new Set(steps.map(step => step.name).filter(name => checkpoint.completed.has(keyOf(name))));
+    const skipped = new Set(steps.map(step => step.name).filter(name => checkpoint.skipped.has(keyOf(name))));
+    const started = new Set([...completed, ...skipped]);
+    const running = new Map();
+    let escalation = null;
+    let failure = null;
+
+    const isDone = name => completed.has(name) || skipped.has(name);
+
+    while (true) {
+      let changed = !escalation && !failure && !run.pendingApproval && !run.cancelRequested &&
+        !run.controller.signal.aborted;
+
+      while (changed) {
+        changed = false;
+
+        steps
+          .filter(step => !started.has(step.name) && dependencies.get(step.name).every(isDone))
+          .forEach(step => {
+            const parents = dependencies.get(step.name);
+            started.add(step.name);
+            changed = true;
+
+            if (checkpoint.notTaken.has(keyOf(step.name)) ||
+                (parents.length > 0 && parents.every(parent => skipped.has(parent)))) {
+              skipped.add(step.name);
+              checkpoint.skipped.add(keyOf(step.name));
+              run.skipped.push({ step: step.name, ...frame.scope });
+              return;
+            }
+
+            running.set(step.name, this.traceStep(step, run, frame).then(
+              outcome => ({ step, outcome }),
+              error => ({ step, error })
+            ));
+          });
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+
+      const settled = await Promise.race(running.values());
+      running.delete(settled.step.name);
+
+      if (settled.error) {
+        failure = failure || settled.error;
+        continue;
+      }
+
+      if (settled.outcome.pending) {
+        run.pendingApproval = run.pendingApproval || settled.outcome.pending;
+        continue;
+      }
+
+      const { result, notTaken = [] } = settled.outcome;
+      completed.add(settled.step.name);
+      checkpoint.completed.add(keyOf(settled.step.name));
+      notTaken.forEach(name => checkpoint.notTaken.add(keyOf(name)));
+
+      // Check if we need to escalate or continue
+      if (!escalation) {
+        if (settled.outcome.escalation) {
+          escalation = settled.outcome.escalation;
+        } else if (!result.success && settled.step.escalateOnFailure) {
+          escalation = { step: settled.step, result };
+        }
+      }
+      if (settled.outcome.failure) {
+        failure = failure || settled.outcome.failure;
+      }
+
+      await this.checkpoint(run);
+    }
+
+    if (failure) {
+      throw failure;
+    }
+
+    return escalation;
+  }
+
+  /**
+   * Execute a step in its own span, a child of the run's (or enclosing loop step's) span
+   */
+  traceStep(step, run, frame) {
+    const attributes = {
+      'step.name': step.name,
+      'step.type': step.type || 'agent',
+      'agent.name': step.agentName,
+      'task.type': step.type ? undefined : (step.taskType || run.initialTask.type),
+      'loop.name': frame.scope.loop,
+      'loop.iteration': frame.scope.iteration
+    };
+
+    return this.tracer.trace(`step ${step.name}`, { attributes }, async span => {
+      const outcome = await this.executeStep(step, run, frame);
+
+      if (outcome.pending) {
+        span.setAttribute('step.pending', true);
+      } else if (!outcome.result.success) {
+        span.setStatus('error', outcome.result.error);
+      }
+      return outcome;
+    });
+  }
+
+  /**
+   * Execute a single workflow step and publish its output
+   * @returns {Promise<Object>} - { result, escalation?, notTaken?, failure? }, or { pending }
+   *   when an approval step (at any loop depth) is waiting for a decision
+   */
+  async executeStep(step, run, frame) {
+    const { task, received } = this.buildStepTask(step, run, frame);
+    const startedAt = Date.now();
+    const stepEvent = {
+      step: step.name,
+      type: step.type || 'agent',
+      agent: step.agentName,
+      taskType: step.type ? undefined : task.type,
+      ...frame.scope
+    };
+    let outcome;
+
+    this.emitRunEvent(run, 'step-started', stepEvent);
+
+    try {
+      if (step.type === 'branch') {
+        outcome = this.executeBranch(step, run);
+      } else if (step.type === 'loop') {
+        outcome = await this.executeLoop(step, run, frame, received);
+      } else if (step.type === 'approval') {
+        outcome = this.executeApproval(step, run, frame, received);
+      } else if (step.type === 'workflow') {
+        outcome = { result: await this.executeSubWorkflow(step, run, frame, task, stepEvent) };
+      } else {
+        outcome = await this.executeAgentStep(step, run, frame, task, stepEvent);
+      }
+    } catch (error) {
+      // Timed-out steps, steps refused by an open circuit and steps stopped by the run's
+      // budget fail like any other step, so escalation and recovery can handle them
+      if (!['timeout', 'circuit-open', 'budget-exceeded'].includes(error.type)) {
+        this.emitRunEvent(run, 'step-failed', { ...stepEvent, duration: Date.now() - startedAt, error: error.message });
+        throw error;
+      }
+      outcome = { result: this.errorResult(step, error) };
+    }
+
+    if (outcome.pending) {
+      return outcome;
+    }
+
+    const completedAt = Date.now();
+    const stepResult = outcome.result;
+    const cost = this.stepCost(stepResult);
+
+    this.emitRunEvent(run, stepResult.success ? 'step-succeeded' : 'step-failed', {
+      ...stepEvent,
+      duration: completedAt - startedAt,
+      error: stepResult.error,
+      errorType: stepResult.errorType,
+      cost,
+      cache: outcome.cache,
+      savedMs: outcome.savedMs
+    });
+
+    run.results.push({
+      step: step.name,
+      type: step.type || 'agent',
+      agent: outcome.fallbackFrom ? step.fallbackAgent : step.agentName,
+      fallbackFrom: outcome.fallbackFrom,
+      childRunId: stepResult.childRunId,
+      taskType: step.type ? undefined : task.type,
+      ...frame.scope,
+      dependsOn: frame.dependencies.get(step.name),
+      startedAt: new Date(startedAt).toISOString(),
+      completedAt: new Date(completedAt).toISOString(),
+      duration: completedAt - startedAt,
+      cost,
+      cache: outcome.cache,
+      result: stepResult
+    });
+
+    // Publish output for later steps; a step without data forwards what it received
+    if (stepResult.data && step.type !== 'branch') {
+      run.context.steps[step.name] = publishOutput(step.output, stepResult.data);
+      run.forwarded[step.name] = run.context.steps[step.name];
+    } else {
+      run.forwarded[step.name] = received;
+    }
+
+    return outcome;
   }
 
   /**
-   * Register an agent with the orchestrator
+   * Run an agent step with retries, falling back to `step.fallbackAgent` while the
+   * agent's circuit is open. A step with a `cache` setting is answered from the step
+   * cache when it holds a fresh result for the same agent, task type and input, and
+   * otherwise stores its successful result there.
+   * @returns {Promise<Object>} - { result, fallbackFrom?, cache?, savedMs? }
    */
-  registerAgent(agent) {
-    if (this.agents.has(agent.name)) {
-      throw new Error(`Agent ${agent.name} is already registered`);
+  async executeAgentStep(step, run, frame, task, stepEvent) {
+    const agent = this.agents.get(step.agentName);
+    if (!agent) {
+      throw new Error(`Agent not found: ${step.agentName}`);
     }
-    
-    this.agents.set(agent.name, agent);
-    this.log('info', `Agent registered: ${agent.name} (${agent.role})`);
+
+    const cacheKey = step.cache && StepCache.key(step.agentName, task.type, { data: task.data, config: task.stepConfig });
+    const cached = cacheKey && this.stepCache.lookup(cacheKey);
+    if (cached) {
+      this.log('info', `Step result from cache: ${step.name}`, { runId: run.id, key: cacheKey, ...frame.scope });
+      agent.recordCacheHit(task.type, cached.durationMs);
+      return {
+        result: {
+          ...cached.result,
+          cached: { key: cacheKey, cachedAt: new Date(cached.createdAt).toISOString(), expiresAt: new Date(cached.expiresAt).toISOString() },
+          attempts: []
+        },
+        cache: 'hit',
+        savedMs: cached.durationMs
+      };
+    }
+
+    this.log('info', `Executing step: ${step.name} with agent: ${step.agentName}`, { runId: run.id, ...frame.scope });
+
+    // Execute agent with retry logic
+    const execute = target => this.executeWithRetry(target, task, resolveRetryPolicy(step, run.workflow), {
+      signal: run.controller.signal,
+      timeoutMs: step.timeoutMs,
+      step: step.name,
+      beforeAttempt: () => this.reserveAgentCall(run),
+      afterAttempt: ({ costUsd }) => this.chargeBudget(run, { agentCalls: 1, costUsd }),
+      onRetry: retry => this.emitRunEvent(run, 'retry', { ...stepEvent, agent: target.name, ...retry }),
+      recording: run.recording && { entries: run.recording, scope: { step: step.name, ...frame.scope } }
+    });
+    const startedAt = Date.now();
+    let outcome;
+
+    try {
+      outcome = { result: await execute(agent) };
+    } catch (error) {
+      const fallback = step.fallbackAgent && this.agents.get(step.fallbackAgent);
+      if (error.type !== 'circuit-open' || !fallback) {
+        throw error;
+      }
+
+      this.log('warn', `Circuit open for ${agent.name}, step ${step.name} falling back to ${fallback.name}`, { runId: run.id });
+      outcome = { result: await execute(fallback), fallbackFrom: agent.name };
+    }
+
+    if (!cacheKey) {
+      return outcome;
+    }
+
+    // Only the step's own agent's successes are kept; a fallback's answer may differ
+    const { attempts, ...result } = outcome.result;
+    if (result.success !== false && !outcome.fallbackFrom) {
+      const stored = this.stepCache.store(cacheKey, {
+        agent: step.agentName,
+        taskType: task.type,
+        result,
+        durationMs: Date.now() - startedAt,
+        costUsd: this.stepCost(outcome.result).costUsd
+      }, parseDuration(step.cache.ttl));
+      if (!stored) {
+        this.log('warn', `Step result not cached, it cannot be copied: ${step.name}`, { runId: run.id });
+      }
+    }
+    return { ...outcome, cache: 'miss' };
   }
 
   /**
-   * Register a workflow
+   * What a step's attempts cost: { agentCalls, costUsd }
+   * A sub-workflow step's attempts carry their child run's spend; branch, approval and
+   * loop steps make no calls of their own (a loop's body steps carry theirs).
    */
-  registerWorkflow(name, workflow) {
-    this.workflows.set(name, workflow);
-    this.log('info', `Workflow registered: ${name}`);
+  stepCost(stepResult) {
+    const attempts = stepResult.attempts || [];
+
+    return {
+      agentCalls: attempts.reduce((sum, attempt) => sum + (attempt.agentCalls !== undefined ? attempt.agentCalls : 1), 0),
+      costUsd: roundCost(attempts.reduce((sum, attempt) => sum + (attempt.costUsd || 0), 0))
+    };
   }
 
   /**
-   * Execute a multi-agent workflow
+   * Failed step result for a step that ran out of time, was refused by an open circuit
+   * or was stopped by the run's budget
    */
-  async executeWorkflow(workflowName, initialTask) {
-    const workflow = this.workflows.get(workflowName);
-    if (!workflow) {
-      throw new Error(`Workflow not found: ${workflowName}`);
-    }
+  errorResult(step, error) {
+    return {
+      success: false,
+      agent: error.agent || step.agentName,
+      error: error.message,
+      errorType: error.type,
+      timeoutMs: error.timeoutMs,
+      retryAfter: error.retryAfter,
+      attempts: error.attempts,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Evaluate a branch step: the first branch whose condition holds is taken,
+   * otherwise the `otherwise` targets; every other target is skipped
+   */
+  executeBranch(step, run) {
+    const branch = step.branches.find(candidate => evaluateCondition(candidate.when, run.context));
+    const taken = branch ? branch.next : (step.otherwise || []);
+    const targets = [...step.branches.flatMap(candidate => candidate.next), ...(step.otherwise || [])];
+    const notTaken = [...new Set(targets)].filter(name => !taken.includes(name));
+
+    this.log('info', `Branch ${step.name} taking: ${taken.join(', ') || 'none'}`);
 
-    this.log('info', `Executing workflow: ${workflowName}`, { task: initialTask });
+    return {
+      result: {
+        success: true,
+        data: {
+          branch: branch ? step.branches.indexOf(branch) : 'otherwise',
+          taken,
+          notTaken
+        },
+        timestamp: new Date().toISOString()
+      },
+      notTaken
+    };
+  }
 
-    if (this.activeTasksCount >= this.maxConcurrentTasks) {
-      throw new Error('Maximum concurrent tasks reached');
+  /**
+   * Evaluate an approval step
+   * Without a recorded decision the step asks for one: it returns the pending approval,
+   * holding the `input` mapping's data (or what its parents forwarded) for approvers to review.
+   * An approved step passes on that data, or the approver's edited `data` in its place.
+   * A rejected step fails; unless it escalates, the run fails with an ApprovalRejectedError.
+   * @returns {Object} - { pending } or { result, failure? }
+   */
+  executeApproval(step, run, frame, received) {
+    if (run.parent) {
+      throw new Error(`Approval step ${step.name} cannot run in a sub-workflow; child runs cannot pause for approval`);
     }
 
-    this.activeTasksCount++;
+    const key = `${frame.key}${step.name}`;
+    const decision = run.checkpoint.approvals[key];
 
-    try {
-      let currentTask = initialTask;
-      const results = [];
-      const startTime = Date.now();
+    if (!decision) {
+      const requestedAt = Date.now();
+      this.log('info', `Approval requested: ${step.name}`, { runId: run.id, ...frame.scope });
 
-      for (const step of workflow.steps) {
-        const agent = this.agents.get(step.agentName);
-        if (!agent) {
-          throw new Error(`Agent not found: ${step.agentName}`);
+      return {
+        pending: {
+          step: step.name,
+          key,
+          ...frame.scope,
+          message: step.message,
+          context: step.input ? resolveInput(step.input, run.context) : received,
+          onExpiry: step.onExpiry || 'reject',
+          requestedAt: new Date(requestedAt).toISOString(),
+          expiresAt: step.timeoutMs ? new Date(requestedAt + step.timeoutMs).toISOString() : undefined
+        }
+      };
+    }
+
+    const approval = {
+      decision: decision.decision,
+      comment: decision.comment,
+      expired: decision.expired,
+      edited: decision.data !== undefined,
+      requestedAt: decision.requestedAt,
+      decidedAt: decision.decidedAt
+    };
+
+    if (decision.decision === 'approved') {
+      return {
+        result: {
+          success: true,
+          data: decision.data !== undefined ? decision.data : decision.context,
+          approval,
+          timestamp: new Date().toISOString()
         }
+      };
+    }
 
-        this.log('info', `Executing step: ${step.name} with agent: ${step.agentName}`);
+    const error = `Approval ${step.name} was rejected${decision.expired ? ' on expiry' : ''}` +
+      (decision.comment ? `: ${decision.comment}` : '');
 
-        // Execute agent with retry logic
-        const stepResult = await this.executeWithRetry(
-          agent,
-          { ...currentTask, stepName: step.name, stepConfig: step.config },
-          step.retries || 1
-        );
+    return {
+      result: { success: false, error, errorType: 'approval-rejected', approval, timestamp: new Date().toISOString() },
+      failure: step.escalateOnFailure
+        ? undefined
+        : new ApprovalRejectedError(error, { step: step.name, comment: decision.comment, expired: decision.expired })
+    };
+  }
 
-        results.push({
-          step: step.name,
-          agent: step.agentName,
-          result: stepResult
-        });
+  /**
+   * Run a loop step's body until its condition holds or its iteration/time budget runs out
+   * Every iteration records its own step results, tagged with the loop name and iteration.
+   * Finished iterations are checkpointed so a resumed loop continues where it stopped.
+   */
+  async executeLoop(step, run, frame, received) {
+    const maxIterations = step.maxIterations || 3;
+    const loopKey = `${frame.key}${step.name}`;
+    const state = run.checkpoint.loops[loopKey] ||
+      (run.checkpoint.loops[loopKey] = { startedAt: Date.now(), history: [] });
+    const dependencies = buildDependencies(step.steps);
+    const last = state.history[state.history.length - 1];
+    let conditionMet = Boolean(last && last.conditionMet);
+    let stoppedBy = conditionMet ? 'condition' : 'max-iterations';
+    let escalation = null;
 
-        // Check if we need to escalate or continue
-        if (!stepResult.success && step.escalateOnFailure) {
-          this.log('warn', `Step failed, escalating: ${step.name}`);
-          return this.handleEscalation(workflow, step, stepResult, results);
-        }
+    for (let iteration = state.history.length + 1; iteration <= maxIterations && !conditionMet; iteration++) {
+      if (run.cancelRequested) {
+        stoppedBy = 'cancelled';
+        break;
+      }
 
-        // Pass output to next step
-        if (stepResult.data) {
-          currentTask = { ...currentTask, data: stepResult.data };
-        }
+      if (run.controller.signal.aborted) {
+        stoppedBy = 'timeout';
+        break;
+      }
+
+      if (iteration > 1 && step.maxDurationMs && Date.now() - state.startedAt >= step.maxDurationMs) {
+        stoppedBy = 'time-budget';
+        break;
+      }
+
+      this.log('info', `Loop ${step.name} iteration ${iteration}/${maxIterations}`, { runId: run.id });
+
+      const iterationStart = Date.now();
+      escalation = await this.runSteps(run, {
+        key: `${loopKey}[${iteration}]/`,
+        steps: step.steps,
+        dependencies,
+        rootData: received,
+        scope: { loop: step.name, iteration }
+      });
+      if (run.pendingApproval) {
+        return { pending: run.pendingApproval };
+      }
+      conditionMet = !escalation && evaluateCondition(step.until, run.context);
+
+      state.history.push({
+        iteration,
+        conditionMet,
+        startedAt: new Date(iterationStart).toISOString(),
+        completedAt: new Date().toISOString(),
+        duration: Date.now() - iterationStart
+      });
+
+      if (escalation) {
+        stoppedBy = 'escalation';
+        break;
+      }
+      if (conditionMet) {
+        stoppedBy = 'condition';
+        break;
       }
+    }
+
+    const data = { iterations: state.history.length, conditionMet, stoppedBy, history: state.history };
+
+    return {
+      result: {
+        success: conditionMet,
+        data,
+        error: conditionMet ? undefined : `Loop ${step.name} stopped by ${stoppedBy} before its condition held`,
+        timestamp: new Date().toISOString()
+      },
+      escalation
+    };
+  }
+
+  /**
+   * Run a sub-workflow step: the named workflow runs as a child run, in this run's slot,
+   * with the step's task. The child's published outputs are the step's result data.
+   * A child that fails, escalates or times out (`timeoutMs` per attempt) is retried as a
+   * new child run when the step's retry policy allows it; otherwise the step fails, so
+   * `escalateOnFailure` applies. A resumed parent picks up its unfinished child run.
+   */
+  async executeSubWorkflow(step, run, frame, task, stepEvent) {
+    const key = `${frame.key}${step.name}`;
+    const policy = resolveRetryPolicy(step, run.workflow);
+    const attempts = [];
 
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now();
+      const child = (attempt === 1 && await this.resumeChildRun(run, key)) ||
+        await this.createChildRun(step, run, frame, key, { type: task.type, data: task.data });
+
+      this.log('info', `Step ${step.name} running sub-workflow ${step.workflow} as run ${child.id}`, { runId: run.id, attempt });
+      const result = await this.runChildRun(child, run, step);
       const duration = Date.now() - startTime;
-      this.log('info', `Workflow completed: ${workflowName}`, { duration, stepsCompleted: results.length });
+      const { agentCalls, costUsd } = this.spendOf(child);
+
+      if (result.success) {
+        attempts.push({ attempt, childRunId: child.id, duration, agentCalls, costUsd, success: true });
+        return { ...result, attempts };
+      }
+
+      const errorClass = classifyError({ message: result.error, type: result.errorType });
+      const retryable = policy.retryOn.includes(errorClass) && attempt < policy.maxAttempts &&
+        !run.cancelRequested && !run.controller.signal.aborted;
+      const delayMs = retryable ? computeDelay(policy, attempt, result) : undefined;
+
+      attempts.push({ attempt, childRunId: child.id, duration, agentCalls, costUsd, success: false, error: result.error, errorClass, delayMs });
+      if (!retryable) {
+        return { ...result, errorClass, attempts };
+      }
+
+      this.emitRunEvent(run, 'retry', {
+        ...stepEvent,
+        attempt,
+        maxAttempts: policy.maxAttempts,
+        error: result.error,
+        errorClass,
+        delayMs
+      });
+      await this.traceRetry({ workflow: step.workflow, attempt, errorClass, delayMs });
+    }
+  }
+
+  /**
+   * Create the child run a sub-workflow step executes; the run is checkpointed as running
+   */
+  async createChildRun(step, run, frame, key, task) {
+    if (run.lineage.includes(step.workflow)) {
+      throw new Error(`Sub-workflow cycle: ${[...run.lineage, step.workflow].join(' -> ')}`);
+    }
+
+    const { definition, version, hash } = this.resolveWorkflow(step.workflow, step.version);
+    const { workflow, parameters } = this.instantiateWorkflow(step.workflow, definition, step.parameters);
+    const now = new Date().toISOString();
+    const child = this.restoreRun({
+      id: crypto.randomUUID(),
+      workflow: step.workflow,
+      workflowVersion: version,
+      workflowHash: hash,
+      parameters,
+      status: 'running',
+      priority: run.record.priority,
+      input: task,
+      budget: resolveBudget(workflow.budget),
+      parentRunId: run.id,
+      parentStep: step.name,
+      ...frame.scope,
+      lineage: [...run.lineage, step.workflow],
+      recording: run.recording ? [] : undefined,
+      traceparent: this.tracer.traceparent(),
+      createdAt: now,
+      startedAt: now
+    }, workflow);
+
+    run.checkpoint.children[key] = child.id;
+    await this.checkpoint(child);
+    await this.checkpoint(run);
+    return child;
+  }
+
+  /**
+   * The child run a resumed sub-workflow step was running when its parent stopped, if it is unfinished
+   */
+  async resumeChildRun(run, key) {
+    const childRunId = run.checkpoint.children[key];
+    const record = childRunId && await this.runStore.getRun(childRunId);
+    if (!record || !RunStore.UNFINISHED_STATUSES.includes(record.status)) {
+      return null;
+    }
+
+    const workflow = this.pinnedWorkflow(record);
+    if (!workflow) {
+      return null;
+    }
+
+    this.log('info', `Resuming child run ${record.id} (${record.workflow})`, { runId: run.id });
+    return this.restoreRun({ ...record, status: 'running' }, workflow);
+  }
+
+  /**
+   * Execute a child run to its end and turn its outcome into the sub-workflow step's result
+   * Aborting the parent (e.g. on timeout) aborts the child; `step.timeoutMs` limits the child run.
+   */
+  async runChildRun(child, run, step) {
+    const abortFromParent = () => child.controller.abort(run.controller.signal.reason);
+    const timer = step.timeoutMs && setTimeout(() => {
+      child.controller.abort(new TimeoutError(`Step ${step.name} timed out after ${step.timeoutMs}ms`, {
+        timeoutMs: step.timeoutMs,
+        step: step.name
+      }));
+    }, step.timeoutMs);
+    const base = { childRunId: child.id, workflow: step.workflow, workflowVersion: child.record.workflowVersion };
+
+    child.parent = run;
+    if (run.controller.signal.aborted) {
+      abortFromParent();
+    } else {
+      run.controller.signal.addEventListener('abort', abortFromParent, { once: true });
+    }
+    if (run.cancelRequested) {
+      child.cancelRequested = true;
+    }
 
+    try {
+      const result = await this.runWorkflow(child);
+
+      if (result.success) {
+        return { success: true, data: result.outputs, ...base, timestamp: new Date().toISOString() };
+      }
+      if (result.cancelled) {
+        return { success: false, error: `Sub-workflow ${step.workflow} was cancelled`, errorType: 'cancelled', ...base, timestamp: new Date().toISOString() };
+      }
+      if (result.budgetExceeded) {
+        return { success: false, error: `Sub-workflow ${step.workflow} stopped: ${result.error}`, errorType: 'budget-exceeded', ...base, timestamp: new Date().toISOString() };
+      }
+      // An escalated child fails the step with its failed step's error, so retry policies classify it
       return {
-        success: true,
-        workflow: workflowName,
-        results,
-        duration,
+        success: false,
+        error: `Sub-workflow ${step.workflow} escalated at step ${result.failedStep}: ${result.error.error}`,
+        errorType: result.error.errorType,
+        escalated: true,
+        ...base,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      this.log('error', `Workflow execution failed: ${workflowName}`, { error: error.message });
-      throw error;
+      return { success: false, error: error.message, errorType: error.type, ...base, timestamp: new Date().toISOString() };
     } finally {
-      this.activeTasksCount--;
+      clearTimeout(timer);
+      run.controller.signal.removeEventListener('abort', abortFromParent);
     }
   }
 
   /**
    * Execute agent task with retry logic
+   * A thrown error or a failed result is retried when its error class is in the policy's
+   * `retryOn` and attempts remain. Every attempt is recorded in the result's `attempts`
+   * (or the thrown error's) with its duration, error, error class and the delay that followed.
+   * Each attempt goes through the agent's circuit breaker; while it is open no attempt
+   * starts and a CircuitOpenError is thrown instead. Validation errors do not count
+   * against the breaker.
+   * @param {Object} policy - Resolved retry policy, see lib/retryPolicy.js
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the task and any remaining attempts
+   * @param {number} [options.timeoutMs] - Time limit for each attempt
+   * @param {string} [options.step] - Step name, for timeout errors
+   * @param {Function} [options.onRetry] - Called with { attempt, maxAttempts, error, errorClass, delayMs } before each retry
+   * @param {Function} [options.beforeAttempt] - Called before each attempt; throwing stops the attempts
+   * @param {Function} [options.afterAttempt] - Called with { attempt, duration, costUsd } after each attempt
+   * @param {Object} [options.recording] - { entries, scope } to record each attempt in, see recordAttempt()
    */
-  async executeWithRetry(agent, task, maxRetries = 3) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const startTime = Date.now();
-        const result = await agent.process(task);
-        const duration = Date.now() - startTime;
-        
-        agent.updateMetrics(duration, false);
-        
-        return result;
-      } catch (error) {
-        lastError = error;
-        this.log('warn', `Agent task failed, attempt ${attempt}/${maxRetries}`, {
+  async executeWithRetry(agent, task, policy = resolveRetryPolicy(), options = {}) {
+    const { signal, onRetry } = options;
+    const { maxAttempts } = policy;
+    const breaker = this.breakers.get(agent.name);
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      if (options.beforeAttempt) {
+        try {
+          options.beforeAttempt();
+        } catch (error) {
+          error.attempts = attempts;
+          throw error;
+        }
+      }
+
+      if (breaker && !breaker.tryAcquire()) {
+        const error = new CircuitOpenError(`Circuit open for agent ${agent.name}`, {
           agent: agent.name,
-          error: error.message
+          retryAfter: breaker.retryAfterSeconds()
         });
-        
-        if (attempt < maxRetries) {
-          // Exponential backoff
-          await this.sleep(Math.pow(2, attempt) * 100);
+        error.attempts = attempts;
+        throw error;
+      }
+
+      const startTime = Date.now();
+      let result;
+      let thrown;
+
+      try {
+        const execute = () => this.traceAttempt(agent, task, attempt, options);
+        result = await (options.recording ? this.recordAttempt(options.recording, agent, task, attempt, execute) : execute());
+      } catch (error) {
+        thrown = error;
+      }
+
+      const duration = Date.now() - startTime;
+      const costUsd = typeof agent.estimateCost === 'function' ? roundCost(agent.estimateCost(result, duration)) : 0;
+
+      if (options.afterAttempt) {
+        options.afterAttempt({ attempt, duration, costUsd });
+      }
+
+      if (!thrown && result.success !== false) {
+        if (breaker) breaker.recordSuccess();
+        attempts.push({ attempt, duration, costUsd, success: true });
+        return { ...result, attempts };
+      }
+
+      // Agents count the tasks they finish, errors included (handleError); count
+      // thrown errors here unless handleError already did
+      if (thrown) {
+        agent.recordError(thrown, duration, task.type);
+      }
+
+      const failure = thrown || { message: result.error, type: result.errorType };
+      const errorClass = classifyError(failure);
+
+      if (breaker) {
+        if (errorClass === 'validation') {
+          breaker.recordSuccess();
+        } else {
+          breaker.recordFailure();
+        }
+      }
+      const retryable = policy.retryOn.includes(errorClass) && attempt < maxAttempts &&
+        !(signal && signal.aborted);
+      const delayMs = retryable ? computeDelay(policy, attempt, failure) : undefined;
+
+      attempts.push({ attempt, duration, costUsd, success: false, error: failure.message, errorClass, delayMs });
+      this.log('warn', `Agent task failed, attempt ${attempt}/${maxAttempts}`, {
+        agent: agent.name,
+        error: failure.message,
+        errorClass,
+        retrying: retryable
+      });
+
+      if (!retryable) {
+        agent.recordFailure(task.type);
+
+        if (thrown) {
+          thrown.errorClass = errorClass;
+          thrown.attempts = attempts;
+          throw thrown;
         }
+        return { ...result, errorClass, attempts };
+      }
+
+      agent.recordRetry(task.type);
+      if (onRetry) {
+        onRetry({ attempt, maxAttempts, error: failure.message, errorClass, delayMs });
       }
+      await this.traceRetry({ agent: agent.name, taskType: task.type, attempt, errorClass, delayMs });
     }
-    
-    agent.updateMetrics(0, true);
-    throw lastError;
+  }
+
+  /**
+   * Run one attempt in a span for the agent's process call
+   */
+  traceAttempt(agent, task, attempt, options) {
+    const attributes = {
+      'agent.name': agent.name,
+      'task.type': task.type,
+      'step.name': options.step,
+      attempt,
+      compensation: task.compensation
+    };
+
+    return this.tracer.trace(`${agent.name} process`, { attributes }, async span => {
+      const result = await this.runAttempt(agent, task, options);
+      if (result && result.success === false) {
+        span.setStatus('error', result.error);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Wait out a retry's backoff in a span, so traces show why a step took longer
+   * @param {Object} retry - { agent or workflow, taskType, attempt (the one that failed), errorClass, delayMs }
+   */
+  traceRetry({ agent, workflow, taskType, attempt, errorClass, delayMs }) {
+    const attributes = {
+      'agent.name': agent,
+      'workflow.name': workflow,
+      'task.type': taskType,
+      attempt,
+      'error.class': errorClass,
+      'retry.delay_ms': delayMs
+    };
+
+    return this.tracer.trace('retry', { attributes }, () => this.sleep(delayMs));
+  }
+
+  /**
+   * Run an attempt with a fixed clock and a seeded random source, recording the task,
+   * the agent's memory beforehand and the outcome so the call can be replayed
+   * @param {Object} recording - { entries, scope }; the entry is appended to `entries`
+   */
+  async recordAttempt(recording, agent, task, attempt, execute) {
+    const entry = {
+      ...recording.scope,
+      attempt,
+      agent: agent.name,
+      task: encodeValue(task),
+      clock: Date.now(),
+      seed: newSeed(),
+      memory: encodeValue(typeof agent.snapshotMemory === 'function' ? agent.snapshotMemory() : {})
+    };
+    recording.entries.push(entry);
+
+    try {
+      const result = await runDeterministic(entry, execute);
+      entry.output = encodeValue(result);
+      return result;
+    } catch (error) {
+      entry.error = { message: error.message, type: error.type };
+      throw error;
+    }
+  }
+
+  /**
+   * Run a single agent attempt, giving up when its time limit passes or the run is aborted
+   * The agent receives the attempt's AbortSignal as `task.signal` and is expected to stop
+   * at its next check; the orchestrator does not wait for it.
+   */
+  runAttempt(agent, task, { signal, timeoutMs, step } = {}) {
+    const controller = new AbortController();
+    const abortFromRun = () => controller.abort(signal.reason);
+    let timer;
+
+    if (signal) {
+      if (signal.aborted) {
+        return Promise.reject(signal.reason);
+      }
+      signal.addEventListener('abort', abortFromRun, { once: true });
+    }
+
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        controller.abort(new TimeoutError(`Step ${step || agent.name} timed out after ${timeoutMs}ms`, { timeoutMs, step }));
+      }, timeoutMs);
+    }
+
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    return Promise.race([agent.process({ ...task, signal: controller.signal }), aborted])
+      .finally(() => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', abortFromRun);
+        }
+      });
+  }
+
+  /**
+   * Undo the work of completed steps after a run escalates, fails or is cancelled
+   * Steps that declare `compensate: { agentName, taskType, input? }` are compensated in
+   * reverse completion order, once per completed execution (loop iterations included).
+   * Compensations run even when the run timed out, and one failing does not stop the rest.
+   * Without an `input` mapping the compensation receives { step, iteration, output }.
+   * @returns {Promise<Object[]>} - Outcome of each compensation, also checkpointed on the run
+   */
+  async compensate(run) {
+    const definitions = new Map();
+    const collect = steps => steps.forEach(step => {
+      definitions.set(step.name, step);
+      if (step.type === 'loop') collect(step.steps);
+    });
+    collect(run.workflow.steps);
+
+    const completed = run.results.filter(entry =>
+      entry.result && entry.result.success && definitions.get(entry.step).compensate);
+    const compensations = [];
+
+    if (completed.length > 0) {
+      this.log('warn', `Compensating ${completed.length} completed step(s)`, { runId: run.id });
+    }
+
+    for (const entry of completed.reverse()) {
+      const { compensate } = definitions.get(entry.step);
+      const startedAt = Date.now();
+      const data = compensate.input
+        ? resolveInput(compensate.input, run.context)
+        : { step: entry.step, iteration: entry.iteration, output: entry.result.data };
+      let outcome;
+
+      try {
+        const agent = this.agents.get(compensate.agentName);
+        if (!agent) {
+          throw new Error(`Agent not found: ${compensate.agentName}`);
+        }
+
+        const result = await this.executeWithRetry(agent, {
+          type: compensate.taskType,
+          data,
+          stepName: entry.step,
+          compensation: true
+        }, resolveRetryPolicy(compensate, run.workflow), {
+          timeoutMs: compensate.timeoutMs,
+          step: `${entry.step} compensation`,
+          afterAttempt: ({ costUsd }) => this.chargeBudget(run, { agentCalls: 1, costUsd }, false),
+          recording: run.recording && {
+            entries: run.recording,
+            scope: { step: entry.step, loop: entry.loop, iteration: entry.iteration, compensation: true }
+          }
+        });
+
+        outcome = { success: result.success !== false, error: result.error, result };
+      } catch (error) {
+        outcome = { success: false, error: error.message, errorType: error.type };
+      }
+
+      const completedAt = Date.now();
+      const compensation = {
+        step: entry.step,
+        loop: entry.loop,
+        iteration: entry.iteration,
+        agent: compensate.agentName,
+        taskType: compensate.taskType,
+        ...outcome,
+        startedAt: new Date(startedAt).toISOString(),
+        completedAt: new Date(completedAt).toISOString(),
+        duration: completedAt - startedAt
+      };
+
+      compensations.push(compensation);
+      this.emitRunEvent(run, 'compensation', {
+        step: entry.step,
+        iteration: entry.iteration,
+        agent: compensate.agentName,
+        success: outcome.success,
+        error: outcome.error
+      });
+      await this.checkpoint(run, { compensations });
+    }
+
+    return compensations;
   }
 
   /**
    * Handle workflow escalation
+   * @param {Object[]} [compensations] - Outcomes of the compensations already run
    */
-  async handleEscalation(workflow, failedStep, error, previousResults) {
+  async handleEscalation(workflow, failedStep, error, previousResults, compensations = []) {
     this.log('info', 'Handling escalation', { failedStep: failedStep.name });
 
     // Check if there's an escalation handler defined
@@ -154,15 +2117,19 @@ class AgentOrchestrator {
               workflow: workflow.name,
               failedStep: failedStep.name,
               error,
-              previousResults
+              previousResults,
+              compensations
             }
           });
           
           return {
             success: false,
             escalated: true,
+            failedStep: failedStep.name,
+            error,
             escalationResult,
-            previousResults
+            previousResults,
+            compensations
           };
         } catch (escalationError) {
           this.log('error', 'Escalation handler failed', { error: escalationError.message });
@@ -176,18 +2143,28 @@ class AgentOrchestrator {
       escalated: true,
       failedStep: failedStep.name,
       error,
-      previousResults
+      previousResults,
+      compensations
     };
   }
 
+  /**
+   * Publish a progress event for a run
+   */
+  emitRunEvent(run, type, data) {
+    this.events.publish({ type, runId: run.id, workflow: run.workflow.name, data });
+  }
+
   /**
    * Get orchestrator status
    */
   getStatus() {
-    const agentStatuses = Array.from(this.agents.values()).map(agent => agent.getStatus());
+    const agentStatuses = Array.from(this.agents.keys()).map(name => this.getAgentStatus(name));
     
     return {
       activeTasksCount: this.activeTasksCount,
+      maxConcurrentTasks: this.maxConcurrentTasks,
+      queue: this.getQueueStatus(),
       registeredAgents: this.agents.size,
       registeredWorkflows: this.workflows.size,
       agents: agentStatuses,
@@ -195,6 +2172,58 @@ class AgentOrchestrator {
     };
   }
 
+  /**
+   * Agent status including its circuit breaker
+   * @returns {Object|null} - null when no such agent is registered
+   */
+  getAgentStatus(agentName) {
+    const agent = this.agents.get(agentName);
+    if (!agent) {
+      return null;
+    }
+
+    return {
+      ...agent.getStatus(),
+      circuitBreaker: this.breakers.get(agentName).getStatus()
+    };
+  }
+
+  /**
+   * Get an agent's counts and latency percentiles over a recent window
+   * @param {string} [window] - e.g. `15m`, `1h` (default), `1d`
+   * @returns {Object|null} - null when the agent is not registered or the window is invalid
+   */
+  getAgentMetrics(agentName, window) {
+    const agent = this.agents.get(agentName);
+    return agent ? agent.getMetrics(window) : null;
+  }
+
+  /**
+   * Queue depth, waiting times and per-workflow load
+   */
+  getQueueStatus() {
+    const now = Date.now();
+    const { admitted, totalWaitMs } = this.queueStats;
+    const workflows = {};
+
+    this.workflows.forEach((workflow, name) => {
+      workflows[name] = {
+        running: this.runningByWorkflow.get(name) || 0,
+        queued: this.queue.entries.filter(entry => entry.run.workflow.name === name).length,
+        maxConcurrent: workflow.maxConcurrent || null
+      };
+    });
+
+    return {
+      depth: this.queue.size,
+      maxSize: this.queue.maxSize,
+      oldestWaitMs: this.queue.size > 0 ? now - Math.min(...this.queue.entries.map(entry => entry.enqueuedAt)) : 0,
+      averageWaitMs: admitted > 0 ? Math.round(totalWaitMs / admitted) : 0,
+      admitted,
+      workflows
+    };
+  }
+
   /**
    * Utility: Sleep function
    */
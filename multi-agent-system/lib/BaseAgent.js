@@ -1,3 +1,6 @@
+const determinism = require('./determinism');
+const AgentMetrics = require('./AgentMetrics');
+
 /**
  * BaseAgent - Abstract base class for all specialized agents
  * Provides common functionality for agent communication, state management, and logging
@@ -12,23 +15,85 @@ class BaseAgent {
     this.role = role;
     this.logger = logger;
     this.state = 'idle';
-    this.metrics = {
-      tasksProcessed: 0,
-      errors: 0,
-      averageProcessingTime: 0
-    };
+    this.metrics = new AgentMetrics();
+    // Errors already counted, see recordError()
+    this.recordedErrors = new WeakSet();
     this.conversationHistory = [];
+    this.costModel = { perCall: 0, perSecond: 0 };
   }
 
   /**
    * Process a task - must be implemented by subclasses
-   * @param {Object} task - The task to process
+   * @param {Object} task - The task to process; `task.signal` is an optional AbortSignal
+   *   the orchestrator aborts on timeout. The signal can only fire while the agent awaits,
+   *   so agents call throwIfAborted() when they start, after each await of long-running
+   *   work (an API or model call) and before returning. The built-in agents compute
+   *   without awaiting I/O, so they check when they start and before returning.
    * @returns {Promise<Object>} - The result of processing
    */
   async process(task) {
     throw new Error('process() must be implemented by subclass');
   }
 
+  /**
+   * Input schemas of the task types this agent handles, by task type
+   * Subclasses set `this.taskSchemas` in their constructor; each schema maps task
+   * data fields to { type, required }. Dry runs check workflow steps against them.
+   * @returns {Object|null} - null when the agent does not declare its task types
+   */
+  getTaskSchemas() {
+    return this.taskSchemas || null;
+  }
+
+  /**
+   * Estimated cost in USD of one call, charged against run budgets
+   * A result carrying a numeric `cost` is taken at its word; otherwise the call is
+   * priced with `this.costModel` ({ perCall, perSecond }), which subclasses set.
+   * @param {Object} [result] - What process() returned; undefined when it threw
+   * @param {number} durationMs - How long the call took
+   */
+  estimateCost(result, durationMs) {
+    if (result && typeof result.cost === 'number') {
+      return result.cost;
+    }
+    const { perCall = 0, perSecond = 0 } = this.costModel || {};
+    return perCall + perSecond * durationMs / 1000;
+  }
+
+  /**
+   * Current time in ms since the epoch; fixed while a recorded call runs (see lib/determinism.js)
+   * Agents use this instead of Date.now() so recorded runs can be replayed. Durations
+   * are measured with Date.now(), which keeps running during a recorded call.
+   */
+  now() {
+    return determinism.now();
+  }
+
+  /**
+   * Random number in [0, 1); seeded while a recorded call runs. Use instead of Math.random().
+   */
+  random() {
+    return determinism.random();
+  }
+
+  /**
+   * The in-memory state that can change what process() returns, by field
+   * Subclasses list those fields in `this.memoryFields` (e.g. caches and histories).
+   * Recorded runs keep a snapshot per agent call so a replay starts from the same state.
+   */
+  snapshotMemory() {
+    return Object.fromEntries((this.memoryFields || []).map(field => [field, this[field]]));
+  }
+
+  /**
+   * Replace the in-memory state with a (decoded) snapshot from snapshotMemory()
+   */
+  restoreMemory(memory) {
+    Object.entries(memory || {}).forEach(([field, value]) => {
+      this[field] = value;
+    });
+  }
+
   /**
    * Log agent activity with context
    */
@@ -45,11 +110,17 @@ class BaseAgent {
 
   /**
    * Update agent state
+   * `onStateChange(state, previousState)`, when set (the orchestrator sets it on
+   * registration), is called for every change.
    */
   setState(newState) {
     const oldState = this.state;
     this.state = newState;
     this.log('info', `State transition: ${oldState} -> ${newState}`);
+
+    if (this.onStateChange && newState !== oldState) {
+      this.onStateChange(newState, oldState);
+    }
   }
 
   /**
@@ -57,7 +128,7 @@ class BaseAgent {
    */
   recordTask(task, result, error = null) {
     this.conversationHistory.push({
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(this.now()).toISOString(),
       task,
       result,
       error,
@@ -71,17 +142,58 @@ class BaseAgent {
   }
 
   /**
-   * Update metrics
+   * Count a task that ended, once: process() calls this on success and handleError() on error
+   * @param {number} [processingTime] - ms; left out when unknown
    */
-  updateMetrics(processingTime, error = false) {
-    this.metrics.tasksProcessed++;
-    if (error) {
-      this.metrics.errors++;
+  updateMetrics(processingTime, error = false, taskType) {
+    this.metrics.record(taskType, processingTime, error);
+  }
+
+  /**
+   * Count a task that ended in an error, once per error
+   * handleError() and the orchestrator both count errors: a timed-out attempt's
+   * error reaches the orchestrator first and the agent's handleError() later, and
+   * an agent that rethrows after handleError() counts it first.
+   */
+  recordError(error, processingTime, taskType) {
+    if (error instanceof Object) {
+      if (this.recordedErrors.has(error)) {
+        return;
+      }
+      this.recordedErrors.add(error);
     }
-    
-    // Update average processing time
-    const total = this.metrics.averageProcessingTime * (this.metrics.tasksProcessed - 1);
-    this.metrics.averageProcessingTime = (total + processingTime) / this.metrics.tasksProcessed;
+    this.updateMetrics(processingTime, true, taskType);
+  }
+
+  /**
+   * Count a failed attempt the orchestrator is about to retry
+   */
+  recordRetry(taskType) {
+    this.metrics.recordRetry(taskType);
+  }
+
+  /**
+   * Count a task that failed after its last attempt
+   */
+  recordFailure(taskType) {
+    this.metrics.recordFailure(taskType);
+  }
+
+  /**
+   * Count a step the orchestrator answered from its step cache instead of calling process()
+   */
+  recordCacheHit(taskType, savedMs) {
+    this.metrics.recordCacheHit(taskType, savedMs);
+  }
+
+  /**
+   * Counts and latency percentiles over a recent window, see lib/AgentMetrics.js
+   * @param {string} [window] - e.g. `15m`, `1h` (default), `1d`
+   * @returns {Object|null} - null when the window is invalid
+   */
+  getMetrics(window) {
+    const snapshot = this.metrics.snapshot(window);
+    return snapshot && { agent: this.name, ...snapshot };
   }
 
   /**
@@ -92,7 +204,7 @@ class BaseAgent {
       name: this.name,
       role: this.role,
       state: this.state,
-      metrics: this.metrics,
+      metrics: this.metrics.toJSON(),
       historySize: this.conversationHistory.length
     };
   }
@@ -125,23 +237,35 @@ class BaseAgent {
     return true;
   }
 
+  /**
+   * Stop work on a task whose AbortSignal has fired
+   * Throws the signal's reason (e.g. a TimeoutError) so the task ends through handleError.
+   */
+  throwIfAborted(task) {
+    if (task.signal && task.signal.aborted) {
+      throw task.signal.reason || new Error('Task aborted');
+    }
+  }
+
   /**
    * Handle errors gracefully
+   * @param {number} [processingTime] - ms the task ran before failing
    */
-  handleError(error, task) {
+  handleError(error, task, processingTime) {
     this.log('error', `Error processing task: ${error.message}`, {
       error: error.stack,
       task
     });
     
-    this.updateMetrics(0, true);
+    this.recordError(error, processingTime, task && task.type);
     this.setState('error');
     
     return {
       success: false,
       error: error.message,
+      errorType: error.type,
       agent: this.name,
-      timestamp: new Date().toISOString()
+      timestamp: new Date(this.now()).toISOString()
     };
   }
 }
@@ -0,0 +1,149 @@
+/**
+ * CircuitBreaker - Stops calls to an agent that keeps failing
+ *
+ * closed:    calls go through; outcomes are kept for a rolling window and the
+ *            breaker opens once the window holds at least `minimumRequests`
+ *            outcomes and the failure rate reaches `failureThreshold`
+ * open:      calls are refused until `cooldownMs` has passed
+ * half-open: up to `halfOpenMaxCalls` trial calls go through; a success closes
+ *            the breaker, a failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name of the protected agent
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Failure rate that opens the breaker (default 0.5)
+   * @param {number} [options.minimumRequests] - Outcomes needed in the window before it can open (default 5)
+   * @param {number} [options.windowMs] - Rolling window length (default 60000)
+   * @param {number} [options.cooldownMs] - Time spent open before a trial call (default 30000)
+   * @param {number} [options.halfOpenMaxCalls] - Concurrent trial calls while half-open (default 1)
+   * @param {Function} [options.onStateChange] - Called with (state, previousState, breaker)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 0.5;
+    this.minimumRequests = options.minimumRequests || 5;
+    this.windowMs = options.windowMs || 60000;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.onStateChange = options.onStateChange;
+
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trialCalls = 0;
+    this.lastStateChange = new Date().toISOString();
+  }
+
+  /**
+   * Whether a call may go through now; a permitted call must report its outcome
+   */
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this.transition('half-open');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialCalls >= this.halfOpenMaxCalls) {
+        return false;
+      }
+      this.trialCalls++;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state === 'half-open') {
+      this.transition('closed');
+      return;
+    }
+
+    this.record(true);
+  }
+
+  recordFailure() {
+    if (this.state === 'half-open') {
+      this.transition('open');
+      return;
+    }
+
+    this.record(false);
+
+    const { requests, failureRate } = this.windowStats();
+    if (this.state === 'closed' && requests >= this.minimumRequests && failureRate >= this.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Seconds until the breaker lets a trial call through, 0 unless open
+   */
+  retryAfterSeconds() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(1, Math.ceil((this.openedAt + this.cooldownMs - Date.now()) / 1000));
+  }
+
+  record(success) {
+    this.outcomes.push({ at: Date.now(), success });
+    this.prune();
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  windowStats() {
+    this.prune();
+    const failures = this.outcomes.filter(outcome => !outcome.success).length;
+    const requests = this.outcomes.length;
+
+    return { requests, failures, failureRate: requests > 0 ? failures / requests : 0 };
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.trialCalls = 0;
+    this.lastStateChange = new Date().toISOString();
+
+    if (state === 'open') {
+      this.openedAt = Date.now();
+    } else if (state === 'closed') {
+      this.openedAt = null;
+      this.outcomes = [];
+    }
+
+    if (this.onStateChange) {
+      this.onStateChange(state, previous, this);
+    }
+  }
+
+  getStatus() {
+    const { requests, failures, failureRate } = this.windowStats();
+
+    return {
+      state: this.state,
+      requests,
+      failures,
+      failureRate: Math.round(failureRate * 1000) / 1000,
+      failureThreshold: this.failureThreshold,
+      minimumRequests: this.minimumRequests,
+      windowMs: this.windowMs,
+      cooldownMs: this.cooldownMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      halfOpenAt: this.openedAt ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastStateChange: this.lastStateChange
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
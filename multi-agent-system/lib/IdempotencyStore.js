@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const StepCache = require('./StepCache');
+const { IdempotencyKeyMismatchError } = require('./errors');
+
+// Up to 255 visible ASCII characters, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Whether a response is kept for replay
+ * Server errors and 429s are worth retrying, so the next request with the key runs again.
+ */
+function isFinal(status) {
+  return status < 500 && status !== 429;
+}
+
+/**
+ * IdempotencyStore - Responses to requests sent with an `Idempotency-Key` header
+ * The first request with a key runs; a duplicate arriving while it runs waits for
+ * it, and one arriving later gets its response back, for `ttlMs` after it was sent.
+ * A key is tied to the body it was first sent with: reusing it with another body
+ * is refused with a 422. Keys are scoped, so each endpoint has its own.
+ *
+ * Responses are held in memory, so they are not shared between instances and do
+ * not survive a restart.
+ */
+class IdempotencyStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long a response is kept (default 24h)
+   * @param {number} [options.maxEntries] - Responses kept, oldest dropped first (default 10000)
+   * @param {Function} [options.clock] - Returns the time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 10000;
+    this.clock = options.clock || Date.now;
+    // `${scope} ${key}` -> entry, oldest first
+    this.entries = new Map();
+  }
+
+  /**
+   * Hash of a request body, whatever its key order
+   */
+  static fingerprint(body) {
+    return crypto.createHash('sha256').update(StepCache.canonicalJson(body === undefined ? null : body)).digest('hex');
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Claim a key for a request
+   * Waits while another request with the key is running.
+   * @returns {Promise<Object>} - { response } stored for an earlier request, or
+   *   { complete(response), release() } when the caller is to run the request
+   * @throws {IdempotencyKeyMismatchError} - The key was used with a different body
+   */
+  async acquire(scope, key, fingerprint) {
+    const id = `${scope} ${key}`;
+
+    for (;;) {
+      this.prune();
+      const entry = this.entries.get(id);
+      if (!entry) {
+        break;
+      }
+      if (entry.fingerprint !== fingerprint) {
+        throw new IdempotencyKeyMismatchError(`Idempotency-Key ${key} was already used with a different request`, { key });
+      }
+      if (entry.response) {
+        return { response: entry.response };
+      }
+      await entry.settled;
+    }
+
+    let settle;
+    const entry = {
+      fingerprint,
+      response: null,
+      createdAt: this.clock(),
+      // A running request never expires; its response is kept for ttlMs once sent
+      expiresAt: Infinity,
+      settled: new Promise(resolve => { settle = resolve; })
+    };
+    this.entries.set(id, entry);
+
+    let done = false;
+    return {
+      complete: response => {
+        if (done) return;
+        done = true;
+        entry.response = response;
+        entry.expiresAt = this.clock() + this.ttlMs;
+        this.evict();
+        settle();
+      },
+      release: () => {
+        if (done) return;
+        done = true;
+        this.entries.delete(id);
+        settle();
+      }
+    };
+  }
+
+  /**
+   * Drop expired responses
+   */
+  prune() {
+    const now = this.clock();
+    this.entries.forEach((entry, id) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Drop the oldest responses past maxEntries; running requests are kept
+   */
+  evict() {
+    for (const [id, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      if (entry.response) {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Express middleware making a route idempotent for requests with an Idempotency-Key
+   * The route sees the key as `req.idempotencyKey`. Replayed responses carry
+   * `Idempotent-Replayed: true`. Mount it on routes that respond with `res.json`
+   * (errors passed to the Express error handler included).
+   * @param {string} scope - Keeps the route's keys apart from other routes'
+   */
+  middleware(scope) {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined) {
+        return next();
+      }
+
+      if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 visible ASCII characters' });
+      }
+
+      let claim;
+      try {
+        claim = await this.acquire(scope, key, IdempotencyStore.fingerprint(req.body));
+      } catch (error) {
+        return next(error);
+      }
+
+      if (claim.response) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.response.status).type('application/json').send(claim.response.body);
+      }
+
+      req.idempotencyKey = key;
+
+      // Settled when the route responds, even if the client has gone: its retry then gets the response
+      const json = res.json.bind(res);
+      res.json = body => {
+        if (isFinal(res.statusCode)) {
+          claim.complete({ status: res.statusCode, body: JSON.stringify(body) });
+        } else {
+          claim.release();
+        }
+        return json(body);
+      };
+
+      next();
+    };
+  }
+}
+
+IdempotencyStore.KEY_PATTERN = KEY_PATTERN;
+
+module.exports = IdempotencyStore;
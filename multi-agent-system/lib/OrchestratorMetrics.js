@@ -0,0 +1,68 @@
+/**
+ * OrchestratorMetrics - Prometheus metrics for workflow runs
+ * Counts and times runs, steps, retries, escalations and step cache hits from the
+ * orchestrator's events, and reads queue depth, active runs and cache size when
+ * scraped. Child runs of sub-workflow steps are counted like any other run.
+ */
+class OrchestratorMetrics {
+  /**
+   * @param {AgentOrchestrator} orchestrator
+   * @param {Registry} registry - See lib/metrics.js
+   */
+  constructor(orchestrator, registry) {
+    this.runs = registry.counter('workflow_runs_total',
+      'Workflow runs finished, by outcome', ['workflow', 'status']);
+    this.runDuration = registry.histogram('workflow_run_duration_seconds',
+      'Workflow run latency in seconds, by outcome', ['workflow', 'status'],
+      [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 900]);
+    this.steps = registry.histogram('workflow_step_duration_seconds',
+      'Agent step latency in seconds, retries included', ['agent', 'task_type', 'outcome']);
+    this.retries = registry.counter('workflow_retries_total',
+      'Step attempts retried, by error class', ['workflow', 'agent', 'error_class']);
+    this.escalations = registry.counter('workflow_escalations_total',
+      'Runs escalated after a step failed', ['workflow']);
+    this.cacheLookups = registry.counter('workflow_step_cache_lookups_total',
+      'Step cache lookups for steps with a cache setting', ['agent', 'task_type', 'result']);
+    this.cacheSaved = registry.counter('workflow_step_cache_saved_seconds_total',
+      'Agent time saved by step cache hits, as measured when the results were cached', ['agent', 'task_type']);
+
+    registry.gauge('workflow_queue_depth', 'Runs waiting for a slot', [],
+      gauge => gauge.set(orchestrator.queue.size));
+    registry.gauge('workflow_active_runs', 'Runs holding a slot', [],
+      gauge => gauge.set(orchestrator.activeTasksCount));
+    registry.gauge('workflow_step_cache_entries', 'Results held in the step cache', [],
+      gauge => gauge.set(orchestrator.stepCache.size));
+
+    this.stopListening = orchestrator.events.subscribe(event => this.record(event));
+  }
+
+  record({ type, workflow, data }) {
+    if (type === 'run-completed') {
+      this.runs.inc({ workflow, status: data.status });
+      if (data.duration !== undefined) {
+        this.runDuration.observe({ workflow, status: data.status }, data.duration / 1000);
+      }
+    } else if ((type === 'step-succeeded' || type === 'step-failed') && data.type === 'agent') {
+      const labels = { agent: data.agent, task_type: data.taskType };
+      if (data.cache) {
+        this.cacheLookups.inc({ ...labels, result: data.cache });
+      }
+      // A cache hit makes no call, so it would only drag the latency down
+      if (data.cache === 'hit') {
+        this.cacheSaved.inc(labels, (data.savedMs || 0) / 1000);
+        return;
+      }
+      this.steps.observe({ ...labels, outcome: type === 'step-succeeded' ? 'success' : 'failure' }, data.duration / 1000);
+    } else if (type === 'retry') {
+      this.retries.inc({ workflow, agent: data.agent, error_class: data.errorClass });
+    } else if (type === 'escalation') {
+      this.escalations.inc({ workflow });
+    }
+  }
+
+  close() {
+    this.stopListening();
+  }
+}
+
+module.exports = OrchestratorMetrics;
@@ -0,0 +1,90 @@
+const EventEmitter = require('events');
+
+/**
+ * RunEvents - Lifecycle events published by the orchestrator
+ * Every event gets an increasing numeric ID and is kept in a bounded buffer, so a
+ * subscriber that reconnects with the last ID it saw can replay what it missed.
+ *
+ * Event shape: { id, type, runId, workflow, timestamp, data }
+ * Agent events (`agent-state-changed`) have no runId or workflow.
+ */
+class RunEvents extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEvents] - Events kept for replay (default 2000)
+   */
+  constructor(options = {}) {
+    super();
+    this.maxEvents = options.maxEvents || 2000;
+    this.buffer = [];
+    this.lastId = 0;
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Record an event and notify subscribers
+   * @param {Object} event - { type, runId, workflow, data }
+   */
+  publish({ type, runId, workflow, data = {} }) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      runId,
+      workflow,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.maxEvents) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Buffered events after `lastEventId`, optionally for one run
+   * An ID newer than any issued here (e.g. from before a restart) replays the whole buffer.
+   */
+  since(lastEventId, runId) {
+    const after = Number(lastEventId) || 0;
+    const from = after > this.lastId ? 0 : after;
+
+    return this.buffer.filter(event => event.id > from && (!runId || event.runId === runId));
+  }
+
+  /**
+   * Listen for new events, optionally for one run
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener, runId) {
+    const handler = event => {
+      if (!runId || event.runId === runId) {
+        listener(event);
+      }
+    };
+
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+}
+
+RunEvents.TYPES = [
+  'run-queued',
+  'run-started',
+  'step-started',
+  'step-succeeded',
+  'step-failed',
+  'retry',
+  'escalation',
+  'compensation',
+  'approval-requested',
+  'approval-decided',
+  'budget-warning',
+  'run-completed',
+  'agent-state-changed'
+];
+
+module.exports = RunEvents;
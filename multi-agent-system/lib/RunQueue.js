@@ -0,0 +1,66 @@
+/**
+ * RunQueue - Bounded priority queue of runs waiting for a concurrency slot
+ * Higher priorities are taken first; runs with the same priority keep arrival order.
+ *
+ * Entry shape: { run, priority, enqueuedAt, resolve }
+ */
+class RunQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSize] - Runs that may wait at once (default 100)
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 100;
+    this.entries = [];
+    this.sequence = 0;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  isFull() {
+    return this.entries.length >= this.maxSize;
+  }
+
+  /**
+   * Add an entry behind every entry of the same or higher priority
+   */
+  push(entry) {
+    const queued = { ...entry, sequence: ++this.sequence, enqueuedAt: Date.now() };
+    const index = this.entries.findIndex(other => other.priority < queued.priority);
+
+    if (index === -1) {
+      this.entries.push(queued);
+    } else {
+      this.entries.splice(index, 0, queued);
+    }
+
+    return queued;
+  }
+
+  /**
+   * Remove and return the first entry, in priority order, that `canStart` accepts
+   */
+  take(canStart = () => true) {
+    const index = this.entries.findIndex(canStart);
+    return index === -1 ? null : this.entries.splice(index, 1)[0];
+  }
+
+  /**
+   * Remove and return the entry for a run
+   */
+  remove(runId) {
+    const index = this.entries.findIndex(entry => entry.run.id === runId);
+    return index === -1 ? null : this.entries.splice(index, 1)[0];
+  }
+
+  /**
+   * Position of a run in the queue, starting at 1, or 0 when it is not queued
+   */
+  positionOf(runId) {
+    return this.entries.findIndex(entry => entry.run.id === runId) + 1;
+  }
+}
+
+module.exports = RunQueue;
@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const RunStore = require('./stores/RunStore');
+const { ScheduleValidationError } = require('./errors');
+const { parseCron, isValidTimeZone, nextFireTime, nextFireTimes } = require('./cron');
+
+const OVERLAP_POLICIES = ['skip', 'queue', 'allow'];
+const CATCH_UP_POLICIES = ['none', 'latest', 'all'];
+const ACTIVE_STATUSES = [...RunStore.UNFINISHED_STATUSES, 'awaiting-approval'];
+const HISTORY_SIZE = 20;
+// Wake up at least this often, so clock changes and queued fires are not missed for long
+const MAX_WAKE_MS = 60000;
+
+/**
+ * Scheduler - Starts workflow runs on cron schedules
+ * A schedule names a workflow, a cron expression evaluated in a time zone (see
+ * lib/cron.js) and the task each run gets:
+ *
+ *   { workflow: 'quality-assurance', cron: '0 2 * * *', timezone: 'Europe/Berlin', task: { data: {...} } }
+ *
+ * `overlap` decides what a fire does while a run the schedule started is still
+ * unfinished: `skip` it (default), `queue` it until that run finishes, or `allow`
+ * both runs. Fires missed while the scheduler was not running (more than `graceMs`
+ * late) are caught up according to `catchUp`: `none`, the `latest` one (default) or
+ * `all` of them, up to `maxCatchUp`. Schedules are kept in the run store, next to
+ * the runs they start; each run records its `scheduleId` and `scheduledFor`.
+ */
+class Scheduler {
+  /**
+   * @param {AgentOrchestrator} orchestrator
+   * @param {Object} logger
+   * @param {Object} [options]
+   * @param {RunStore} [options.store] - Where schedules are kept (default: the orchestrator's run store)
+   * @param {number} [options.graceMs] - How late a fire may be and still count as on time (default 60000)
+   * @param {number} [options.maxCatchUp] - Most missed fires started by catchUp 'all' (default 10)
+   * @param {number} [options.maxQueued] - Most fires waiting under overlap 'queue' (default 10)
+   * @param {Function} [options.now] - Clock in ms since the epoch (default Date.now)
+   */
+  constructor(orchestrator, logger, options = {}) {
+    this.orchestrator = orchestrator;
+    this.store = options.store || orchestrator.runStore;
+    this.logger = logger;
+    this.graceMs = options.graceMs !== undefined ? options.graceMs : 60000;
+    this.maxCatchUp = options.maxCatchUp || 10;
+    this.maxQueued = options.maxQueued || 10;
+    this.now = options.now || Date.now;
+
+    this.schedules = new Map();
+    this.timer = null;
+    this.ticking = null;
+    this.tickAgain = false;
+    this.stopListening = null;
+  }
+
+  /**
+   * Load the stored schedules and start firing them; fires missed while stopped are caught up
+   */
+  async start() {
+    (await this.store.listSchedules()).forEach(schedule => this.schedules.set(schedule.id, schedule));
+    this.stopListening = this.orchestrator.events.subscribe(event => {
+      if (event.type === 'run-completed' && this.hasQueuedFires()) {
+        this.tick();
+      }
+    });
+
+    this.log('info', `Scheduler started with ${this.schedules.size} schedule(s)`);
+    await this.tick();
+  }
+
+  /**
+   * Stop firing schedules; runs already started are not affected
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stopListening) {
+      this.stopListening();
+      this.stopListening = null;
+    }
+  }
+
+  /**
+   * Add a schedule
+   * @param {Object} definition - { workflow, cron, timezone?, task?, overlap?, catchUp?, enabled?, ... }
+   * @returns {Promise<Object>} - The schedule, with its `nextFireAt`
+   */
+  async createSchedule(definition) {
+    this.validate(definition);
+
+    const now = new Date(this.now()).toISOString();
+    const schedule = {
+      id: crypto.randomUUID(),
+      ...normalize(definition),
+      nextFireAt: null,
+      queuedFires: [],
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    schedule.nextFireAt = this.nextFireAt(schedule, this.now());
+
+    this.schedules.set(schedule.id, schedule);
+    await this.store.saveSchedule(schedule);
+    this.log('info', `Schedule created: ${schedule.id} (${schedule.workflow} at "${schedule.cron}" ${schedule.timezone})`, {
+      nextFireAt: schedule.nextFireAt
+    });
+    this.arm();
+    return copy(schedule);
+  }
+
+  /**
+   * Replace a schedule's definition; its next fire time is worked out again from now
+   * @returns {Promise<Object|null>} - The schedule, or null when it does not exist
+   */
+  async updateSchedule(id, definition) {
+    const existing = this.schedules.get(id);
+    if (!existing) {
+      return null;
+    }
+    this.validate(definition);
+
+    const schedule = {
+      ...existing,
+      ...normalize(definition),
+      queuedFires: definition.overlap === 'queue' ? existing.queuedFires : [],
+      updatedAt: new Date(this.now()).toISOString()
+    };
+    schedule.nextFireAt = this.nextFireAt(schedule, this.now());
+
+    this.schedules.set(id, schedule);
+    await this.store.saveSchedule(schedule);
+    this.log('info', `Schedule updated: ${id}`, { nextFireAt: schedule.nextFireAt, enabled: schedule.enabled });
+    this.arm();
+    return copy(schedule);
+  }
+
+  /**
+   * Remove a schedule; runs it started are kept
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async deleteSchedule(id) {
+    if (!this.schedules.delete(id)) {
+      return false;
+    }
+
+    await this.store.deleteSchedule(id);
+    this.log('info', `Schedule deleted: ${id}`);
+    this.arm();
+    return true;
+  }
+
+  getSchedule(id) {
+    const schedule = this.schedules.get(id);
+    return schedule ? copy(schedule) : null;
+  }
+
+  listSchedules() {
+    return Array.from(this.schedules.values()).map(copy);
+  }
+
+  /**
+   * The next fire times of a cron expression, without saving anything
+   * @param {Object} definition - { cron, timezone? }
+   * @param {number} [count] - Fire times wanted (default 5)
+   * @returns {string[]} - ISO timestamps
+   */
+  preview({ cron, timezone = 'UTC' }, count = 5) {
+    const errors = [...validateCron(cron), ...validateTimeZone(timezone)];
+    if (errors.length > 0) {
+      throw new ScheduleValidationError(`Invalid schedule: ${errors.join('; ')}`, { errors });
+    }
+
+    return nextFireTimes(cron, timezone, this.now(), count).map(time => time.toISOString());
+  }
+
+  /**
+   * Fire every schedule that is due and start queued fires whose overlap has ended,
+   * then wait for the next one
+   * A tick requested while one is running runs again once it ends.
+   */
+  tick() {
+    if (this.ticking) {
+      this.tickAgain = true;
+      return this.ticking;
+    }
+
+    this.ticking = (async () => {
+      const now = this.now();
+
+      for (const schedule of Array.from(this.schedules.values())) {
+        try {
+          if (schedule.enabled && schedule.nextFireAt && Date.parse(schedule.nextFireAt) <= now) {
+            await this.fireDue(schedule, now);
+          }
+          if (schedule.queuedFires.length > 0) {
+            await this.startQueued(schedule);
+          }
+        } catch (error) {
+          this.log('error', `Schedule ${schedule.id} could not fire`, { error: error.message });
+        }
+      }
+    })().finally(() => {
+      this.ticking = null;
+      if (this.tickAgain) {
+        this.tickAgain = false;
+        this.tick();
+      } else {
+        this.arm();
+      }
+    });
+
+    return this.ticking;
+  }
+
+  /**
+   * Fire a due schedule, catching up the fires it missed as its `catchUp` says
+   */
+  async fireDue(schedule, now) {
+    const cron = parseCron(schedule.cron);
+    const due = [];
+    let next = new Date(schedule.nextFireAt);
+
+    while (next && next.getTime() <= now && due.length <= this.maxCatchUp) {
+      due.push(next);
+      next = nextFireTime(cron, schedule.timezone, next);
+    }
+    if (next && next.getTime() <= now) {
+      next = nextFireTime(cron, schedule.timezone, now);
+    }
+    schedule.nextFireAt = next ? next.toISOString() : null;
+
+    const missed = due.filter(time => now - time.getTime() > this.graceMs);
+    const onTime = due.filter(time => now - time.getTime() <= this.graceMs);
+    let caughtUp = [];
+
+    if (schedule.catchUp === 'all') {
+      caughtUp = missed.slice(-this.maxCatchUp);
+    } else if (schedule.catchUp === 'latest' && onTime.length === 0) {
+      caughtUp = missed.slice(-1);
+    }
+
+    if (missed.length > caughtUp.length) {
+      const dropped = missed.slice(0, missed.length - caughtUp.length);
+      this.addHistory(schedule, { scheduledFor: dropped[0].toISOString(), outcome: 'missed', count: dropped.length });
+      this.log('warn', `Schedule ${schedule.id} missed ${dropped.length} fire(s) since ${dropped[0].toISOString()}`, {
+        catchUp: schedule.catchUp
+      });
+    }
+
+    for (const time of caughtUp) {
+      await this.fire(schedule, time.toISOString(), true);
+    }
+    for (const time of onTime) {
+      await this.fire(schedule, time.toISOString(), false);
+    }
+    await this.save(schedule);
+  }
+
+  /**
+   * Start a run for one fire, unless the overlap policy holds it back
+   */
+  async fire(schedule, scheduledFor, catchUp) {
+    if (schedule.overlap !== 'allow') {
+      const [active] = await this.activeRuns(schedule.id);
+
+      if (active && schedule.overlap === 'queue' && schedule.queuedFires.length < this.maxQueued) {
+        schedule.queuedFires.push(scheduledFor);
+        this.addHistory(schedule, { scheduledFor, outcome: 'queued', behindRunId: active.id });
+        return;
+      }
+      if (active) {
+        this.addHistory(schedule, { scheduledFor, outcome: 'skipped', behindRunId: active.id });
+        this.log('info', `Schedule ${schedule.id} skipped a fire: run ${active.id} is still ${active.status}`);
+        return;
+      }
+    }
+
+    await this.startRun(schedule, scheduledFor, catchUp);
+  }
+
+  /**
+   * Start the queued fires of a schedule, one at a time, as its runs finish
+   */
+  async startQueued(schedule) {
+    while (schedule.queuedFires.length > 0) {
+      if ((await this.activeRuns(schedule.id)).length > 0) {
+        return;
+      }
+
+      await this.startRun(schedule, schedule.queuedFires.shift(), false);
+      await this.save(schedule);
+    }
+  }
+
+  async startRun(schedule, scheduledFor, catchUp) {
+    const { workflow, task, priority, version, parameters } = schedule;
+
+    try {
+      const run = await this.orchestrator.startWorkflow(workflow, task, {
+        priority,
+        version,
+        parameters,
+        scheduleId: schedule.id,
+        scheduledFor
+      });
+      this.addHistory(schedule, { scheduledFor, outcome: 'started', runId: run.id, catchUp: catchUp || undefined });
+      this.log('info', `Schedule ${schedule.id} started run ${run.id} (${workflow})`, { scheduledFor, catchUp });
+    } catch (error) {
+      this.addHistory(schedule, { scheduledFor, outcome: 'failed', error: error.message });
+      this.log('warn', `Schedule ${schedule.id} could not start ${workflow}`, { scheduledFor, error: error.message });
+    }
+  }
+
+  /**
+   * Unfinished runs a schedule started, newest first
+   */
+  activeRuns(scheduleId) {
+    return this.orchestrator.listRuns({ scheduleId, status: ACTIVE_STATUSES });
+  }
+
+  /**
+   * Record what a fire did; the schedule keeps its last HISTORY_SIZE entries
+   */
+  addHistory(schedule, entry) {
+    schedule.history = [...schedule.history, { ...entry, at: new Date(this.now()).toISOString() }].slice(-HISTORY_SIZE);
+  }
+
+  hasQueuedFires() {
+    return Array.from(this.schedules.values()).some(schedule => schedule.queuedFires.length > 0);
+  }
+
+  nextFireAt(schedule, after) {
+    if (!schedule.enabled) {
+      return null;
+    }
+
+    const time = nextFireTime(schedule.cron, schedule.timezone, after);
+    return time ? time.toISOString() : null;
+  }
+
+  /**
+   * Save a schedule unless it was replaced or deleted while it fired
+   */
+  async save(schedule) {
+    if (this.schedules.get(schedule.id) === schedule) {
+      await this.store.saveSchedule(schedule);
+    }
+  }
+
+  /**
+   * Wait until the earliest next fire time, or at most MAX_WAKE_MS
+   */
+  arm() {
+    if (!this.stopListening) {
+      return;
+    }
+
+    const fireTimes = Array.from(this.schedules.values())
+      .filter(schedule => schedule.enabled && schedule.nextFireAt)
+      .map(schedule => Date.parse(schedule.nextFireAt));
+    const delayMs = Math.max(0, Math.min(MAX_WAKE_MS, ...fireTimes.map(time => time - this.now())));
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+    this.timer.unref();
+  }
+
+  validate(definition) {
+    const errors = validateSchedule(definition);
+
+    if (errors.length === 0 && !this.orchestrator.workflows.has(definition.workflow)) {
+      errors.push(`workflow: "${definition.workflow}" is not registered`);
+    }
+    if (errors.length > 0) {
+      throw new ScheduleValidationError(`Invalid schedule: ${errors.join('; ')}`, { errors });
+    }
+  }
+
+  log(level, message, metadata = {}) {
+    if (this.logger) {
+      this.logger[level](message, { component: 'Scheduler', ...metadata });
+    }
+  }
+}
+
+function validateCron(cron) {
+  try {
+    parseCron(cron);
+    return [];
+  } catch (error) {
+    return [`cron: ${error.message}`];
+  }
+}
+
+function validateTimeZone(timezone) {
+  return typeof timezone === 'string' && isValidTimeZone(timezone)
+    ? []
+    : [`timezone: "${timezone}" is not an IANA time zone`];
+}
+
+/**
+ * Validate a schedule definition
+ * @returns {string[]} - Field-level error messages
+ */
+function validateSchedule(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['schedule must be an object'];
+  }
+
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (typeof definition.workflow !== 'string' || !definition.workflow) {
+    errors.push('workflow must be a workflow name');
+  }
+  errors.push(...validateCron(definition.cron));
+  if (definition.timezone !== undefined) {
+    errors.push(...validateTimeZone(definition.timezone));
+  }
+  if (definition.task !== undefined && !isObject(definition.task)) {
+    errors.push('task must be an object');
+  }
+  if (definition.overlap !== undefined && !OVERLAP_POLICIES.includes(definition.overlap)) {
+    errors.push(`overlap must be one of ${OVERLAP_POLICIES.join(', ')}`);
+  }
+  if (definition.catchUp !== undefined && !CATCH_UP_POLICIES.includes(definition.catchUp)) {
+    errors.push(`catchUp must be one of ${CATCH_UP_POLICIES.join(', ')}`);
+  }
+  if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (definition.priority !== undefined && !Number.isInteger(definition.priority)) {
+    errors.push('priority must be an integer');
+  }
+  if (definition.version !== undefined && !(Number.isInteger(definition.version) && definition.version > 0)) {
+    errors.push('version must be a positive integer');
+  }
+  if (definition.parameters !== undefined && !isObject(definition.parameters)) {
+    errors.push('parameters must be an object');
+  }
+  ['name', 'description'].forEach(field => {
+    if (definition[field] !== undefined && typeof definition[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * The stored fields of a definition, with defaults
+ */
+function normalize(definition) {
+  return {
+    name: definition.name,
+    description: definition.description,
+    workflow: definition.workflow,
+    version: definition.version,
+    parameters: definition.parameters,
+    priority: definition.priority,
+    cron: definition.cron,
+    timezone: definition.timezone || 'UTC',
+    task: definition.task || { data: {} },
+    overlap: definition.overlap || 'skip',
+    catchUp: definition.catchUp || 'latest',
+    enabled: definition.enabled !== false
+  };
+}
+
+function copy(schedule) {
+  return JSON.parse(JSON.stringify(schedule));
+}
+
+Scheduler.OVERLAP_POLICIES = OVERLAP_POLICIES;
+Scheduler.CATCH_UP_POLICIES = CATCH_UP_POLICIES;
+
+module.exports = Scheduler;
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { parseDuration } = require('./duration');
+
+const MAX_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * JSON with object keys sorted, so equal values give equal text whatever the key order
+ * Undefined values and functions are left out, as JSON.stringify does.
+ */
+function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined || typeof value === 'function' ? null : value);
+  }
+  if (typeof value.toJSON === 'function') {
+    return canonicalJson(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  const fields = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+  return `{${fields.join(',')}}`;
+}
+
+/**
+ * Validate a step's `cache` setting
+ * @returns {string[]} - Path-level error messages
+ */
+function validateCacheConfig(cache, where) {
+  if (!cache || typeof cache !== 'object' || Array.isArray(cache)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = Object.keys(cache)
+    .filter(field => field !== 'ttl')
+    .map(field => `${where}.${field}: unknown setting (use ttl)`);
+  const ttlMs = parseDuration(cache.ttl);
+  if (ttlMs === null || ttlMs > MAX_TTL_MS) {
+    errors.push(`${where}.ttl must be a duration such as 30s, 15m, 1h or 7d, at most 7d`);
+  }
+  return errors;
+}
+
+/**
+ * StepCache - Results of agent steps kept for reuse by later runs
+ * An agent step with `cache: { ttl: '1h' }` is looked up by agent, task type and a
+ * hash of its input (task data and step config) before it runs. A fresh entry is
+ * used instead of calling the agent; otherwise the step runs and a successful result
+ * is stored until its TTL ends. Only steps whose agent returns the same output for
+ * the same input should be cached.
+ *
+ * Entries are held in memory, least recently used first out once `maxEntries` is
+ * reached.
+ */
+class StepCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Entries kept (default 1000)
+   * @param {Function} [options.clock] - Returns the time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.clock = options.clock || Date.now;
+    // Key -> entry, least recently used first
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, stores: 0, evictions: 0, expirations: 0, savedMs: 0, savedCostUsd: 0 };
+  }
+
+  /**
+   * Cache key for an agent call
+   */
+  static key(agentName, taskType, input) {
+    const hash = crypto.createHash('sha256').update(canonicalJson(input)).digest('hex').slice(0, 32);
+    return `${agentName}:${taskType}:${hash}`;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * A fresh entry, counted as a hit, or undefined, counted as a miss
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt <= this.clock()) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+    } else if (entry) {
+      // Most recently used goes last
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      entry.hits++;
+      entry.lastHitAt = this.clock();
+      this.stats.hits++;
+      this.stats.savedMs += entry.durationMs;
+      this.stats.savedCostUsd = Math.round((this.stats.savedCostUsd + entry.costUsd) * 1e6) / 1e6;
+      return { ...entry, result: structuredClone(entry.result) };
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Keep a result until `ttlMs` from now
+   * @param {Object} entry - { agent, taskType, result, durationMs, costUsd }
+   * @returns {boolean} - false when the result cannot be copied (e.g. it holds functions)
+   */
+  store(key, { agent, taskType, result, durationMs = 0, costUsd = 0 }, ttlMs) {
+    const now = this.clock();
+    let copy;
+    try {
+      copy = structuredClone(result);
+    } catch (error) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      key,
+      agent,
+      taskType,
+      result: copy,
+      durationMs,
+      costUsd,
+      createdAt: now,
+      expiresAt: now + ttlMs,
+      hits: 0,
+      lastHitAt: null
+    });
+    this.stats.stores++;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+    return true;
+  }
+
+  /**
+   * An entry with its result, without counting a hit
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > this.clock() ? this.describe(entry, true) : undefined;
+  }
+
+  /**
+   * Fresh entries, most recently used first, optionally for one agent and task type
+   */
+  list({ agent, taskType } = {}) {
+    this.prune();
+    return Array.from(this.entries.values())
+      .filter(entry => (!agent || entry.agent === agent) && (!taskType || entry.taskType === taskType))
+      .reverse()
+      .map(entry => this.describe(entry, false));
+  }
+
+  /**
+   * Remove one entry
+   * @returns {boolean} - Whether it was there
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry, or those for one agent and/or task type
+   * @returns {number} - Entries removed
+   */
+  purge({ agent, taskType } = {}) {
+    let removed = 0;
+    this.entries.forEach((entry, key) => {
+      if ((!agent || entry.agent === agent) && (!taskType || entry.taskType === taskType)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Drop expired entries
+   */
+  prune() {
+    const now = this.clock();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        this.stats.expirations++;
+      }
+    });
+  }
+
+  getStatus() {
+    this.prune();
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 1000 : 0
+    };
+  }
+
+  describe(entry, withResult) {
+    return {
+      key: entry.key,
+      agent: entry.agent,
+      taskType: entry.taskType,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      hits: entry.hits,
+      lastHitAt: entry.lastHitAt && new Date(entry.lastHitAt).toISOString(),
+      durationMs: entry.durationMs,
+      costUsd: entry.costUsd,
+      result: withResult ? entry.result : undefined
+    };
+  }
+}
+
+StepCache.canonicalJson = canonicalJson;
+StepCache.validateCacheConfig = validateCacheConfig;
+
+module.exports = StepCache;
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const RunEvents = require('./RunEvents');
+const { WebhookValidationError } = require('./errors');
+const { computeDelay } = require('./retryPolicy');
+
+/**
+ * WebhookDispatcher - Delivers orchestrator events to subscribed HTTP endpoints
+ * A subscription names a URL and optionally the event types and workflows it wants;
+ * omitted filters match everything. Each matching event is POSTed as JSON, signed with
+ * the subscription's secret:
+ *
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">
+ *
+ * A delivery that fails (network error, timeout or non-2xx response) is retried with
+ * exponential backoff; a 429's Retry-After is honoured. Every delivery and its attempts
+ * are kept in a bounded log. Subscriptions are saved to `options.path` when one is given.
+ * With a tracer, each attempt is a client span and sends a `traceparent` header.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {RunEvents} events - Where events are published
+   * @param {Object} logger
+   * @param {Object} [options]
+   * @param {string} [options.path] - JSON file the subscriptions are kept in
+   * @param {number} [options.maxAttempts] - Attempts per delivery (default 5)
+   * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled for each one after (default 1000)
+   * @param {number} [options.maxDelayMs] - Longest delay between attempts (default 60000)
+   * @param {number} [options.timeoutMs] - Time limit for each attempt (default 10000)
+   * @param {number} [options.maxDeliveries] - Deliveries kept in the log (default 1000)
+   * @param {Tracer} [options.tracer] - Traces deliveries, see lib/tracing.js
+   */
+  constructor(events, logger, options = {}) {
+    this.events = events;
+    this.logger = logger;
+    this.path = options.path;
+    this.retryPolicy = {
+      maxAttempts: options.maxAttempts || 5,
+      baseDelayMs: options.baseDelayMs !== undefined ? options.baseDelayMs : 1000,
+      maxDelayMs: options.maxDelayMs || 60000,
+      jitter: 'none'
+    };
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.maxDeliveries = options.maxDeliveries || 1000;
+    this.tracer = options.tracer;
+
+    this.webhooks = new Map();
+    this.deliveries = [];
+    this.retryTimers = new Set();
+
+    if (this.path && fs.existsSync(this.path)) {
+      JSON.parse(fs.readFileSync(this.path, 'utf8')).forEach(webhook => this.webhooks.set(webhook.id, webhook));
+    }
+
+    this.stopListening = events.subscribe(event => this.dispatch(event));
+  }
+
+  /**
+   * Add a subscription
+   * @param {Object} definition - { url, events?, workflows?, secret?, description? }
+   * @returns {Promise<Object>} - The subscription, including its secret (generated when not given)
+   */
+  async addWebhook(definition) {
+    const errors = validateWebhook(definition);
+    if (errors.length > 0) {
+      throw new WebhookValidationError(`Invalid webhook: ${errors.join('; ')}`, { errors });
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: definition.url,
+      events: definition.events,
+      workflows: definition.workflows,
+      description: definition.description,
+      secret: definition.secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    this.webhooks.set(webhook.id, webhook);
+    await this.save();
+    this.log('info', `Webhook added: ${webhook.id} -> ${webhook.url}`, { events: webhook.events, workflows: webhook.workflows });
+    return webhook;
+  }
+
+  /**
+   * Remove a subscription; deliveries already in the log are kept
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async removeWebhook(id) {
+    if (!this.webhooks.delete(id)) {
+      return false;
+    }
+
+    await this.save();
+    this.log('info', `Webhook removed: ${id}`);
+    return true;
+  }
+
+  /**
+   * A subscription without its secret, or null
+   */
+  getWebhook(id) {
+    const webhook = this.webhooks.get(id);
+    return webhook ? withoutSecret(webhook) : null;
+  }
+
+  listWebhooks() {
+    return Array.from(this.webhooks.values()).map(withoutSecret);
+  }
+
+  /**
+   * Deliveries from the log, newest first
+   * @param {Object} [filter] - { webhookId, status, eventType, runId }
+   */
+  listDeliveries(filter = {}) {
+    return this.deliveries
+      .filter(delivery => (!filter.webhookId || delivery.webhookId === filter.webhookId) &&
+        (!filter.status || delivery.status === filter.status) &&
+        (!filter.eventType || delivery.eventType === filter.eventType) &&
+        (!filter.runId || delivery.runId === filter.runId))
+      .reverse();
+  }
+
+  getDelivery(id) {
+    return this.deliveries.find(delivery => delivery.id === id) || null;
+  }
+
+  /**
+   * Start a delivery to every subscription the event matches
+   */
+  dispatch(event) {
+    Array.from(this.webhooks.values())
+      .filter(webhook => matches(webhook, event))
+      .forEach(webhook => {
+        const delivery = {
+          id: crypto.randomUUID(),
+          webhookId: webhook.id,
+          url: webhook.url,
+          eventId: event.id,
+          eventType: event.type,
+          runId: event.runId,
+          workflow: event.workflow,
+          status: 'pending',
+          attempts: [],
+          createdAt: new Date().toISOString()
+        };
+
+        this.record(delivery);
+        this.attempt(delivery, webhook, event);
+      });
+  }
+
+  /**
+   * POST an event once, scheduling the next attempt when it fails and attempts remain
+   */
+  async attempt(delivery, webhook, event) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Date.now());
+    const startedAt = Date.now();
+    const attempt = { attempt: delivery.attempts.length + 1, startedAt: new Date(startedAt).toISOString() };
+    let error = null;
+
+    try {
+      const request = this.tracer ? (url, init) => this.tracer.fetch(url, init) : fetch;
+      const response = await request(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'multi-agent-system-webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        error = new Error(`Webhook responded ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = Number(response.headers.get('retry-after')) || undefined;
+      }
+    } catch (requestError) {
+      // fetch reports network failures as "fetch failed" with the reason in `cause`
+      const cause = requestError.cause && requestError.cause.message;
+      error = new Error(requestError.name === 'TimeoutError'
+        ? `Webhook timed out after ${this.timeoutMs}ms`
+        : cause || requestError.message);
+    }
+
+    attempt.duration = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      this.trim();
+      return;
+    }
+
+    attempt.error = error.message;
+    // Network errors, timeouts, 408, 429 and 5xx responses are retried; other 4xx responses are not
+    const retryable = !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+
+    if (!retryable || delivery.attempts.length >= this.retryPolicy.maxAttempts || !this.webhooks.has(webhook.id)) {
+      delivery.status = 'failed';
+      delivery.error = error.message;
+      this.log('warn', `Webhook delivery failed: ${delivery.id} (${event.type}) -> ${webhook.url}`, {
+        attempts: delivery.attempts.length,
+        error: error.message
+      });
+      this.trim();
+      return;
+    }
+
+    const delayMs = computeDelay(this.retryPolicy, delivery.attempts.length, error);
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      delivery.nextAttemptAt = undefined;
+      this.attempt(delivery, webhook, event);
+    }, delayMs);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Add a delivery to the log
+   */
+  record(delivery) {
+    this.deliveries.push(delivery);
+    this.trim();
+  }
+
+  /**
+   * Drop the oldest finished deliveries beyond maxDeliveries
+   * Pending ones stay findable while they retry, so the log can run over until they finish.
+   */
+  trim() {
+    while (this.deliveries.length > this.maxDeliveries) {
+      const index = this.deliveries.findIndex(entry => entry.status !== 'pending');
+      if (index === -1) {
+        return;
+      }
+      this.deliveries.splice(index, 1);
+    }
+  }
+
+  async save() {
+    if (!this.path) return;
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.tmp`;
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(Array.from(this.webhooks.values()), null, 2)}\n`);
+    await fs.promises.rename(tempPath, this.path);
+  }
+
+  /**
+   * Stop listening for events and cancel scheduled retries
+   */
+  close() {
+    this.stopListening();
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  log(level, message, metadata = {}) {
+    if (this.logger) {
+      this.logger[level](message, { component: 'WebhookDispatcher', ...metadata });
+    }
+  }
+}
+
+/**
+ * Validate a subscription definition
+ * @returns {string[]} - Field-level error messages
+ */
+function validateWebhook(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['webhook must be an object'];
+  }
+
+  const errors = [];
+  const isStringList = value => Array.isArray(value) && value.length > 0 &&
+    value.every(item => typeof item === 'string' && item.length > 0);
+  let url = null;
+
+  try {
+    url = new URL(definition.url);
+  } catch (error) {
+    errors.push('url must be an absolute URL');
+  }
+  if (url && !['http:', 'https:'].includes(url.protocol)) {
+    errors.push('url must use http or https');
+  }
+
+  if (definition.events !== undefined) {
+    if (!isStringList(definition.events)) {
+      errors.push('events must be a non-empty array of event types');
+    } else {
+      definition.events
+        .filter(type => !RunEvents.TYPES.includes(type))
+        .forEach(type => errors.push(`events: "${type}" is not one of ${RunEvents.TYPES.join(', ')}`));
+    }
+  }
+  if (definition.workflows !== undefined && !isStringList(definition.workflows)) {
+    errors.push('workflows must be a non-empty array of workflow names');
+  }
+  if (definition.secret !== undefined && (typeof definition.secret !== 'string' || definition.secret.length < 16)) {
+    errors.push('secret must be a string of at least 16 characters');
+  }
+  if (definition.description !== undefined && typeof definition.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  return errors;
+}
+
+function matches(webhook, event) {
+  return (!webhook.events || webhook.events.includes(event.type)) &&
+    (!webhook.workflows || webhook.workflows.includes(event.workflow));
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function withoutSecret(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+WebhookDispatcher.sign = sign;
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { validateWorkflowDefinition } = require('./workflowValidation');
+const { WorkflowValidationError } = require('./errors');
+
+const SCHEMA_SUFFIX = '_schema.json';
+
+/**
+ * WorkflowLoader - Registers workflow definitions kept as JSON files in a directory
+ * Every `*.json` file except schemas (`*_schema.json`) holds one workflow. A file
+ * is checked against the workflow JSON schema, then against the orchestrator's
+ * workflow rules. A bad file is logged with path-level errors, and any earlier
+ * version of its workflow stays registered. watch() reloads files as they change.
+ *
+ * Shorthand fields are expanded: `steps: ['agent-a', 'agent-b']` runs the named
+ * agents in sequence, `retry: { count, delayMs }` sets the retry policy and
+ * `fallback` names the escalation handler.
+ */
+class WorkflowLoader {
+  /**
+   * @param {AgentOrchestrator} orchestrator
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {string} options.directory - Directory holding the workflow files
+   * @param {string} [options.schemaPath] - Workflow JSON schema (default <directory>/workflow_schema.json)
+   * @param {number} [options.debounceMs] - Quiet time before a changed file is reloaded (default 100)
+   */
+  constructor(orchestrator, logger, options = {}) {
+    this.orchestrator = orchestrator;
+    this.logger = logger;
+    this.directory = options.directory;
+    this.schemaPath = options.schemaPath || path.join(this.directory, 'workflow_schema.json');
+    this.debounceMs = options.debounceMs || 100;
+
+    const schema = JSON.parse(fs.readFileSync(this.schemaPath, 'utf8'));
+    this.schemaValidator = new Ajv({ allErrors: true }).compile(schema);
+
+    // file -> { name, content } for loaded files, file -> errors for rejected ones
+    this.files = new Map();
+    this.errors = new Map();
+    this.watcher = null;
+    this.reloadTimers = new Map();
+  }
+
+  /**
+   * Load every workflow file, unregistering workflows whose file is gone
+   * @returns {string[]} - Names of the registered workflows
+   */
+  loadAll() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const present = fs.readdirSync(this.directory).filter(isWorkflowFile);
+
+    Array.from(this.files.keys())
+      .filter(file => !present.includes(file))
+      .forEach(file => this.removeFile(file));
+    present.forEach(file => this.loadFile(file));
+
+    return Array.from(this.files.values()).map(entry => entry.name);
+  }
+
+  /**
+   * Load or reload one workflow file; unchanged files are skipped
+   * @returns {boolean} - Whether the file's workflow is registered
+   */
+  loadFile(file) {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.removeFile(file);
+        return false;
+      }
+      throw error;
+    }
+
+    const loaded = this.files.get(file);
+    if (loaded && loaded.content === content) {
+      return true;
+    }
+
+    try {
+      let definition;
+      try {
+        definition = JSON.parse(content);
+      } catch (error) {
+        throw new WorkflowValidationError(`Invalid workflow file ${file}`, { errors: [`invalid JSON: ${error.message}`] });
+      }
+
+      this.check(definition, file);
+      this.register(definition, file, content);
+      return true;
+    } catch (error) {
+      if (!(error instanceof WorkflowValidationError)) throw error;
+
+      this.errors.set(file, error.errors);
+      this.log('error', `Rejected workflow file ${file}`, { errors: error.errors });
+      return false;
+    }
+  }
+
+  /**
+   * Validate a definition and write it to its workflow file, registering it straight away
+   * The file is the one the workflow was loaded from, or <name>_workflow.json for a new one.
+   * @returns {Promise<Object>} - { name, file, version }
+   */
+  async save(definition) {
+    const name = definition && definition.name;
+    const loaded = Array.from(this.files.entries()).find(([, entry]) => entry.name === name);
+    const file = loaded ? loaded[0] : `${String(name).replace(/-/g, '_')}_workflow.json`;
+    const content = `${JSON.stringify(definition, null, 2)}\n`;
+
+    this.check(definition, file);
+
+    const filePath = path.join(this.directory, file);
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, content);
+    await fs.promises.rename(tempPath, filePath);
+
+    const { version } = this.register(definition, file, content);
+    return { name, file, version };
+  }
+
+  /**
+   * Check a definition against the schema and the workflow rules
+   * @returns {string[]} - Path-level error messages, empty when the definition is valid
+   */
+  validate(definition) {
+    if (!this.schemaValidator(definition)) {
+      return formatSchemaErrors(this.schemaValidator.errors, definition);
+    }
+
+    return validateWorkflowDefinition(expandShorthand(definition));
+  }
+
+  /**
+   * Throw a WorkflowValidationError unless a definition may be registered from `file`
+   */
+  check(definition, file) {
+    const name = definition && definition.name;
+    const errors = this.validate(definition);
+    const owner = Array.from(this.files.entries())
+      .find(([other, entry]) => other !== file && entry.name === name);
+
+    if (owner) {
+      errors.push(`name: workflow "${name}" is already defined in ${owner[0]}`);
+    }
+    if (errors.length > 0) {
+      throw new WorkflowValidationError(`Invalid workflow ${name}: ${errors.join('; ')}`, { errors });
+    }
+  }
+
+  /**
+   * Register a checked definition as the workflow of `file`
+   * @returns {Object} - The orchestrator's version entry for it
+   */
+  register(definition, file, content) {
+    const workflow = expandShorthand(definition);
+    const previous = this.files.get(file);
+    if (previous && previous.name !== workflow.name) {
+      this.orchestrator.unregisterWorkflow(previous.name);
+    }
+
+    const entry = this.orchestrator.registerWorkflow(workflow.name, workflow);
+    this.files.set(file, { name: workflow.name, content });
+    this.errors.delete(file);
+
+    const missing = agentNames(workflow).filter(agentName => !this.orchestrator.agents.has(agentName));
+    if (missing.length > 0) {
+      this.log('warn', `Workflow ${workflow.name} uses agents that are not registered: ${missing.join(', ')}`, { file });
+    }
+    return entry;
+  }
+
+  removeFile(file) {
+    const loaded = this.files.get(file);
+
+    this.files.delete(file);
+    this.errors.delete(file);
+    if (loaded) {
+      this.orchestrator.unregisterWorkflow(loaded.name);
+    }
+  }
+
+  /**
+   * Reload workflow files as they are added, changed or removed
+   */
+  watch() {
+    if (this.watcher) return;
+
+    this.watcher = fs.watch(this.directory, (eventType, file) => {
+      if (file && !isWorkflowFile(file)) return;
+
+      const key = file || '*';
+      clearTimeout(this.reloadTimers.get(key));
+      this.reloadTimers.set(key, setTimeout(() => {
+        this.reloadTimers.delete(key);
+        try {
+          if (file) {
+            this.loadFile(file);
+          } else {
+            this.loadAll();
+          }
+        } catch (error) {
+          this.log('error', `Workflow reload failed: ${key}`, { error: error.message });
+        }
+      }, this.debounceMs));
+    });
+    this.watcher.on('error', error => this.log('error', 'Workflow watcher failed', { error: error.message }));
+    this.log('info', `Watching workflow files in ${this.directory}`);
+  }
+
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.reloadTimers.forEach(timer => clearTimeout(timer));
+    this.reloadTimers.clear();
+  }
+
+  /**
+   * Files whose workflows are registered, and files rejected with their errors
+   */
+  getStatus() {
+    return {
+      directory: this.directory,
+      loaded: Array.from(this.files.entries()).map(([file, entry]) => ({ file, workflow: entry.name })),
+      rejected: Array.from(this.errors.entries()).map(([file, errors]) => ({ file, errors }))
+    };
+  }
+
+  log(level, message, metadata = {}) {
+    if (this.logger) {
+      this.logger[level](message, { component: 'WorkflowLoader', ...metadata });
+    }
+  }
+}
+
+function isWorkflowFile(file) {
+  return file.endsWith('.json') && !file.endsWith(SCHEMA_SUFFIX);
+}
+
+/**
+ * Turn the shorthand step list and retry/fallback fields into a full definition
+ */
+function expandShorthand(definition) {
+  const { retry, fallback, ...workflow } = definition;
+
+  workflow.steps = definition.steps.map(step => (typeof step === 'string'
+    ? { name: step, agentName: step, escalateOnFailure: Boolean(fallback) }
+    : step));
+
+  if (retry && !workflow.retryPolicy) {
+    workflow.retryPolicy = { maxAttempts: (retry.count || 0) + 1, baseDelayMs: retry.delayMs || 0, jitter: 'none' };
+  }
+  if (fallback && !workflow.escalationHandler) {
+    workflow.escalationHandler = fallback;
+  }
+
+  return workflow;
+}
+
+/**
+ * Every agent a workflow's steps, fallbacks, compensations and escalation handler name
+ */
+function agentNames(workflow) {
+  const names = new Set(workflow.escalationHandler ? [workflow.escalationHandler] : []);
+  const collect = steps => steps.forEach(step => {
+    [step.agentName, step.fallbackAgent, step.compensate && step.compensate.agentName]
+      .filter(Boolean)
+      .forEach(name => names.add(name));
+    if (Array.isArray(step.steps)) collect(step.steps);
+  });
+  collect(workflow.steps);
+
+  return Array.from(names);
+}
+
+/**
+ * Turn Ajv errors into messages using the same paths as workflow validation,
+ * e.g. "steps[3] (refine).steps[1] (verify).retries must be >= 1"
+ */
+function formatSchemaErrors(errors, definition) {
+  const messages = errors
+    .filter(error => error.keyword !== 'if')
+    .map(error => {
+      const where = describePath(error.instancePath, definition);
+      const at = suffix => (where ? `${where}.${suffix}` : suffix);
+
+      switch (error.keyword) {
+        case 'required':
+          return `${at(error.params.missingProperty)} is required`;
+        case 'additionalProperties':
+          return `${at(error.params.additionalProperty)} is not a known field`;
+        case 'enum':
+          return `${where} must be one of ${error.params.allowedValues.join(', ')}`;
+        default:
+          return `${where || 'workflow'} ${error.message}`;
+      }
+    });
+
+  return Array.from(new Set(messages));
+}
+
+function describePath(instancePath, definition) {
+  let value = definition;
+
+  return instancePath.split('/').slice(1).reduce((where, segment) => {
+    value = value === undefined || value === null ? undefined : value[segment];
+
+    if (/^\d+$/.test(segment)) {
+      const name = value && typeof value === 'object' && typeof value.name === 'string' ? ` (${value.name})` : '';
+      return `${where}[${segment}]${name}`;
+    }
+    return where ? `${where}.${segment}` : segment;
+  }, '');
+}
+
+module.exports = WorkflowLoader;
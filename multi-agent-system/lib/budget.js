@@ -0,0 +1,90 @@
+/**
+ * Run budgets
+ *
+ * A workflow can limit what a run may spend, and an execute request can override
+ * the limits one by one:
+ *
+ *   budget: { wallTimeMs: 60000, agentCalls: 20, costUsd: 0.5, warnAt: 0.8 }
+ *
+ * Every agent call counts, retries and compensations included, and adds its
+ * estimated cost (BaseAgent#estimateCost). Wall time counts from the run's start,
+ * leaving out time spent awaiting approval. Reaching `warnAt` of a limit (default
+ * 0.8) warns once; going past it stops the run with status `budget-exceeded`.
+ */
+
+const { MAX_TIMER_MS } = require('./duration');
+
+const LIMITS = ['wallTimeMs', 'agentCalls', 'costUsd'];
+const DEFAULT_WARN_AT = 0.8;
+
+/**
+ * Validate a budget
+ * @returns {string[]} - Path-level error messages
+ */
+function validateBudget(budget, where = 'budget') {
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+
+  Object.keys(budget)
+    .filter(field => !LIMITS.includes(field) && field !== 'warnAt')
+    .forEach(field => errors.push(`${where}.${field}: unknown limit (use ${LIMITS.join(', ')} or warnAt)`));
+
+  LIMITS.filter(limit => budget[limit] !== undefined).forEach(limit => {
+    const value = budget[limit];
+    const valid = limit === 'costUsd' ? typeof value === 'number' && value > 0 : Number.isInteger(value) && value > 0;
+    if (!valid) {
+      errors.push(`${where}.${limit} must be a positive ${limit === 'costUsd' ? 'number' : 'integer'}`);
+    } else if (limit === 'wallTimeMs' && value > MAX_TIMER_MS) {
+      // The run is stopped by a timer, which cannot wait longer
+      errors.push(`${where}.wallTimeMs must be at most ${MAX_TIMER_MS} (about 24.8 days)`);
+    }
+  });
+
+  if (budget.warnAt !== undefined && !(typeof budget.warnAt === 'number' && budget.warnAt > 0 && budget.warnAt <= 1)) {
+    errors.push(`${where}.warnAt must be a number above 0 and at most 1`);
+  }
+
+  return errors;
+}
+
+/**
+ * Merge budgets, later ones overriding earlier ones limit by limit
+ * @returns {Object|undefined} - undefined when no limit is set
+ */
+function resolveBudget(...budgets) {
+  const budget = Object.assign({}, ...budgets.filter(Boolean));
+  return LIMITS.some(limit => budget[limit] !== undefined) ? budget : undefined;
+}
+
+function roundCost(costUsd) {
+  return Math.round(costUsd * 1e6) / 1e6;
+}
+
+/**
+ * Compare spend with a budget
+ * @param {Object} spend - { wallTimeMs, agentCalls, costUsd }
+ * @param {string[]} [warned] - Limits already warned about
+ * @returns {Object} - { warnings: limits newly past warnAt, exceeded: first limit gone past, or null }
+ */
+function checkBudget(budget, spend, warned = []) {
+  const warnAt = budget.warnAt || DEFAULT_WARN_AT;
+  const limits = LIMITS.filter(limit => budget[limit] !== undefined);
+
+  return {
+    warnings: limits.filter(limit => !warned.includes(limit) &&
+      spend[limit] >= budget[limit] * warnAt && spend[limit] <= budget[limit]),
+    exceeded: limits.find(limit => spend[limit] > budget[limit]) || null
+  };
+}
+
+module.exports = {
+  LIMITS,
+  DEFAULT_WARN_AT,
+  validateBudget,
+  resolveBudget,
+  roundCost,
+  checkBudget
+};
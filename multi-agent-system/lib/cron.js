@@ -0,0 +1,247 @@
+/**
+ * Cron expressions evaluated in a time zone
+ *
+ * Five fields, matched against the wall clock in the schedule's IANA time zone:
+ *
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12 or JAN-DEC)  day of week (0-7 or SUN-SAT)
+ *
+ * Each field takes `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps: `/n` after
+ * `*` or a range takes every n-th value (`9-17/2` is 9, 11, ... 17).
+ * Sunday is 0 or 7. When both day fields are restricted a day matches either, as in
+ * Vixie cron. `@yearly`, `@monthly`, `@weekly`, `@daily` and `@hourly` are shorthands.
+ *
+ * Local times skipped by a daylight-saving change never fire; local times repeated
+ * by one fire once.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// A schedule that has not matched in this many years never will (e.g. 30 February)
+const SEARCH_YEARS = 8;
+
+const formatters = new Map();
+
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = index !== -1 ? index + (field.name === 'month' ? 1 : 0) : (/^\d+$/.test(text) ? Number(text) : NaN);
+
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`${field.name}: "${text}" is not between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1 || part.split('/').length > 2) {
+      throw new Error(`${field.name}: invalid step in "${part}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(bound => parseValue(bound, field));
+      if (from > to) {
+        throw new Error(`${field.name}: range "${range}" runs backwards`);
+      }
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @throws {Error} - Describing the first invalid field
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('cron expression must be a non-empty string');
+  }
+
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The wall-clock date and time at `ms` in a time zone
+ */
+function wallClock(ms, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(ms)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+/**
+ * The instant a wall-clock time occurs in a time zone; when the clocks go back it is the first one
+ */
+function zonedTime({ year, month, day, hour, minute }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = ms => {
+    const wall = wallClock(ms, timeZone);
+    return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) - Math.floor(ms / 60000) * 60000;
+  };
+
+  // The offsets a day either side cover both sides of a daylight-saving change
+  const candidates = [asUtc - offsetAt(asUtc - 86400000), asUtc - offsetAt(asUtc + 86400000)];
+  const matching = candidates.filter(ms => {
+    const wall = wallClock(ms, timeZone);
+    return wall.day === day && wall.hour === hour && wall.minute === minute;
+  });
+  return matching.length > 0 ? Math.min(...matching) : candidates[0];
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function matchesDay(cron, year, month, day) {
+  const inMonth = cron.days.has(day);
+  const inWeek = cron.weekdays.has(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+
+  if (cron.anyDay || cron.anyWeekday) {
+    return inMonth && inWeek;
+  }
+  return inMonth || inWeek;
+}
+
+/**
+ * The first time after `after` that a cron expression fires in a time zone
+ * @param {string|Object} cron - Expression, or the result of parseCron()
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @param {number|Date} after - Instant to search from (exclusive)
+ * @returns {Date|null} - null when the expression never fires
+ */
+function nextFireTime(cron, timeZone, after) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const from = new Date(after).getTime();
+  const start = wallClock(from, timeZone);
+  const wall = { ...start, minute: start.minute + 1 };
+
+  const carry = () => {
+    if (wall.minute > 59) { wall.minute = 0; wall.hour++; }
+    if (wall.hour > 23) { wall.hour = 0; wall.day++; }
+    if (wall.day > daysInMonth(wall.year, wall.month)) { wall.day = 1; wall.month++; }
+    if (wall.month > 12) { wall.month = 1; wall.year++; }
+  };
+
+  while (wall.year <= start.year + SEARCH_YEARS) {
+    carry();
+
+    if (!parsed.months.has(wall.month)) {
+      Object.assign(wall, { month: wall.month + 1, day: 1, hour: 0, minute: 0 });
+    } else if (!matchesDay(parsed, wall.year, wall.month, wall.day)) {
+      Object.assign(wall, { day: wall.day + 1, hour: 0, minute: 0 });
+    } else if (!parsed.hours.has(wall.hour)) {
+      Object.assign(wall, { hour: wall.hour + 1, minute: 0 });
+    } else if (!parsed.minutes.has(wall.minute)) {
+      wall.minute++;
+    } else {
+      const time = zonedTime(wall, timeZone);
+      const actual = wallClock(time, timeZone);
+
+      // Skipped by a daylight-saving change, or already passed when the clocks went back
+      if (actual.hour === wall.hour && actual.minute === wall.minute && time > from) {
+        return new Date(time);
+      }
+      wall.minute++;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The next `count` fire times after `after`
+ * @returns {Date[]}
+ */
+function nextFireTimes(cron, timeZone, after, count) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const times = [];
+  let time = nextFireTime(parsed, timeZone, after);
+
+  while (time && times.length < count) {
+    times.push(time);
+    time = nextFireTime(parsed, timeZone, time);
+  }
+  return times;
+}
+
+module.exports = {
+  parseCron,
+  isValidTimeZone,
+  nextFireTime,
+  nextFireTimes
+};
@@ -0,0 +1,62 @@
+/**
+ * Fixed clocks and seeded randomness for recorded agent calls
+ *
+ * Agents read the time through BaseAgent#now() and random numbers through
+ * BaseAgent#random(). Outside a recorded call these are Date.now() and
+ * Math.random(). Inside runDeterministic({ clock, seed }, fn) the clock stands
+ * still at `clock` and random numbers come from a generator seeded with `seed`,
+ * so the same task, agent memory, clock and seed produce the same output.
+ * The context follows the call's async continuations, so concurrent steps do
+ * not see each other's clock.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * mulberry32: a small, fast 32-bit generator; good enough for simulated agent decisions
+ * @returns {Function} - Returns numbers in [0, 1) like Math.random
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function newSeed() {
+  return crypto.randomInt(0, 2 ** 32);
+}
+
+/**
+ * Call `fn` with a fixed clock and a seeded random source
+ * @param {Object} context - { clock, seed }; clock in ms since the epoch
+ */
+function runDeterministic({ clock, seed }, fn) {
+  return storage.run({ clock, random: createRandom(seed) }, fn);
+}
+
+function now() {
+  const context = storage.getStore();
+  return context ? context.clock : Date.now();
+}
+
+function random() {
+  const context = storage.getStore();
+  return context ? context.random() : Math.random();
+}
+
+module.exports = {
+  createRandom,
+  newSeed,
+  runDeterministic,
+  now,
+  random
+};
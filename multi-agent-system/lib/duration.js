@@ -0,0 +1,23 @@
+/**
+ * Durations written as a whole number and a unit: `30s`, `15m`, `1h`, `7d`
+ */
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Longest delay setTimeout can wait (about 24.8 days); Node fires longer ones after 1ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Parse a duration
+ * @returns {number|null} - ms, or null when not a positive duration
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const ms = parseInt(match[1], 10) * UNITS[match[2]];
+  return ms > 0 ? ms : null;
+}
+
+module.exports = { parseDuration, MAX_TIMER_MS };
@@ -0,0 +1,190 @@
+/**
+ * Typed errors raised while running workflows
+ * `type` is a machine-readable error kind (`timeout` is also the anomaly type
+ * AnomalyDetectionAgent recovers from) and `status` is the HTTP status the
+ * Express error handler responds with.
+ */
+
+/**
+ * A step attempt or a whole workflow ran past its time limit
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { timeoutMs, step }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.type = 'timeout';
+    this.status = 504;
+    this.timeoutMs = details.timeoutMs;
+    this.step = details.step;
+  }
+}
+
+/**
+ * A run could not be queued because the run queue is full
+ */
+class QueueFullError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { retryAfter } in seconds
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.type = 'queue-full';
+    this.status = 429;
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/**
+ * An agent's circuit breaker is open, so the call was not attempted
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { agent, retryAfter } with retryAfter in seconds
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.type = 'circuit-open';
+    this.status = 503;
+    this.agent = details.agent;
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/**
+ * A workflow definition failed schema or workflow validation
+ */
+class WorkflowValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { errors } as path-level messages
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WorkflowValidationError';
+    this.type = 'invalid-workflow';
+    this.status = 400;
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * A webhook subscription failed validation
+ */
+class WebhookValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { errors } as field-level messages
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WebhookValidationError';
+    this.type = 'invalid-webhook';
+    this.status = 400;
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * A schedule definition failed validation
+ */
+class ScheduleValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { errors } as field-level messages
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ScheduleValidationError';
+    this.type = 'invalid-schedule';
+    this.status = 400;
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * An approval step was rejected, by an approver or by its expiry action
+ */
+class ApprovalRejectedError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { step, comment, expired }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ApprovalRejectedError';
+    this.type = 'approval-rejected';
+    this.status = 409;
+    this.step = details.step;
+    this.comment = details.comment;
+    this.expired = details.expired;
+  }
+}
+
+/**
+ * A run went past one of its budget limits and was stopped
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { limit, spent, max } with limit one of wallTimeMs, agentCalls, costUsd
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.type = 'budget-exceeded';
+    this.status = 409;
+    this.limit = details.limit;
+    this.spent = details.spent;
+    this.max = details.max;
+  }
+}
+
+/**
+ * An Idempotency-Key was reused with a different request
+ */
+class IdempotencyKeyMismatchError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { key }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'IdempotencyKeyMismatchError';
+    this.type = 'idempotency-key-mismatch';
+    this.status = 422;
+    this.key = details.key;
+  }
+}
+
+/**
+ * A workflow, workflow version or schedule does not exist
+ */
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.type = 'not-found';
+    this.status = 404;
+  }
+}
+
+module.exports = {
+  TimeoutError,
+  QueueFullError,
+  CircuitOpenError,
+  WorkflowValidationError,
+  WebhookValidationError,
+  ScheduleValidationError,
+  ApprovalRejectedError,
+  BudgetExceededError,
+  IdempotencyKeyMismatchError,
+  NotFoundError
+};
@@ -0,0 +1,116 @@
+/**
+ * Retry policies for agent steps
+ *
+ * A policy is declared on the workflow and/or the step (the step's fields win):
+ *
+ *   retryPolicy: { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 2000, jitter: 'full', retryOn: ['timeout', 'transient'] }
+ *
+ * Failures are classified as timeout, transient, rate-limited, validation or fatal,
+ * and only the classes in `retryOn` are retried. A step's `retries` field is
+ * shorthand for `maxAttempts`.
+ */
+
+const ERROR_CLASSES = ['timeout', 'transient', 'rate-limited', 'validation', 'fatal'];
+const JITTER_MODES = ['full', 'none'];
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  baseDelayMs: 100,
+  maxDelayMs: 5000,
+  jitter: 'full',
+  retryOn: ['timeout', 'transient', 'rate-limited']
+};
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Classify a thrown error, or a failed result's { error, errorType }, into an error class
+ * Errors may classify themselves with `errorClass`, or with a `type` naming a class.
+ */
+function classifyError(error) {
+  const message = String((error && (error.message || error.error)) || '');
+  const type = error && (error.errorClass || error.type || error.errorType);
+
+  if (ERROR_CLASSES.includes(type)) return type;
+  if (error && error.status === 429) return 'rate-limited';
+  if (error && (TRANSIENT_CODES.includes(error.code) || error.status >= 500)) return 'transient';
+
+  if (/timed out|timeout/i.test(message)) return 'timeout';
+  if (/rate limit|too many requests/i.test(message)) return 'rate-limited';
+  if (/temporar|unavailable|socket hang up|network|ECONN/i.test(message)) return 'transient';
+  if (/^invalid|missing|must be|is required|unknown task type/i.test(message)) return 'validation';
+
+  return 'fatal';
+}
+
+/**
+ * Merge the default, workflow and step policies
+ */
+function resolveRetryPolicy(step = {}, workflow = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...workflow.retryPolicy };
+
+  if (step.retries !== undefined) {
+    policy.maxAttempts = step.retries;
+  }
+
+  return { ...policy, ...step.retryPolicy };
+}
+
+/**
+ * Delay before the retry that follows `attempt`: exponential backoff capped at
+ * maxDelayMs, with full jitter picking uniformly between zero and that cap.
+ * A rate-limited error's `retryAfter` (seconds) is honoured up to maxDelayMs.
+ */
+function computeDelay(policy, attempt, error, random = Math.random) {
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  const delay = policy.jitter === 'full' ? Math.round(random() * backoff) : backoff;
+  const retryAfterMs = error && error.retryAfter ? error.retryAfter * 1000 : 0;
+
+  return Math.min(policy.maxDelayMs, Math.max(delay, retryAfterMs));
+}
+
+/**
+ * Validate a retryPolicy declaration
+ * @returns {string[]} - Path-level error messages
+ */
+function validateRetryPolicy(policy, where) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  const isCount = value => Number.isInteger(value) && value > 0;
+  const isDelay = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (policy.maxAttempts !== undefined && !isCount(policy.maxAttempts)) {
+    errors.push(`${where}.maxAttempts must be a positive integer`);
+  }
+  ['baseDelayMs', 'maxDelayMs'].forEach(field => {
+    if (policy[field] !== undefined && !isDelay(policy[field])) {
+      errors.push(`${where}.${field} must be a non-negative number`);
+    }
+  });
+  if (policy.jitter !== undefined && !JITTER_MODES.includes(policy.jitter)) {
+    errors.push(`${where}.jitter must be one of ${JITTER_MODES.join(', ')}`);
+  }
+  if (policy.retryOn !== undefined) {
+    if (!Array.isArray(policy.retryOn)) {
+      errors.push(`${where}.retryOn must be an array of error classes`);
+    } else {
+      policy.retryOn
+        .filter(errorClass => !ERROR_CLASSES.includes(errorClass))
+        .forEach(errorClass => errors.push(`${where}.retryOn "${errorClass}" is not one of ${ERROR_CLASSES.join(', ')}`));
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  DEFAULT_RETRY_POLICY,
+  classifyError,
+  resolveRetryPolicy,
+  computeDelay,
+  validateRetryPolicy
+};
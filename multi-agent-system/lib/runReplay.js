@@ -0,0 +1,191 @@
+/**
+ * Record-and-replay of agent calls
+ *
+ * A recorded run keeps one entry per agent call (every attempt of every step,
+ * and compensations), in the order the calls started:
+ *
+ *   { step, loop?, iteration?, compensation?, attempt, agent, task, clock, seed, memory, output | error }
+ *
+ * `memory` is the agent's snapshotMemory() taken just before the call; `clock`
+ * and `seed` are what the call ran with (see lib/determinism.js). Replaying an
+ * entry restores that memory on a copy of the agent and runs the task with the
+ * same clock and seed, so any difference in the output comes from the agent's code.
+ * Steps that run in parallel on the same agent may see each other's memory
+ * changes; their replay uses the memory each call started with.
+ */
+
+const { runDeterministic } = require('./determinism');
+const AgentMetrics = require('./AgentMetrics');
+
+const MAP_TAG = '$map';
+const SET_TAG = '$set';
+
+/**
+ * Deep copy into plain JSON values; Maps and Sets are tagged so decodeValue() can restore them
+ */
+function encodeValue(value, seen = new WeakSet()) {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  let encoded;
+  if (value instanceof Map) {
+    encoded = { [MAP_TAG]: Array.from(value.entries()).map(([key, item]) => [encodeValue(key, seen), encodeValue(item, seen)]) };
+  } else if (value instanceof Set) {
+    encoded = { [SET_TAG]: Array.from(value).map(item => encodeValue(item, seen)) };
+  } else if (value instanceof Date) {
+    encoded = value.toISOString();
+  } else if (Array.isArray(value)) {
+    encoded = value.map(item => (item === undefined ? null : encodeValue(item, seen)));
+  } else {
+    encoded = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const copy = encodeValue(item, seen);
+      if (copy !== undefined) {
+        encoded[key] = copy;
+      }
+    });
+  }
+
+  seen.delete(value);
+  return encoded;
+}
+
+function decodeValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (Array.isArray(value[MAP_TAG])) {
+    return new Map(value[MAP_TAG].map(([key, item]) => [decodeValue(key), decodeValue(item)]));
+  }
+  if (Array.isArray(value[SET_TAG])) {
+    return new Set(value[SET_TAG].map(decodeValue));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item)]));
+}
+
+/**
+ * The first place two JSON values differ, or null when they are equal
+ * @returns {Object|null} - { path, recorded, replayed }
+ */
+function firstDifference(recorded, replayed, path = '') {
+  const at = key => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+  if (Array.isArray(recorded) && Array.isArray(replayed)) {
+    for (let index = 0; index < Math.max(recorded.length, replayed.length); index++) {
+      const difference = firstDifference(recorded[index], replayed[index], at(index));
+      if (difference) return difference;
+    }
+    return null;
+  }
+
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(recorded) && isObject(replayed)) {
+    const keys = [...new Set([...Object.keys(recorded), ...Object.keys(replayed)])];
+    for (const key of keys) {
+      const difference = firstDifference(recorded[key], replayed[key], at(key));
+      if (difference) return difference;
+    }
+    return null;
+  }
+
+  return recorded === replayed ? null : { path: path || '(root)', recorded, replayed };
+}
+
+/**
+ * A copy of an agent to replay on, so the live agent's memory, metrics and events are untouched
+ */
+function replicate(agent, memory) {
+  const replica = Object.assign(Object.create(Object.getPrototypeOf(agent)), agent);
+
+  replica.metrics = new AgentMetrics();
+  replica.conversationHistory = [];
+  replica.state = 'idle';
+  replica.onStateChange = null;
+  if (typeof replica.restoreMemory === 'function') {
+    replica.restoreMemory(decodeValue(memory));
+  }
+  return replica;
+}
+
+/**
+ * Run one recorded call again on a copy of `agent`
+ * @returns {Promise<Object>} - { matches, output?, error?, difference }
+ */
+async function replayEntry(agent, entry) {
+  const replica = replicate(agent, entry.memory);
+  const replayed = {};
+
+  try {
+    replayed.output = encodeValue(await runDeterministic(entry, () => replica.process(decodeValue(entry.task))));
+  } catch (error) {
+    replayed.error = { message: error.message, type: error.type };
+  }
+
+  const difference = entry.error || replayed.error
+    ? firstDifference({ error: entry.error }, { error: replayed.error })
+    : firstDifference(entry.output, replayed.output, 'output');
+
+  return { matches: !difference, ...replayed, difference };
+}
+
+/**
+ * Describe an entry for reports: where it ran, without its payloads
+ */
+function describeEntry(entry, index) {
+  return {
+    index,
+    step: entry.step,
+    loop: entry.loop,
+    iteration: entry.iteration,
+    compensation: entry.compensation,
+    attempt: entry.attempt,
+    agent: entry.agent
+  };
+}
+
+/**
+ * Replay recorded calls in order until one diverges
+ * @param {Object[]} entries - A run's recording
+ * @param {Function} resolveAgent - Agent for a recorded agent name, or undefined
+ * @returns {Promise<Object>} - { total, replayed, matched, divergence, calls }
+ */
+async function replayEntries(entries, resolveAgent) {
+  const calls = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const agent = resolveAgent(entry.agent);
+    const call = describeEntry(entry, index);
+
+    if (!agent) {
+      const divergence = { ...call, reason: `Agent not registered: ${entry.agent}` };
+      return { total: entries.length, replayed: calls.length, matched: false, divergence, calls };
+    }
+
+    const { matches, difference } = await replayEntry(agent, entry);
+    calls.push({ ...call, matches });
+
+    if (!matches) {
+      const divergence = { ...call, ...difference };
+      return { total: entries.length, replayed: calls.length, matched: false, divergence, calls };
+    }
+  }
+
+  return { total: entries.length, replayed: calls.length, matched: true, divergence: null, calls };
+}
+
+module.exports = {
+  encodeValue,
+  decodeValue,
+  firstDifference,
+  replayEntry,
+  replayEntries,
+  describeEntry
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryRunStore = require('./MemoryRunStore');
+
+/**
+ * JsonlRunStore - Append-only JSON-lines run store
+ * Every checkpoint appends the full run snapshot as one line; on startup the
+ * file is replayed (the last line per run wins) and compacted to one line per run.
+ * It is compacted again whenever it grows past `compactAfterLines` lines and twice
+ * the runs and schedules it holds, so long-lived servers do not grow it without bound.
+ * Schedules share the file as `{ "schedule": {...} }` lines, and deletions as
+ * `{ "deletedSchedule": "<id>" }`.
+ * A partially written last line, left by a crash mid-append, is ignored.
+ */
+class JsonlRunStore extends MemoryRunStore {
+  /**
+   * @param {string} filePath
+   * @param {Object} [options] - { maxRuns } as for MemoryRunStore, { compactAfterLines } (default 10000),
+   *   { logger } to warn on a failed compaction
+   */
+  constructor(filePath, options = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.compactAfterLines = options.compactAfterLines || 10000;
+    this.logger = options.logger;
+    // The last failed compaction's error, null once one succeeds
+    this.compactionError = null;
+    this.writeQueue = Promise.resolve();
+    this.skippedLines = 0;
+    // Lines in the file, to tell when it is due for compaction
+    this.lineCount = 0;
+    this.load();
+  }
+
+  /**
+   * Replay the file into memory and compact it
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+      lines.forEach(line => {
+        if (!line.trim()) return;
+        try {
+          this.loadEntry(JSON.parse(line));
+        } catch (error) {
+          this.skippedLines++;
+        }
+      });
+    }
+
+    this.compact();
+  }
+
+  /**
+   * Apply one line of the file
+   */
+  loadEntry(entry) {
+    if (entry.schedule) {
+      this.schedules.set(entry.schedule.id, entry.schedule);
+    } else if (entry.deletedSchedule) {
+      this.schedules.delete(entry.deletedSchedule);
+    } else {
+      this.storeRecord(entry);
+    }
+  }
+
+  /**
+   * One line for the latest snapshot of each stored run and schedule
+   */
+  snapshotLines() {
+    return [
+      ...Array.from(this.runs.values()),
+      ...Array.from(this.schedules.values()).map(schedule => ({ schedule }))
+    ].map(entry => `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Rewrite the file with the latest snapshot of each stored run and schedule
+   */
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = this.snapshotLines();
+
+    fs.writeFileSync(tempPath, lines.join(''));
+    fs.renameSync(tempPath, this.filePath);
+    this.lineCount = lines.length;
+  }
+
+  /**
+   * Compact without blocking; runs in the write queue, between appends
+   * Snapshots queued behind it are appended again afterwards, which replays the same.
+   */
+  async compactInBackground() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = this.snapshotLines();
+
+    try {
+      await fs.promises.writeFile(tempPath, lines.join(''));
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+      throw error;
+    }
+    this.lineCount = lines.length;
+    this.compactionError = null;
+  }
+
+  /**
+   * Record a failed compaction; the file is left as it was
+   */
+  compactionFailed(error) {
+    this.compactionError = error;
+    if (this.logger) {
+      this.logger.warn(`Run store compaction failed: ${error.message}`, { filePath: this.filePath });
+    }
+  }
+
+  /**
+   * Whether the file holds enough stale snapshots to be worth rewriting
+   */
+  needsCompaction() {
+    return this.lineCount > Math.max(this.compactAfterLines, 2 * (this.runs.size + this.schedules.size));
+  }
+
+  /**
+   * Append a run snapshot
+   */
+  async saveRun(record) {
+    this.storeRecord(record);
+    return this.append(record);
+  }
+
+  async saveSchedule(schedule) {
+    await super.saveSchedule(schedule);
+    return this.append({ schedule });
+  }
+
+  async deleteSchedule(id) {
+    if (!(await super.deleteSchedule(id))) {
+      return false;
+    }
+    await this.append({ deletedSchedule: id });
+    return true;
+  }
+
+  /**
+   * Append a line; appends are serialised so the file keeps checkpoint order
+   * The caller waits for its line only, not for a compaction it triggers; a failed
+   * compaction leaves the file as it was and is tried again on a later append.
+   */
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+
+    const appended = this.writeQueue
+      .then(() => fs.promises.appendFile(this.filePath, line))
+      .then(() => { this.lineCount++; });
+
+    // Never rejects: a failed append is the caller's to handle, a failed compaction is recorded
+    this.writeQueue = appended.then(
+      () => (this.needsCompaction() ? this.compactInBackground().catch(error => this.compactionFailed(error)) : undefined),
+      () => {}
+    );
+
+    return appended;
+  }
+}
+
+module.exports = JsonlRunStore;
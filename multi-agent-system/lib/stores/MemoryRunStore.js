@@ -0,0 +1,74 @@
+const RunStore = require('./RunStore');
+
+/**
+ * MemoryRunStore - Keeps run and schedule records in process memory
+ * Records are copied on the way in and out so callers cannot mutate stored state.
+ * Only the newest `maxRuns` run records are kept; unfinished runs are never evicted.
+ */
+class MemoryRunStore extends RunStore {
+  constructor(options = {}) {
+    super();
+    this.runs = new Map();
+    this.schedules = new Map();
+    this.maxRuns = options.maxRuns || 1000;
+  }
+
+  async saveRun(record) {
+    this.storeRecord(record);
+  }
+
+  async getRun(id) {
+    const record = this.runs.get(id);
+    return record ? this.copy(record) : null;
+  }
+
+  async listRuns(filter = {}) {
+    return Array.from(this.runs.values())
+      .filter(record => RunStore.matches(record, filter))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .map(record => this.copy(record));
+  }
+
+  async saveSchedule(schedule) {
+    this.schedules.set(schedule.id, this.copy(schedule));
+  }
+
+  async deleteSchedule(id) {
+    return this.schedules.delete(id);
+  }
+
+  async listSchedules() {
+    return Array.from(this.schedules.values()).map(schedule => this.copy(schedule));
+  }
+
+  /**
+   * Store a record, moving it to the most recently updated position
+   */
+  storeRecord(record) {
+    this.runs.delete(record.id);
+    this.runs.set(record.id, this.copy(record));
+    this.prune();
+  }
+
+  /**
+   * Evict the least recently updated finished runs beyond maxRuns
+   */
+  prune() {
+    if (this.runs.size <= this.maxRuns) {
+      return;
+    }
+
+    for (const [id, record] of this.runs) {
+      if (this.runs.size <= this.maxRuns) break;
+      if (RunStore.FINISHED_STATUSES.includes(record.status)) {
+        this.runs.delete(id);
+      }
+    }
+  }
+
+  copy(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+}
+
+module.exports = MemoryRunStore;
@@ -0,0 +1,116 @@
+/**
+ * RunStore - Abstract base class for workflow run persistence
+ * Stores plain run records checkpointed by the orchestrator after every step:
+ * { id, workflow, status, input, results, skipped, outputs, forwarded, checkpoint, ... }
+ * and the Scheduler's schedule records: { id, workflow, cron, timezone, task, nextFireAt, ... }
+ */
+class RunStore {
+  constructor() {
+    if (new.target === RunStore) {
+      throw new TypeError('Cannot instantiate abstract class RunStore directly');
+    }
+  }
+
+  /**
+   * Save the latest snapshot of a run record
+   * @param {Object} record - Plain, JSON-serialisable run record
+   * @returns {Promise<void>}
+   */
+  async saveRun(record) {
+    throw new Error('saveRun() must be implemented by subclass');
+  }
+
+  /**
+   * Get a run record by ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRun(id) {
+    throw new Error('getRun() must be implemented by subclass');
+  }
+
+  /**
+   * List run records, newest first
+   * @param {Object} [filter] - { workflow, status, from, to, parentRunId, scheduleId, idempotencyKey };
+   *   status may be a string or an array, from/to bound the creation time (ISO strings or Dates, inclusive),
+   *   parentRunId selects the child runs of a run, scheduleId the runs a schedule started and
+   *   idempotencyKey the run started by a request with that Idempotency-Key
+   * @returns {Promise<Object[]>}
+   */
+  async listRuns(filter = {}) {
+    throw new Error('listRuns() must be implemented by subclass');
+  }
+
+  /**
+   * Save the latest state of a schedule
+   * @param {Object} schedule - Plain, JSON-serialisable schedule record
+   * @returns {Promise<void>}
+   */
+  async saveSchedule(schedule) {
+    throw new Error('saveSchedule() must be implemented by subclass');
+  }
+
+  /**
+   * @returns {Promise<boolean>} - Whether the schedule existed
+   */
+  async deleteSchedule(id) {
+    throw new Error('deleteSchedule() must be implemented by subclass');
+  }
+
+  /**
+   * List schedule records, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  async listSchedules() {
+    throw new Error('listSchedules() must be implemented by subclass');
+  }
+
+  /**
+   * List runs that had not finished when they were last checkpointed
+   */
+  async listUnfinishedRuns() {
+    return this.listRuns({ status: RunStore.UNFINISHED_STATUSES });
+  }
+
+  /**
+   * Check a record against a listRuns filter
+   */
+  static matches(record, filter = {}) {
+    if (filter.workflow && record.workflow !== filter.workflow) {
+      return false;
+    }
+
+    if (filter.parentRunId && record.parentRunId !== filter.parentRunId) {
+      return false;
+    }
+
+    if (filter.scheduleId && record.scheduleId !== filter.scheduleId) {
+      return false;
+    }
+
+    if (filter.idempotencyKey && record.idempotencyKey !== filter.idempotencyKey) {
+      return false;
+    }
+
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      if (!statuses.includes(record.status)) {
+        return false;
+      }
+    }
+
+    const createdAt = Date.parse(record.createdAt);
+    if (filter.from && createdAt < new Date(filter.from).getTime()) {
+      return false;
+    }
+    if (filter.to && createdAt > new Date(filter.to).getTime()) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+RunStore.UNFINISHED_STATUSES = ['queued', 'running'];
+RunStore.FINISHED_STATUSES = ['completed', 'failed', 'escalated', 'cancelled', 'budget-exceeded'];
+
+module.exports = RunStore;
@@ -0,0 +1,100 @@
+/**
+ * Workflow conditions, used by branch steps and loop `until` clauses
+ *
+ * A condition compares a mapped value with a literal:
+ *
+ *   { path: '$steps.verify-improved.grade', op: 'in', value: ['A', 'B'] }
+ *
+ * and conditions combine with { all: [...] }, { any: [...] } and { not: {...} }.
+ * `path` accepts the same $input / $steps references as step input mappings.
+ */
+
+const { parseReference, resolveValue } = require('./workflowMapping');
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  nin: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  contains: (actual, expected) => (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected !== false)
+};
+
+/**
+ * Evaluate a condition against the run context
+ */
+function evaluateCondition(condition, context) {
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(part => evaluateCondition(part, context));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(part => evaluateCondition(part, context));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, context);
+  }
+
+  const actual = resolveValue(condition.path, context);
+  const operator = OPERATORS[condition.op || 'eq'];
+
+  if (actual === undefined && condition.op !== 'exists') {
+    return false;
+  }
+
+  return operator(actual, condition.value);
+}
+
+/**
+ * Validate a condition's shape and collect the step names it references
+ * @param {Object} condition - Condition to validate
+ * @param {string} where - Path of the condition for error messages
+ * @param {Function} onReference - Called with (stepName, where) for every $steps reference
+ * @returns {string[]} - Path-level error messages
+ */
+function validateCondition(condition, where, onReference = () => {}) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${where} must be a condition object`];
+  }
+
+  const combinator = ['all', 'any'].find(key => condition[key] !== undefined);
+  if (combinator) {
+    if (!Array.isArray(condition[combinator]) || condition[combinator].length === 0) {
+      return [`${where}.${combinator} must be a non-empty array of conditions`];
+    }
+    return condition[combinator].flatMap((part, index) =>
+      validateCondition(part, `${where}.${combinator}[${index}]`, onReference));
+  }
+
+  if (condition.not !== undefined) {
+    return validateCondition(condition.not, `${where}.not`, onReference);
+  }
+
+  const errors = [];
+  const reference = typeof condition.path === 'string' ? parseReference(condition.path) : null;
+
+  if (!reference || reference.source === 'unknown') {
+    errors.push(`${where}.path must be a $input or $steps.<step> reference`);
+  } else if (reference.source === 'step') {
+    onReference(reference.step, `${where}.path`);
+  }
+
+  if (condition.op !== undefined && !OPERATORS[condition.op]) {
+    errors.push(`${where}.op "${condition.op}" is not one of ${Object.keys(OPERATORS).join(', ')}`);
+  }
+
+  if ((condition.op === 'in' || condition.op === 'nin') && !Array.isArray(condition.value)) {
+    errors.push(`${where}.value must be an array for "${condition.op}"`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  OPERATORS,
+  evaluateCondition,
+  validateCondition
+};
@@ -0,0 +1,93 @@
+/**
+ * Structural diff between two workflow definitions
+ *
+ * Objects are compared key by key and step lists by step name, so inserting a
+ * step reports one added step rather than every later step as changed:
+ *
+ *   { path: 'steps[verify-design].retries', change: 'changed', from: 1, to: 2 }
+ *   { path: 'steps[audit-ethics]', change: 'added', to: { ... } }
+ *   { path: 'steps', change: 'reordered', from: ['a', 'b'], to: ['b', 'a'] }
+ *
+ * Any other array (e.g. `dependsOn`) is compared as a whole value.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStepList(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(item => isPlainObject(item) && typeof item.name === 'string') &&
+    new Set(value.map(item => item.name)).size === value.length;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function diffValues(before, after, path, changes) {
+  if (isEqual(before, after)) {
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      const at = join(path, key);
+      if (!(key in before)) {
+        changes.push({ path: at, change: 'added', to: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: at, change: 'removed', from: before[key] });
+      } else {
+        diffValues(before[key], after[key], at, changes);
+      }
+    });
+    return;
+  }
+
+  if (isStepList(before) && isStepList(after)) {
+    diffSteps(before, after, path, changes);
+    return;
+  }
+
+  changes.push({ path, change: 'changed', from: before, to: after });
+}
+
+function diffSteps(before, after, path, changes) {
+  const beforeByName = new Map(before.map(step => [step.name, step]));
+  const afterByName = new Map(after.map(step => [step.name, step]));
+
+  before
+    .filter(step => !afterByName.has(step.name))
+    .forEach(step => changes.push({ path: `${path}[${step.name}]`, change: 'removed', from: step }));
+  after
+    .filter(step => !beforeByName.has(step.name))
+    .forEach(step => changes.push({ path: `${path}[${step.name}]`, change: 'added', to: step }));
+
+  const kept = after.filter(step => beforeByName.has(step.name));
+  kept.forEach(step => diffValues(beforeByName.get(step.name), step, `${path}[${step.name}]`, changes));
+
+  const beforeOrder = before.filter(step => afterByName.has(step.name)).map(step => step.name);
+  const afterOrder = kept.map(step => step.name);
+  if (!isEqual(beforeOrder, afterOrder)) {
+    changes.push({ path, change: 'reordered', from: beforeOrder, to: afterOrder });
+  }
+}
+
+/**
+ * Diff two workflow definitions
+ * @returns {Object[]} - Changes as { path, change: added|removed|changed|reordered, from?, to? }
+ */
+function diffWorkflows(before, after) {
+  const changes = [];
+  diffValues(before, after, '', changes);
+  return changes;
+}
+
+module.exports = {
+  diffWorkflows
+};
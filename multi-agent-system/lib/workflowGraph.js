@@ -0,0 +1,133 @@
+/**
+ * Workflow dependency graph
+ *
+ * Steps declare the steps they wait for with `dependsOn`. A workflow where no
+ * step declares `dependsOn` keeps the original behaviour: every step depends on
+ * the one declared before it. Once any step declares `dependsOn`, steps without
+ * it are roots and start as soon as the run starts.
+ */
+
+/**
+ * Whether a workflow is defined as a dependency graph rather than a sequence
+ */
+function isGraph(steps) {
+  return steps.some(step => step && step.dependsOn !== undefined);
+}
+
+/**
+ * Build the dependency map (step name -> names it depends on)
+ */
+function buildDependencies(steps) {
+  const dependencies = new Map();
+  const graph = isGraph(steps);
+
+  steps.forEach((step, index) => {
+    if (graph) {
+      dependencies.set(step.name, Array.isArray(step.dependsOn) ? [...step.dependsOn] : []);
+    } else {
+      dependencies.set(step.name, index > 0 ? [steps[index - 1].name] : []);
+    }
+  });
+
+  return dependencies;
+}
+
+/**
+ * Find a dependency cycle, returned as the list of step names that form it
+ */
+function findCycle(dependencies) {
+  const visiting = new Set();
+  const visited = new Set();
+  const trail = [];
+
+  const visit = (name) => {
+    if (visited.has(name)) return null;
+    if (visiting.has(name)) {
+      return [...trail.slice(trail.indexOf(name)), name];
+    }
+
+    visiting.add(name);
+    trail.push(name);
+
+    for (const dependency of dependencies.get(name) || []) {
+      if (!dependencies.has(dependency)) continue;
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+
+    trail.pop();
+    visiting.delete(name);
+    visited.add(name);
+    return null;
+  };
+
+  for (const name of dependencies.keys()) {
+    const cycle = visit(name);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/**
+ * Validate `dependsOn` declarations
+ * @param {Object[]} steps - Steps at one level of the workflow
+ * @param {string} [prefix] - Path prefix for error messages
+ * @returns {string[]} - Path-level error messages, empty when the graph is valid
+ */
+function validateGraph(steps, prefix = '') {
+  const errors = [];
+  const names = new Set(steps.map(step => step.name));
+
+  steps.forEach((step, index) => {
+    if (step.dependsOn === undefined) return;
+
+    const where = `${prefix}steps[${index}] (${step.name}).dependsOn`;
+
+    if (!Array.isArray(step.dependsOn)) {
+      errors.push(`${where} must be an array of step names`);
+      return;
+    }
+
+    step.dependsOn.forEach((dependency, position) => {
+      if (dependency === step.name) {
+        errors.push(`${where}[${position}]: step cannot depend on itself`);
+      } else if (!names.has(dependency)) {
+        errors.push(`${where}[${position}]: unknown step "${dependency}"`);
+      }
+    });
+  });
+
+  if (errors.length === 0) {
+    const cycle = findCycle(buildDependencies(steps));
+    if (cycle) {
+      errors.push(`${prefix}dependsOn contains a cycle: ${cycle.join(' -> ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Collect every step that must complete before the given step can start
+ */
+function ancestorsOf(name, dependencies) {
+  const ancestors = new Set();
+  const pending = [...(dependencies.get(name) || [])];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (ancestors.has(current)) continue;
+    ancestors.add(current);
+    pending.push(...(dependencies.get(current) || []));
+  }
+
+  return ancestors;
+}
+
+module.exports = {
+  isGraph,
+  buildDependencies,
+  validateGraph,
+  ancestorsOf
+};
@@ -0,0 +1,226 @@
+/**
+ * Workflow step input/output mapping
+ *
+ * A step's `input` maps task data fields to values pulled from the run input
+ * or from the published output of an earlier step:
+ *
+ *   input: {
+ *     problem: '$input.problem',
+ *     component: '$steps.research-and-plan.components.0',
+ *     requirements: { from: '$input.requirements', default: {} },
+ *     depth: 'full'                       // anything else is a literal
+ *   }
+ *
+ * A step's `output` names what the step publishes, as paths into its result data:
+ *
+ *   output: { components: 'components', level: 'complexity.level' }
+ *
+ * Steps without an `output` mapping publish their whole result data.
+ */
+
+const INPUT_PREFIX = '$input';
+const STEPS_PREFIX = '$steps';
+
+/**
+ * Split a dotted path into segments ("a.b.0" -> ['a', 'b', '0'])
+ */
+function splitPath(path) {
+  if (!path) return [];
+  return String(path).split('.').filter(segment => segment.length > 0);
+}
+
+/**
+ * Read a value at a path, returning undefined when any segment is missing
+ */
+function resolvePath(source, path) {
+  const segments = Array.isArray(path) ? path : splitPath(path);
+  let value = source;
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+
+  return value;
+}
+
+/**
+ * Parse a mapping value into a reference, or null when it is a literal
+ */
+function parseReference(value) {
+  let from = value;
+  let hasDefault = false;
+  let defaultValue;
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.from === 'string') {
+    from = value.from;
+    hasDefault = Object.prototype.hasOwnProperty.call(value, 'default');
+    defaultValue = value.default;
+  }
+
+  if (typeof from !== 'string' || !from.startsWith('$')) {
+    return null;
+  }
+
+  const segments = splitPath(from);
+
+  if (segments[0] === INPUT_PREFIX) {
+    return { source: 'input', path: segments.slice(1), hasDefault, defaultValue, raw: from };
+  }
+
+  if (segments[0] === STEPS_PREFIX) {
+    return { source: 'step', step: segments[1], path: segments.slice(2), hasDefault, defaultValue, raw: from };
+  }
+
+  return { source: 'unknown', path: segments, hasDefault, defaultValue, raw: from };
+}
+
+/**
+ * Resolve a single mapping value against the run context
+ */
+function resolveValue(value, context) {
+  const reference = parseReference(value);
+  if (!reference) {
+    return value;
+  }
+
+  let resolved;
+  if (reference.source === 'input') {
+    resolved = resolvePath(context.input, reference.path);
+  } else if (reference.source === 'step') {
+    resolved = resolvePath(context.steps[reference.step], reference.path);
+  }
+
+  if (resolved === undefined && reference.hasDefault) {
+    return reference.defaultValue;
+  }
+
+  return resolved;
+}
+
+/**
+ * Build a step's task data from its input mapping
+ * @param {Object} mapping - The step's input mapping
+ * @param {Object} context - { input: run input data, steps: published outputs by step name }
+ * @returns {Object} - Task data for the step
+ */
+function resolveInput(mapping, context) {
+  const data = {};
+
+  Object.entries(mapping).forEach(([field, value]) => {
+    const resolved = resolveValue(value, context);
+    if (resolved !== undefined) {
+      data[field] = resolved;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Build what a step publishes from its result data and output mapping
+ */
+function publishOutput(mapping, data) {
+  if (!mapping) {
+    return data;
+  }
+
+  const published = {};
+  Object.entries(mapping).forEach(([name, path]) => {
+    published[name] = resolvePath(data, path);
+  });
+
+  return published;
+}
+
+/**
+ * Validate the input/output mappings of a list of workflow steps
+ * @param {Object[]} steps - Steps to validate
+ * @param {Object} [options]
+ * @param {Function} [options.canReference] - (step, referencedStepName) => boolean, whether the
+ *   referenced step is guaranteed to have run before `step`; defaults to "declared earlier"
+ * @param {Map} [options.lookup] - Every step a reference may name, by name; defaults to `steps`
+ * @param {string} [options.prefix] - Path prefix for error messages, e.g. "steps[3] (refine)."
+ * @returns {string[]} - Path-level error messages, empty when the mappings are valid
+ */
+function validateMappings(steps, options = {}) {
+  const errors = [];
+  const byName = options.lookup || new Map(steps.map(step => [step.name, step]));
+  const order = new Map(steps.map((step, index) => [step.name, index]));
+  const prefix = options.prefix || '';
+  const canReference = options.canReference ||
+    ((step, referenced) => order.get(referenced) < order.get(step.name));
+
+  steps.forEach((step, index) => {
+    const where = `${prefix}steps[${index}] (${step.name})`;
+
+    if (step.output !== undefined) {
+      if (!step.output || typeof step.output !== 'object' || Array.isArray(step.output)) {
+        errors.push(`${where}.output must be an object mapping published names to result paths`);
+      } else {
+        Object.entries(step.output).forEach(([name, path]) => {
+          if (typeof path !== 'string' || path.length === 0) {
+            errors.push(`${where}.output.${name} must be a non-empty path string`);
+          }
+        });
+      }
+    }
+
+    if (step.input === undefined) {
+      return;
+    }
+
+    if (!step.input || typeof step.input !== 'object' || Array.isArray(step.input)) {
+      errors.push(`${where}.input must be an object mapping task data fields to values`);
+      return;
+    }
+
+    Object.entries(step.input).forEach(([field, value]) => {
+      const reference = parseReference(value);
+      if (!reference) {
+        return;
+      }
+
+      const at = `${where}.input.${field}`;
+
+      if (reference.source === 'unknown') {
+        errors.push(`${at}: "${reference.raw}" must start with ${INPUT_PREFIX} or ${STEPS_PREFIX}.<step>`);
+        return;
+      }
+
+      if (reference.source !== 'step') {
+        return;
+      }
+
+      const referenced = byName.get(reference.step);
+      if (!referenced) {
+        errors.push(`${at}: "${reference.raw}" references unknown step "${reference.step}"`);
+        return;
+      }
+
+      if (referenced === step || !canReference(step, reference.step)) {
+        errors.push(`${at}: "${reference.raw}" references step "${reference.step}" which does not run before "${step.name}"`);
+        return;
+      }
+
+      const published = referenced.output;
+      if (published && typeof published === 'object' && reference.path.length > 0 &&
+          !Object.prototype.hasOwnProperty.call(published, reference.path[0])) {
+        errors.push(`${at}: step "${reference.step}" does not publish "${reference.path[0]}"`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  resolvePath,
+  parseReference,
+  resolveValue,
+  resolveInput,
+  publishOutput,
+  validateMappings
+};
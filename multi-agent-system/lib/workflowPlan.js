@@ -0,0 +1,308 @@
+/**
+ * Workflow dry runs
+ *
+ * Checks a workflow against the registered agents without calling process():
+ * every agent a step, fallback or compensation names must be registered and
+ * handle the task type it is sent, and input mappings are type-checked against
+ * the agent's task schema (see BaseAgent#getTaskSchemas). Errors use the same
+ * paths as workflow validation, e.g.
+ * "steps[1] (design-solution).input.requirements: ImplementationAgent "design" expects object, got string".
+ *
+ * The returned plan lists the steps in stages: steps in the same stage start
+ * together. Branch steps list their targets, loop steps plan their body,
+ * approval steps show their expiry and the action taken on it, and sub-workflow
+ * steps plan the child workflow, with its errors prefixed by the step, e.g.
+ * "steps[2] (qa).workflow (quality-assurance).steps[0] (verify-logic).agentName: ...".
+ */
+
+const { buildDependencies } = require('./workflowGraph');
+const { parseReference, resolvePath } = require('./workflowMapping');
+const { resolveRetryPolicy } = require('./retryPolicy');
+
+const ESCALATION_TASK_TYPE = 'escalation';
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Group steps into stages; a step's stage is one after the latest stage it depends on
+ */
+function buildStages(steps, dependencies) {
+  const stageOf = new Map();
+  const resolve = name => {
+    if (!stageOf.has(name)) {
+      const parents = dependencies.get(name);
+      stageOf.set(name, parents.length === 0 ? 0 : Math.max(...parents.map(resolve)) + 1);
+    }
+    return stageOf.get(name);
+  };
+
+  const stages = [];
+  steps.forEach(step => {
+    const stage = resolve(step.name);
+    stages[stage] = [...(stages[stage] || []), step.name];
+  });
+
+  return { stages, stageOf };
+}
+
+/**
+ * Check that an agent is registered and handles a task type
+ * @returns {Object|null} - The task type's input schema, or null when it cannot be checked
+ */
+function checkAgent(agentName, taskType, where, context) {
+  const agent = context.agents.get(agentName);
+  if (!agent) {
+    context.errors.push(`${where}: agent "${agentName}" is not registered`);
+    return null;
+  }
+  if (!taskType) {
+    context.errors.push(`${where}: no task type for agent "${agentName}" (set taskType or pass task.type)`);
+    return null;
+  }
+
+  const schemas = typeof agent.getTaskSchemas === 'function' ? agent.getTaskSchemas() : null;
+  if (!schemas) {
+    context.warnings.push(`${where}: agent "${agentName}" does not declare its task types, so "${taskType}" is not checked`);
+    return null;
+  }
+  if (!Object.prototype.hasOwnProperty.call(schemas, taskType)) {
+    context.errors.push(`${where}: agent "${agentName}" does not handle task type "${taskType}" (handles ${Object.keys(schemas).join(', ')})`);
+    return null;
+  }
+
+  return schemas[taskType];
+}
+
+/**
+ * Type-check an input mapping against a task schema
+ * References to the run input are resolved against `context.input` when a task was given.
+ */
+function checkInput(mapping, config, schema, where, label, context) {
+  const expect = (field, value, at) => {
+    const expected = schema[field] && schema[field].type;
+    if (expected && value !== undefined && typeOf(value) !== expected) {
+      context.errors.push(`${at}: ${label} expects ${expected}, got ${typeOf(value)}`);
+    }
+  };
+
+  Object.entries(schema).forEach(([field, fieldSchema]) => {
+    if (fieldSchema.required && !(field in mapping) && !(config && field in config)) {
+      context.errors.push(`${where}.input.${field}: required by ${label} but not mapped`);
+    }
+  });
+
+  Object.entries(mapping).forEach(([field, value]) => {
+    const at = `${where}.input.${field}`;
+    const reference = parseReference(value);
+
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      context.warnings.push(`${at}: not an input of ${label}`);
+    }
+    if (!reference) {
+      expect(field, value, at);
+      return;
+    }
+    if (reference.hasDefault) {
+      expect(field, reference.defaultValue, `${at} default`);
+    }
+    if (reference.source !== 'input' || !context.input) {
+      return;
+    }
+
+    const resolved = resolvePath(context.input, reference.path);
+    if (resolved !== undefined) {
+      expect(field, resolved, at);
+    } else if (!reference.hasDefault && schema[field] && schema[field].required) {
+      context.errors.push(`${at}: required by ${label} but ${reference.raw} is missing from the task data`);
+    }
+  });
+}
+
+function planAgentStep(step, where, context) {
+  const taskType = step.taskType || context.taskType;
+  const schema = checkAgent(step.agentName, taskType, `${where}.agentName`, context);
+  const label = `${step.agentName} "${taskType}"`;
+
+  if (schema && step.input) {
+    checkInput(step.input, step.config, schema, where, label, context);
+  }
+  if (step.fallbackAgent) {
+    const fallbackSchema = checkAgent(step.fallbackAgent, taskType, `${where}.fallbackAgent`, context);
+    if (fallbackSchema && step.input) {
+      checkInput(step.input, step.config, fallbackSchema, where, `${step.fallbackAgent} "${taskType}"`, context);
+    }
+  }
+  if (step.compensate) {
+    const { agentName, taskType: compensationType, input } = step.compensate;
+    const compensationSchema = checkAgent(agentName, compensationType, `${where}.compensate.agentName`, context);
+    if (compensationSchema && input) {
+      checkInput(input, null, compensationSchema, `${where}.compensate`, `${agentName} "${compensationType}"`, context);
+    }
+  }
+
+  return {
+    agent: step.agentName,
+    taskType,
+    input: step.input,
+    maxAttempts: resolveRetryPolicy(step, context.workflow).maxAttempts,
+    timeoutMs: step.timeoutMs,
+    fallbackAgent: step.fallbackAgent,
+    cache: step.cache,
+    compensate: step.compensate && { agent: step.compensate.agentName, taskType: step.compensate.taskType },
+    escalateOnFailure: Boolean(step.escalateOnFailure)
+  };
+}
+
+function planSubWorkflow(step, where, context) {
+  const entry = {
+    workflow: step.workflow,
+    version: step.version,
+    parameters: step.parameters,
+    input: step.input,
+    maxAttempts: resolveRetryPolicy(step, context.workflow).maxAttempts,
+    timeoutMs: step.timeoutMs,
+    escalateOnFailure: Boolean(step.escalateOnFailure)
+  };
+  const at = `${where}.workflow (${step.workflow})`;
+
+  if (!context.resolveWorkflow) {
+    context.warnings.push(`${at}: sub-workflows are not checked`);
+    return entry;
+  }
+  if (context.lineage.includes(step.workflow)) {
+    context.errors.push(`${at}: sub-workflow cycle ${[...context.lineage, step.workflow].join(' -> ')}`);
+    return entry;
+  }
+
+  let child;
+  try {
+    child = context.resolveWorkflow(step.workflow, step.version, step.parameters);
+  } catch (error) {
+    (error.errors && error.errors.length > 0 ? error.errors : [error.message])
+      .forEach(message => context.errors.push(`${at}: ${message}`));
+    return entry;
+  }
+
+  // The child's input comes from this run's steps, so its $input references are not checked
+  const childContext = {
+    ...context,
+    workflow: child,
+    input: undefined,
+    lineage: [...context.lineage, step.workflow],
+    inChild: true,
+    errors: [],
+    warnings: []
+  };
+  const plan = planLevel(child.steps, '', childContext);
+  childContext.errors.forEach(message => context.errors.push(`${at}.${message}`));
+  childContext.warnings.forEach(message => context.warnings.push(`${at}.${message}`));
+
+  return { ...entry, ...plan };
+}
+
+/**
+ * Plan one level of steps (the workflow itself or a loop body)
+ */
+function planLevel(steps, prefix, context) {
+  const dependencies = buildDependencies(steps);
+  const { stages, stageOf } = buildStages(steps, dependencies);
+
+  const planned = steps.map((step, index) => {
+    const where = `${prefix}steps[${index}] (${step.name})`;
+    const type = step.type || 'agent';
+    const entry = { name: step.name, type, stage: stageOf.get(step.name), dependsOn: dependencies.get(step.name) };
+
+    if (type === 'agent') {
+      return { ...entry, ...planAgentStep(step, where, context) };
+    }
+    if (type === 'branch') {
+      return {
+        ...entry,
+        branches: step.branches.map(branch => ({ when: branch.when, next: branch.next })),
+        otherwise: step.otherwise || []
+      };
+    }
+    if (type === 'workflow') {
+      return { ...entry, ...planSubWorkflow(step, where, context) };
+    }
+    if (type === 'approval') {
+      if (context.inChild) {
+        context.errors.push(`${where}: approval steps cannot run in a sub-workflow`);
+      }
+      return {
+        ...entry,
+        message: step.message,
+        input: step.input,
+        timeoutMs: step.timeoutMs,
+        onExpiry: step.onExpiry || 'reject',
+        escalateOnFailure: Boolean(step.escalateOnFailure)
+      };
+    }
+    return {
+      ...entry,
+      until: step.until,
+      maxIterations: step.maxIterations,
+      maxDurationMs: step.maxDurationMs,
+      ...planLevel(step.steps, `${where}.`, context)
+    };
+  });
+
+  return { stages, steps: planned };
+}
+
+/**
+ * Dry-run a workflow definition
+ * @param {Object} workflow - A registered (already validated) workflow definition
+ * @param {Map} agents - Registered agents by name
+ * @param {Object} [initialTask] - Sample task; its `data` is checked against `$input` references
+ *   and its `type` is used by steps without a taskType
+ * @param {Object} [options]
+ * @param {Function} [options.resolveWorkflow] - (name, version, parameters) => the workflow a
+ *   sub-workflow step runs; throws when it cannot be run. Without it sub-workflows are not checked.
+ * @returns {Object} - { valid, errors, warnings, plan }
+ */
+function planWorkflow(workflow, agents, initialTask = {}, options = {}) {
+  const context = {
+    workflow,
+    agents,
+    taskType: initialTask.type,
+    input: initialTask.data,
+    resolveWorkflow: options.resolveWorkflow,
+    lineage: [workflow.name],
+    errors: [],
+    warnings: []
+  };
+
+  const plan = {
+    timeoutMs: workflow.timeoutMs,
+    budget: workflow.budget,
+    escalationHandler: workflow.escalationHandler,
+    ...planLevel(workflow.steps, '', context)
+  };
+
+  if (workflow.escalationHandler) {
+    const handler = agents.get(workflow.escalationHandler);
+    const schemas = handler && typeof handler.getTaskSchemas === 'function' ? handler.getTaskSchemas() : null;
+
+    if (!handler) {
+      context.errors.push(`escalationHandler: agent "${workflow.escalationHandler}" is not registered`);
+    } else if (schemas && !schemas[ESCALATION_TASK_TYPE]) {
+      context.warnings.push(`escalationHandler: agent "${workflow.escalationHandler}" does not handle task type "${ESCALATION_TASK_TYPE}", so escalations will fail`);
+    }
+  }
+
+  return {
+    valid: context.errors.length === 0,
+    errors: context.errors,
+    warnings: context.warnings,
+    plan
+  };
+}
+
+module.exports = {
+  planWorkflow
+};
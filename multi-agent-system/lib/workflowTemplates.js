@@ -0,0 +1,238 @@
+/**
+ * Parameterized workflow templates
+ *
+ * A workflow that declares `parameters` is a template, instantiated when a run starts:
+ *
+ *   parameters: { audits: { type: 'array', default: ['performance', 'ethics'] } }
+ *
+ * A string value that is exactly "$params.<name>" anywhere in the steps is replaced
+ * with the parameter's value, and a step with an `include` condition is kept only when
+ * the condition holds for the parameters, e.g.
+ *
+ *   include: { path: '$params.audits', op: 'contains', value: 'ethics' }
+ *
+ * Steps that depended on a removed step depend on its dependencies instead.
+ * Parameters without a default are required.
+ */
+
+const { buildDependencies, isGraph } = require('./workflowGraph');
+const { evaluateCondition, validateCondition } = require('./workflowConditions');
+
+const PARAMETER_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+const PARAMETER_PATTERN = /^\$params\.([A-Za-z_][A-Za-z0-9_]*)$/;
+const SAMPLE_VALUES = { string: '', number: 0, boolean: false, array: [], object: {} };
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isTemplate(workflow) {
+  return Boolean(workflow && workflow.parameters);
+}
+
+/**
+ * Check a value against a parameter declaration
+ * @returns {string|null} - What is wrong with it, or null
+ */
+function checkValue(declaration, value) {
+  if (typeOf(value) !== declaration.type) {
+    return `must be ${declaration.type === 'array' || declaration.type === 'object' ? 'an' : 'a'} ${declaration.type}`;
+  }
+  if (declaration.enum) {
+    const values = Array.isArray(value) ? value : [value];
+    const invalid = values.find(item => !declaration.enum.includes(item));
+    if (invalid !== undefined) {
+      return `${JSON.stringify(invalid)} is not one of ${declaration.enum.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a template's parameter declarations
+ * @returns {string[]} - Path-level error messages
+ */
+function validateParameterDeclarations(parameters) {
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return ['parameters must be an object of parameter declarations'];
+  }
+
+  const errors = [];
+
+  Object.entries(parameters).forEach(([name, declaration]) => {
+    const where = `parameters.${name}`;
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      errors.push(`${where}: name must start with a letter or _ and contain only letters, digits and _`);
+    }
+    if (!declaration || !PARAMETER_TYPES.includes(declaration.type)) {
+      errors.push(`${where}.type must be one of ${PARAMETER_TYPES.join(', ')}`);
+      return;
+    }
+    if (declaration.enum !== undefined && (!Array.isArray(declaration.enum) || declaration.enum.length === 0)) {
+      errors.push(`${where}.enum must be a non-empty array`);
+      return;
+    }
+    if (declaration.default !== undefined) {
+      const problem = checkValue(declaration, declaration.default);
+      if (problem) errors.push(`${where}.default ${problem}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Merge given parameter values over the declared defaults
+ * @returns {Object} - { values, errors }
+ */
+function resolveParameters(parameters, given = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!given || typeof given !== 'object' || Array.isArray(given)) {
+    return { values, errors: ['parameters must be an object'] };
+  }
+
+  Object.keys(given)
+    .filter(name => !Object.prototype.hasOwnProperty.call(parameters, name))
+    .forEach(name => errors.push(`parameters.${name}: not a parameter of this workflow (has ${Object.keys(parameters).join(', ') || 'none'})`));
+
+  Object.entries(parameters).forEach(([name, declaration]) => {
+    const value = given[name] !== undefined ? given[name] : declaration.default;
+
+    if (value === undefined) {
+      errors.push(`parameters.${name} is required`);
+      return;
+    }
+
+    const problem = checkValue(declaration, value);
+    if (problem) {
+      errors.push(`parameters.${name} ${problem}`);
+    } else {
+      values[name] = value;
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Values to check a template with when it is registered: defaults, or a value
+ * of the declared type for required parameters
+ */
+function sampleParameters(parameters) {
+  return Object.fromEntries(Object.entries(parameters).map(([name, declaration]) => [
+    name,
+    declaration.default !== undefined
+      ? declaration.default
+      : (declaration.enum ? (declaration.type === 'array' ? [declaration.enum[0]] : declaration.enum[0]) : SAMPLE_VALUES[declaration.type])
+  ]));
+}
+
+/**
+ * Replace "$params.<name>" strings in a value, at any depth
+ */
+function substitute(value, values) {
+  if (typeof value === 'string') {
+    const match = PARAMETER_PATTERN.exec(value);
+    return match && Object.prototype.hasOwnProperty.call(values, match[1]) ? values[match[1]] : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, values));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, values)]));
+  }
+  return value;
+}
+
+/**
+ * Conditions over parameters are evaluated like run conditions, with the parameters as
+ * the run input; paths that are not $params references are made invalid
+ */
+function toInputCondition(condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return condition;
+  if (Array.isArray(condition.all)) return { ...condition, all: condition.all.map(toInputCondition) };
+  if (Array.isArray(condition.any)) return { ...condition, any: condition.any.map(toInputCondition) };
+  if (condition.not) return { ...condition, not: toInputCondition(condition.not) };
+  if (typeof condition.path !== 'string') return condition;
+
+  return {
+    ...condition,
+    path: condition.path.startsWith('$params.') ? condition.path.replace(/^\$params\./, '$input.') : undefined
+  };
+}
+
+/**
+ * Validate the `include` conditions of a template's steps, nested loop bodies included
+ * @returns {string[]} - Path-level error messages
+ */
+function validateIncludes(steps, prefix = '') {
+  return steps.flatMap((step, index) => {
+    const where = `${prefix}steps[${index}] (${step.name})`;
+    const errors = [];
+
+    if (step.include !== undefined) {
+      errors.push(...validateCondition(toInputCondition(step.include), `${where}.include`)
+        .map(error => error.replace('must be a $input or $steps.<step> reference', 'must be a $params.<name> reference')));
+    }
+    if (step.type === 'loop' && Array.isArray(step.steps)) {
+      errors.push(...validateIncludes(step.steps, `${where}.`));
+    }
+    return errors;
+  });
+}
+
+/**
+ * Drop the steps whose `include` condition does not hold, rewiring what depended on them
+ */
+function includeSteps(steps, values) {
+  const context = { input: values, steps: {} };
+  const removed = new Map();
+  const dependencies = buildDependencies(steps);
+  const graph = isGraph(steps);
+
+  steps.forEach(step => {
+    if (step.include !== undefined && !evaluateCondition(toInputCondition(step.include), context)) {
+      removed.set(step.name, dependencies.get(step.name));
+    }
+  });
+
+  const expand = names => [...new Set(names.flatMap(name => (removed.has(name) ? expand(removed.get(name)) : [name])))];
+
+  return steps
+    .filter(step => !removed.has(step.name))
+    .map(({ include, ...step }) => {
+      const kept = { ...step };
+      if (graph && Array.isArray(step.dependsOn)) {
+        kept.dependsOn = expand(step.dependsOn);
+      }
+      if (step.type === 'loop' && Array.isArray(step.steps)) {
+        kept.steps = includeSteps(step.steps, values);
+      }
+      return kept;
+    });
+}
+
+/**
+ * Build the workflow a template describes for the given (resolved) parameter values
+ * @returns {Object} - A plain workflow definition
+ */
+function instantiateTemplate(template, values) {
+  const { parameters, ...workflow } = template;
+
+  return substitute({ ...workflow, steps: includeSteps(workflow.steps, values) }, values);
+}
+
+module.exports = {
+  PARAMETER_TYPES,
+  isTemplate,
+  validateParameterDeclarations,
+  validateIncludes,
+  resolveParameters,
+  sampleParameters,
+  instantiateTemplate
+};
@@ -0,0 +1,384 @@
+/**
+ * Workflow definition validation
+ *
+ * Checks step shapes, dependencies, mappings, branch targets and loop bodies,
+ * returning path-level error messages such as
+ * "steps[4] (refine).steps[1] (verify).input.target: references unknown step ...".
+ * Templates are checked by their parameter declarations and the workflow their
+ * defaults (or sample values for required parameters) produce.
+ */
+
+const { validateMappings, parseReference } = require('./workflowMapping');
+const { buildDependencies, validateGraph, ancestorsOf } = require('./workflowGraph');
+const { validateCondition } = require('./workflowConditions');
+const { validateRetryPolicy } = require('./retryPolicy');
+const { validateBudget } = require('./budget');
+const { validateCacheConfig } = require('./StepCache');
+const { MAX_TIMER_MS } = require('./duration');
+const {
+  validateParameterDeclarations,
+  validateIncludes,
+  sampleParameters,
+  instantiateTemplate
+} = require('./workflowTemplates');
+
+const STEP_TYPES = ['agent', 'branch', 'loop', 'approval', 'workflow'];
+const APPROVAL_EXPIRY_ACTIONS = ['approve', 'reject'];
+const MAX_LOOP_ITERATIONS = 20;
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * A time limit enforced with a timer, so at most MAX_TIMER_MS
+ */
+function isTimeLimit(value) {
+  return isPositiveNumber(value) && value <= MAX_TIMER_MS;
+}
+
+const TIME_LIMIT_RULE = `a positive number of at most ${MAX_TIMER_MS} (about 24.8 days)`;
+
+/**
+ * Whether a loop step contains the named step at any depth
+ */
+function containsStep(step, name) {
+  return step.type === 'loop' && Array.isArray(step.steps) &&
+    step.steps.some(child => child.name === name || containsStep(child, name));
+}
+
+/**
+ * Register every step name, nested loop bodies included; names are unique per workflow
+ */
+function collectNames(steps, prefix, lookup, errors) {
+  steps.forEach((step, index) => {
+    const where = `${prefix}steps[${index}]`;
+
+    if (!step || typeof step.name !== 'string' || !step.name) {
+      errors.push(`${where}.name is required`);
+      return;
+    }
+    if (lookup.has(step.name)) {
+      errors.push(`${where}.name "${step.name}" is already used by another step`);
+    }
+    lookup.set(step.name, step);
+
+    if (step.type === 'loop' && Array.isArray(step.steps)) {
+      collectNames(step.steps, `${where} (${step.name}).`, lookup, errors);
+    }
+  });
+}
+
+/**
+ * Validate the fields each step type requires
+ */
+function validateStepShape(step, where) {
+  const errors = [];
+  const type = step.type || 'agent';
+
+  if (!STEP_TYPES.includes(type)) {
+    return [`${where}.type "${step.type}" is not one of ${STEP_TYPES.join(', ')}`];
+  }
+  if (step.include !== undefined) {
+    errors.push(`${where}.include is only allowed in workflows that declare parameters`);
+  }
+
+  if (type === 'agent') {
+    if (typeof step.agentName !== 'string' || !step.agentName) {
+      errors.push(`${where}.agentName is required`);
+    }
+    if (step.taskType !== undefined && (typeof step.taskType !== 'string' || !step.taskType)) {
+      errors.push(`${where}.taskType must be a non-empty string`);
+    }
+    if (step.timeoutMs !== undefined && !isTimeLimit(step.timeoutMs)) {
+      errors.push(`${where}.timeoutMs must be ${TIME_LIMIT_RULE}`);
+    }
+    if (step.retries !== undefined && !(Number.isInteger(step.retries) && step.retries > 0)) {
+      errors.push(`${where}.retries must be a positive integer`);
+    }
+    if (step.retryPolicy !== undefined) {
+      errors.push(...validateRetryPolicy(step.retryPolicy, `${where}.retryPolicy`));
+    }
+    if (step.fallbackAgent !== undefined && (typeof step.fallbackAgent !== 'string' || !step.fallbackAgent)) {
+      errors.push(`${where}.fallbackAgent must be a non-empty string`);
+    }
+    if (step.compensate !== undefined) {
+      errors.push(...validateCompensationShape(step.compensate, `${where}.compensate`));
+    }
+    if (step.cache !== undefined) {
+      errors.push(...validateCacheConfig(step.cache, `${where}.cache`));
+    }
+  } else if (step.cache !== undefined) {
+    errors.push(`${where}.cache is only allowed on agent steps`);
+  }
+
+  if (type === 'branch') {
+    if (!Array.isArray(step.branches) || step.branches.length === 0) {
+      errors.push(`${where}.branches must be a non-empty array`);
+    } else {
+      step.branches.forEach((branch, index) => {
+        if (!branch || !Array.isArray(branch.next) || branch.next.length === 0) {
+          errors.push(`${where}.branches[${index}].next must be a non-empty array of step names`);
+        }
+      });
+    }
+    if (step.otherwise !== undefined && !Array.isArray(step.otherwise)) {
+      errors.push(`${where}.otherwise must be an array of step names`);
+    }
+  }
+
+  if (type === 'loop') {
+    if (!Array.isArray(step.steps) || step.steps.length === 0) {
+      errors.push(`${where}.steps must be a non-empty array`);
+    }
+    if (!step.until) {
+      errors.push(`${where}.until is required`);
+    }
+    if (step.maxIterations !== undefined &&
+        (!Number.isInteger(step.maxIterations) || step.maxIterations < 1 || step.maxIterations > MAX_LOOP_ITERATIONS)) {
+      errors.push(`${where}.maxIterations must be an integer between 1 and ${MAX_LOOP_ITERATIONS}`);
+    }
+    if (step.maxDurationMs !== undefined && !isPositiveNumber(step.maxDurationMs)) {
+      errors.push(`${where}.maxDurationMs must be a positive number`);
+    }
+  }
+
+  if (type === 'approval') {
+    if (step.message !== undefined && typeof step.message !== 'string') {
+      errors.push(`${where}.message must be a string`);
+    }
+    if (step.timeoutMs !== undefined && !isPositiveNumber(step.timeoutMs)) {
+      errors.push(`${where}.timeoutMs must be a positive number`);
+    }
+    if (step.onExpiry !== undefined && !APPROVAL_EXPIRY_ACTIONS.includes(step.onExpiry)) {
+      errors.push(`${where}.onExpiry must be one of ${APPROVAL_EXPIRY_ACTIONS.join(', ')}`);
+    }
+  }
+
+  if (type === 'workflow') {
+    if (typeof step.workflow !== 'string' || !step.workflow) {
+      errors.push(`${where}.workflow is required`);
+    }
+    if (step.version !== undefined && !(Number.isInteger(step.version) && step.version > 0)) {
+      errors.push(`${where}.version must be a positive integer`);
+    }
+    if (step.parameters !== undefined &&
+        (!step.parameters || typeof step.parameters !== 'object' || Array.isArray(step.parameters))) {
+      errors.push(`${where}.parameters must be an object of template parameter values`);
+    }
+    if (step.timeoutMs !== undefined && !isTimeLimit(step.timeoutMs)) {
+      errors.push(`${where}.timeoutMs must be ${TIME_LIMIT_RULE}`);
+    }
+    if (step.retries !== undefined && !(Number.isInteger(step.retries) && step.retries > 0)) {
+      errors.push(`${where}.retries must be a positive integer`);
+    }
+    if (step.retryPolicy !== undefined) {
+      errors.push(...validateRetryPolicy(step.retryPolicy, `${where}.retryPolicy`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the fields of a step's compensation action
+ */
+function validateCompensationShape(compensate, where) {
+  if (!compensate || typeof compensate !== 'object' || Array.isArray(compensate)) {
+    return [`${where} must be an object with agentName and taskType`];
+  }
+
+  const errors = [];
+
+  ['agentName', 'taskType'].forEach(field => {
+    if (typeof compensate[field] !== 'string' || !compensate[field]) {
+      errors.push(`${where}.${field} is required`);
+    }
+  });
+  if (compensate.input !== undefined &&
+      (!compensate.input || typeof compensate.input !== 'object' || Array.isArray(compensate.input))) {
+    errors.push(`${where}.input must be an object mapping task data fields to values`);
+  }
+  if (compensate.timeoutMs !== undefined && !isTimeLimit(compensate.timeoutMs)) {
+    errors.push(`${where}.timeoutMs must be ${TIME_LIMIT_RULE}`);
+  }
+  if (compensate.retries !== undefined && !(Number.isInteger(compensate.retries) && compensate.retries > 0)) {
+    errors.push(`${where}.retries must be a positive integer`);
+  }
+  if (compensate.retryPolicy !== undefined) {
+    errors.push(...validateRetryPolicy(compensate.retryPolicy, `${where}.retryPolicy`));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the references in a compensation's input mapping
+ * Compensations run after the step itself, so they may reference it and anything it may reference.
+ */
+function validateCompensationInput(step, where, lookup, canReference) {
+  const errors = [];
+
+  Object.entries(step.compensate.input || {}).forEach(([field, value]) => {
+    const reference = parseReference(value);
+    const at = `${where}.compensate.input.${field}`;
+
+    if (!reference || reference.source === 'input') {
+      return;
+    }
+    if (reference.source === 'unknown') {
+      errors.push(`${at}: "${reference.raw}" must start with $input or $steps.<step>`);
+    } else if (!lookup.has(reference.step)) {
+      errors.push(`${at}: "${reference.raw}" references unknown step "${reference.step}"`);
+    } else if (reference.step !== step.name && !canReference(step, reference.step)) {
+      errors.push(`${at}: "${reference.raw}" references step "${reference.step}" which does not run before "${step.name}"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a branch step's conditions and targets
+ */
+function validateBranch(step, where, context) {
+  const { steps, dependencies, lookup, canReference } = context;
+  const errors = [];
+  const onReference = (name, at) => {
+    if (!lookup.has(name)) {
+      errors.push(`${at}: references unknown step "${name}"`);
+    } else if (!canReference(step, name)) {
+      errors.push(`${at}: references step "${name}" which does not run before "${step.name}"`);
+    }
+  };
+  const checkTargets = (targets, at) => {
+    targets.forEach((target, index) => {
+      if (!steps.some(candidate => candidate.name === target)) {
+        errors.push(`${at}[${index}]: unknown step "${target}" at this level`);
+      } else if (!dependencies.get(target).includes(step.name)) {
+        errors.push(`${at}[${index}]: step "${target}" must depend on branch "${step.name}"`);
+      }
+    });
+  };
+
+  step.branches.forEach((branch, index) => {
+    errors.push(...validateCondition(branch.when, `${where}.branches[${index}].when`, onReference));
+    checkTargets(branch.next, `${where}.branches[${index}].next`);
+  });
+
+  if (step.otherwise) {
+    checkTargets(step.otherwise, `${where}.otherwise`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one level of steps (the workflow itself or a loop body)
+ * @param {Function} outerCanReference - Whether a step outside this level may be referenced
+ */
+function validateLevel(steps, prefix, lookup, outerCanReference) {
+  const errors = [];
+
+  steps.forEach((step, index) => {
+    errors.push(...validateStepShape(step, `${prefix}steps[${index}] (${step.name})`));
+  });
+  if (errors.length > 0) return errors;
+
+  errors.push(...validateGraph(steps, prefix));
+  if (errors.length > 0) return errors;
+
+  const dependencies = buildDependencies(steps);
+
+  // A step may reference an ancestor, anything inside an ancestor loop, or
+  // whatever the enclosing loop itself may reference
+  const canReference = (step, referenced) => {
+    const container = steps.find(candidate => candidate.name === referenced || containsStep(candidate, referenced));
+    if (!container) {
+      return outerCanReference(referenced);
+    }
+    return container !== step && ancestorsOf(step.name, dependencies).has(container.name);
+  };
+
+  errors.push(...validateMappings(steps, { canReference, lookup, prefix }));
+
+  steps.forEach((step, index) => {
+    const where = `${prefix}steps[${index}] (${step.name})`;
+
+    if (step.type === 'branch') {
+      errors.push(...validateBranch(step, where, { steps, dependencies, lookup, canReference }));
+    }
+
+    if (step.compensate) {
+      errors.push(...validateCompensationInput(step, where, lookup, canReference));
+    }
+
+    if (step.type === 'loop') {
+      const loopCanReference = referenced => canReference(step, referenced);
+
+      errors.push(...validateLevel(step.steps, `${where}.`, lookup, loopCanReference));
+      errors.push(...validateCondition(step.until, `${where}.until`, (name, at) => {
+        if (!lookup.has(name)) {
+          errors.push(`${at}: references unknown step "${name}"`);
+        } else if (!containsStep(step, name) && !loopCanReference(name)) {
+          errors.push(`${at}: references step "${name}" which does not run before "${step.name}"`);
+        }
+      }));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a workflow definition
+ * @returns {string[]} - Path-level error messages, empty when the workflow is valid
+ */
+function validateWorkflowDefinition(workflow) {
+  if (!workflow || !Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+    return ['steps must be a non-empty array'];
+  }
+
+  const workflowErrors = [];
+  const errors = [];
+  const lookup = new Map();
+
+  if (workflow.timeoutMs !== undefined && !isTimeLimit(workflow.timeoutMs)) {
+    workflowErrors.push(`timeoutMs must be ${TIME_LIMIT_RULE}`);
+  }
+  if (workflow.priority !== undefined && !Number.isInteger(workflow.priority)) {
+    workflowErrors.push('priority must be an integer');
+  }
+  if (workflow.maxConcurrent !== undefined && !(Number.isInteger(workflow.maxConcurrent) && workflow.maxConcurrent > 0)) {
+    workflowErrors.push('maxConcurrent must be a positive integer');
+  }
+  if (workflow.retryPolicy !== undefined) {
+    workflowErrors.push(...validateRetryPolicy(workflow.retryPolicy, 'retryPolicy'));
+  }
+  if (workflow.budget !== undefined) {
+    workflowErrors.push(...validateBudget(workflow.budget));
+  }
+
+  if (workflow.parameters !== undefined) {
+    workflowErrors.push(...validateParameterDeclarations(workflow.parameters));
+    collectNames(workflow.steps, '', lookup, errors);
+    if (workflowErrors.length > 0 || errors.length > 0) return [...workflowErrors, ...errors];
+
+    const includeErrors = validateIncludes(workflow.steps);
+    if (includeErrors.length > 0) return includeErrors;
+
+    return validateWorkflowDefinition(instantiateTemplate(workflow, sampleParameters(workflow.parameters)));
+  }
+
+  collectNames(workflow.steps, '', lookup, errors);
+  if (errors.length > 0) return [...workflowErrors, ...errors];
+
+  return [...workflowErrors, ...validateLevel(workflow.steps, '', lookup, () => false)];
+}
+
+module.exports = {
+  STEP_TYPES,
+  APPROVAL_EXPIRY_ACTIONS,
+  MAX_LOOP_ITERATIONS,
+  validateWorkflowDefinition
+};
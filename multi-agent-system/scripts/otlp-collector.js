@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for an OpenTelemetry collector
+ *
+ *   node scripts/otlp-collector.js [--port 4318] [--out ./data/collected-spans.jsonl]
+ *
+ * Accepts OTLP/HTTP JSON on POST /v1/traces, as sent by services started with
+ * OTEL_EXPORTER_OTLP_ENDPOINT=http://localhost:4318, prints a line per span and
+ * appends the spans, flattened, to --out. GET /traces/:traceId returns every span
+ * received for a trace, from all services, in start order.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const MAX_SPANS = 10000;
+
+function parseArgs(argv) {
+  const args = { port: 4318, out: './data/collected-spans.jsonl' };
+
+  for (let index = 0; index < argv.length; index += 2) {
+    const flag = argv[index].replace(/^--/, '');
+    if (!['port', 'out'].includes(flag) || argv[index + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[index]}`);
+    }
+    args[flag] = flag === 'port' ? parseInt(argv[index + 1], 10) : argv[index + 1];
+  }
+  return args;
+}
+
+function attributeValue(value = {}) {
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(attributeValue);
+  if ('intValue' in value) return Number(value.intValue);
+  return Object.values(value)[0];
+}
+
+function attributes(list = []) {
+  return Object.fromEntries(list.map(({ key, value }) => [key, attributeValue(value)]));
+}
+
+/**
+ * Flatten an OTLP request body into one object per span
+ */
+function decode(body) {
+  return (body.resourceSpans || []).flatMap(resourceSpans => {
+    const service = attributes(resourceSpans.resource && resourceSpans.resource.attributes)['service.name'];
+
+    return (resourceSpans.scopeSpans || []).flatMap(scopeSpans => (scopeSpans.spans || []).map(span => ({
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId,
+      service,
+      name: span.name,
+      startTime: new Date(Number(BigInt(span.startTimeUnixNano) / 1000000n)).toISOString(),
+      durationMs: Number((BigInt(span.endTimeUnixNano) - BigInt(span.startTimeUnixNano)) / 1000000n),
+      attributes: attributes(span.attributes),
+      status: span.status
+    })));
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const spans = [];
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+
+  const server = http.createServer((req, res) => {
+    const trace = /^\/traces\/([0-9a-f]{32})$/.exec(req.url);
+
+    if (req.method === 'GET' && trace) {
+      const found = spans.filter(span => span.traceId === trace[1]).sort((a, b) => a.startTime.localeCompare(b.startTime));
+      res.writeHead(found.length > 0 ? 200 : 404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ traceId: trace[1], spans: found }));
+    }
+
+    if (req.method !== 'POST' || req.url !== '/v1/traces') {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let received;
+      try {
+        received = decode(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: error.message }));
+      }
+
+      received.forEach(span => {
+        console.log(`${span.traceId.slice(0, 8)} ${span.service} ${span.name} ${span.durationMs}ms`);
+      });
+      spans.push(...received);
+      spans.splice(0, Math.max(0, spans.length - MAX_SPANS));
+      fs.appendFileSync(args.out, received.map(span => `${JSON.stringify(span)}\n`).join(''));
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  server.listen(args.port, () => console.log(`OTLP collector stand-in listening on port ${args.port}`));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { decode };
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded workflow run against the current agents
+ *
+ *   node scripts/replay.js <runId> [--store ./data/runs.jsonl] [--step name] [--iteration n] [--attempt n] [--agent ./MyAgent.js]
+ *
+ * Without --step every recorded agent call is re-executed in order and the first
+ * call whose output differs is reported. With --step only that step's call is
+ * replayed. --agent loads a modified agent class (or instance) to replay on in
+ * place of the built-in agent with the same name. Prints the report as JSON and
+ * exits with 1 when the replay diverges.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const AgentOrchestrator = require('../lib/AgentOrchestrator');
+const MemoryRunStore = require('../lib/stores/MemoryRunStore');
+const ResearchAgent = require('../agents/ResearchAgent');
+const ImplementationAgent = require('../agents/ImplementationAgent');
+const VerificationAgent = require('../agents/VerificationAgent');
+const MetaPromptOptimizer = require('../agents/MetaPromptOptimizer');
+const PerformanceAuditor = require('../agents/PerformanceAuditor');
+const AnomalyDetectionAgent = require('../agents/AnomalyDetectionAgent');
+const UserInteractionAgent = require('../agents/UserInteractionAgent');
+
+function parseArgs(argv) {
+  const args = { store: process.env.RUN_STORE_PATH || './data/runs.jsonl' };
+  const flags = ['store', 'step', 'iteration', 'attempt', 'agent'];
+
+  for (let index = 0; index < argv.length; index++) {
+    const flag = argv[index].startsWith('--') ? argv[index].slice(2) : null;
+
+    if (!flag) {
+      args.runId = argv[index];
+    } else if (flags.includes(flag) && argv[index + 1] !== undefined) {
+      args[flag] = argv[++index];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${argv[index]}`);
+    }
+  }
+
+  ['iteration', 'attempt'].forEach(field => {
+    if (args[field] !== undefined) {
+      args[field] = parseInt(args[field], 10);
+    }
+  });
+  return args;
+}
+
+/**
+ * Read the run store file without compacting it, so a running server's file is left alone
+ */
+function loadStore(filePath) {
+  const store = new MemoryRunStore({ maxRuns: Infinity });
+
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      // Schedule lines share the file; only runs matter here
+      if (!entry.schedule && !entry.deletedSchedule) {
+        store.storeRecord(entry);
+      }
+    } catch (error) {
+      // A partially written last line
+    }
+  });
+  return store;
+}
+
+function loadAgent(modulePath, logger) {
+  const exported = require(path.resolve(modulePath));
+  return typeof exported === 'function' ? new exported(logger) : exported;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.runId) {
+    console.error('Usage: node scripts/replay.js <runId> [--store file] [--step name] [--iteration n] [--attempt n] [--agent module]');
+    process.exit(2);
+  }
+
+  const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'error',
+    transports: [new winston.transports.Console({ format: winston.format.simple() })]
+  });
+  const orchestrator = new AgentOrchestrator(logger, { runStore: loadStore(args.store) });
+
+  [
+    new ResearchAgent(logger),
+    new ImplementationAgent(logger),
+    new VerificationAgent(logger),
+    new MetaPromptOptimizer(logger),
+    new PerformanceAuditor(logger),
+    new AnomalyDetectionAgent(logger),
+    new UserInteractionAgent(logger)
+  ].forEach(agent => orchestrator.registerAgent(agent));
+
+  const agent = args.agent ? loadAgent(args.agent, logger) : null;
+  const report = args.step
+    ? await orchestrator.replayStep(args.runId, args.step, { iteration: args.iteration, attempt: args.attempt, agent })
+    : await orchestrator.replayRun(args.runId, { agents: agent ? { [agent.name]: agent } : {} });
+
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(report.matched === false || report.matches === false ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(2);
+});
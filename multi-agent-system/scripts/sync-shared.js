@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Keep the files shared with the other agent services in step
+ *
+ *   node scripts/sync-shared.js [--check]
+ *
+ * Each service deploys from its own directory, so it holds a copy of the shared
+ * files at its root. Edit the files here, under lib/, and run this script to
+ * copy them over. With --check nothing is written: the copies that differ are
+ * listed and the script exits with 1. The tests run the same check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SERVICES = ['orchestrator-agent', 'prompt-enhancer-agent', 'slack-monitor-agent'];
+// Source under multi-agent-system/lib -> name in each service
+const SHARED = { 'tracing.js': 'tracing.js', 'metrics.js': 'metrics.js' };
+
+function copies() {
+  return Object.entries(SHARED).flatMap(([source, name]) => SERVICES.map(service => ({
+    source: path.join(__dirname, '..', 'lib', source),
+    copy: path.join(ROOT, service, name)
+  })));
+}
+
+/**
+ * Copies missing or differing from their source
+ * @returns {string[]} - Paths relative to the repository root
+ */
+function staleCopies() {
+  return copies()
+    .filter(({ source, copy }) => !fs.existsSync(copy) || fs.readFileSync(copy, 'utf8') !== fs.readFileSync(source, 'utf8'))
+    .map(({ copy }) => path.relative(ROOT, copy));
+}
+
+function sync() {
+  const stale = staleCopies();
+  copies()
+    .filter(({ copy }) => stale.includes(path.relative(ROOT, copy)))
+    .forEach(({ source, copy }) => fs.copyFileSync(source, copy));
+  return stale;
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--check')) {
+    const stale = staleCopies();
+    stale.forEach(copy => console.error(`${copy} differs from its source in multi-agent-system/lib`));
+    process.exit(stale.length ? 1 : 0);
+  }
+  sync().forEach(copy => console.log(`Updated ${copy}`));
+}
+
+module.exports = { staleCopies, sync };
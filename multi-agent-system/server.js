@@ -1,3 +1,4 @@
+const path = require('path');
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
@@ -8,6 +9,21 @@ require('dotenv').config();
 
 // Import agents and orchestrator
 const AgentOrchestrator = require('./lib/AgentOrchestrator');
+const AgentMetrics = require('./lib/AgentMetrics');
+const MemoryRunStore = require('./lib/stores/MemoryRunStore');
+const JsonlRunStore = require('./lib/stores/JsonlRunStore');
+const RunStore = require('./lib/stores/RunStore');
+const WorkflowLoader = require('./lib/WorkflowLoader');
+const WebhookDispatcher = require('./lib/WebhookDispatcher');
+const StepCache = require('./lib/StepCache');
+const IdempotencyStore = require('./lib/IdempotencyStore');
+const Scheduler = require('./lib/Scheduler');
+const { diffWorkflows } = require('./lib/workflowDiff');
+const { validateBudget } = require('./lib/budget');
+const { parseDuration } = require('./lib/duration');
+const { Tracer, traceFields } = require('./lib/tracing');
+const { Registry } = require('./lib/metrics');
+const OrchestratorMetrics = require('./lib/OrchestratorMetrics');
 const ResearchAgent = require('./agents/ResearchAgent');
 const ImplementationAgent = require('./agents/ImplementationAgent');
 const VerificationAgent = require('./agents/VerificationAgent');
@@ -16,10 +32,11 @@ const PerformanceAuditor = require('./agents/PerformanceAuditor');
 const AnomalyDetectionAgent = require('./agents/AnomalyDetectionAgent');
 const UserInteractionAgent = require('./agents/UserInteractionAgent');
 
-// Configure structured logging
+// Configure structured logging; entries logged inside a traced request or run carry its trace ID
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    winston.format(info => Object.assign(info, traceFields()))(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.json()
@@ -36,8 +53,35 @@ const logger = winston.createLogger({
   ]
 });
 
+// Trace requests, runs, steps and agent calls; exported to TRACE_FILE and/or OTEL_EXPORTER_OTLP_ENDPOINT
+const tracer = Tracer.fromEnv('multi-agent-system', logger);
+
+// Prometheus metrics, served on GET /metrics
+const metrics = new Registry().collectDefaultMetrics();
+const rateLimited = metrics.counter('http_rate_limited_total', 'Requests rejected by the rate limiter');
+
+// Run store: "file" keeps runs in an append-only JSONL file so a restart can resume them
+const runStore = process.env.RUN_STORE === 'file'
+  ? new JsonlRunStore(process.env.RUN_STORE_PATH || './data/runs.jsonl', { logger })
+  : new MemoryRunStore();
+
+if (runStore.skippedLines) {
+  logger.warn(`Run store skipped ${runStore.skippedLines} unreadable line(s)`);
+}
+
 // Initialize orchestrator and agents
-const orchestrator = new AgentOrchestrator(logger);
+const orchestrator = new AgentOrchestrator(logger, {
+  runStore,
+  maxConcurrentTasks: parseInt(process.env.MAX_CONCURRENT_RUNS, 10) || 10,
+  maxQueueSize: parseInt(process.env.MAX_QUEUED_RUNS, 10) || 100,
+  recordRuns: process.env.RECORD_RUNS === 'true',
+  tracer,
+  // Results of agent steps with a `cache: { ttl }` setting, reused by later runs
+  stepCache: new StepCache({ maxEntries: parseInt(process.env.STEP_CACHE_MAX_ENTRIES, 10) || 1000 })
+});
+
+// Count and time runs, steps, retries and escalations
+new OrchestratorMetrics(orchestrator, metrics);
 
 // Create and register all agents
 const researchAgent = new ResearchAgent(logger);
@@ -56,45 +100,33 @@ orchestrator.registerAgent(performanceAuditor);
 orchestrator.registerAgent(anomalyDetectionAgent);
 orchestrator.registerAgent(userInteractionAgent);
 
-// Register standard workflows
-orchestrator.registerWorkflow('complete-solution', {
-  name: 'complete-solution',
-  steps: [
-    { name: 'research-and-plan', agentName: 'ResearchAgent', config: {}, retries: 2, escalateOnFailure: false },
-    { name: 'design-solution', agentName: 'ImplementationAgent', config: {}, retries: 2, escalateOnFailure: false },
-    { name: 'verify-design', agentName: 'VerificationAgent', config: {}, retries: 1, escalateOnFailure: true },
-    { name: 'implement-solution', agentName: 'ImplementationAgent', config: {}, retries: 2, escalateOnFailure: false },
-    { name: 'verify-implementation', agentName: 'VerificationAgent', config: {}, retries: 1, escalateOnFailure: true },
-    { name: 'audit-performance', agentName: 'PerformanceAuditor', config: {}, retries: 1, escalateOnFailure: false },
-    { name: 'detect-anomalies', agentName: 'AnomalyDetectionAgent', config: {}, retries: 1, escalateOnFailure: true }
-  ],
-  escalationHandler: 'UserInteractionAgent'
-});
-
-orchestrator.registerWorkflow('iterative-refinement', {
-  name: 'iterative-refinement',
-  steps: [
-    { name: 'analyze-prompt', agentName: 'MetaPromptOptimizer', config: {}, retries: 1, escalateOnFailure: false },
-    { name: 'optimize-prompt', agentName: 'MetaPromptOptimizer', config: {}, retries: 1, escalateOnFailure: false },
-    { name: 'research-improved', agentName: 'ResearchAgent', config: {}, retries: 2, escalateOnFailure: false },
-    { name: 'implement-improved', agentName: 'ImplementationAgent', config: {}, retries: 2, escalateOnFailure: false },
-    { name: 'verify-improved', agentName: 'VerificationAgent', config: {}, retries: 1, escalateOnFailure: true },
-    { name: 'audit-improvements', agentName: 'PerformanceAuditor', config: {}, retries: 1, escalateOnFailure: false }
-  ],
-  escalationHandler: 'UserInteractionAgent'
-});
-
-orchestrator.registerWorkflow('quality-assurance', {
-  name: 'quality-assurance',
-  steps: [
-    { name: 'verify-logic', agentName: 'VerificationAgent', config: {}, retries: 1, escalateOnFailure: false },
-    { name: 'verify-implementation', agentName: 'VerificationAgent', config: {}, retries: 1, escalateOnFailure: true },
-    { name: 'assess-quality', agentName: 'VerificationAgent', config: {}, retries: 1, escalateOnFailure: false },
-    { name: 'detect-anomalies', agentName: 'AnomalyDetectionAgent', config: {}, retries: 1, escalateOnFailure: false },
-    { name: 'audit-performance', agentName: 'PerformanceAuditor', config: {}, retries: 1, escalateOnFailure: false },
-    { name: 'audit-ethics', agentName: 'PerformanceAuditor', config: {}, retries: 1, escalateOnFailure: true }
-  ],
-  escalationHandler: 'UserInteractionAgent'
+// Load workflow definitions from the workflows/ JSON files and reload them as they change.
+// Built-in workflows time out after 30s, inside the HTTP server timeout, so synchronous
+// callers get a 504 rather than a dropped connection.
+const workflowLoader = new WorkflowLoader(orchestrator, logger, {
+  directory: process.env.WORKFLOWS_DIR || path.join(__dirname, '..', 'workflows')
+});
+
+workflowLoader.loadAll();
+if (process.env.WORKFLOWS_WATCH !== 'false') {
+  workflowLoader.watch();
+}
+
+// Deliver orchestrator events to webhook subscribers; subscriptions survive restarts
+const webhooks = new WebhookDispatcher(orchestrator.events, logger, {
+  path: process.env.WEBHOOKS_PATH || './data/webhooks.json',
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  tracer
+});
+
+// Start workflows on cron schedules; schedules are kept in the run store
+const scheduler = new Scheduler(orchestrator, logger);
+
+// Responses to execute requests sent with an Idempotency-Key, replayed to retries
+const idempotency = new IdempotencyStore({
+  ttlMs: parseDuration(process.env.IDEMPOTENCY_TTL || '24h') || undefined,
+  maxEntries: parseInt(process.env.IDEMPOTENCY_MAX_KEYS, 10) || 10000
 });
 
 const app = express();
@@ -106,7 +138,9 @@ app.use(helmet());
 // CORS configuration
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:8080'],
-  methods: ['GET', 'POST'],
+  // PUT for /workflows/:name and /schedules/:id,
+  // DELETE for /webhooks/:id, /schedules/:id, /cache and /cache/:key
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
   credentials: true,
   maxAge: 86400
 };
@@ -118,13 +152,27 @@ app.use(compression());
 // Request size limits
 app.use(express.json({ limit: '1mb' }));
 
+// Continue the caller's trace (W3C traceparent); after body parsing, which loses the async context
+app.use(tracer.middleware());
+
+// Time every request, by route
+app.use(metrics.middleware());
+
+// Prometheus scrape endpoint, ahead of the rate limit so scrapes are never refused
+app.get('/metrics', metrics.handler());
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
   message: { error: 'Too many requests, please try again later' },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    rateLimited.inc();
+    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
+    res.status(options.statusCode).json(options.message);
+  }
 });
 app.use(limiter);
 
@@ -148,10 +196,42 @@ app.get('/status', (req, res) => {
   });
 });
 
+// Dry-run a workflow: check agents, task types and input mappings, and return its plan
+app.post('/workflow/validate', (req, res, next) => {
+  try {
+    const { workflowName, task, version, parameters, budget } = req.body;
+
+    if (!workflowName) {
+      return res.status(400).json({ error: 'Workflow name is required' });
+    }
+
+    if (task !== undefined && (!task || typeof task !== 'object')) {
+      return res.status(400).json({ error: 'Task must be an object' });
+    }
+
+    if (version !== undefined && !(Number.isInteger(version) && version > 0)) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    if (parameters !== undefined && (!parameters || typeof parameters !== 'object' || Array.isArray(parameters))) {
+      return res.status(400).json({ error: 'Parameters must be an object' });
+    }
+
+    const budgetErrors = budget !== undefined ? validateBudget(budget) : [];
+    if (budgetErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid budget', errors: budgetErrors });
+    }
+
+    res.json(orchestrator.dryRun(workflowName, task, { version, parameters, budget }));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Execute workflow endpoint
-app.post('/workflow/execute', async (req, res, next) => {
+app.post('/workflow/execute', idempotency.middleware('workflow-execute'), async (req, res, next) => {
   try {
-    const { workflowName, task } = req.body;
+    const { workflowName, task, async: runAsync, priority, version, dryRun, record, parameters, budget } = req.body;
 
     if (!workflowName) {
       return res.status(400).json({ error: 'Workflow name is required' });
@@ -161,9 +241,50 @@ app.post('/workflow/execute', async (req, res, next) => {
       return res.status(400).json({ error: 'Task object is required' });
     }
 
-    logger.info('Executing workflow', { workflowName, task });
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({ error: 'Priority must be an integer' });
+    }
+
+    if (version !== undefined && !(Number.isInteger(version) && version > 0)) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    if (record !== undefined && typeof record !== 'boolean') {
+      return res.status(400).json({ error: 'Record must be a boolean' });
+    }
+
+    if (parameters !== undefined && (!parameters || typeof parameters !== 'object' || Array.isArray(parameters))) {
+      return res.status(400).json({ error: 'Parameters must be an object' });
+    }
+
+    const budgetErrors = budget !== undefined ? validateBudget(budget) : [];
+    if (budgetErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid budget', errors: budgetErrors });
+    }
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...orchestrator.dryRun(workflowName, task, { version, parameters, budget }) });
+    }
+
+    const { idempotencyKey } = req;
+    logger.info('Executing workflow', { workflowName, task, async: Boolean(runAsync), priority, version, record, parameters, budget, idempotencyKey });
+
+    if (runAsync) {
+      const run = await orchestrator.startWorkflow(workflowName, task, { priority, version, record, parameters, budget, idempotencyKey });
+
+      return res.status(202).json({
+        success: true,
+        runId: run.id,
+        status: run.status,
+        workflow: workflowName,
+        workflowVersion: run.workflowVersion,
+        priority: run.priority,
+        queuePosition: orchestrator.queue.positionOf(run.id),
+        statusUrl: `/runs/${run.id}`
+      });
+    }
 
-    const result = await orchestrator.executeWorkflow(workflowName, task);
+    const result = await orchestrator.executeWorkflow(workflowName, task, { priority, version, record, parameters, budget, idempotencyKey });
 
     res.json({
       success: true,
@@ -175,8 +296,401 @@ app.post('/workflow/execute', async (req, res, next) => {
   }
 });
 
+// Run summary shown by the run listing
+const summarizeRun = (record) => ({
+  id: record.id,
+  workflow: record.workflow,
+  workflowVersion: record.workflowVersion,
+  parentRunId: record.parentRunId,
+  scheduleId: record.scheduleId,
+  idempotencyKey: record.idempotencyKey,
+  status: record.status,
+  priority: record.priority,
+  createdAt: record.createdAt,
+  completedAt: record.completedAt,
+  stepsCompleted: (record.results || []).length,
+  spend: record.spend,
+  error: record.error
+});
+
+// List runs, newest first
+app.get('/runs', async (req, res, next) => {
+  try {
+    const { workflow, status, from, to, parentRunId, scheduleId, idempotencyKey } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    for (const [field, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${field} must be an ISO date` });
+      }
+    }
+
+    const runs = await orchestrator.listRuns({
+      workflow,
+      status: status ? status.split(',') : undefined,
+      from,
+      to,
+      parentRunId,
+      scheduleId,
+      idempotencyKey
+    });
+
+    res.json({
+      total: runs.length,
+      runs: runs.slice(0, limit).map(summarizeRun)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a run with its step results
+app.get('/runs/:runId', async (req, res, next) => {
+  try {
+    const run = await orchestrator.getRun(req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({ error: `Run not found: ${req.params.runId}` });
+    }
+
+    if (run.status === 'queued') {
+      run.queuePosition = orchestrator.queue.positionOf(run.id);
+    }
+
+    const children = await orchestrator.listRuns({ parentRunId: run.id });
+    if (children.length > 0) {
+      run.children = children.map(summarizeRun);
+    }
+
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a running workflow between steps
+app.post('/runs/:runId/cancel', async (req, res, next) => {
+  try {
+    const cancellation = await orchestrator.cancelRun(req.params.runId);
+
+    if (!cancellation) {
+      return res.status(404).json({ error: `Run not found: ${req.params.runId}` });
+    }
+
+    if (!cancellation.accepted) {
+      return res.status(409).json({
+        error: `Run already ${cancellation.status}`,
+        runId: cancellation.runId,
+        status: cancellation.status
+      });
+    }
+
+    res.status(202).json({ success: true, ...cancellation });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a decision on the approval step a run is waiting on; the run then resumes
+const decideApproval = decide => async (req, res, next) => {
+  try {
+    const { comment, data } = req.body || {};
+
+    if (comment !== undefined && typeof comment !== 'string') {
+      return res.status(400).json({ error: 'Comment must be a string' });
+    }
+
+    const decision = await decide(req.params.runId, { comment, data });
+
+    if (!decision) {
+      return res.status(404).json({ error: `Run not found: ${req.params.runId}` });
+    }
+
+    if (!decision.accepted) {
+      return res.status(409).json({
+        error: `Run is not awaiting approval (status: ${decision.status})`,
+        runId: decision.runId,
+        status: decision.status
+      });
+    }
+
+    res.status(202).json({ success: true, ...decision, statusUrl: `/runs/${decision.runId}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.post('/runs/:runId/approve', decideApproval((runId, options) => orchestrator.approveRun(runId, options)));
+app.post('/runs/:runId/reject', decideApproval((runId, options) => orchestrator.rejectRun(runId, options)));
+
+// Replay a recorded run against the registered agents, or one of its steps with { step }
+app.post('/runs/:runId/replay', async (req, res, next) => {
+  try {
+    const { step, iteration, attempt } = req.body || {};
+
+    if (step !== undefined && typeof step !== 'string') {
+      return res.status(400).json({ error: 'Step must be a string' });
+    }
+
+    for (const [field, value] of [['Iteration', iteration], ['Attempt', attempt]]) {
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        return res.status(400).json({ error: `${field} must be a positive integer` });
+      }
+    }
+
+    const report = step
+      ? await orchestrator.replayStep(req.params.runId, step, { iteration, attempt })
+      : await orchestrator.replayRun(req.params.runId);
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Open Server-Sent Event streams, closed on shutdown
+const eventStreams = new Set();
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Stream run events over SSE, replaying buffered events after Last-Event-ID first
+ * Browsers resend Last-Event-ID on reconnect; clients that cannot set headers may
+ * pass ?lastEventId= instead. A single-run stream ends after its run-completed event.
+ */
+const streamRunEvents = (req, res, runId) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (res.writableEnded) return;
+
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    res.flush();
+
+    if (runId && event.type === 'run-completed') {
+      res.end();
+    }
+  };
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  res.write('retry: 3000\n\n');
+  orchestrator.events.since(lastEventId, runId).forEach(send);
+
+  const unsubscribe = orchestrator.events.subscribe(send, runId);
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    res.flush();
+  }, SSE_HEARTBEAT_MS);
+
+  const stream = { res, close: () => res.end() };
+  eventStreams.add(stream);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    eventStreams.delete(stream);
+  });
+};
+
+// Stream progress events for every run
+app.get('/events', (req, res) => {
+  streamRunEvents(req, res);
+});
+
+// Stream progress events for one run
+app.get('/runs/:runId/events', async (req, res, next) => {
+  try {
+    const { runId } = req.params;
+    const run = await orchestrator.getRun(runId);
+
+    if (!run) {
+      return res.status(404).json({ error: `Run not found: ${runId}` });
+    }
+
+    streamRunEvents(req, res, runId);
+
+    // A finished run whose events have left the buffer has nothing more to send
+    if (RunStore.FINISHED_STATUSES.includes(run.status) && !res.writableEnded) {
+      res.end();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Subscribe a URL to orchestrator events; the response is the only time the secret is shown
+app.post('/webhooks', async (req, res, next) => {
+  try {
+    const webhook = await webhooks.addWebhook(req.body);
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/webhooks', (req, res) => {
+  res.json({ webhooks: webhooks.listWebhooks() });
+});
+
+app.get('/webhooks/:id', (req, res) => {
+  const webhook = webhooks.getWebhook(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: `Webhook not found: ${req.params.id}` });
+  }
+
+  res.json(webhook);
+});
+
+app.delete('/webhooks/:id', async (req, res, next) => {
+  try {
+    if (!(await webhooks.removeWebhook(req.params.id))) {
+      return res.status(404).json({ error: `Webhook not found: ${req.params.id}` });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A webhook's delivery log, newest first
+app.get('/webhooks/:id/deliveries', (req, res) => {
+  const { status, eventType, runId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  if (!webhooks.getWebhook(req.params.id)) {
+    return res.status(404).json({ error: `Webhook not found: ${req.params.id}` });
+  }
+
+  const deliveries = webhooks.listDeliveries({ webhookId: req.params.id, status, eventType, runId });
+  res.json({ total: deliveries.length, deliveries: deliveries.slice(0, limit) });
+});
+
+app.get('/webhooks/:id/deliveries/:deliveryId', (req, res) => {
+  const delivery = webhooks.getDelivery(req.params.deliveryId);
+
+  if (!delivery || delivery.webhookId !== req.params.id) {
+    return res.status(404).json({ error: `Delivery not found: ${req.params.deliveryId}` });
+  }
+
+  res.json(delivery);
+});
+
+// Preview the next fire times of a cron expression without saving a schedule
+app.post('/schedules/preview', (req, res, next) => {
+  try {
+    const { cron, timezone, count = 5 } = req.body || {};
+
+    if (!(Number.isInteger(count) && count > 0 && count <= 50)) {
+      return res.status(400).json({ error: 'Count must be an integer between 1 and 50' });
+    }
+
+    res.json({ cron, timezone: timezone || 'UTC', fireTimes: scheduler.preview({ cron, timezone }, count) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/schedules', async (req, res, next) => {
+  try {
+    const schedule = await scheduler.createSchedule(req.body);
+    res.status(201).json({ success: true, schedule, fireTimes: schedule.enabled ? scheduler.preview(schedule) : [] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/schedules', (req, res) => {
+  const schedules = scheduler.listSchedules();
+  res.json({ total: schedules.length, schedules });
+});
+
+// A schedule with its next five fire times
+app.get('/schedules/:id', (req, res) => {
+  const schedule = scheduler.getSchedule(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+  }
+
+  res.json({ ...schedule, fireTimes: schedule.enabled ? scheduler.preview(schedule) : [] });
+});
+
+// Replace a schedule's definition
+app.put('/schedules/:id', async (req, res, next) => {
+  try {
+    const schedule = await scheduler.updateSchedule(req.params.id, req.body);
+
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+
+    res.json({ success: true, schedule, fireTimes: schedule.enabled ? scheduler.preview(schedule) : [] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/schedules/:id', async (req, res, next) => {
+  try {
+    if (!(await scheduler.deleteSchedule(req.params.id))) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Step cache statistics and entries, most recently used first
+app.get('/cache', (req, res) => {
+  const { agent, taskType } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const entries = orchestrator.stepCache.list({ agent, taskType });
+
+  res.json({
+    stats: orchestrator.stepCache.getStatus(),
+    count: entries.length,
+    entries: entries.slice(0, limit)
+  });
+});
+
+app.get('/cache/:key', (req, res) => {
+  const entry = orchestrator.stepCache.get(req.params.key);
+  if (!entry) {
+    return res.status(404).json({ error: `Cache entry not found: ${req.params.key}` });
+  }
+
+  res.json(entry);
+});
+
+app.delete('/cache/:key', (req, res) => {
+  if (!orchestrator.stepCache.delete(req.params.key)) {
+    return res.status(404).json({ error: `Cache entry not found: ${req.params.key}` });
+  }
+
+  logger.info(`Cache entry purged: ${req.params.key}`);
+  res.status(204).end();
+});
+
+// Purge every entry, or those for one agent and/or task type
+app.delete('/cache', (req, res) => {
+  const { agent, taskType } = req.query;
+  const purged = orchestrator.stepCache.purge({ agent, taskType });
+
+  logger.info(`Step cache purged: ${purged} entries`, { agent, taskType });
+  res.json({ purged });
+});
+
 // Direct agent execution endpoint
-app.post('/agent/execute', async (req, res, next) => {
+app.post('/agent/execute', idempotency.middleware('agent-execute'), async (req, res, next) => {
   try {
     const { agentName, task } = req.body;
 
@@ -193,7 +707,7 @@ app.post('/agent/execute', async (req, res, next) => {
       return res.status(404).json({ error: `Agent not found: ${agentName}` });
     }
 
-    logger.info('Executing agent task', { agentName, taskType: task.type });
+    logger.info('Executing agent task', { agentName, taskType: task.type, idempotencyKey: req.idempotencyKey });
 
     const result = await agent.process(task);
 
@@ -210,31 +724,142 @@ app.post('/agent/execute', async (req, res, next) => {
 // Get agent status
 app.get('/agent/:agentName/status', (req, res) => {
   const { agentName } = req.params;
-  const agent = orchestrator.agents.get(agentName);
+  const status = orchestrator.getAgentStatus(agentName);
 
-  if (!agent) {
+  if (!status) {
     return res.status(404).json({ error: `Agent not found: ${agentName}` });
   }
 
-  res.json(agent.getStatus());
+  res.json(status);
 });
 
-// List available workflows
+// Get an agent's counts and latency percentiles over a recent window
+app.get('/agent/:agentName/metrics', (req, res) => {
+  const { agentName } = req.params;
+  const window = req.query.window || '1h';
+
+  if (!AgentMetrics.parseWindow(window)) {
+    return res.status(400).json({ error: 'window must be a duration such as 15m, 1h or 1d, at most 24h' });
+  }
+
+  const metrics = orchestrator.getAgentMetrics(agentName, window);
+  if (!metrics) {
+    return res.status(404).json({ error: `Agent not found: ${agentName}` });
+  }
+
+  res.json(metrics);
+});
+
+// List available workflows, and workflow files rejected by validation
 app.get('/workflows', (req, res) => {
   const workflows = Array.from(orchestrator.workflows.keys());
   res.json({
     workflows,
-    count: workflows.length
+    count: workflows.length,
+    rejected: workflowLoader.getStatus().rejected
   });
 });
 
+// Create a workflow; it is saved to the workflows directory
+app.post('/workflows', async (req, res, next) => {
+  try {
+    const definition = req.body;
+
+    if (definition && orchestrator.workflows.has(definition.name)) {
+      return res.status(409).json({ error: `Workflow already exists: ${definition.name}` });
+    }
+
+    const { name, file, version } = await workflowLoader.save(definition);
+    res.status(201).json({ success: true, workflow: name, version, file });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace a workflow's definition; runs already started keep the old one
+app.put('/workflows/:name', async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const definition = { ...req.body, name };
+
+    if (req.body && req.body.name !== undefined && req.body.name !== name) {
+      return res.status(400).json({ error: `Workflow name "${req.body.name}" does not match "${name}"` });
+    }
+
+    if (!orchestrator.workflows.has(name)) {
+      return res.status(404).json({ error: `Workflow not found: ${name}` });
+    }
+
+    const { file, version } = await workflowLoader.save(definition);
+    res.json({ success: true, workflow: name, version, file });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Summary of a workflow version
+const summarizeVersion = (entry, current) => ({
+  version: entry.version,
+  hash: entry.hash,
+  registeredAt: entry.registeredAt,
+  current: entry === current,
+  steps: entry.definition.steps.length
+});
+
+// List a workflow's versions; ?from=&to= adds a structural diff between two of them
+app.get('/workflows/:name/versions', (req, res) => {
+  const { name } = req.params;
+  const versions = orchestrator.getWorkflowVersions(name);
+
+  if (!versions) {
+    return res.status(404).json({ error: `Workflow not found: ${name}` });
+  }
+
+  const current = orchestrator.workflows.has(name) ? orchestrator.resolveWorkflow(name) : null;
+  const response = {
+    workflow: name,
+    currentVersion: current ? current.version : null,
+    versions: versions.map(entry => summarizeVersion(entry, current))
+  };
+
+  if (req.query.from !== undefined || req.query.to !== undefined) {
+    const [from, to] = [req.query.from, req.query.to]
+      .map(value => versions.find(entry => String(entry.version) === String(value)));
+
+    if (!from || !to) {
+      return res.status(404).json({ error: `Workflow versions not found: ${name} v${req.query.from}..v${req.query.to}` });
+    }
+
+    response.diff = { from: from.version, to: to.version, changes: diffWorkflows(from.definition, to.definition) };
+  }
+
+  res.json(response);
+});
+
+// Get the definition of one workflow version
+app.get('/workflows/:name/versions/:version', (req, res) => {
+  const { name } = req.params;
+  const entry = (orchestrator.getWorkflowVersions(name) || [])
+    .find(candidate => String(candidate.version) === req.params.version);
+
+  if (!entry) {
+    return res.status(404).json({ error: `Workflow version not found: ${name} v${req.params.version}` });
+  }
+
+  res.json({ workflow: name, version: entry.version, hash: entry.hash, registeredAt: entry.registeredAt, definition: entry.definition });
+});
+
 // List available agents
 app.get('/agents', (req, res) => {
-  const agents = Array.from(orchestrator.agents.values()).map(agent => ({
-    name: agent.name,
-    role: agent.role,
-    state: agent.state
-  }));
+  const agents = Array.from(orchestrator.agents.keys()).map(agentName => {
+    const { name, role, state, circuitBreaker } = orchestrator.getAgentStatus(agentName);
+    return {
+      name,
+      role,
+      state,
+      circuitBreaker: { state: circuitBreaker.state, failureRate: circuitBreaker.failureRate }
+    };
+  });
 
   res.json({
     agents,
@@ -257,8 +882,15 @@ app.use((err, req, res, next) => {
     method: req.method
   });
 
-  res.status(err.status || 500).json({
-    error: process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  const status = err.status || 500;
+
+  res.status(status).json({
+    error: process.env.NODE_ENV === 'production' && status >= 500 ? 'Internal server error' : err.message,
+    ...(err.errors && { errors: err.errors })
   });
 });
 
@@ -278,10 +910,18 @@ process.on('unhandledRejection', (reason, promise) => {
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, starting graceful shutdown`);
 
+  // Event streams never end on their own; close them so the server can
+  eventStreams.forEach(stream => stream.close());
+  workflowLoader.close();
+  webhooks.close();
+  scheduler.stop();
+
   server.close(() => {
     logger.info('HTTP server closed');
-    logger.info('Graceful shutdown completed');
-    process.exit(0);
+    tracer.shutdown().finally(() => {
+      logger.info('Graceful shutdown completed');
+      process.exit(0);
+    });
   });
 
   setTimeout(() => {
@@ -299,6 +939,18 @@ const server = app.listen(PORT, () => {
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Registered agents: ${orchestrator.agents.size}`);
   logger.info(`Registered workflows: ${orchestrator.workflows.size}`);
+
+  // Resume runs interrupted by a crash or restart
+  orchestrator.recoverRuns()
+    .then(resumed => {
+      if (resumed.length > 0) {
+        logger.info(`Resumed ${resumed.length} unfinished run(s)`);
+      }
+    })
+    .catch(error => logger.error('Run recovery failed', { error: error.message }))
+    // Catch up on fires missed while the server was down, once interrupted runs are back
+    .then(() => scheduler.start())
+    .catch(error => logger.error('Scheduler failed to start', { error: error.message }));
 });
 
 server.timeout = 35000;
@@ -1,7 +1,34 @@
 const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const Ajv = require('ajv');
 
 // Import agents and orchestrator
 const AgentOrchestrator = require('../lib/AgentOrchestrator');
+const BaseAgent = require('../lib/BaseAgent');
+const AgentMetrics = require('../lib/AgentMetrics');
+const MemoryRunStore = require('../lib/stores/MemoryRunStore');
+const JsonlRunStore = require('../lib/stores/JsonlRunStore');
+const CircuitBreaker = require('../lib/CircuitBreaker');
+const WorkflowLoader = require('../lib/WorkflowLoader');
+const WebhookDispatcher = require('../lib/WebhookDispatcher');
+const Scheduler = require('../lib/Scheduler');
+const RunStore = require('../lib/stores/RunStore');
+const { TimeoutError, QueueFullError, WorkflowValidationError, WebhookValidationError, ScheduleValidationError, NotFoundError } = require('../lib/errors');
+const { parseCron, nextFireTimes } = require('../lib/cron');
+const { validateBudget, resolveBudget } = require('../lib/budget');
+const { Tracer, JsonlSpanExporter, OtlpHttpExporter, parseTraceparent, traceFields } = require('../lib/tracing');
+const { Registry } = require('../lib/metrics');
+const OrchestratorMetrics = require('../lib/OrchestratorMetrics');
+const StepCache = require('../lib/StepCache');
+const IdempotencyStore = require('../lib/IdempotencyStore');
+const { decode: decodeOtlp } = require('../scripts/otlp-collector');
+const { staleCopies } = require('../scripts/sync-shared');
+const { diffWorkflows } = require('../lib/workflowDiff');
+const { classifyError, resolveRetryPolicy, computeDelay } = require('../lib/retryPolicy');
 const ResearchAgent = require('../agents/ResearchAgent');
 const ImplementationAgent = require('../agents/ImplementationAgent');
 const VerificationAgent = require('../agents/VerificationAgent');
@@ -18,6 +45,31 @@ const mockLogger = {
   debug: () => {}
 };
 
+// Stub agent for orchestrator tests: returns whatever the handler resolves as result data
+class StubAgent extends BaseAgent {
+  constructor(name, logger, handler = async task => task.data) {
+    super(name, 'Test Stub', logger);
+    this.handler = handler;
+  }
+
+  async process(task) {
+    this.validateTask(task);
+    this.setState('processing');
+    const startTime = Date.now();
+
+    try {
+      const result = await this.handler(task);
+      this.updateMetrics(Date.now() - startTime, false, task.type);
+      this.setState('idle');
+      return { success: true, agent: this.name, data: result, timestamp: new Date(this.now()).toISOString() };
+    } catch (error) {
+      return this.handleError(error, task, Date.now() - startTime);
+    }
+  }
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 console.log('Starting Multi-Agent System Tests...\n');
 
 // Test 1: Agent Creation
@@ -290,6 +342,2475 @@ console.log('Test 3: ResearchAgent - Problem Decomposition');
     process.exit(1);
   }
 
+  // Test 11: Workflow Step Task Types and Mappings
+  console.log('Test 11: Workflow Step Task Types and Mappings');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    orchestrator.registerAgent(new ResearchAgent(mockLogger));
+    orchestrator.registerAgent(new ImplementationAgent(mockLogger));
+    orchestrator.registerAgent(new VerificationAgent(mockLogger));
+
+    orchestrator.registerWorkflow('mapped', {
+      name: 'mapped',
+      steps: [
+        {
+          name: 'decompose', agentName: 'ResearchAgent', taskType: 'decompose',
+          input: { problem: '$input.problem' },
+          output: { components: 'components' }
+        },
+        {
+          name: 'design', agentName: 'ImplementationAgent', taskType: 'design',
+          input: { component: '$steps.decompose.components.0', requirements: { from: '$input.requirements', default: {} } },
+          output: { design: 'design' }
+        },
+        {
+          name: 'verify', agentName: 'VerificationAgent', taskType: 'verify-design',
+          input: { design: '$steps.design.design' }
+        }
+      ]
+    });
+
+    const result = await orchestrator.executeWorkflow('mapped', {
+      data: { problem: 'Build a scalable authentication system with high availability' }
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.results.map(r => r.taskType), ['decompose', 'design', 'verify-design']);
+    assert(result.results.every(r => r.result.success));
+    assert.deepStrictEqual(Object.keys(result.outputs.design), ['design']);
+    console.log('✓ Steps receive their own task type and mapped input');
+
+    assert.throws(
+      () => orchestrator.registerWorkflow('broken', {
+        name: 'broken',
+        steps: [
+          { name: 'first', agentName: 'ResearchAgent', taskType: 'decompose', input: { problem: '$steps.second.problem' } },
+          { name: 'second', agentName: 'ResearchAgent', taskType: 'plan' }
+        ]
+      }),
+      /steps\[0\] \(first\)\.input\.problem: .* does not run before "first"/
+    );
+    assert.throws(
+      () => orchestrator.registerWorkflow('unpublished', {
+        name: 'unpublished',
+        steps: [
+          { name: 'first', agentName: 'ResearchAgent', taskType: 'decompose', output: { components: 'components' } },
+          { name: 'second', agentName: 'ResearchAgent', taskType: 'plan', input: { components: '$steps.first.missing' } }
+        ]
+      }),
+      /step "first" does not publish "missing"/
+    );
+    assert.strictEqual(orchestrator.workflows.has('broken'), false);
+    console.log('✓ Invalid mappings rejected at registration\n');
+  } catch (error) {
+    console.error('✗ Workflow mapping failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 12: DAG Workflows
+  console.log('Test 12: DAG Workflows');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    orchestrator.registerAgent(new StubAgent('Start', mockLogger, async () => ({ seed: 1 })));
+    orchestrator.registerAgent(new StubAgent('Left', mockLogger, async task => { await delay(40); return { left: task.data.seed + 1 }; }));
+    orchestrator.registerAgent(new StubAgent('Right', mockLogger, async task => { await delay(40); return { right: task.data.seed + 2 }; }));
+    orchestrator.registerAgent(new StubAgent('Join', mockLogger, async task => ({ total: task.data.left + task.data.right })));
+
+    orchestrator.registerWorkflow('diamond', {
+      name: 'diamond',
+      steps: [
+        { name: 'start', agentName: 'Start', taskType: 'run', dependsOn: [] },
+        { name: 'left', agentName: 'Left', taskType: 'run', dependsOn: ['start'] },
+        { name: 'right', agentName: 'Right', taskType: 'run', dependsOn: ['start'] },
+        { name: 'join', agentName: 'Join', taskType: 'run', dependsOn: ['left', 'right'] }
+      ]
+    });
+
+    const result = await orchestrator.executeWorkflow('diamond', { data: {} });
+    const byStep = Object.fromEntries(result.results.map(r => [r.step, r]));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(byStep.join.result.data.total, 5);
+    assert(Date.parse(byStep.left.startedAt) < Date.parse(byStep.right.completedAt));
+    assert(Date.parse(byStep.right.startedAt) < Date.parse(byStep.left.completedAt));
+    assert(Date.parse(byStep.join.startedAt) >= Date.parse(byStep.left.completedAt));
+    assert.deepStrictEqual(byStep.join.dependsOn, ['left', 'right']);
+    console.log('✓ Independent steps run concurrently and the join step receives merged outputs');
+
+    assert.throws(
+      () => orchestrator.registerWorkflow('cyclic', {
+        name: 'cyclic',
+        steps: [
+          { name: 'a', agentName: 'Start', dependsOn: ['b'] },
+          { name: 'b', agentName: 'Start', dependsOn: ['a'] }
+        ]
+      }),
+      /dependsOn contains a cycle: a -> b -> a/
+    );
+    assert.throws(
+      () => orchestrator.registerWorkflow('dangling', {
+        name: 'dangling',
+        steps: [{ name: 'a', agentName: 'Start', dependsOn: ['missing'] }]
+      }),
+      /steps\[0\] \(a\)\.dependsOn\[0\]: unknown step "missing"/
+    );
+    assert.throws(
+      () => orchestrator.registerWorkflow('sibling-reference', {
+        name: 'sibling-reference',
+        steps: [
+          { name: 'a', agentName: 'Start', dependsOn: [] },
+          { name: 'b', agentName: 'Start', dependsOn: [], input: { seed: '$steps.a.seed' } }
+        ]
+      }),
+      /does not run before "b"/
+    );
+    console.log('✓ Cycles, missing dependencies and non-ancestor references rejected\n');
+  } catch (error) {
+    console.error('✗ DAG workflow failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 13: Conditional Branching and Loops
+  console.log('Test 13: Conditional Branching and Loops');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    let passes = 0;
+    orchestrator.registerAgent(new StubAgent('Grader', mockLogger, async () => ({ grade: ['D', 'C', 'B', 'A'][passes++] })));
+    orchestrator.registerAgent(new StubAgent('Worker', mockLogger, async task => ({ ran: task.stepName })));
+
+    orchestrator.registerWorkflow('branching', {
+      name: 'branching',
+      steps: [
+        { name: 'grade', agentName: 'Grader', taskType: 'assess', dependsOn: [], output: { grade: 'grade' } },
+        {
+          name: 'check-grade', type: 'branch', dependsOn: ['grade'],
+          branches: [{ when: { path: '$steps.grade.grade', op: 'in', value: ['C', 'D', 'F'] }, next: ['improve'] }],
+          otherwise: ['publish']
+        },
+        { name: 'improve', agentName: 'Worker', taskType: 'improve', dependsOn: ['check-grade'] },
+        { name: 'publish', agentName: 'Worker', taskType: 'publish', dependsOn: ['check-grade'] },
+        { name: 'report', agentName: 'Worker', taskType: 'report', dependsOn: ['improve', 'publish'] }
+      ]
+    });
+
+    const branched = await orchestrator.executeWorkflow('branching', { data: {} });
+    const ran = branched.results.map(r => r.step);
+    assert(ran.includes('improve') && ran.includes('report'));
+    assert(!ran.includes('publish'));
+    assert.deepStrictEqual(branched.skipped.map(s => s.step), ['publish']);
+    assert.deepStrictEqual(branched.results.find(r => r.step === 'check-grade').result.data.taken, ['improve']);
+    console.log('✓ Branch takes the matching path and skips the other');
+
+    passes = 0;
+    orchestrator.registerWorkflow('refining', {
+      name: 'refining',
+      steps: [
+        {
+          name: 'refine', type: 'loop', maxIterations: 5,
+          until: { path: '$steps.assess.grade', op: 'in', value: ['A', 'B'] },
+          steps: [
+            { name: 'work', agentName: 'Worker', taskType: 'implement' },
+            { name: 'assess', agentName: 'Grader', taskType: 'assess' }
+          ]
+        },
+        { name: 'finish', agentName: 'Worker', taskType: 'finish' }
+      ]
+    });
+
+    const refined = await orchestrator.executeWorkflow('refining', { data: {} });
+    const loopResult = refined.results.find(r => r.step === 'refine').result;
+    const assessments = refined.results.filter(r => r.step === 'assess');
+    assert.strictEqual(loopResult.success, true);
+    assert.strictEqual(loopResult.data.iterations, 3);
+    assert.strictEqual(loopResult.data.stoppedBy, 'condition');
+    assert.deepStrictEqual(assessments.map(r => [r.iteration, r.result.data.grade]), [[1, 'D'], [2, 'C'], [3, 'B']]);
+    assert(assessments.every(r => r.loop === 'refine'));
+    assert(refined.results.some(r => r.step === 'finish'));
+    console.log('✓ Loop repeats until its condition holds and records every iteration');
+
+    orchestrator.registerAgent(new StubAgent('Slow', mockLogger, async () => { await delay(30); return { grade: 'F' }; }));
+    orchestrator.registerWorkflow('budgeted', {
+      name: 'budgeted',
+      steps: [{
+        name: 'retry-slowly', type: 'loop', maxIterations: 10, maxDurationMs: 50,
+        until: { path: '$steps.slow.grade', op: 'eq', value: 'A' },
+        steps: [{ name: 'slow', agentName: 'Slow', taskType: 'assess' }]
+      }]
+    });
+
+    const budgeted = await orchestrator.executeWorkflow('budgeted', { data: {} });
+    const budgetResult = budgeted.results.find(r => r.step === 'retry-slowly').result;
+    assert.strictEqual(budgetResult.data.stoppedBy, 'time-budget');
+    assert(budgetResult.data.iterations < 10);
+    console.log('✓ Loop stops when its time budget is spent');
+
+    assert.throws(
+      () => orchestrator.registerWorkflow('bad-branch', {
+        name: 'bad-branch',
+        steps: [
+          { name: 'a', agentName: 'Worker', dependsOn: [] },
+          { name: 'choose', type: 'branch', dependsOn: ['a'], branches: [{ when: { path: '$steps.a.ran', op: 'exists' }, next: ['b'] }] },
+          { name: 'b', agentName: 'Worker', dependsOn: ['a'] }
+        ]
+      }),
+      /steps\[1\] \(choose\)\.branches\[0\]\.next\[0\]: step "b" must depend on branch "choose"/
+    );
+    assert.throws(
+      () => orchestrator.registerWorkflow('bad-loop', {
+        name: 'bad-loop',
+        steps: [{
+          name: 'loop', type: 'loop', maxIterations: 100,
+          until: { path: '$steps.nowhere.grade', op: 'eq', value: 'A' },
+          steps: [{ name: 'inner', agentName: 'Worker' }]
+        }]
+      }),
+      /steps\[0\] \(loop\)\.maxIterations must be an integer between 1 and 20/
+    );
+    console.log('✓ Invalid branches and loops rejected at registration\n');
+  } catch (error) {
+    console.error('✗ Branching and loops failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 14: Durable Run Store and Crash Recovery
+  console.log('Test 14: Durable Run Store and Crash Recovery');
+  try {
+    const runStore = new MemoryRunStore();
+    const calls = { first: 0, second: 0 };
+    let hang = true;
+    const buildOrchestrator = () => {
+      const orchestrator = new AgentOrchestrator(mockLogger, { runStore });
+      orchestrator.registerAgent(new StubAgent('First', mockLogger, async () => { calls.first++; return { value: 1 }; }));
+      orchestrator.registerAgent(new StubAgent('Second', mockLogger, async task => {
+        calls.second++;
+        if (hang) await new Promise(() => {});
+        return { value: task.data.value + 1 };
+      }));
+      orchestrator.registerWorkflow('durable', {
+        name: 'durable',
+        steps: [
+          { name: 'first', agentName: 'First', taskType: 'run' },
+          { name: 'second', agentName: 'Second', taskType: 'run' }
+        ]
+      });
+      return orchestrator;
+    };
+
+    // The first process "crashes" while the second step is in flight
+    buildOrchestrator().executeWorkflow('durable', { data: {} });
+    await delay(20);
+
+    const [interrupted] = await runStore.listUnfinishedRuns();
+    assert.strictEqual(interrupted.status, 'running');
+    assert.deepStrictEqual(interrupted.checkpoint.completed, ['first']);
+    console.log('✓ Run checkpointed after each step');
+
+    hang = false;
+    const resumed = await buildOrchestrator().recoverRuns();
+    assert.strictEqual(resumed.length, 1);
+    await resumed[0].promise;
+
+    const recovered = await runStore.getRun(interrupted.id);
+    assert.strictEqual(recovered.status, 'completed');
+    assert.strictEqual(recovered.result.outputs.second.value, 2);
+    assert.strictEqual(calls.first, 1);
+    assert.strictEqual(calls.second, 2);
+    console.log('✓ Unfinished run resumed from the last completed step');
+
+    const filePath = path.join(os.tmpdir(), `runs-${process.pid}.jsonl`);
+    try {
+      const fileStore = new JsonlRunStore(filePath);
+      await fileStore.saveRun({ id: 'run-1', workflow: 'durable', status: 'running', createdAt: new Date().toISOString() });
+      await fileStore.saveRun({ id: 'run-1', workflow: 'durable', status: 'completed', createdAt: new Date().toISOString() });
+      fs.appendFileSync(filePath, '{"id":"run-2","stat');
+
+      const reloaded = new JsonlRunStore(filePath);
+      assert.strictEqual((await reloaded.getRun('run-1')).status, 'completed');
+      assert.strictEqual(reloaded.skippedLines, 1);
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+      console.log('✓ JSONL store replays the latest snapshot per run and ignores torn writes');
+
+      const busyStore = new JsonlRunStore(filePath, { compactAfterLines: 10 });
+      for (let iteration = 1; iteration <= 25; iteration++) {
+        await busyStore.saveRun({ id: 'run-3', workflow: 'durable', status: 'running', iteration, createdAt: new Date().toISOString() });
+      }
+      await busyStore.writeQueue;
+      assert.ok(fs.readFileSync(filePath, 'utf8').trim().split('\n').length <= 10);
+      assert.strictEqual((await new JsonlRunStore(filePath).getRun('run-3')).iteration, 25);
+      console.log('✓ JSONL store compacts the file while running once it passes its line limit');
+
+      const unhandled = [];
+      const onUnhandled = reason => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+      const { appendFile, rename } = fs.promises;
+      const warnings = [];
+      const failingStore = new JsonlRunStore(filePath, { compactAfterLines: 2, logger: { warn: message => warnings.push(message) } });
+      try {
+        fs.promises.appendFile = async () => { throw new Error('disk full'); };
+        await assert.rejects(failingStore.saveRun({ id: 'run-4', status: 'running', createdAt: new Date().toISOString() }), /disk full/);
+        fs.promises.appendFile = appendFile;
+        fs.promises.rename = async () => { throw new Error('rename refused'); };
+        for (let iteration = 1; iteration <= 6; iteration++) {
+          await failingStore.saveRun({ id: 'run-4', status: 'running', iteration, createdAt: new Date().toISOString() });
+        }
+        await failingStore.writeQueue;
+      } finally {
+        Object.assign(fs.promises, { appendFile, rename });
+      }
+      await delay(10);
+      process.off('unhandledRejection', onUnhandled);
+      assert.deepStrictEqual(unhandled, []);
+      assert.strictEqual(failingStore.compactionError.message, 'rename refused');
+      assert.match(warnings[0], /^Run store compaction failed: rename refused/);
+      assert.strictEqual(fs.existsSync(`${filePath}.tmp`), false);
+      assert.strictEqual((await new JsonlRunStore(filePath).getRun('run-4')).iteration, 6);
+      await failingStore.saveRun({ id: 'run-4', status: 'completed', createdAt: new Date().toISOString() });
+      await failingStore.writeQueue;
+      assert.strictEqual(failingStore.compactionError, null);
+      console.log('✓ JSONL store write and compaction failures are reported, not left unhandled\n');
+    } finally {
+      fs.rmSync(filePath, { force: true });
+      fs.rmSync(`${filePath}.tmp`, { force: true });
+    }
+  } catch (error) {
+    console.error('✗ Run store failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 15: Asynchronous Runs and Cancellation
+  console.log('Test 15: Asynchronous Runs and Cancellation');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const calls = { slow: 0, after: 0 };
+
+    orchestrator.registerAgent(new StubAgent('Slow', mockLogger, async () => { calls.slow++; await gate; return { value: 1 }; }));
+    orchestrator.registerAgent(new StubAgent('After', mockLogger, async () => { calls.after++; return { value: 2 }; }));
+    orchestrator.registerWorkflow('cancellable', {
+      name: 'cancellable',
+      steps: [
+        { name: 'slow', agentName: 'Slow', taskType: 'run' },
+        { name: 'after', agentName: 'After', taskType: 'run' }
+      ]
+    });
+
+    const started = await orchestrator.startWorkflow('cancellable', { data: {} });
+    assert.strictEqual(started.status, 'running');
+    assert.ok(started.id);
+    await delay(10);
+    assert.strictEqual((await orchestrator.getRun(started.id)).status, 'running');
+    console.log('✓ Background run returns its ID immediately');
+
+    const cancellation = await orchestrator.cancelRun(started.id);
+    assert.strictEqual(cancellation.accepted, true);
+    release();
+    await delay(20);
+
+    const cancelled = await orchestrator.getRun(started.id);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual(cancelled.result.cancelled, true);
+    assert.deepStrictEqual(cancelled.checkpoint.completed, ['slow']);
+    assert.strictEqual(calls.after, 0);
+    assert.strictEqual(orchestrator.activeTasksCount, 0);
+    console.log('✓ Cancelled run stops between steps');
+
+    const again = await orchestrator.cancelRun(started.id);
+    assert.strictEqual(again.accepted, false);
+    assert.strictEqual(again.status, 'cancelled');
+    assert.strictEqual(await orchestrator.cancelRun('missing'), null);
+
+    await orchestrator.executeWorkflow('cancellable', { data: {} });
+    assert.strictEqual((await orchestrator.listRuns({ status: 'completed' })).length, 1);
+    assert.strictEqual((await orchestrator.listRuns({ workflow: 'cancellable' })).length, 2);
+    assert.strictEqual((await orchestrator.listRuns({ from: new Date(Date.now() + 60000).toISOString() })).length, 0);
+    console.log('✓ Runs listed by workflow, status and time range');
+  } catch (error) {
+    console.error('✗ Async runs failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 16: Run Progress Events
+  console.log('Test 16: Run Progress Events');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    const flaky = new StubAgent('Flaky', mockLogger);
+    let flakyCalls = 0;
+
+    // Throwing from process() (rather than returning a failure) triggers a retry
+    flaky.process = async () => {
+      if (++flakyCalls === 1) throw new Error('temporary outage');
+      return { success: true, data: { value: 1 } };
+    };
+    orchestrator.registerAgent(flaky);
+    orchestrator.registerAgent(new StubAgent('Failing', mockLogger, async () => { throw new Error('bad input'); }));
+    orchestrator.registerWorkflow('observed', {
+      name: 'observed',
+      steps: [
+        { name: 'flaky', agentName: 'Flaky', taskType: 'run', retries: 2 },
+        { name: 'failing', agentName: 'Failing', taskType: 'run', escalateOnFailure: true }
+      ]
+    });
+
+    const live = [];
+    const agentEvents = [];
+    const unsubscribe = orchestrator.events.subscribe(event => (event.runId ? live : agentEvents).push(event));
+    const result = await orchestrator.executeWorkflow('observed', { data: {} });
+    unsubscribe();
+
+    assert.strictEqual(result.escalated, true);
+    assert.deepStrictEqual(live.map(event => event.type), [
+      'run-queued',
+      'run-started',
+      'step-started',
+      'retry',
+      'step-succeeded',
+      'step-started',
+      'step-failed',
+      'escalation',
+      'run-completed'
+    ]);
+    assert.ok(live.every(event => event.runId === result.runId && event.workflow === 'observed'));
+    assert.strictEqual(live[3].data.attempt, 1);
+    assert.strictEqual(live[6].data.error, 'bad input');
+    assert.strictEqual(live[8].data.status, 'escalated');
+    assert.deepStrictEqual(agentEvents.map(event => [event.type, event.data.agent, event.data.state]).slice(0, 2), [
+      ['agent-state-changed', 'Failing', 'processing'],
+      ['agent-state-changed', 'Failing', 'error']
+    ]);
+    console.log('✓ Queue, step, retry, escalation, completion and agent state events published in order');
+
+    const replayed = orchestrator.events.since(live[4].id, result.runId);
+    assert.deepStrictEqual(replayed.map(event => event.id), live.slice(5).map(event => event.id));
+    assert.strictEqual(orchestrator.events.since(live[8].id + 1000, result.runId).length, live.length);
+    console.log('✓ Missed events replayed after Last-Event-ID');
+  } catch (error) {
+    console.error('✗ Run events failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 17: Step and Workflow Timeouts
+  console.log('Test 17: Step and Workflow Timeouts');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    const signals = [];
+    const hang = async task => {
+      signals.push(task.signal);
+      await new Promise(() => {});
+    };
+    let afterCalls = 0;
+
+    orchestrator.registerAgent(new StubAgent('Hung', mockLogger, hang));
+    orchestrator.registerAgent(new StubAgent('After', mockLogger, async () => { afterCalls++; return { value: 1 }; }));
+    orchestrator.registerWorkflow('step-timeout', {
+      name: 'step-timeout',
+      steps: [
+        { name: 'hung', agentName: 'Hung', taskType: 'run', timeoutMs: 30, retries: 2 },
+        { name: 'after', agentName: 'After', taskType: 'run' }
+      ]
+    });
+
+    const result = await orchestrator.executeWorkflow('step-timeout', { data: {} });
+    const hung = result.results[0].result;
+    assert.strictEqual(hung.success, false);
+    assert.strictEqual(hung.errorType, 'timeout');
+    assert.strictEqual(hung.timeoutMs, 30);
+    assert.strictEqual(signals.length, 2);
+    assert.ok(signals.every(signal => signal.aborted && signal.reason instanceof TimeoutError));
+    assert.strictEqual(afterCalls, 1);
+    console.log('✓ Hung step times out per attempt with a typed timeout error');
+
+    const anomalyAgent = new AnomalyDetectionAgent(mockLogger);
+    const detection = await anomalyAgent.process({ type: 'detect-anomalies', data: { workflowResults: result.results } });
+    const timeoutAnomaly = detection.data.anomalies.find(anomaly => anomaly.type === 'timeout');
+    assert.deepStrictEqual(timeoutAnomaly.details, ['hung']);
+    const recovery = await anomalyAgent.process({ type: 'recover', data: { anomaly: timeoutAnomaly } });
+    assert.strictEqual(recovery.data.recovery.strategy, 'retry');
+    console.log('✓ Timed-out steps recognised by the timeout recovery strategy');
+
+    orchestrator.registerWorkflow('workflow-timeout', {
+      name: 'workflow-timeout',
+      timeoutMs: 40,
+      steps: [
+        { name: 'hung', agentName: 'Hung', taskType: 'run' },
+        { name: 'after', agentName: 'After', taskType: 'run' }
+      ]
+    });
+
+    await assert.rejects(
+      orchestrator.executeWorkflow('workflow-timeout', { data: {} }),
+      error => error instanceof TimeoutError && error.status === 504
+    );
+    const [timedOut] = await orchestrator.listRuns({ workflow: 'workflow-timeout' });
+    assert.strictEqual(timedOut.status, 'failed');
+    assert.strictEqual(timedOut.errorType, 'timeout');
+    assert.strictEqual(afterCalls, 1);
+    assert.strictEqual(orchestrator.activeTasksCount, 0);
+    console.log('✓ Workflow timeout aborts the run and releases its slot');
+
+    const research = new ResearchAgent(mockLogger);
+    const controller = new AbortController();
+    controller.abort(new TimeoutError('gave up', { timeoutMs: 1 }));
+    const aborted = await research.process({ type: 'decompose', data: { problem: 'Build a cache' }, signal: controller.signal });
+    assert.strictEqual(aborted.success, false);
+    assert.strictEqual(aborted.errorType, 'timeout');
+    console.log('✓ Agents stop on an aborted signal');
+
+    assert.throws(() => orchestrator.registerWorkflow('bad-timeouts', {
+      name: 'bad-timeouts',
+      timeoutMs: 0,
+      steps: [{ name: 'a', agentName: 'After', timeoutMs: -5 }]
+    }), /timeoutMs must be a positive number of at most 2147483647 \(about 24\.8 days\); steps\[0\] \(a\)\.timeoutMs must be a positive number/);
+
+    // setTimeout fires at once past 2^31-1 ms, so longer limits would time out straight away
+    const tooLong = {
+      name: 'too-long',
+      timeoutMs: 2 ** 31,
+      steps: [
+        { name: 'a', agentName: 'After', timeoutMs: 30 * 24 * 60 * 60 * 1000, compensate: { agentName: 'After', taskType: 'undo', timeoutMs: 2 ** 31 } }
+      ]
+    };
+    assert.throws(() => orchestrator.registerWorkflow('too-long', tooLong),
+      /timeoutMs must be a positive number of at most 2147483647.*steps\[0\] \(a\)\.timeoutMs must be.*steps\[0\] \(a\)\.compensate\.timeoutMs must be/);
+    const schemaLoader = new WorkflowLoader(new AgentOrchestrator(mockLogger), mockLogger, { directory: path.join(__dirname, '..', '..', 'workflows') });
+    assert.deepStrictEqual(schemaLoader.validate(tooLong), [
+      'steps[0] (a).timeoutMs must be <= 2147483647',
+      'steps[0] (a).compensate.timeoutMs must be <= 2147483647',
+      'timeoutMs must be <= 2147483647'
+    ]);
+    console.log('✓ Invalid timeouts rejected at registration, including ones too long for a timer');
+  } catch (error) {
+    console.error('✗ Timeouts failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 18: Priority Run Queue
+  console.log('Test 18: Priority Run Queue');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger, { maxConcurrentTasks: 1, maxQueueSize: 2 });
+    const order = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    orchestrator.registerAgent(new StubAgent('Worker', mockLogger, async task => {
+      order.push(task.data.label);
+      await gate;
+      return { done: true };
+    }));
+    orchestrator.registerWorkflow('bulk', {
+      name: 'bulk',
+      priority: -10,
+      steps: [{ name: 'work', agentName: 'Worker', taskType: 'run', input: { label: '$input.label' } }]
+    });
+    orchestrator.registerWorkflow('deploy', {
+      name: 'deploy',
+      steps: [{ name: 'work', agentName: 'Worker', taskType: 'run', input: { label: '$input.label' } }]
+    });
+
+    const first = orchestrator.executeWorkflow('bulk', { data: { label: 'bulk-1' } });
+    const second = orchestrator.executeWorkflow('bulk', { data: { label: 'bulk-2' } });
+    const urgent = await orchestrator.startWorkflow('deploy', { data: { label: 'deploy' } }, { priority: 5 });
+    await delay(10);
+
+    assert.strictEqual(urgent.status, 'queued');
+    assert.strictEqual(orchestrator.queue.positionOf(urgent.id), 1);
+    const status = orchestrator.getStatus();
+    assert.strictEqual(status.activeTasksCount, 1);
+    assert.strictEqual(status.queue.depth, 2);
+    assert.strictEqual(status.queue.workflows.bulk.queued, 1);
+    console.log('✓ Runs beyond the concurrency limit wait in the queue');
+
+    await assert.rejects(
+      orchestrator.executeWorkflow('bulk', { data: { label: 'bulk-3' } }),
+      error => error instanceof QueueFullError && error.status === 429 && error.retryAfter >= 1
+    );
+    console.log('✓ Full queue refuses new runs with a retry hint');
+
+    release();
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(order, ['bulk-1', 'deploy', 'bulk-2']);
+    assert.strictEqual((await orchestrator.getRun(urgent.id)).status, 'completed');
+    assert.strictEqual(orchestrator.getStatus().queue.admitted, 3);
+    console.log('✓ Higher priority runs start first');
+
+    const capped = new AgentOrchestrator(mockLogger, { maxConcurrentTasks: 2 });
+    let releaseCapped;
+    const cappedGate = new Promise(resolve => { releaseCapped = resolve; });
+    capped.registerAgent(new StubAgent('Worker', mockLogger, async () => { await cappedGate; return {}; }));
+    capped.registerWorkflow('qa', { name: 'qa', maxConcurrent: 1, steps: [{ name: 'work', agentName: 'Worker', taskType: 'run' }] });
+    capped.registerWorkflow('other', { name: 'other', steps: [{ name: 'work', agentName: 'Worker', taskType: 'run' }] });
+
+    await capped.startWorkflow('qa', { data: {} });
+    const waiting = await capped.startWorkflow('qa', { data: {} });
+    const other = await capped.startWorkflow('other', { data: {} });
+    await delay(10);
+
+    assert.strictEqual(waiting.status, 'queued');
+    assert.strictEqual(other.status, 'running');
+    assert.deepStrictEqual(capped.getStatus().queue.workflows.qa, { running: 1, queued: 1, maxConcurrent: 1 });
+    console.log('✓ Per-workflow cap leaves slots for other workflows');
+
+    const cancellation = await capped.cancelRun(waiting.id);
+    assert.strictEqual(cancellation.status, 'cancelled');
+    assert.strictEqual((await capped.getRun(waiting.id)).status, 'cancelled');
+    assert.strictEqual(capped.queue.size, 0);
+    releaseCapped();
+    await delay(10);
+    assert.strictEqual(capped.activeTasksCount, 0);
+    console.log('✓ Queued run cancelled without taking a slot');
+  } catch (error) {
+    console.error('✗ Run queue failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 19: Retry Policies
+  console.log('Test 19: Retry Policies');
+  try {
+    assert.strictEqual(classifyError(new TimeoutError('late')), 'timeout');
+    assert.strictEqual(classifyError(Object.assign(new Error('slow down'), { status: 429 })), 'rate-limited');
+    assert.strictEqual(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), 'transient');
+    assert.strictEqual(classifyError(new Error('Invalid task: missing data field')), 'validation');
+    assert.strictEqual(classifyError(new Error('Division by zero')), 'fatal');
+    assert.strictEqual(classifyError({ message: 'Service temporarily unavailable' }), 'transient');
+    console.log('✓ Errors classified as timeout, rate-limited, transient, validation or fatal');
+
+    const policy = resolveRetryPolicy(
+      { retries: 4, retryPolicy: { jitter: 'none' } },
+      { retryPolicy: { baseDelayMs: 100, maxDelayMs: 300, maxAttempts: 2 } }
+    );
+    assert.strictEqual(policy.maxAttempts, 4);
+    assert.deepStrictEqual([1, 2, 3].map(attempt => computeDelay(policy, attempt)), [100, 200, 300]);
+    assert.strictEqual(computeDelay({ ...policy, jitter: 'full' }, 2, null, () => 0.5), 100);
+    assert.strictEqual(computeDelay(policy, 1, { retryAfter: 60 }), 300);
+    console.log('✓ Step policy overrides workflow policy; backoff capped with optional jitter');
+
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    const calls = { flaky: 0, invalid: 0, limited: 0 };
+    const flaky = new StubAgent('Flaky', mockLogger, async () => {
+      if (++calls.flaky < 3) throw new Error('Service temporarily unavailable');
+      return { value: 1 };
+    });
+    const invalid = new StubAgent('Invalid', mockLogger, async () => {
+      calls.invalid++;
+      throw new Error('Invalid input: missing data field');
+    });
+    const limited = new StubAgent('Limited', mockLogger, async () => {
+      calls.limited++;
+      throw new Error('Rate limit exceeded');
+    });
+    [flaky, invalid, limited].forEach(agent => orchestrator.registerAgent(agent));
+    orchestrator.registerWorkflow('retrying', {
+      name: 'retrying',
+      retryPolicy: { maxAttempts: 3, baseDelayMs: 5, jitter: 'none' },
+      steps: [
+        { name: 'flaky', agentName: 'Flaky', taskType: 'run' },
+        { name: 'invalid', agentName: 'Invalid', taskType: 'run' },
+        { name: 'limited', agentName: 'Limited', taskType: 'run', retries: 2 }
+      ]
+    });
+
+    const result = await orchestrator.executeWorkflow('retrying', { data: {} });
+    const [flakyStep, invalidStep, limitedStep] = result.results.map(entry => entry.result);
+
+    assert.strictEqual(flakyStep.success, true);
+    assert.deepStrictEqual(flakyStep.attempts.map(attempt => [attempt.success, attempt.errorClass, attempt.delayMs]), [
+      [false, 'transient', 5],
+      [false, 'transient', 10],
+      [true, undefined, undefined]
+    ]);
+    assert.strictEqual(flakyStep.attempts[0].error, 'Service temporarily unavailable');
+    console.log('✓ Transient failures retried with every attempt recorded');
+
+    assert.strictEqual(calls.invalid, 1);
+    assert.strictEqual(invalidStep.errorClass, 'validation');
+    assert.strictEqual(invalidStep.attempts.length, 1);
+    console.log('✓ Validation errors fail without retrying');
+
+    assert.strictEqual(calls.limited, 2);
+    assert.strictEqual(limitedStep.errorClass, 'rate-limited');
+    const [flakyMetrics, limitedMetrics] = [flaky, limited].map(agent => agent.getStatus().metrics);
+    assert.deepStrictEqual(flakyMetrics, { ...flakyMetrics, tasksProcessed: 3, retries: 2, failures: 0, errors: 2 });
+    assert.deepStrictEqual(limitedMetrics, { ...limitedMetrics, tasksProcessed: 2, retries: 1, failures: 1, errors: 2 });
+    console.log('✓ Agent metrics count retries and final failures separately');
+
+    // The timed-out attempt reaches the orchestrator first and the agent's handleError later
+    const sluggish = new StubAgent('Sluggish', mockLogger, async task => {
+      await delay(40);
+      sluggish.throwIfAborted(task);
+    });
+    const rethrowing = new StubAgent('Rethrowing', mockLogger);
+    rethrowing.process = async task => {
+      const error = new Error('Invalid input: no retry');
+      rethrowing.handleError(error, task, 1);
+      throw error;
+    };
+    [sluggish, rethrowing].forEach(agent => orchestrator.registerAgent(agent));
+    orchestrator.registerWorkflow('counted-once', {
+      name: 'counted-once',
+      steps: [
+        { name: 'slow', agentName: 'Sluggish', taskType: 'run', timeoutMs: 10, retries: 1 },
+        { name: 'rethrow', agentName: 'Rethrowing', taskType: 'run' }
+      ]
+    });
+    await orchestrator.executeWorkflow('counted-once', { data: {} }).catch(() => {});
+    await delay(60);
+    [sluggish, rethrowing].forEach(agent => {
+      const metrics = agent.getStatus().metrics;
+      assert.deepStrictEqual(metrics, { ...metrics, tasksProcessed: 1, errors: 1 }, agent.name);
+    });
+    console.log('✓ Timed-out and rethrown errors are counted once');
+
+    assert.throws(() => orchestrator.registerWorkflow('bad-policy', {
+      name: 'bad-policy',
+      retryPolicy: { jitter: 'some' },
+      steps: [{ name: 'a', agentName: 'Flaky', retryPolicy: { retryOn: ['sometimes'] } }]
+    }), /retryPolicy\.jitter must be one of full, none; steps\[0\] \(a\)\.retryPolicy\.retryOn "sometimes" is not one of/);
+    console.log('✓ Invalid retry policies rejected at registration');
+  } catch (error) {
+    console.error('✗ Retry policies failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 20: Circuit Breakers
+  console.log('Test 20: Circuit Breakers');
+  try {
+    const breaker = new CircuitBreaker('Agent', { minimumRequests: 3, failureThreshold: 0.5, cooldownMs: 30 });
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'closed');
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.tryAcquire(), false);
+    await delay(40);
+    assert.strictEqual(breaker.tryAcquire(), true);
+    assert.strictEqual(breaker.state, 'half-open');
+    assert.strictEqual(breaker.tryAcquire(), false);
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'open');
+    await delay(40);
+    assert.strictEqual(breaker.tryAcquire(), true);
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    console.log('✓ Breaker opens on failure rate, half-opens after cooldown and closes on success');
+
+    const orchestrator = new AgentOrchestrator(mockLogger, { circuitBreaker: { minimumRequests: 2, cooldownMs: 60000 } });
+    const calls = { broken: 0, backup: 0 };
+    orchestrator.registerAgent(new StubAgent('Broken', mockLogger, async () => {
+      calls.broken++;
+      throw new Error('Service temporarily unavailable');
+    }));
+    orchestrator.registerAgent(new StubAgent('Backup', mockLogger, async () => { calls.backup++; return { value: 'backup' }; }));
+    const retryPolicy = { maxAttempts: 3, baseDelayMs: 1, jitter: 'none' };
+    orchestrator.registerWorkflow('with-fallback', {
+      name: 'with-fallback',
+      retryPolicy,
+      steps: [{ name: 'work', agentName: 'Broken', fallbackAgent: 'Backup', taskType: 'run' }]
+    });
+    orchestrator.registerWorkflow('without-fallback', {
+      name: 'without-fallback',
+      retryPolicy,
+      steps: [{ name: 'work', agentName: 'Broken', taskType: 'run' }]
+    });
+
+    const rescued = await orchestrator.executeWorkflow('with-fallback', { data: {} });
+    assert.strictEqual(calls.broken, 2);
+    assert.strictEqual(calls.backup, 1);
+    assert.strictEqual(rescued.results[0].agent, 'Backup');
+    assert.strictEqual(rescued.results[0].fallbackFrom, 'Broken');
+    assert.strictEqual(rescued.outputs.work.value, 'backup');
+    assert.strictEqual(orchestrator.getAgentStatus('Broken').circuitBreaker.state, 'open');
+    console.log('✓ Open breaker stops retries and routes the step to its fallback agent');
+
+    const refused = await orchestrator.executeWorkflow('without-fallback', { data: {} });
+    assert.strictEqual(calls.broken, 2);
+    assert.strictEqual(refused.results[0].result.errorType, 'circuit-open');
+    assert.ok(refused.results[0].result.retryAfter >= 1);
+    assert.strictEqual(orchestrator.getStatus().agents.find(agent => agent.name === 'Broken').circuitBreaker.state, 'open');
+    console.log('✓ Steps fail fast while the breaker is open');
+  } catch (error) {
+    console.error('✗ Circuit breakers failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 21: Saga Compensation
+  console.log('Test 21: Saga Compensation');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    const undone = [];
+    orchestrator.registerAgent(new StubAgent('Saga', mockLogger, async task => {
+      if (task.type === 'undo') {
+        if (task.data.step === 'fragile') throw new Error('Rollback refused');
+        undone.push(task.data);
+        return { undone: task.data.step };
+      }
+      if (task.type === 'slow') await delay(200);
+      return { id: `${task.stepName}-1` };
+    }));
+    orchestrator.registerAgent(new StubAgent('Failing', mockLogger, async () => { throw new Error('Payment declined'); }));
+    const undo = { agentName: 'Saga', taskType: 'undo' };
+    const steps = [
+      { name: 'reserve', agentName: 'Saga', taskType: 'run', compensate: undo },
+      { name: 'fragile', agentName: 'Saga', taskType: 'run', compensate: undo, dependsOn: ['reserve'] },
+      { name: 'notify', agentName: 'Saga', taskType: 'run', dependsOn: ['fragile'] },
+      {
+        name: 'ship',
+        agentName: 'Saga',
+        taskType: 'run',
+        dependsOn: ['notify'],
+        compensate: { ...undo, input: { step: 'ship', shipment: '$steps.ship.id', order: '$input.order' } }
+      }
+    ];
+    orchestrator.registerWorkflow('saga', {
+      name: 'saga',
+      steps: [...steps, { name: 'charge', agentName: 'Failing', taskType: 'run', dependsOn: ['ship'], escalateOnFailure: true }]
+    });
+
+    const escalated = await orchestrator.executeWorkflow('saga', { data: { order: 7 } });
+    assert.strictEqual(escalated.escalated, true);
+    assert.deepStrictEqual(escalated.compensations.map(c => c.step), ['ship', 'fragile', 'reserve']);
+    assert.deepStrictEqual(escalated.compensations.map(c => c.success), [true, false, true]);
+    assert.strictEqual(escalated.compensations[1].error, 'Rollback refused');
+    assert.deepStrictEqual(undone[0], { step: 'ship', shipment: 'ship-1', order: 7 });
+    assert.deepStrictEqual(undone[1].output, { id: 'reserve-1' });
+    const stored = await orchestrator.getRun(escalated.runId);
+    assert.strictEqual(stored.compensations.length, 3);
+    const events = orchestrator.events.since(0, escalated.runId).map(event => event.type);
+    assert.strictEqual(events.filter(type => type === 'compensation').length, 3);
+    assert.ok(events.indexOf('compensation') < events.indexOf('run-completed'));
+    console.log('✓ Completed steps are compensated in reverse order on escalation, failures recorded');
+
+    orchestrator.registerWorkflow('saga-cancel', {
+      name: 'saga-cancel',
+      steps: [
+        steps[0],
+        { name: 'wait', agentName: 'Saga', taskType: 'slow', dependsOn: ['reserve'], compensate: undo }
+      ]
+    });
+    undone.length = 0;
+    const started = await orchestrator.startWorkflow('saga-cancel', { data: {} });
+    await delay(50);
+    await orchestrator.cancelRun(started.id);
+    let cancelled;
+    for (let i = 0; i < 40 && !(cancelled && cancelled.status === 'cancelled'); i++) {
+      await delay(25);
+      cancelled = await orchestrator.getRun(started.id);
+    }
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.deepStrictEqual(cancelled.result.compensations.map(c => c.step), ['wait', 'reserve']);
+    console.log('✓ Cancelled runs compensate the steps that completed');
+
+    assert.throws(
+      () => orchestrator.registerWorkflow('no-task-type', {
+        name: 'no-task-type',
+        steps: [{ name: 'a', agentName: 'Saga', compensate: { agentName: 'Saga' } }]
+      }),
+      /steps\[0\] \(a\)\.compensate\.taskType is required/
+    );
+    assert.throws(
+      () => orchestrator.registerWorkflow('later-reference', {
+        name: 'later-reference',
+        steps: [
+          { name: 'a', agentName: 'Saga', compensate: { ...undo, input: { id: '$steps.b.id' } } },
+          { name: 'b', agentName: 'Saga', dependsOn: ['a'] }
+        ]
+      }),
+      /compensate\.input\.id: "\$steps\.b\.id" references step "b" which does not run before "a"/
+    );
+    console.log('✓ Compensation definitions and their input references are validated');
+  } catch (error) {
+    console.error('✗ Saga compensation failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 22: Workflow Files
+  console.log('Test 22: Workflow Files');
+  const workflowDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflows-'));
+  let loader;
+  try {
+    const repoWorkflows = path.join(__dirname, '..', '..', 'workflows');
+    const repoLoader = new WorkflowLoader(new AgentOrchestrator(mockLogger), mockLogger, { directory: repoWorkflows });
+    assert.deepStrictEqual(repoLoader.loadAll().sort(),
+      ['complete-solution', 'iterative-refinement', 'quality-assurance', 'slack_prompt_deploy']);
+    assert.deepStrictEqual(repoLoader.getStatus().rejected, []);
+    const shorthand = repoLoader.orchestrator.workflows.get('slack_prompt_deploy');
+    assert.deepStrictEqual(shorthand.steps.map(step => step.agentName || step.type),
+      ['slack-monitor', 'prompt-enhancer', 'approval', 'orchestrator']);
+    assert.strictEqual(shorthand.retryPolicy.maxAttempts, 3);
+    assert.strictEqual(shorthand.escalationHandler, 'notify-ops');
+    const readJson = file => JSON.parse(fs.readFileSync(path.join(repoWorkflows, file), 'utf8'));
+    const legacySchema = new Ajv()
+      .addSchema(readJson('workflow_schema.json'), 'workflow_schema.json')
+      .compile(readJson('slack_prompt_deploy_workflow_schema.json'));
+    assert.strictEqual(legacySchema(readJson('slack_prompt_deploy_workflow.json')), true);
+    assert.strictEqual(legacySchema({ name: 'slack_prompt_deploy', steps: [], retry: { count: -1 } }), false);
+    console.log('✓ Repository workflow files load, including the shorthand form; the old schema file defers to the shared one');
+
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    orchestrator.registerAgent(new StubAgent('Echo', mockLogger, async task => ({ echoed: task.data.text })));
+    loader = new WorkflowLoader(orchestrator, mockLogger, {
+      directory: workflowDir,
+      schemaPath: path.join(repoWorkflows, 'workflow_schema.json'),
+      debounceMs: 20
+    });
+    const echo = text => ({ name: 'echo', steps: [{ name: 'say', agentName: 'Echo', taskType: 'echo', input: { text } }] });
+    fs.writeFileSync(path.join(workflowDir, 'echo.json'), JSON.stringify(echo('$input.text')));
+    fs.writeFileSync(path.join(workflowDir, 'broken.json'), JSON.stringify({
+      name: 'broken',
+      steps: [{ name: 'a', agentName: 'Echo', retries: 'twice', colour: 'red' }, { name: 'b', type: 'loop', steps: [{ agentName: 'Echo' }] }]
+    }));
+
+    assert.deepStrictEqual(loader.loadAll(), ['echo']);
+    const [rejected] = loader.getStatus().rejected;
+    assert.strictEqual(rejected.file, 'broken.json');
+    assert.ok(rejected.errors.includes('steps[0] (a).retries must be integer'));
+    assert.ok(rejected.errors.includes('steps[0] (a).colour is not a known field'));
+    assert.ok(rejected.errors.includes('steps[1] (b).steps[0].name is required'));
+    assert.deepStrictEqual(loader.validate({ name: 'late', steps: [{ name: 'a', agentName: 'Echo', input: { x: '$steps.b.x' } }, { name: 'b', agentName: 'Echo' }] }),
+      ['steps[0] (a).input.x: "$steps.b.x" references step "b" which does not run before "a"']);
+    console.log('✓ Files are validated against the schema and workflow rules with path-level errors');
+
+    loader.watch();
+    fs.writeFileSync(path.join(workflowDir, 'echo.json'), JSON.stringify(echo('$input.message')));
+    await delay(150);
+    let result = await orchestrator.executeWorkflow('echo', { data: { message: 'reloaded' } });
+    assert.strictEqual(result.outputs.say.echoed, 'reloaded');
+
+    fs.writeFileSync(path.join(workflowDir, 'echo.json'), '{ "name": "echo", ');
+    await delay(150);
+    assert.ok(orchestrator.workflows.has('echo'));
+    assert.ok(loader.getStatus().rejected.some(entry => entry.file === 'echo.json'));
+
+    fs.unlinkSync(path.join(workflowDir, 'broken.json'));
+    fs.unlinkSync(path.join(workflowDir, 'echo.json'));
+    await delay(150);
+    assert.ok(!orchestrator.workflows.has('echo'));
+    assert.deepStrictEqual(loader.getStatus().rejected, []);
+    console.log('✓ Edits reload without a restart, bad edits keep the last good version, deletes unregister');
+
+    const saved = await loader.save(echo('$input.text'));
+    assert.strictEqual(saved.file, 'echo_workflow.json');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(workflowDir, saved.file), 'utf8')), echo('$input.text'));
+    result = await orchestrator.executeWorkflow('echo', { data: { text: 'saved' } });
+    assert.strictEqual(result.outputs.say.echoed, 'saved');
+    await assert.rejects(loader.save({ name: 'echo', steps: [] }), error =>
+      error instanceof WorkflowValidationError && error.status === 400 && error.errors.includes('steps must NOT have fewer than 1 items'));
+    console.log('✓ Saved definitions are validated, written to the directory and registered');
+  } catch (error) {
+    console.error('✗ Workflow files failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (loader) loader.close();
+    fs.rmSync(workflowDir, { recursive: true, force: true });
+  }
+
+  // Test 23: Workflow Versioning
+  console.log('Test 23: Workflow Versioning');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    orchestrator.registerAgent(new StubAgent('Versioned', mockLogger, async task => {
+      if (task.data.wait) await delay(task.data.wait);
+      return { label: task.data.label };
+    }));
+    const definition = (label, extra = {}) => ({
+      name: 'versioned',
+      steps: [
+        { name: 'first', agentName: 'Versioned', taskType: 'run', input: { label, wait: '$input.wait' }, ...extra },
+        { name: 'second', agentName: 'Versioned', taskType: 'run', input: { label } }
+      ]
+    });
+
+    assert.strictEqual(orchestrator.registerWorkflow('versioned', definition('v1')).version, 1);
+    assert.strictEqual(orchestrator.registerWorkflow('versioned', definition('v1')).version, 1);
+    const inFlight = orchestrator.executeWorkflow('versioned', { data: { wait: 60 } });
+    await delay(20);
+    assert.strictEqual(orchestrator.registerWorkflow('versioned', definition('v2', { retries: 2 })).version, 2);
+    const pinned = await inFlight;
+    assert.strictEqual(pinned.workflowVersion, 1);
+    assert.strictEqual(pinned.outputs.second.label, 'v1');
+    assert.strictEqual((await orchestrator.getRun(pinned.runId)).workflowVersion, 1);
+    console.log('✓ Runs stay pinned to the version they started with');
+
+    const current = await orchestrator.executeWorkflow('versioned', { data: {} });
+    const requested = await orchestrator.executeWorkflow('versioned', { data: {} }, { version: 1 });
+    assert.strictEqual(current.workflowVersion, 2);
+    assert.strictEqual(current.outputs.first.label, 'v2');
+    assert.strictEqual(requested.workflowVersion, 1);
+    assert.strictEqual(requested.outputs.first.label, 'v1');
+    await assert.rejects(orchestrator.executeWorkflow('versioned', { data: {} }, { version: 7 }),
+      error => error instanceof NotFoundError && error.status === 404);
+    await assert.rejects(orchestrator.executeWorkflow('unknown', { data: {} }), NotFoundError);
+    console.log('✓ Callers can run a specific version');
+
+    const [v1, v2] = orchestrator.getWorkflowVersions('versioned').map(entry => entry.definition);
+    assert.deepStrictEqual(diffWorkflows(v1, v2), [
+      { path: 'steps[first].input.label', change: 'changed', from: 'v1', to: 'v2' },
+      { path: 'steps[first].retries', change: 'added', to: 2 },
+      { path: 'steps[second].input.label', change: 'changed', from: 'v1', to: 'v2' }
+    ]);
+    const reordered = { ...v2, steps: [v2.steps[1], { name: 'third', agentName: 'Versioned' }] };
+    assert.deepStrictEqual(diffWorkflows(v2, reordered).map(change => `${change.change} ${change.path}`), [
+      'removed steps[first]',
+      'added steps[third]'
+    ]);
+    assert.deepStrictEqual(diffWorkflows(v1, v1), []);
+    console.log('✓ Versions diff structurally, matching steps by name');
+
+    const store = new MemoryRunStore();
+    const before = new AgentOrchestrator(mockLogger, { runStore: store });
+    before.registerWorkflow('versioned', definition('v1'));
+    const { hash: workflowHash } = before.resolveWorkflow('versioned');
+    await store.saveRun({
+      id: 'pinned-run', workflow: 'versioned', workflowVersion: 1, workflowHash,
+      status: 'running', input: { data: {} }, createdAt: new Date().toISOString()
+    });
+    const after = new AgentOrchestrator(mockLogger, { runStore: store });
+    after.registerAgent(new StubAgent('Versioned', mockLogger, async task => ({ label: task.data.label })));
+    after.registerWorkflow('versioned', definition('v2'));
+    after.registerWorkflow('versioned', definition('v1'));
+    after.registerWorkflow('versioned', definition('v3'));
+    const [resumed] = await after.recoverRuns();
+    await resumed.promise;
+    assert.strictEqual((await after.getRun('pinned-run')).outputs.second.label, 'v1');
+    console.log('✓ Recovered runs resume with their pinned definition');
+  } catch (error) {
+    console.error('✗ Workflow versioning failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 24: Dry Run
+  console.log('Test 24: Dry Run');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    let processed = 0;
+    const planner = new StubAgent('Planner', mockLogger, async () => { processed++; return {}; });
+    planner.taskSchemas = {
+      plan: { goal: { type: 'string', required: true }, depth: { type: 'number' } },
+      undo: {}
+    };
+    orchestrator.registerAgent(planner);
+    orchestrator.registerAgent(new StubAgent('Freeform', mockLogger, async () => { processed++; return {}; }));
+    orchestrator.registerWorkflow('planned', {
+      name: 'planned',
+      steps: [
+        { name: 'start', agentName: 'Planner', taskType: 'plan', dependsOn: [], input: { goal: '$input.goal', depth: 2 } },
+        { name: 'left', agentName: 'Freeform', taskType: 'anything', dependsOn: ['start'] },
+        {
+          name: 'right', agentName: 'Planner', taskType: 'plan', dependsOn: ['start'], retries: 3,
+          input: { goal: { from: '$input.title', default: 'untitled' } },
+          compensate: { agentName: 'Planner', taskType: 'undo' }
+        },
+        {
+          name: 'route', type: 'branch', dependsOn: ['left', 'right'],
+          branches: [{ when: { path: '$input.goal', op: 'exists' }, next: ['repeat'] }]
+        },
+        {
+          name: 'repeat', type: 'loop', dependsOn: ['route'], maxIterations: 2,
+          until: { path: '$steps.again.goal', op: 'exists' },
+          steps: [{ name: 'again', agentName: 'Planner', taskType: 'plan', input: { goal: '$input.goal' } }]
+        }
+      ]
+    });
+
+    const report = orchestrator.dryRun('planned', { data: { goal: 'ship it' } });
+    assert.strictEqual(processed, 0);
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.version, 1);
+    assert.deepStrictEqual(report.errors, []);
+    assert.deepStrictEqual(report.warnings, ['steps[1] (left).agentName: agent "Freeform" does not declare its task types, so "anything" is not checked']);
+    assert.deepStrictEqual(report.plan.stages, [['start'], ['left', 'right'], ['route'], ['repeat']]);
+    const [, , right, route, repeat] = report.plan.steps;
+    assert.strictEqual(right.maxAttempts, 3);
+    assert.deepStrictEqual(right.compensate, { agent: 'Planner', taskType: 'undo' });
+    assert.deepStrictEqual(route.branches[0].next, ['repeat']);
+    assert.deepStrictEqual(repeat.stages, [['again']]);
+    assert.strictEqual(repeat.steps[0].agent, 'Planner');
+    console.log('✓ Plan lists parallel stages, branches and loop bodies without running steps');
+
+    assert.deepStrictEqual(orchestrator.dryRun('planned', { data: { goal: 42 } }).errors, [
+      'steps[0] (start).input.goal: Planner "plan" expects string, got number',
+      'steps[4] (repeat).steps[0] (again).input.goal: Planner "plan" expects string, got number'
+    ]);
+    assert.deepStrictEqual(orchestrator.dryRun('planned', { data: {} }).errors, [
+      'steps[0] (start).input.goal: required by Planner "plan" but $input.goal is missing from the task data',
+      'steps[4] (repeat).steps[0] (again).input.goal: required by Planner "plan" but $input.goal is missing from the task data'
+    ]);
+    console.log('✓ Input mappings are type-checked against the agent task schemas');
+
+    orchestrator.registerWorkflow('miswired', {
+      name: 'miswired',
+      steps: [
+        { name: 'a', agentName: 'Missing', taskType: 'plan' },
+        { name: 'b', agentName: 'Planner', taskType: 'execute', fallbackAgent: 'Ghost' },
+        { name: 'c', agentName: 'Planner', taskType: 'plan', input: { depth: 'deep', extra: 1 } }
+      ],
+      escalationHandler: 'Nobody'
+    });
+    const miswired = orchestrator.dryRun('miswired');
+    assert.strictEqual(miswired.valid, false);
+    assert.deepStrictEqual(miswired.errors, [
+      'steps[0] (a).agentName: agent "Missing" is not registered',
+      'steps[1] (b).agentName: agent "Planner" does not handle task type "execute" (handles plan, undo)',
+      'steps[1] (b).fallbackAgent: agent "Ghost" is not registered',
+      'steps[2] (c).input.goal: required by Planner "plan" but not mapped',
+      'steps[2] (c).input.depth: Planner "plan" expects number, got string',
+      'escalationHandler: agent "Nobody" is not registered'
+    ]);
+    assert.deepStrictEqual(miswired.warnings, ['steps[2] (c).input.extra: not an input of Planner "plan"']);
+    assert.strictEqual(processed, 0);
+
+    const builtIn = new AgentOrchestrator(mockLogger);
+    [ResearchAgent, ImplementationAgent, VerificationAgent, MetaPromptOptimizer, PerformanceAuditor, AnomalyDetectionAgent, UserInteractionAgent]
+      .forEach(Agent => builtIn.registerAgent(new Agent(mockLogger)));
+    new WorkflowLoader(builtIn, mockLogger, { directory: path.join(__dirname, '..', '..', 'workflows') }).loadAll();
+    ['complete-solution', 'iterative-refinement', 'quality-assurance'].forEach(name => {
+      assert.deepStrictEqual(builtIn.dryRun(name).errors, [], name);
+    });
+    console.log('✓ Unknown agents, unsupported task types and bad literals are reported');
+  } catch (error) {
+    console.error('✗ Dry run failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 25: Approval Steps
+  console.log('Test 25: Approval Steps');
+  try {
+    const runStore = new MemoryRunStore();
+    const orchestrator = new AgentOrchestrator(mockLogger, { runStore });
+    const deployed = [];
+    const undone = [];
+    orchestrator.registerAgent(new StubAgent('Release', mockLogger, async task => {
+      if (task.type === 'build') return { version: '1.2.0', notes: task.data.notes };
+      if (task.type === 'undo') return undone.push(task.data.step);
+      deployed.push(task.data.version);
+      return { deployed: task.data.version };
+    }));
+    const finished = (target, runId) => new Promise(resolve => {
+      const unsubscribe = target.events.subscribe(event => {
+        if (event.type === 'run-completed') {
+          unsubscribe();
+          resolve(event.data.status);
+        }
+      }, runId);
+    });
+    const release = (name, approval) => orchestrator.registerWorkflow(name, {
+      name,
+      timeoutMs: 500,
+      steps: [
+        { name: 'build', agentName: 'Release', taskType: 'build', compensate: { agentName: 'Release', taskType: 'undo' } },
+        { name: 'sign-off', type: 'approval', dependsOn: ['build'], message: 'Ship it?', input: { version: '$steps.build.version' }, ...approval },
+        { name: 'deploy', agentName: 'Release', taskType: 'deploy', dependsOn: ['sign-off'], input: { version: '$steps.sign-off.version' } }
+      ]
+    });
+    release('release', {});
+
+    const paused = await orchestrator.executeWorkflow('release', { data: { notes: 'fixes' } });
+    assert.strictEqual(paused.awaitingApproval, true);
+    assert.strictEqual(paused.approval.step, 'sign-off');
+    assert.strictEqual(paused.approval.message, 'Ship it?');
+    assert.deepStrictEqual(paused.approval.context, { version: '1.2.0' });
+    assert.strictEqual(paused.approval.expiresAt, undefined);
+    assert.strictEqual((await orchestrator.getRun(paused.runId)).status, 'awaiting-approval');
+    assert.strictEqual(orchestrator.activeTasksCount, 0);
+    assert.deepStrictEqual(deployed, []);
+    console.log('✓ An approval step pauses the run with the context it waits on and frees its slot');
+
+    // Waiting longer than the workflow timeout must not time the run out
+    await delay(550);
+    const done = finished(orchestrator, paused.runId);
+    const approved = await orchestrator.approveRun(paused.runId, { comment: 'Bumped the patch', data: { version: '1.2.1' } });
+    assert.strictEqual(approved.accepted, true);
+    assert.strictEqual(approved.decision, 'approved');
+    assert.strictEqual(await done, 'completed');
+    assert.deepStrictEqual(deployed, ['1.2.1']);
+    const completed = await orchestrator.getRun(paused.runId);
+    assert.deepStrictEqual(completed.results.map(r => r.step), ['build', 'sign-off', 'deploy']);
+    const signOff = completed.results[1].result;
+    assert.strictEqual(signOff.approval.comment, 'Bumped the patch');
+    assert.strictEqual(signOff.approval.edited, true);
+    assert.ok(completed.approvalWaitMs >= 500);
+    const types = orchestrator.events.since(0, paused.runId).map(event => event.type);
+    assert.ok(types.indexOf('approval-requested') < types.indexOf('approval-decided'));
+    assert.strictEqual((await orchestrator.approveRun(paused.runId)).accepted, false);
+    assert.strictEqual(await orchestrator.rejectRun('no-such-run'), null);
+    console.log('✓ Approving resumes the run from the approval step with the edited data');
+
+    const rejectedRun = await orchestrator.executeWorkflow('release', { data: {} });
+    const rejectedDone = finished(orchestrator, rejectedRun.runId);
+    await orchestrator.rejectRun(rejectedRun.runId, { comment: 'Freeze week' });
+    assert.strictEqual(await rejectedDone, 'failed');
+    const rejected = await orchestrator.getRun(rejectedRun.runId);
+    assert.strictEqual(rejected.errorType, 'approval-rejected');
+    assert.strictEqual(rejected.error, 'Approval sign-off was rejected: Freeze week');
+    assert.deepStrictEqual(deployed, ['1.2.1']);
+    assert.deepStrictEqual(undone, ['build']);
+    console.log('✓ Rejecting fails the run and compensates completed steps');
+
+    release('release-expiring', { timeoutMs: 30, onExpiry: 'approve' });
+    const expiring = await orchestrator.executeWorkflow('release-expiring', { data: {} });
+    assert.ok(expiring.approval.expiresAt);
+    assert.strictEqual(await finished(orchestrator, expiring.runId), 'completed');
+    const expired = (await orchestrator.getRun(expiring.runId)).results[1].result.approval;
+    assert.strictEqual(expired.decision, 'approved');
+    assert.strictEqual(expired.expired, true);
+
+    release('release-default', { timeoutMs: 30 });
+    const defaulted = await orchestrator.executeWorkflow('release-default', { data: {} });
+    assert.strictEqual(await finished(orchestrator, defaulted.runId), 'failed');
+    assert.strictEqual((await orchestrator.getRun(defaulted.runId)).error, 'Approval sign-off was rejected on expiry');
+    console.log('✓ Expired approvals take their onExpiry action, rejecting by default');
+
+    // Longer than setTimeout can wait, which Node would otherwise fire after 1ms
+    const warnings = [];
+    const onWarning = warning => warnings.push(warning.name);
+    process.on('warning', onWarning);
+    release('release-monthly', { timeoutMs: 30 * 24 * 60 * 60 * 1000, onExpiry: 'approve' });
+    const monthly = await orchestrator.executeWorkflow('release-monthly', { data: {} });
+    await delay(50);
+    process.off('warning', onWarning);
+    assert.strictEqual((await orchestrator.getRun(monthly.runId)).status, 'awaiting-approval');
+    assert.ok(!warnings.includes('TimeoutOverflowWarning'), 'no TimeoutOverflowWarning');
+    assert.strictEqual((await orchestrator.cancelRun(monthly.runId)).status, 'cancelled');
+    assert.strictEqual(orchestrator.approvalTimers.has(monthly.runId), false);
+    console.log('✓ Approvals expiring in more than 24.8 days wait for their expiry');
+
+    const waiting = await orchestrator.executeWorkflow('release', { data: {} });
+    const restarted = new AgentOrchestrator(mockLogger, { runStore });
+    restarted.registerAgent(orchestrator.agents.get('Release'));
+    restarted.registerWorkflow('release', orchestrator.workflows.get('release'));
+    assert.deepStrictEqual(await restarted.recoverRuns(), []);
+    assert.strictEqual((await runStore.getRun(waiting.runId)).status, 'awaiting-approval');
+    const resumed = finished(restarted, waiting.runId);
+    assert.strictEqual((await restarted.approveRun(waiting.runId)).accepted, true);
+    assert.strictEqual(await resumed, 'completed');
+    assert.deepStrictEqual(deployed, ['1.2.1', '1.2.0', '1.2.0']);
+
+    const abandoned = await orchestrator.executeWorkflow('release', { data: {} });
+    assert.strictEqual((await orchestrator.cancelRun(abandoned.runId)).status, 'cancelled');
+    assert.strictEqual((await orchestrator.getRun(abandoned.runId)).status, 'cancelled');
+    assert.strictEqual((await orchestrator.approveRun(abandoned.runId)).status, 'cancelled');
+    console.log('✓ Waiting runs survive a restart and can be cancelled');
+
+    assert.throws(() => orchestrator.registerWorkflow('bad-approval', {
+      name: 'bad-approval',
+      steps: [{ name: 'gate', type: 'approval', onExpiry: 'ignore' }]
+    }), /steps\[0\] \(gate\)\.onExpiry must be one of approve, reject/);
+    const plan = orchestrator.dryRun('release-expiring', { data: {} }).plan;
+    assert.deepStrictEqual(
+      { type: plan.steps[1].type, timeoutMs: plan.steps[1].timeoutMs, onExpiry: plan.steps[1].onExpiry },
+      { type: 'approval', timeoutMs: 30, onExpiry: 'approve' }
+    );
+    console.log('✓ Approval steps are validated and shown in dry runs');
+  } catch (error) {
+    console.error('✗ Approval steps failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 26: Webhooks
+  console.log('Test 26: Webhooks');
+  const received = [];
+  let flakyDelivery;
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      // The first delivery to /flaky fails twice before it succeeds
+      const deliveryId = req.headers['x-webhook-delivery'];
+      flakyDelivery = flakyDelivery || (req.url === '/flaky' ? deliveryId : undefined);
+      const failuresLeft = deliveryId === flakyDelivery && received.filter(r => r.headers['x-webhook-delivery'] === deliveryId).length <= 2;
+      res.statusCode = req.url === '/rejecting' ? 400 : (failuresLeft ? 503 : 200);
+      res.end();
+    });
+  });
+  const webhookDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  let webhooks;
+  try {
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${receiver.address().port}`;
+    const webhooksPath = path.join(webhookDir, 'webhooks.json');
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    orchestrator.registerAgent(new StubAgent('Echo', mockLogger));
+    ['hooked', 'ignored'].forEach(name => orchestrator.registerWorkflow(name, {
+      name,
+      steps: [{ name: 'echo', agentName: 'Echo', taskType: 'echo' }]
+    }));
+    webhooks = new WebhookDispatcher(orchestrator.events, mockLogger, { path: webhooksPath, baseDelayMs: 10 });
+    const settled = async () => {
+      for (let i = 0; i < 100 && webhooks.listDeliveries({ status: 'pending' }).length > 0; i++) await delay(10);
+    };
+
+    const completions = await webhooks.addWebhook({
+      url: `${base}/completions`,
+      events: ['run-completed'],
+      workflows: ['hooked'],
+      secret: 'a-shared-secret-value'
+    });
+    const everything = await webhooks.addWebhook({ url: `${base}/flaky` });
+    await webhooks.addWebhook({ url: `${base}/rejecting`, events: ['run-queued'] });
+    assert.strictEqual(everything.secret.length, 64);
+    assert.strictEqual(webhooks.getWebhook(completions.id).secret, undefined);
+
+    const result = await orchestrator.executeWorkflow('hooked', { data: { text: 'hi' } });
+    await orchestrator.executeWorkflow('ignored', { data: {} });
+    await settled();
+
+    const hits = received.filter(r => r.path === '/completions');
+    assert.strictEqual(hits.length, 1);
+    const event = JSON.parse(hits[0].body);
+    assert.strictEqual(event.type, 'run-completed');
+    assert.strictEqual(event.runId, result.runId);
+    assert.strictEqual(hits[0].headers['x-webhook-event'], 'run-completed');
+    const expected = WebhookDispatcher.sign('a-shared-secret-value', hits[0].headers['x-webhook-timestamp'], hits[0].body);
+    assert.strictEqual(hits[0].headers['x-webhook-signature'], `sha256=${expected}`);
+    console.log('✓ Events are filtered by type and workflow and delivered with an HMAC signature');
+
+    const flakyDeliveries = webhooks.listDeliveries({ webhookId: everything.id });
+    assert.ok(flakyDeliveries.length > 5);
+    assert.ok(flakyDeliveries.every(delivery => delivery.status === 'delivered'));
+    const retried = webhooks.getDelivery(flakyDelivery);
+    assert.strictEqual(retried.eventType, 'run-queued');
+    assert.deepStrictEqual(retried.attempts.map(a => a.statusCode), [503, 503, 200]);
+    assert.ok(flakyDeliveries.some(delivery => delivery.eventType === 'agent-state-changed'));
+    const rejecting = webhooks.listDeliveries({ eventType: 'run-queued', status: 'failed' });
+    assert.strictEqual(rejecting.length, 2);
+    assert.strictEqual(rejecting[0].attempts.length, 1);
+    assert.strictEqual(rejecting[0].error, 'Webhook responded 400');
+    console.log('✓ Failed deliveries are retried with backoff and kept in the delivery log');
+
+    await assert.rejects(webhooks.addWebhook({ url: 'ftp://example.com', events: ['run-exploded'] }), error => {
+      assert.ok(error instanceof WebhookValidationError);
+      assert.deepStrictEqual(error.errors, [
+        'url must use http or https',
+        `events: "run-exploded" is not one of ${require('../lib/RunEvents').TYPES.join(', ')}`
+      ]);
+      return true;
+    });
+    webhooks.close();
+    const reloaded = new WebhookDispatcher(orchestrator.events, mockLogger, { path: webhooksPath });
+    assert.strictEqual(reloaded.listWebhooks().length, 3);
+    assert.strictEqual(await reloaded.removeWebhook(everything.id), true);
+    assert.strictEqual(await reloaded.removeWebhook(everything.id), false);
+    assert.strictEqual(JSON.parse(fs.readFileSync(webhooksPath, 'utf8')).length, 2);
+    reloaded.close();
+    console.log('✓ Subscriptions are validated and persisted');
+
+    // Nothing listens on port 9, so every attempt fails and is retried
+    const bounded = new WebhookDispatcher(orchestrator.events, mockLogger, { maxDeliveries: 2, maxAttempts: 2, baseDelayMs: 30 });
+    try {
+      await bounded.addWebhook({ url: 'http://127.0.0.1:9/' });
+      ['a', 'b', 'c'].forEach(id => bounded.dispatch({ id, type: 'run-queued', runId: id, workflow: 'hooked' }));
+      const pending = bounded.listDeliveries({ status: 'pending' });
+      assert.strictEqual(pending.length, 3);
+      assert.ok(pending.every(delivery => bounded.getDelivery(delivery.id)));
+      for (let i = 0; i < 100 && bounded.listDeliveries({ status: 'pending' }).length > 0; i++) await delay(10);
+      assert.deepStrictEqual(bounded.listDeliveries().map(delivery => [delivery.runId, delivery.status]), [['c', 'failed'], ['b', 'failed']]);
+    } finally {
+      bounded.close();
+    }
+    console.log('✓ The delivery log drops only finished deliveries, running over while all are pending');
+  } catch (error) {
+    console.error('✗ Webhooks failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (webhooks) webhooks.close();
+    receiver.close();
+    fs.rmSync(webhookDir, { recursive: true, force: true });
+  }
+
+  // Test 27: Record and Replay
+  console.log('Test 27: Record and Replay');
+  try {
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    const auditor = new PerformanceAuditor(mockLogger);
+    orchestrator.registerAgent(new ResearchAgent(mockLogger));
+    orchestrator.registerAgent(auditor);
+    orchestrator.registerAgent(new StubAgent('Clock', mockLogger, async function () {
+      await delay(20);
+      return { at: this.now(), roll: this.random() };
+    }));
+
+    const standards = Array.from({ length: 12 }, (item, index) => `STD-${index}`);
+    orchestrator.registerWorkflow('recorded', {
+      name: 'recorded',
+      steps: [
+        { name: 'decompose', agentName: 'ResearchAgent', taskType: 'decompose', input: { problem: '$input.problem' } },
+        {
+          name: 'audit', agentName: 'PerformanceAuditor', taskType: 'audit-compliance',
+          input: { solution: '$input.solution', standards: '$input.standards' }, dependsOn: ['decompose']
+        },
+        { name: 'clock', agentName: 'Clock', dependsOn: ['audit'] }
+      ]
+    });
+
+    const task = { type: 'tick', data: { problem: 'Build a resilient payment gateway', solution: { name: 'gateway' }, standards } };
+    const result = await orchestrator.executeWorkflow('recorded', task, { record: true });
+    const record = await orchestrator.getRun(result.runId);
+    assert.strictEqual(record.status, 'completed');
+    assert.deepStrictEqual(record.recording.map(entry => [entry.step, entry.agent, entry.attempt]), [
+      ['decompose', 'ResearchAgent', 1],
+      ['audit', 'PerformanceAuditor', 1],
+      ['clock', 'Clock', 1]
+    ]);
+    const clockEntry = record.recording[2];
+    assert.strictEqual(clockEntry.output.data.at, clockEntry.clock);
+    assert.ok(Number.isInteger(clockEntry.seed));
+    assert.strictEqual(clockEntry.task.type, 'tick');
+    // The clock stands still during the call, but its duration is still measured
+    assert.ok(orchestrator.agents.get('Clock').getStatus().metrics.averageProcessingTime >= 15);
+    console.log('✓ Recorded runs keep each call\'s task, clock, seed and output');
+
+    const tasksCompleted = auditor.metrics.tasksCompleted;
+    const replay = await orchestrator.replayRun(result.runId);
+    assert.strictEqual(replay.matched, true);
+    assert.strictEqual(replay.replayed, 3);
+    assert.strictEqual(replay.divergence, null);
+    assert.strictEqual(auditor.metrics.tasksCompleted, tasksCompleted);
+    console.log('✓ Replays reproduce agents that use the clock and random numbers');
+
+    class LenientAuditor extends PerformanceAuditor {
+      checkStandards(solution, list) {
+        return list.map(standard => ({ standard, compliant: 'waived', gaps: [] }));
+      }
+    }
+    const diverged = await orchestrator.replayRun(result.runId, { agents: { PerformanceAuditor: new LenientAuditor(mockLogger) } });
+    assert.strictEqual(diverged.matched, false);
+    assert.strictEqual(diverged.replayed, 2);
+    assert.strictEqual(diverged.divergence.step, 'audit');
+    assert.strictEqual(diverged.divergence.path, 'output.data.audit.standards[0].compliant');
+    assert.strictEqual(diverged.divergence.replayed, 'waived');
+    console.log('✓ Replays report the first call whose output diverges');
+
+    const isolated = await orchestrator.replayStep(result.runId, 'audit', { agent: new LenientAuditor(mockLogger) });
+    assert.strictEqual(isolated.matches, false);
+    assert.strictEqual(isolated.agent, 'PerformanceAuditor');
+    assert.deepStrictEqual(isolated.recorded.output, record.recording[1].output);
+    assert.strictEqual(isolated.replayed.output.data.audit.standards[0].compliant, 'waived');
+    assert.strictEqual((await orchestrator.replayStep(result.runId, 'clock')).matches, true);
+    await assert.rejects(orchestrator.replayStep(result.runId, 'missing'), NotFoundError);
+    console.log('✓ Single steps replay in isolation against a modified agent');
+
+    const unrecorded = await orchestrator.executeWorkflow('recorded', task);
+    await assert.rejects(orchestrator.replayRun(unrecorded.runId), /was not recorded/);
+    await assert.rejects(orchestrator.replayRun('no-such-run'), NotFoundError);
+    console.log('✓ Only recorded runs can be replayed\n');
+  } catch (error) {
+    console.error('✗ Record and replay failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 28: Sub-workflows and Templates
+  console.log('Test 28: Sub-workflows and Templates');
+  try {
+    const runStore = new MemoryRunStore();
+    const orchestrator = new AgentOrchestrator(mockLogger, { runStore, maxConcurrentTasks: 1 });
+    let flakyCalls = 0;
+    orchestrator.registerAgent(new StubAgent('Echo', mockLogger));
+    orchestrator.registerAgent(new StubAgent('Flaky', mockLogger, async () => {
+      flakyCalls++;
+      if (flakyCalls === 1) throw new Error('Service temporarily unavailable');
+      return { recovered: true };
+    }));
+    orchestrator.registerAgent(new StubAgent('Slow', mockLogger, async () => {
+      await delay(100);
+      return { slow: true };
+    }));
+
+    orchestrator.registerWorkflow('checks', {
+      name: 'checks',
+      parameters: {
+        audits: { type: 'array', enum: ['lint', 'security'], default: ['lint'] },
+        label: { type: 'string' }
+      },
+      steps: [
+        { name: 'prepare', agentName: 'Echo', input: { value: '$input.value', label: '$params.label' } },
+        { name: 'lint', agentName: 'Echo', dependsOn: ['prepare'], include: { path: '$params.audits', op: 'contains', value: 'lint' } },
+        { name: 'security', agentName: 'Echo', dependsOn: ['lint'], include: { path: '$params.audits', op: 'contains', value: 'security' } },
+        { name: 'report', agentName: 'Echo', dependsOn: ['security'], input: { label: '$steps.prepare.label' } }
+      ]
+    });
+    orchestrator.registerWorkflow('pipeline', {
+      name: 'pipeline',
+      steps: [
+        { name: 'build', agentName: 'Echo', input: { value: '$input.value' } },
+        {
+          name: 'verify', type: 'workflow', workflow: 'checks', dependsOn: ['build'],
+          parameters: { audits: ['lint', 'security'], label: 'nightly' }, input: { value: '$steps.build.value' }
+        },
+        { name: 'publish', agentName: 'Echo', dependsOn: ['verify'], input: { label: '$steps.verify.report.label' } }
+      ]
+    });
+
+    const result = await orchestrator.executeWorkflow('pipeline', { type: 'check', data: { value: 42 } });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.outputs.publish, { label: 'nightly' });
+    const verify = result.results.find(entry => entry.step === 'verify');
+    const children = await orchestrator.listRuns({ parentRunId: result.runId });
+    assert.strictEqual(children.length, 1);
+    assert.strictEqual(verify.childRunId, children[0].id);
+    assert.strictEqual(children[0].parentStep, 'verify');
+    assert.strictEqual(children[0].status, 'completed');
+    assert.deepStrictEqual(children[0].parameters, { audits: ['lint', 'security'], label: 'nightly' });
+    assert.deepStrictEqual(children[0].results.map(entry => entry.step), ['prepare', 'lint', 'security', 'report']);
+    assert.deepStrictEqual(children[0].input.data, { value: 42 });
+    console.log('✓ A sub-workflow step runs a linked child run in the parent\'s slot and publishes its outputs');
+
+    const defaults = await orchestrator.executeWorkflow('checks', { type: 'check', data: { value: 1 } }, { parameters: { label: 'adhoc' } });
+    assert.deepStrictEqual(defaults.results.map(entry => entry.step), ['prepare', 'lint', 'report']);
+    assert.deepStrictEqual((await orchestrator.getRun(defaults.runId)).parameters, { audits: ['lint'], label: 'adhoc' });
+    await assert.rejects(
+      orchestrator.executeWorkflow('checks', { type: 'check', data: {} }, { parameters: { audits: ['style'] } }),
+      error => error instanceof WorkflowValidationError &&
+        error.errors.includes('parameters.audits "style" is not one of lint, security') &&
+        error.errors.includes('parameters.label is required')
+    );
+    await assert.rejects(
+      orchestrator.executeWorkflow('pipeline', { type: 'check', data: {} }, { parameters: { label: 'x' } }),
+      WorkflowValidationError
+    );
+    const planned = await orchestrator.dryRun('checks', { type: 'check', data: {} }, { parameters: { label: 'x', audits: ['security'] } });
+    assert.strictEqual(planned.valid, true);
+    assert.deepStrictEqual(planned.plan.stages.flat(), ['prepare', 'security', 'report']);
+    assert.strictEqual((await orchestrator.dryRun('checks', { type: 'check', data: {} })).valid, false);
+    assert.throws(() => orchestrator.registerWorkflow('bad-template', {
+      name: 'bad-template',
+      parameters: { mode: { type: 'string', default: 'fast' } },
+      steps: [{ name: 'only', agentName: 'Echo', include: { path: '$input.mode', op: 'eq', value: 'fast' } }]
+    }), /must be a \$params.<name> reference/);
+    assert.throws(() => orchestrator.registerWorkflow('bad-include', {
+      name: 'bad-include',
+      steps: [{ name: 'only', agentName: 'Echo', include: { path: '$params.mode', op: 'eq', value: 'fast' } }]
+    }), /include/);
+    console.log('✓ Templates are instantiated with defaults and given parameters; invalid parameters are rejected');
+
+    orchestrator.registerWorkflow('flaky', {
+      name: 'flaky',
+      steps: [{ name: 'call', agentName: 'Flaky', escalateOnFailure: true }]
+    });
+    orchestrator.registerWorkflow('retrying', {
+      name: 'retrying',
+      steps: [{
+        name: 'child', type: 'workflow', workflow: 'flaky', escalateOnFailure: true,
+        retryPolicy: { maxAttempts: 2, baseDelayMs: 0, jitter: 'none' }
+      }]
+    });
+    const retried = await orchestrator.executeWorkflow('retrying', { type: 'check', data: {} });
+    assert.strictEqual(retried.success, true);
+    const retriedStep = retried.results.find(entry => entry.step === 'child');
+    assert.strictEqual(retriedStep.result.attempts.length, 2);
+    assert.strictEqual(retriedStep.result.attempts[0].errorClass, 'transient');
+    const flakyRuns = await orchestrator.listRuns({ parentRunId: retried.runId });
+    assert.deepStrictEqual(flakyRuns.map(run => run.status).sort(), ['completed', 'escalated']);
+
+    flakyCalls = 0;
+    orchestrator.registerWorkflow('escalating', {
+      name: 'escalating',
+      steps: [{ name: 'child', type: 'workflow', workflow: 'flaky', escalateOnFailure: true, retries: 1 }]
+    });
+    const escalated = await orchestrator.executeWorkflow('escalating', { type: 'check', data: {} });
+    assert.strictEqual(escalated.escalated, true);
+    assert.strictEqual(escalated.failedStep, 'child');
+    assert.match(escalated.error.error, /Sub-workflow flaky escalated at step call: Service temporarily unavailable/);
+    console.log('✓ Failed child runs are retried as new child runs and escalate the parent step');
+
+    orchestrator.registerWorkflow('slow', {
+      name: 'slow',
+      steps: [
+        { name: 'wait', agentName: 'Slow' },
+        { name: 'after', agentName: 'Echo', dependsOn: ['wait'] }
+      ]
+    });
+    orchestrator.registerWorkflow('wrapper', {
+      name: 'wrapper',
+      steps: [{ name: 'child', type: 'workflow', workflow: 'slow' }]
+    });
+    const started = await orchestrator.startWorkflow('wrapper', { type: 'check', data: {} });
+    let slowChild;
+    for (let tries = 0; !slowChild && tries < 50; tries++) {
+      await delay(10);
+      [slowChild] = await orchestrator.listRuns({ parentRunId: started.id });
+    }
+    assert.ok(slowChild, 'child run was not created');
+    await orchestrator.cancelRun(started.id);
+    for (let tries = 0; (await orchestrator.getRun(started.id)).status !== 'cancelled' && tries < 50; tries++) {
+      await delay(10);
+    }
+    const cancelledChild = await orchestrator.getRun(slowChild.id);
+    assert.strictEqual(cancelledChild.status, 'cancelled');
+    assert.deepStrictEqual(cancelledChild.results.map(entry => entry.step), ['wait']);
+    assert.strictEqual((await orchestrator.getRun(started.id)).status, 'cancelled');
+    console.log('✓ Cancelling a parent run cancels its child runs');
+
+    orchestrator.registerWorkflow('ping', { name: 'ping', steps: [{ name: 'call', type: 'workflow', workflow: 'pong' }] });
+    orchestrator.registerWorkflow('pong', { name: 'pong', steps: [{ name: 'call', type: 'workflow', workflow: 'ping' }] });
+    const cyclePlan = await orchestrator.dryRun('ping', { type: 'check', data: {} });
+    assert.ok(cyclePlan.errors.some(error => /cycle/.test(error)));
+    const cycled = await orchestrator.executeWorkflow('ping', { type: 'check', data: {} });
+    assert.strictEqual(cycled.success, true);
+    assert.match(cycled.results[0].result.error, /Sub-workflow cycle: ping -> pong -> ping/);
+    assert.strictEqual((await orchestrator.listRuns({ parentRunId: cycled.runId }))[0].status, 'failed');
+    console.log('✓ Sub-workflow cycles are reported by dry runs and fail the step\n');
+  } catch (error) {
+    console.error('✗ Sub-workflows and templates failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 29: Cron Schedules
+  console.log('Test 29: Cron Schedules');
+  try {
+    const fireTimes = (expression, timeZone, from, count) =>
+      nextFireTimes(expression, timeZone, Date.parse(from), count).map(time => time.toISOString());
+    assert.deepStrictEqual(fireTimes('0 9 * * MON-FRI', 'Europe/Berlin', '2026-10-16T08:00:00Z', 3),
+      ['2026-10-19T07:00:00.000Z', '2026-10-20T07:00:00.000Z', '2026-10-21T07:00:00.000Z']);
+    // 02:30 does not exist in New York on 8 March 2026, and 01:30 happens twice on 1 November
+    assert.deepStrictEqual(fireTimes('30 2 * * *', 'America/New_York', '2026-03-07T12:00:00Z', 2),
+      ['2026-03-09T06:30:00.000Z', '2026-03-10T06:30:00.000Z']);
+    assert.deepStrictEqual(fireTimes('30 1 * * *', 'America/New_York', '2026-10-31T12:00:00Z', 2),
+      ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']);
+    assert.deepStrictEqual(fireTimes('0 0 30 2 *', 'UTC', '2026-01-01T00:00:00Z', 1), []);
+    assert.throws(() => parseCron('61 * * * *'), /minute: "61" is not between 0 and 59/);
+    assert.throws(() => parseCron('* * *'), /must have 5 fields/);
+    console.log('✓ Cron expressions fire on the wall clock of their time zone, across daylight-saving changes');
+
+    let now = Date.parse('2026-10-19T06:00:00Z');
+    const runStore = new MemoryRunStore();
+    const orchestrator = new AgentOrchestrator(mockLogger, { runStore });
+    const releases = [];
+    orchestrator.registerAgent(new StubAgent('Nightly', mockLogger));
+    orchestrator.registerAgent(new StubAgent('Long', mockLogger, () => new Promise(resolve => releases.push(resolve))));
+    orchestrator.registerWorkflow('nightly', { name: 'nightly', steps: [{ name: 'check', agentName: 'Nightly' }] });
+    orchestrator.registerWorkflow('long', { name: 'long', steps: [{ name: 'wait', agentName: 'Long' }] });
+    const scheduler = new Scheduler(orchestrator, mockLogger, { now: () => now });
+    const settled = async (scheduleId) => {
+      for (let tries = 0; tries < 100; tries++) {
+        const runs = await orchestrator.listRuns({ scheduleId });
+        if (runs.every(run => RunStore.FINISHED_STATUSES.includes(run.status))) return runs;
+        await delay(5);
+      }
+      throw new Error('scheduled runs did not finish');
+    };
+
+    await assert.rejects(
+      scheduler.createSchedule({ workflow: 'missing', cron: '0 2 * * *', timezone: 'Mars/Olympus', overlap: 'never' }),
+      error => error instanceof ScheduleValidationError &&
+        error.errors.includes('timezone: "Mars/Olympus" is not an IANA time zone') &&
+        error.errors.includes('overlap must be one of skip, queue, allow')
+    );
+    await assert.rejects(scheduler.createSchedule({ workflow: 'missing', cron: '0 2 * * *' }), /"missing" is not registered/);
+
+    await scheduler.start();
+    const daily = await scheduler.createSchedule({
+      workflow: 'nightly', cron: '0 2 * * *', timezone: 'Europe/Berlin', task: { type: 'check', data: { scope: 'all' } }
+    });
+    assert.strictEqual(daily.nextFireAt, '2026-10-20T00:00:00.000Z');
+    assert.strictEqual(daily.overlap, 'skip');
+    assert.strictEqual(daily.catchUp, 'latest');
+    assert.deepStrictEqual(scheduler.preview(daily, 3),
+      ['2026-10-20T00:00:00.000Z', '2026-10-21T00:00:00.000Z', '2026-10-22T00:00:00.000Z']);
+    assert.deepStrictEqual((await runStore.listSchedules()).map(schedule => schedule.id), [daily.id]);
+
+    now = Date.parse('2026-10-20T00:00:05Z');
+    await scheduler.tick();
+    const [nightlyRun] = await settled(daily.id);
+    assert.strictEqual(nightlyRun.status, 'completed');
+    assert.strictEqual(nightlyRun.scheduledFor, '2026-10-20T00:00:00.000Z');
+    assert.deepStrictEqual(nightlyRun.input, { type: 'check', data: { scope: 'all' } });
+    const fired = scheduler.getSchedule(daily.id);
+    assert.strictEqual(fired.nextFireAt, '2026-10-21T00:00:00.000Z');
+    assert.deepStrictEqual(fired.history.map(entry => [entry.outcome, entry.runId]), [['started', nightlyRun.id]]);
+    console.log('✓ Schedules start runs of their workflow with a fixed task when they are due');
+
+    // Down for three days: only the latest missed fire runs
+    now = Date.parse('2026-10-23T09:00:00Z');
+    await scheduler.tick();
+    const caughtUp = await settled(daily.id);
+    assert.strictEqual(caughtUp.length, 2);
+    assert.ok(caughtUp.every(run => run.status === 'completed'));
+    assert.strictEqual(caughtUp[0].scheduledFor, '2026-10-23T00:00:00.000Z');
+    const history = scheduler.getSchedule(daily.id).history;
+    assert.deepStrictEqual(history.slice(-2).map(entry => [entry.outcome, entry.scheduledFor, entry.count, entry.catchUp]), [
+      ['missed', '2026-10-21T00:00:00.000Z', 2, undefined],
+      ['started', '2026-10-23T00:00:00.000Z', undefined, true]
+    ]);
+    assert.strictEqual(scheduler.getSchedule(daily.id).nextFireAt, '2026-10-24T00:00:00.000Z');
+
+    const everyHour = await scheduler.updateSchedule(daily.id, { workflow: 'nightly', cron: '0 * * * *', catchUp: 'all', overlap: 'allow', task: { type: 'check', data: {} } });
+    assert.strictEqual(everyHour.nextFireAt, '2026-10-23T10:00:00.000Z');
+    now = Date.parse('2026-10-23T13:30:00Z');
+    await scheduler.tick();
+    assert.deepStrictEqual((await settled(daily.id)).slice(0, 4).map(run => run.scheduledFor).sort(),
+      ['2026-10-23T10:00:00.000Z', '2026-10-23T11:00:00.000Z', '2026-10-23T12:00:00.000Z', '2026-10-23T13:00:00.000Z']);
+    await scheduler.updateSchedule(daily.id, { workflow: 'nightly', cron: '0 * * * *', catchUp: 'none', task: { type: 'check', data: {} } });
+    now = Date.parse('2026-10-23T16:30:00Z');
+    await scheduler.tick();
+    assert.strictEqual((await settled(daily.id)).length, 6);
+    assert.deepStrictEqual(scheduler.getSchedule(daily.id).history.slice(-1).map(entry => [entry.outcome, entry.count]), [['missed', 3]]);
+    console.log('✓ Missed fires are caught up as the schedule\'s catchUp policy says');
+
+    const overlapping = async overlap => {
+      now = Date.parse('2026-10-23T16:30:00Z');
+      const schedule = await scheduler.createSchedule({ workflow: 'long', cron: '*/10 * * * *', overlap, task: { type: 'wait', data: {} } });
+      for (const minute of ['16:40', '16:50', '17:00']) {
+        now = Date.parse(`2026-10-23T${minute}:10Z`);
+        await scheduler.tick();
+        await delay(5);
+      }
+      return schedule;
+    };
+
+    const skipping = await overlapping('skip');
+    assert.deepStrictEqual(scheduler.getSchedule(skipping.id).history.map(entry => entry.outcome), ['started', 'skipped', 'skipped']);
+    assert.strictEqual((await orchestrator.listRuns({ scheduleId: skipping.id })).length, 1);
+    releases.shift()();
+    await settled(skipping.id);
+
+    const queueing = await overlapping('queue');
+    assert.deepStrictEqual(scheduler.getSchedule(queueing.id).queuedFires, ['2026-10-23T16:50:00.000Z', '2026-10-23T17:00:00.000Z']);
+    releases.shift()();
+    for (let tries = 0; releases.length === 0 && tries < 100; tries++) await delay(5);
+    const queuedRuns = await orchestrator.listRuns({ scheduleId: queueing.id });
+    assert.deepStrictEqual(queuedRuns.map(run => [run.scheduledFor, run.status]), [
+      ['2026-10-23T16:50:00.000Z', 'running'],
+      ['2026-10-23T16:40:00.000Z', 'completed']
+    ]);
+    assert.deepStrictEqual(scheduler.getSchedule(queueing.id).queuedFires, ['2026-10-23T17:00:00.000Z']);
+    releases.shift()();
+    for (let tries = 0; releases.length === 0 && tries < 100; tries++) await delay(5);
+    releases.shift()();
+    assert.strictEqual((await settled(queueing.id)).length, 3);
+    console.log('✓ Overlapping fires are skipped or queued until the running one finishes');
+
+    scheduler.stop();
+    assert.strictEqual(await scheduler.deleteSchedule(skipping.id), true);
+    assert.strictEqual(scheduler.getSchedule(skipping.id), null);
+    assert.strictEqual(await scheduler.deleteSchedule(skipping.id), false);
+    assert.strictEqual(await scheduler.updateSchedule(skipping.id, { workflow: 'nightly', cron: '@daily' }), null);
+
+    const filePath = path.join(os.tmpdir(), `schedules-${process.pid}.jsonl`);
+    try {
+      const fileStore = new JsonlRunStore(filePath);
+      const durable = new AgentOrchestrator(mockLogger, { runStore: fileStore });
+      durable.registerAgent(new StubAgent('Nightly', mockLogger));
+      durable.registerWorkflow('nightly', { name: 'nightly', steps: [{ name: 'check', agentName: 'Nightly' }] });
+      now = Date.parse('2026-10-19T06:00:00Z');
+      const first = new Scheduler(durable, mockLogger, { now: () => now });
+      const kept = await first.createSchedule({ workflow: 'nightly', cron: '@daily', task: { type: 'check', data: {} } });
+      const dropped = await first.createSchedule({ workflow: 'nightly', cron: '@hourly', task: { type: 'check', data: {} } });
+      await first.deleteSchedule(dropped.id);
+
+      // A restart two days later: the schedule comes back from the store and catches up
+      const reloaded = new JsonlRunStore(filePath);
+      const restarted = new AgentOrchestrator(mockLogger, { runStore: reloaded });
+      restarted.registerAgent(new StubAgent('Nightly', mockLogger));
+      restarted.registerWorkflow('nightly', { name: 'nightly', steps: [{ name: 'check', agentName: 'Nightly' }] });
+      now = Date.parse('2026-10-21T06:00:00Z');
+      const second = new Scheduler(restarted, mockLogger, { now: () => now });
+      await second.start();
+      second.stop();
+      assert.deepStrictEqual(second.listSchedules().map(schedule => schedule.id), [kept.id]);
+      const [restartedRun] = await restarted.listRuns({ scheduleId: kept.id });
+      assert.strictEqual(restartedRun.scheduledFor, '2026-10-21T00:00:00.000Z');
+      assert.strictEqual(second.getSchedule(kept.id).nextFireAt, '2026-10-22T00:00:00.000Z');
+      console.log('✓ Schedules are kept in the run store and catch up after a restart\n');
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  } catch (error) {
+    console.error('✗ Cron schedules failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 30: Run Budgets
+  console.log('Test 30: Run Budgets');
+  try {
+    assert.deepStrictEqual(validateBudget({ agentCalls: 2.5, costUsd: -1, warnAt: 2, tokens: 5 }), [
+      'budget.tokens: unknown limit (use wallTimeMs, agentCalls, costUsd or warnAt)',
+      'budget.agentCalls must be a positive integer',
+      'budget.costUsd must be a positive number',
+      'budget.warnAt must be a number above 0 and at most 1'
+    ]);
+    assert.deepStrictEqual(validateBudget({ wallTimeMs: 30 * 24 * 60 * 60 * 1000 }), [
+      'budget.wallTimeMs must be at most 2147483647 (about 24.8 days)'
+    ]);
+    assert.deepStrictEqual(resolveBudget({ agentCalls: 5, costUsd: 1 }, { agentCalls: 10 }), { agentCalls: 10, costUsd: 1 });
+    assert.strictEqual(resolveBudget(undefined, { warnAt: 0.5 }), undefined);
+
+    const runStore = new MemoryRunStore();
+    const orchestrator = new AgentOrchestrator(mockLogger, { runStore });
+    const calls = { Priced: 0 };
+    const priced = new StubAgent('Priced', mockLogger, async task => {
+      calls.Priced++;
+      return task.data;
+    });
+    priced.costModel = { perCall: 0.01 };
+    let flakyCalls = 0;
+    const flaky = new StubAgent('Flaky', mockLogger, async () => {
+      flakyCalls++;
+      if (flakyCalls === 1) throw new Error('Service temporarily unavailable');
+      return { recovered: true };
+    });
+    flaky.costModel = { perCall: 0.02 };
+    orchestrator.registerAgent(priced);
+    orchestrator.registerAgent(flaky);
+    orchestrator.registerAgent(new StubAgent('Slow', mockLogger, async () => {
+      await delay(100);
+      return { slow: true };
+    }));
+    const events = [];
+    orchestrator.events.subscribe(event => events.push(event));
+
+    assert.throws(
+      () => orchestrator.registerWorkflow('bad-budget', { name: 'bad-budget', budget: { agentCalls: 0 }, steps: [{ name: 'a', agentName: 'Priced' }] }),
+      /budget\.agentCalls must be a positive integer/
+    );
+
+    orchestrator.registerWorkflow('metered', {
+      name: 'metered',
+      budget: { agentCalls: 4, costUsd: 1, warnAt: 0.5 },
+      steps: [
+        { name: 'first', agentName: 'Priced' },
+        { name: 'flaky', agentName: 'Flaky', retries: 2, dependsOn: ['first'] },
+        { name: 'last', agentName: 'Priced', dependsOn: ['flaky'] }
+      ]
+    });
+
+    const metered = await orchestrator.executeWorkflow('metered', { type: 'meter', data: {} });
+    assert.strictEqual(metered.success, true);
+    assert.deepStrictEqual(metered.results.map(entry => entry.cost), [
+      { agentCalls: 1, costUsd: 0.01 },
+      { agentCalls: 2, costUsd: 0.04 },
+      { agentCalls: 1, costUsd: 0.01 }
+    ]);
+    assert.deepStrictEqual(metered.results[1].result.attempts.map(attempt => attempt.costUsd), [0.02, 0.02]);
+    assert.strictEqual(metered.spend.agentCalls, 4);
+    assert.strictEqual(metered.spend.costUsd, 0.06);
+    const warnings = events.filter(event => event.type === 'budget-warning' && event.runId === metered.runId);
+    assert.deepStrictEqual(warnings.map(event => event.data), [{ limit: 'agentCalls', spent: 2, max: 4 }]);
+    const meteredRecord = await orchestrator.getRun(metered.runId);
+    assert.deepStrictEqual(meteredRecord.budget, { agentCalls: 4, costUsd: 1, warnAt: 0.5 });
+    assert.deepStrictEqual(meteredRecord.budgetWarnings, ['agentCalls']);
+    console.log('✓ Step results carry their cost and spend warns once past the soft limit');
+
+    orchestrator.registerWorkflow('capped', {
+      name: 'capped',
+      budget: { agentCalls: 2 },
+      steps: [
+        { name: 'one', agentName: 'Priced' },
+        { name: 'two', agentName: 'Priced', dependsOn: ['one'] },
+        { name: 'three', agentName: 'Priced', dependsOn: ['two'] },
+        { name: 'four', agentName: 'Priced', dependsOn: ['three'] }
+      ]
+    });
+
+    calls.Priced = 0;
+    const capped = await orchestrator.executeWorkflow('capped', { type: 'meter', data: {} });
+    assert.strictEqual(capped.success, false);
+    assert.strictEqual(capped.budgetExceeded, true);
+    assert.deepStrictEqual(capped.exceeded, { limit: 'agentCalls', spent: 3, max: 2 });
+    assert.strictEqual(calls.Priced, 2);
+    assert.deepStrictEqual(capped.results.map(entry => entry.step), ['one', 'two', 'three']);
+    assert.strictEqual(capped.results[2].result.errorType, 'budget-exceeded');
+    assert.deepStrictEqual(capped.results[2].cost, { agentCalls: 0, costUsd: 0 });
+    const cappedRecord = await orchestrator.getRun(capped.runId);
+    assert.strictEqual(cappedRecord.status, 'budget-exceeded');
+    assert.strictEqual(cappedRecord.errorType, 'budget-exceeded');
+    assert.deepStrictEqual(cappedRecord.spend.agentCalls, 2);
+    const completedEvent = events.find(event => event.type === 'run-completed' && event.runId === capped.runId);
+    assert.strictEqual(completedEvent.data.status, 'budget-exceeded');
+
+    const raised = await orchestrator.executeWorkflow('capped', { type: 'meter', data: {} }, { budget: { agentCalls: 4 } });
+    assert.strictEqual(raised.success, true);
+    assert.deepStrictEqual((await orchestrator.getRun(raised.runId)).budget, { agentCalls: 4 });
+    console.log('✓ A run stops at its agentCalls limit, and a request can raise the limit');
+
+    priced.costModel = { perCall: 0.4 };
+    const overspent = await orchestrator.executeWorkflow('capped', { type: 'meter', data: {} }, { budget: { agentCalls: 10, costUsd: 1 } });
+    assert.strictEqual(overspent.budgetExceeded, true);
+    assert.strictEqual(overspent.exceeded.limit, 'costUsd');
+    assert.strictEqual(overspent.exceeded.spent, 1.2);
+    assert.deepStrictEqual(overspent.results.map(entry => entry.step), ['one', 'two', 'three']);
+    assert.strictEqual(overspent.results[2].result.success, true);
+    priced.costModel = { perCall: 0.01 };
+
+    orchestrator.registerWorkflow('slow', {
+      name: 'slow',
+      steps: [
+        { name: 'wait', agentName: 'Slow' },
+        { name: 'after', agentName: 'Priced', dependsOn: ['wait'] }
+      ]
+    });
+    const timed = await orchestrator.executeWorkflow('slow', { type: 'meter', data: {} }, { budget: { wallTimeMs: 40 } });
+    assert.strictEqual(timed.budgetExceeded, true);
+    assert.strictEqual(timed.exceeded.limit, 'wallTimeMs');
+    assert.deepStrictEqual(timed.results.map(entry => [entry.step, entry.result.errorType]), [['wait', 'budget-exceeded']]);
+    const timedWarning = events.find(event => event.type === 'budget-warning' && event.runId === timed.runId);
+    assert.strictEqual(timedWarning.data.limit, 'wallTimeMs');
+    console.log('✓ Cost and wall time limits stop the run past the hard limit');
+
+    orchestrator.registerWorkflow('triple', {
+      name: 'triple',
+      steps: [
+        { name: 'a', agentName: 'Priced' },
+        { name: 'b', agentName: 'Priced', dependsOn: ['a'] },
+        { name: 'c', agentName: 'Priced', dependsOn: ['b'] }
+      ]
+    });
+    orchestrator.registerWorkflow('parent', {
+      name: 'parent',
+      budget: { agentCalls: 3 },
+      steps: [
+        { name: 'start', agentName: 'Priced' },
+        { name: 'nested', type: 'workflow', workflow: 'triple', dependsOn: ['start'] }
+      ]
+    });
+    const nested = await orchestrator.executeWorkflow('parent', { type: 'meter', data: {} });
+    assert.strictEqual(nested.budgetExceeded, true);
+    assert.deepStrictEqual(nested.exceeded, { limit: 'agentCalls', spent: 4, max: 3 });
+    const [child] = await orchestrator.listRuns({ parentRunId: nested.runId });
+    assert.strictEqual(child.status, 'budget-exceeded');
+    assert.strictEqual(child.spend.agentCalls, 2);
+    assert.deepStrictEqual(nested.results[1].cost, { agentCalls: 2, costUsd: 0.02 });
+    assert.strictEqual(nested.results[1].result.errorType, 'budget-exceeded');
+
+    const plan = orchestrator.dryRun('capped', { type: 'meter', data: {} }, { budget: { costUsd: 0.5 } });
+    assert.deepStrictEqual(plan.plan.budget, { agentCalls: 2, costUsd: 0.5 });
+    console.log('✓ Sub-workflow calls count against the parent budget, and dry runs show the budget\n');
+  } catch (error) {
+    console.error('✗ Run budgets failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 31: Distributed Tracing
+  console.log('Test 31: Distributed Tracing');
+  const servers = [];
+  const traceFile = path.join(os.tmpdir(), `traces-${process.pid}.jsonl`);
+  try {
+    const listen = app => new Promise(resolve => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      servers.push(server);
+    });
+    const memoryExporter = () => ({ spans: [], export(spans) { this.spans.push(...spans.map(span => span.toJSON())); } });
+
+    assert.deepStrictEqual(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'),
+      { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', flags: '01' });
+    assert.strictEqual(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01'), null);
+    assert.strictEqual(parseTraceparent('not-a-header'), null);
+
+    const exporter = memoryExporter();
+    const tracer = new Tracer({ serviceName: 'multi-agent-system', exporters: [exporter] });
+    const orchestrator = new AgentOrchestrator(mockLogger, { tracer });
+    const agentFields = [];
+    let flakyCalls = 0;
+    orchestrator.registerAgent(new StubAgent('Echo', mockLogger, async task => {
+      agentFields.push(traceFields());
+      return task.data;
+    }));
+    orchestrator.registerAgent(new StubAgent('Flaky', mockLogger, async () => {
+      flakyCalls++;
+      if (flakyCalls === 1) throw new Error('Service temporarily unavailable');
+      return { recovered: true };
+    }));
+    orchestrator.registerWorkflow('inner', { name: 'inner', steps: [{ name: 'echo', agentName: 'Echo', taskType: 'echo' }] });
+    orchestrator.registerWorkflow('traced', {
+      name: 'traced',
+      retryPolicy: { baseDelayMs: 1, jitter: 'none' },
+      steps: [
+        { name: 'flaky', agentName: 'Flaky', taskType: 'fetch', retries: 2 },
+        { name: 'nested', type: 'workflow', workflow: 'inner', dependsOn: ['flaky'] }
+      ]
+    });
+
+    const incoming = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+    const result = await tracer.trace('POST /workflow/execute', { kind: 'server', parent: incoming }, () =>
+      orchestrator.executeWorkflow('traced', { type: 'fetch', data: {} }));
+    assert.strictEqual(result.success, true);
+    await tracer.flush();
+
+    const spans = exporter.spans;
+    const named = name => spans.filter(span => span.name === name);
+    const [request] = named('POST /workflow/execute');
+    const [run] = named('run traced');
+    const [flakyStep] = named('step flaky');
+    const [nestedStep] = named('step nested');
+    const [childRun] = named('run inner');
+    assert.ok(spans.every(span => span.traceId === '4bf92f3577b34da6a3ce929d0e0e4736'));
+    assert.strictEqual(request.parentSpanId, '00f067aa0ba902b7');
+    assert.strictEqual(run.parentSpanId, request.spanId);
+    assert.strictEqual(run.attributes['run.id'], result.runId);
+    assert.strictEqual(run.attributes['run.status'], 'completed');
+    assert.deepStrictEqual([flakyStep.parentSpanId, nestedStep.parentSpanId], [run.spanId, run.spanId]);
+    assert.deepStrictEqual(flakyStep.attributes, { 'step.name': 'flaky', 'step.type': 'agent', 'agent.name': 'Flaky', 'task.type': 'fetch' });
+
+    const attempts = named('Flaky process');
+    assert.deepStrictEqual(attempts.map(span => [span.attributes.attempt, span.attributes['agent.name'], span.attributes['task.type'], span.status.code]),
+      [[1, 'Flaky', 'fetch', 'error'], [2, 'Flaky', 'fetch', 'unset']]);
+    assert.ok(attempts.every(span => span.parentSpanId === flakyStep.spanId));
+    const [retry] = named('retry');
+    assert.strictEqual(retry.parentSpanId, flakyStep.spanId);
+    assert.deepStrictEqual([retry.attributes.attempt, retry.attributes['error.class']], [1, 'transient']);
+
+    assert.strictEqual(childRun.parentSpanId, nestedStep.spanId);
+    const [echoCall] = named('Echo process');
+    assert.strictEqual(named('step echo')[0].parentSpanId, childRun.spanId);
+    assert.deepStrictEqual(agentFields, [{ traceId: echoCall.traceId, spanId: echoCall.spanId }]);
+    assert.strictEqual((await orchestrator.getRun(result.runId)).traceparent, `00-${request.traceId}-${request.spanId}-01`);
+    assert.deepStrictEqual(traceFields(), {});
+    console.log('✓ Runs, steps, agent calls and retries are spans in the trace of the request that started them');
+
+    const httpExporter = memoryExporter();
+    const httpTracer = new Tracer({ serviceName: 'gateway', exporters: [httpExporter] });
+    const downstream = express();
+    downstream.use(express.json());
+    downstream.use(httpTracer.middleware());
+    downstream.post('/runs/:id', (req, res) => res.json({ traceparent: req.get('traceparent'), fields: traceFields() }));
+    const downstreamUrl = await listen(downstream);
+    const upstream = express();
+    upstream.use(express.json());
+    upstream.use(httpTracer.middleware());
+    upstream.post('/trigger', async (req, res) => {
+      const response = await httpTracer.fetch(`${downstreamUrl}/runs/42`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+      res.json(await response.json());
+    });
+    const upstreamUrl = await listen(upstream);
+
+    const response = await fetch(`${upstreamUrl}/trigger`, { method: 'POST', headers: { traceparent: incoming } });
+    const downstreamSaw = await response.json();
+    await delay(20);
+    await httpTracer.flush();
+    const [upstreamSpan] = httpExporter.spans.filter(span => span.name === 'POST /trigger');
+    const [clientSpan] = httpExporter.spans.filter(span => span.kind === 'client');
+    const [downstreamSpan] = httpExporter.spans.filter(span => span.name === 'POST /runs/:id');
+    assert.strictEqual(response.headers.get('traceresponse'), `00-${upstreamSpan.traceId}-${upstreamSpan.spanId}-01`);
+    assert.strictEqual(upstreamSpan.parentSpanId, '00f067aa0ba902b7');
+    assert.strictEqual(clientSpan.parentSpanId, upstreamSpan.spanId);
+    assert.strictEqual(downstreamSaw.traceparent, `00-${clientSpan.traceId}-${clientSpan.spanId}-01`);
+    assert.strictEqual(downstreamSpan.parentSpanId, clientSpan.spanId);
+    assert.deepStrictEqual(downstreamSaw.fields, { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: downstreamSpan.spanId });
+    assert.strictEqual(downstreamSpan.attributes['http.status_code'], 200);
+
+    const fresh = await fetch(`${downstreamUrl}/runs/1`, { method: 'POST', headers: { traceparent: 'garbage' } });
+    assert.notStrictEqual(parseTraceparent(fresh.headers.get('traceresponse')).traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    console.log('✓ traceparent is continued from incoming requests and sent on outgoing ones');
+
+    const collected = [];
+    const collector = express();
+    collector.use(express.json());
+    collector.post('/v1/traces', (req, res) => {
+      collected.push(...decodeOtlp(req.body));
+      res.json({});
+    });
+    const collectorUrl = await listen(collector);
+    const exporting = new Tracer({
+      serviceName: 'slack-monitor',
+      exporters: [new JsonlSpanExporter(traceFile), new OtlpHttpExporter(`${collectorUrl}/`)],
+      batchSize: 2
+    });
+    await exporting.trace('POST /slack-event', { kind: 'server', attributes: { 'http.status_code': 200, triggered: true } }, async () => {
+      await exporting.trace('detect trigger', {}, async () => {});
+    });
+    await exporting.shutdown();
+    const lines = fs.readFileSync(traceFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(span => [span.name, span.service]), [['detect trigger', 'slack-monitor'], ['POST /slack-event', 'slack-monitor']]);
+    assert.strictEqual(lines[0].parentSpanId, lines[1].spanId);
+    assert.deepStrictEqual(collected.map(span => [span.name, span.service, span.parentSpanId]),
+      [['detect trigger', 'slack-monitor', lines[1].spanId], ['POST /slack-event', 'slack-monitor', undefined]]);
+    assert.deepStrictEqual(collected[1].attributes, { 'http.status_code': 200, triggered: true });
+
+    const failing = new Tracer({ exporters: [new OtlpHttpExporter('http://127.0.0.1:9/')], logger: { warn: message => collected.push(message) } });
+    await failing.trace('dropped', {}, async () => {});
+    await failing.flush();
+    assert.match(collected[collected.length - 1], /^Span export failed/);
+    console.log('✓ Spans are exported to a JSON-lines file and to an OTLP/HTTP endpoint');
+
+    assert.deepStrictEqual(staleCopies().filter(copy => copy.endsWith('tracing.js')), [], 'run npm run sync-shared');
+    console.log('✓ Every service\'s tracing.js matches lib/tracing.js\n');
+  } catch (error) {
+    console.error('✗ Distributed tracing failed:', error.message);
+    process.exit(1);
+  } finally {
+    servers.forEach(server => server.close());
+    fs.rmSync(traceFile, { force: true });
+  }
+
+  // Test 32: Prometheus Metrics
+  console.log('Test 32: Prometheus Metrics');
+  let metricsServer;
+  try {
+    const registry = new Registry();
+    const jobs = registry.counter('jobs_total', 'Jobs processed', ['outcome']);
+    jobs.inc({ outcome: 'ok' });
+    jobs.inc({ outcome: 'ok' }, 2);
+    jobs.inc({ outcome: 'say "hi"\n' });
+    const latency = registry.histogram('job_seconds', 'Job latency', [], [0.1, 1]);
+    [0.05, 0.5, 5].forEach(value => latency.observe(value));
+    registry.gauge('paused', 'Paused', [], gauge => gauge.set(1));
+
+    assert.strictEqual(registry.render(), [
+      '# HELP jobs_total Jobs processed',
+      '# TYPE jobs_total counter',
+      'jobs_total{outcome="ok"} 3',
+      'jobs_total{outcome="say \\"hi\\"\\n"} 1',
+      '# HELP job_seconds Job latency',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{le="0.1"} 1',
+      'job_seconds_bucket{le="1"} 2',
+      'job_seconds_bucket{le="+Inf"} 3',
+      'job_seconds_sum 5.55',
+      'job_seconds_count 3',
+      '# HELP paused Paused',
+      '# TYPE paused gauge',
+      'paused 1',
+      ''
+    ].join('\n'));
+    assert.throws(() => registry.counter('jobs_total', 'Again'), /already registered/);
+    assert.throws(() => registry.counter('bad-name', 'Bad'), /Invalid metric name/);
+    assert.throws(() => jobs.inc({ color: 'red' }), /Unknown label/);
+    assert.throws(() => jobs.inc({ outcome: 'ok' }, -1), /can only increase/);
+    console.log('✓ Counters, histograms and gauges render in the Prometheus text format');
+
+    const httpMetrics = new Registry();
+    const app = express();
+    app.use(httpMetrics.middleware());
+    app.get('/metrics', httpMetrics.handler());
+    app.get('/runs/:runId', (req, res) => res.json({ runId: req.params.runId }));
+    app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+    const baseUrl = await new Promise(resolve => {
+      metricsServer = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${metricsServer.address().port}`));
+    });
+    await fetch(`${baseUrl}/runs/run-1`);
+    await fetch(`${baseUrl}/runs/run-2`);
+    await fetch(`${baseUrl}/nothing-here`);
+    const scrape = await fetch(`${baseUrl}/metrics`);
+    assert.match(scrape.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await scrape.text();
+    assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/runs\/:runId",status_code="200"\} 2$/m);
+    assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="unmatched",status_code="404"\} 1$/m);
+    assert.doesNotMatch(text, /run-1/);
+    console.log('✓ Request latency is labelled by route pattern, not raw path');
+
+    const metrics = new Registry();
+    const orchestrator = new AgentOrchestrator(mockLogger, { maxConcurrentTasks: 1 });
+    const orchestratorMetrics = new OrchestratorMetrics(orchestrator, metrics);
+    let flakyCalls = 0;
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    orchestrator.registerAgent(new StubAgent('Flaky', mockLogger, async () => {
+      if (++flakyCalls === 1) throw new Error('Service temporarily unavailable');
+      return {};
+    }));
+    orchestrator.registerAgent(new StubAgent('Failing', mockLogger, async () => { throw new Error('bad input'); }));
+    orchestrator.registerAgent(new StubAgent('Gate', mockLogger, () => gate));
+    orchestrator.registerWorkflow('metered', {
+      name: 'metered',
+      retryPolicy: { baseDelayMs: 1, jitter: 'none' },
+      steps: [
+        { name: 'flaky', agentName: 'Flaky', taskType: 'fetch', retries: 2 },
+        { name: 'failing', agentName: 'Failing', taskType: 'charge', escalateOnFailure: true, dependsOn: ['flaky'] }
+      ]
+    });
+    orchestrator.registerWorkflow('gated', { name: 'gated', steps: [{ name: 'wait', agentName: 'Gate', taskType: 'wait' }] });
+
+    const escalated = await orchestrator.executeWorkflow('metered', { data: {} });
+    assert.strictEqual(escalated.escalated, true);
+    assert.strictEqual(metrics.get('workflow_runs_total').get({ workflow: 'metered', status: 'escalated' }), 1);
+    assert.strictEqual(metrics.get('workflow_run_duration_seconds').get({ workflow: 'metered', status: 'escalated' }).count, 1);
+    assert.strictEqual(metrics.get('workflow_escalations_total').get({ workflow: 'metered' }), 1);
+    assert.strictEqual(metrics.get('workflow_retries_total').get({ workflow: 'metered', agent: 'Flaky', error_class: 'transient' }), 1);
+    assert.strictEqual(metrics.get('workflow_step_duration_seconds').get({ agent: 'Flaky', task_type: 'fetch', outcome: 'success' }).count, 1);
+    assert.strictEqual(metrics.get('workflow_step_duration_seconds').get({ agent: 'Failing', task_type: 'charge', outcome: 'failure' }).count, 1);
+
+    const first = orchestrator.executeWorkflow('gated', { data: {} });
+    const second = orchestrator.executeWorkflow('gated', { data: {} });
+    while (orchestrator.queue.size === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const busy = metrics.render();
+    assert.match(busy, /^workflow_queue_depth 1$/m);
+    assert.match(busy, /^workflow_active_runs 1$/m);
+    release({});
+    await Promise.all([first, second]);
+    const idle = metrics.render();
+    assert.match(idle, /^workflow_queue_depth 0$/m);
+    assert.match(idle, /^workflow_runs_total\{workflow="gated",status="completed"\} 2$/m);
+    orchestratorMetrics.close();
+    console.log('✓ Runs by outcome, step latency, retries, escalations and queue depth are measured');
+
+    assert.deepStrictEqual(staleCopies().filter(copy => copy.endsWith('metrics.js')), [], 'run npm run sync-shared');
+    console.log('✓ Every service\'s metrics.js matches lib/metrics.js\n');
+  } catch (error) {
+    console.error('✗ Prometheus metrics failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (metricsServer) metricsServer.close();
+  }
+
+  // Test 33: Agent Metrics
+  console.log('Test 33: Agent Metrics');
+  try {
+    let now = Date.parse('2025-01-01T12:00:00.000Z');
+    const recorder = new AgentMetrics({ clock: () => now });
+    for (let ms = 10; ms <= 1000; ms += 10) {
+      recorder.record('plan', ms, ms % 100 === 0);
+    }
+    recorder.recordRetry('plan');
+    recorder.recordFailure('plan');
+    recorder.record('research');
+
+    const hour = recorder.snapshot('1h');
+    assert.deepStrictEqual([hour.tasksProcessed, hour.successes, hour.errors, hour.retries, hour.failures], [101, 91, 10, 1, 1]);
+    assert.strictEqual(hour.latency.count, 100);
+    assert.strictEqual(hour.latency.mean, 505);
+    assert.ok(Math.abs(hour.latency.p50 - 500) <= 25, `p50 ${hour.latency.p50}`);
+    assert.ok(hour.latency.p95 >= 900 && hour.latency.p95 <= 1000, `p95 ${hour.latency.p95}`);
+    assert.ok(hour.latency.p99 >= hour.latency.p95 && hour.latency.p99 <= 1000, `p99 ${hour.latency.p99}`);
+    assert.strictEqual(hour.histogram.reduce((sum, bucket) => sum + bucket.count, 0), 100);
+    assert.strictEqual(hour.byTaskType.plan.errorRate, 0.1);
+    assert.deepStrictEqual(hour.byTaskType.research.latency, { count: 0, mean: null, p50: null, p95: null, p99: null, max: null });
+    console.log('✓ Counts by task type and p50/p95/p99 estimated from the latency histogram');
+
+    now += 2 * 60 * 60 * 1000;
+    recorder.record('plan', 20000);
+    assert.strictEqual(recorder.snapshot('1h').tasksProcessed, 1);
+    assert.strictEqual(recorder.snapshot('1h').latency.p99, 20000);
+    assert.strictEqual(recorder.snapshot('3h').tasksProcessed, 102);
+    assert.strictEqual(recorder.toJSON().tasksProcessed, 102);
+    assert.strictEqual(recorder.toJSON().latency.count, 1);
+    now += 25 * 60 * 60 * 1000;
+    recorder.record('plan', 5);
+    assert.strictEqual(recorder.slices.size, 1);
+    assert.strictEqual(recorder.snapshot('24h').tasksProcessed, 1);
+    ['2d', '0h', '1w', 'soon'].forEach(window => assert.strictEqual(recorder.snapshot(window), null));
+    console.log('✓ Windows slide: older slices drop out and lifetime totals remain');
+
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    const research = new ResearchAgent(mockLogger);
+    orchestrator.registerAgent(research);
+    orchestrator.registerAgent(new StubAgent('Thrower', mockLogger));
+    orchestrator.agents.get('Thrower').process = async () => { throw new Error('Invalid input: no data'); };
+    orchestrator.registerWorkflow('measured', {
+      name: 'measured',
+      steps: [{ name: 'decompose', agentName: 'ResearchAgent', taskType: 'decompose' }]
+    });
+    orchestrator.registerWorkflow('throwing', {
+      name: 'throwing',
+      steps: [{ name: 'throw', agentName: 'Thrower', taskType: 'check' }]
+    });
+    await orchestrator.executeWorkflow('measured', { data: { problem: 'Measure agents', context: {} } });
+    await assert.rejects(orchestrator.executeWorkflow('throwing', { data: {} }), /no data/);
+
+    const status = orchestrator.getAgentStatus('ResearchAgent').metrics;
+    assert.deepStrictEqual([status.tasksProcessed, status.successes, status.errors], [1, 1, 0]);
+    assert.deepStrictEqual(status.byTaskType, { decompose: { tasksProcessed: 1, successes: 1, errors: 0, retries: 0, failures: 0, cacheHits: 0, cacheSavedMs: 0 } });
+    assert.strictEqual(status.latency.count, 1);
+    const thrower = orchestrator.getAgentMetrics('Thrower', '15m');
+    assert.deepStrictEqual([thrower.agent, thrower.tasksProcessed, thrower.errors, thrower.failures], ['Thrower', 1, 1, 1]);
+    assert.strictEqual(orchestrator.getAgentMetrics('Missing'), null);
+    assert.strictEqual(orchestrator.getAgentMetrics('ResearchAgent', '1y'), null);
+    console.log('✓ A task run by the orchestrator is counted once, thrown errors included');
+
+    // Recorded calls run on a clock that stands still; their latency is still measured
+    const recording = new AgentOrchestrator(mockLogger, { recordRuns: true });
+    recording.registerAgent(new StubAgent('Waiter', mockLogger, async () => {
+      await delay(20);
+      return { waited: true };
+    }));
+    recording.registerWorkflow('waited', { name: 'waited', steps: [{ name: 'wait', agentName: 'Waiter', taskType: 'wait' }] });
+    const waited = await recording.executeWorkflow('waited', { data: {} });
+    assert.strictEqual((await recording.getRun(waited.runId)).recording.length, 1);
+    const latency = recording.getAgentMetrics('Waiter', '15m').latency;
+    assert.strictEqual(latency.count, 1);
+    ['mean', 'p50', 'p95', 'p99', 'max'].forEach(field => assert.ok(latency[field] >= 15, `${field} ${latency[field]}`));
+    console.log('✓ Recorded calls report how long they took\n');
+  } catch (error) {
+    console.error('✗ Agent metrics failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 34: Step Cache
+  console.log('Test 34: Step Cache');
+  try {
+    assert.strictEqual(StepCache.key('A', 'plan', { b: 1, a: [1, { d: 2, c: 3 }] }), StepCache.key('A', 'plan', { a: [1, { c: 3, d: 2 }], b: 1, e: undefined }));
+    assert.notStrictEqual(StepCache.key('A', 'plan', { a: 1 }), StepCache.key('A', 'plan', { a: 2 }));
+    assert.notStrictEqual(StepCache.key('A', 'plan', { a: 1 }), StepCache.key('A', 'design', { a: 1 }));
+
+    let now = 0;
+    const cache = new StepCache({ maxEntries: 2, clock: () => now });
+    const entry = name => ({ agent: 'A', taskType: name, result: { success: true, data: { name } }, durationMs: 100, costUsd: 0.01 });
+    cache.store('a', entry('a'), 1000);
+    cache.store('b', entry('b'), 1000);
+    assert.strictEqual(cache.lookup('a').result.data.name, 'a');
+    cache.store('c', entry('c'), 1000);
+    assert.deepStrictEqual(cache.list().map(listed => listed.key), ['c', 'a']);
+    assert.strictEqual(cache.lookup('b'), undefined);
+    const copy = cache.lookup('a');
+    copy.result.data.name = 'changed';
+    assert.strictEqual(cache.get('a').result.data.name, 'a');
+    now = 1000;
+    assert.strictEqual(cache.lookup('a'), undefined);
+    assert.strictEqual(cache.store('f', { ...entry('f'), result: { run: () => {} } }, 1000), false);
+    assert.deepStrictEqual(cache.getStatus(), {
+      entries: 0, maxEntries: 2, hits: 2, misses: 2, stores: 3, evictions: 1, expirations: 2, savedMs: 200, savedCostUsd: 0.02, hitRate: 0.5
+    });
+    console.log('✓ Keys ignore field order; entries expire and the least recently used is evicted');
+
+    const metrics = new Registry();
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    new OrchestratorMetrics(orchestrator, metrics);
+    const calls = { plan: 0, flaky: 0 };
+    const planner = new StubAgent('Planner', mockLogger, async task => {
+      calls.plan++;
+      return { plan: `plan for ${task.data.problem}` };
+    });
+    planner.costModel = { perCall: 0.05, perSecond: 0 };
+    orchestrator.registerAgent(planner);
+    orchestrator.registerAgent(new StubAgent('Flaky', mockLogger, async () => {
+      if (++calls.flaky === 1) throw new Error('bad input');
+      return { ok: true };
+    }));
+    orchestrator.registerWorkflow('cached', {
+      name: 'cached',
+      steps: [
+        { name: 'plan', agentName: 'Planner', taskType: 'plan', cache: { ttl: '10m' }, input: { problem: '$input.problem' } },
+        { name: 'check', agentName: 'Flaky', taskType: 'check', cache: { ttl: '10m' }, dependsOn: ['plan'], input: { plan: '$steps.plan.plan' } }
+      ]
+    });
+
+    const first = await orchestrator.executeWorkflow('cached', { data: { problem: 'caching' } });
+    const second = await orchestrator.executeWorkflow('cached', { data: { problem: 'caching' } });
+    const third = await orchestrator.executeWorkflow('cached', { data: { problem: 'something else' } });
+    assert.strictEqual(calls.plan, 2);
+    assert.deepStrictEqual(first.results.map(entry => [entry.cache, entry.result.success]), [['miss', true], ['miss', false]]);
+    assert.deepStrictEqual(second.results.map(entry => [entry.cache, entry.result.success]), [['hit', true], ['miss', true]]);
+    assert.deepStrictEqual(third.results.map(entry => entry.cache), ['miss', 'miss']);
+    const [hit] = second.results;
+    assert.strictEqual(hit.result.data.plan, 'plan for caching');
+    assert.strictEqual(hit.result.cached.key, StepCache.key('Planner', 'plan', { data: { problem: 'caching' }, config: undefined }));
+    assert.deepStrictEqual(hit.cost, { agentCalls: 0, costUsd: 0 });
+    assert.deepStrictEqual(second.spend.agentCalls, 1);
+    assert.strictEqual(second.outputs.plan.plan, 'plan for caching');
+    console.log('✓ A repeated step is answered from the cache, without an agent call or cost; failures are not cached');
+
+    assert.strictEqual(metrics.get('workflow_step_cache_lookups_total').get({ agent: 'Planner', task_type: 'plan', result: 'hit' }), 1);
+    assert.strictEqual(metrics.get('workflow_step_cache_lookups_total').get({ agent: 'Planner', task_type: 'plan', result: 'miss' }), 2);
+    assert.strictEqual(metrics.get('workflow_step_duration_seconds').get({ agent: 'Planner', task_type: 'plan', outcome: 'success' }).count, 2);
+    assert.match(metrics.render(), /^workflow_step_cache_entries 4$/m);
+    const plannerStatus = planner.getStatus().metrics;
+    assert.deepStrictEqual([plannerStatus.tasksProcessed, plannerStatus.cacheHits], [2, 1]);
+    assert.strictEqual(orchestrator.stepCache.getStatus().savedCostUsd, 0.05);
+    console.log('✓ Cache hits and the agent time and cost they saved are counted');
+
+    assert.strictEqual(orchestrator.stepCache.purge({ agent: 'Planner' }), 2);
+    assert.deepStrictEqual(orchestrator.stepCache.list().map(listed => listed.agent), ['Flaky', 'Flaky']);
+    assert.throws(() => orchestrator.registerWorkflow('bad-cache', {
+      name: 'bad-cache',
+      steps: [{ name: 'plan', agentName: 'Planner', taskType: 'plan', cache: { ttl: 'forever', size: 1 } }]
+    }), /\(plan\)\.cache\.size: unknown setting.*\(plan\)\.cache\.ttl must be a duration/s);
+    assert.throws(() => orchestrator.registerWorkflow('bad-cache', {
+      name: 'bad-cache',
+      steps: [{ name: 'wait', type: 'approval', cache: { ttl: '1h' } }]
+    }), /cache is only allowed on agent steps/);
+    console.log('✓ Entries can be purged by agent; cache settings are validated\n');
+  } catch (error) {
+    console.error('✗ Step cache failed:', error.message);
+    process.exit(1);
+  }
+
+  // Test 35: Idempotency Keys
+  console.log('Test 35: Idempotency Keys');
+  let idempotencyServer;
+  try {
+    let now = 0;
+    const store = new IdempotencyStore({ ttlMs: 1000, clock: () => now });
+    const orchestrator = new AgentOrchestrator(mockLogger);
+    orchestrator.registerAgent(new StubAgent('Echo', mockLogger));
+    orchestrator.registerWorkflow('echo', { name: 'echo', steps: [{ name: 'echo', agentName: 'Echo', taskType: 'echo' }] });
+
+    const calls = { execute: 0, flaky: 0 };
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const app = express();
+    app.use(express.json());
+    app.post('/execute', store.middleware('execute'), async (req, res, next) => {
+      try {
+        calls.execute++;
+        if (req.body.wait) await gate;
+        const run = await orchestrator.startWorkflow('echo', req.body.task, { idempotencyKey: req.idempotencyKey });
+        res.status(202).json({ runId: run.id });
+      } catch (error) {
+        next(error);
+      }
+    });
+    app.post('/other', store.middleware('other'), (req, res) => res.json({ key: req.idempotencyKey }));
+    app.post('/flaky', store.middleware('flaky'), (req, res) => {
+      res.status(++calls.flaky === 1 ? 503 : 200).json({ attempt: calls.flaky });
+    });
+    app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+    const baseUrl = await new Promise(resolve => {
+      idempotencyServer = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${idempotencyServer.address().port}`));
+    });
+    const post = async (route, body, key) => {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(key !== undefined && { 'Idempotency-Key': key }) },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, replayed: response.headers.get('idempotent-replayed'), body: await response.json() };
+    };
+
+    const first = await post('/execute', { task: { data: { n: 1 } }, extra: { a: 1, b: 2 } }, 'key-1');
+    const retry = await post('/execute', { extra: { b: 2, a: 1 }, task: { data: { n: 1 } } }, 'key-1');
+    assert.strictEqual(first.status, 202);
+    assert.strictEqual(first.replayed, null);
+    assert.deepStrictEqual([retry.status, retry.replayed, retry.body], [202, 'true', first.body]);
+    assert.strictEqual(calls.execute, 1);
+    console.log('✓ A retried request gets the stored response instead of starting another run');
+
+    const concurrent = await Promise.all([
+      post('/execute', { task: { data: { n: 2 } }, wait: true }, 'key-2'),
+      post('/execute', { task: { data: { n: 2 } }, wait: true }, 'key-2'),
+      new Promise(resolve => setTimeout(resolve, 50)).then(() => release())
+    ]);
+    assert.strictEqual(concurrent[0].body.runId, concurrent[1].body.runId);
+    assert.strictEqual(calls.execute, 2);
+    console.log('✓ A duplicate sent while the first request runs waits for its response');
+
+    const mismatch = await post('/execute', { task: { data: { n: 3 } } }, 'key-1');
+    assert.strictEqual(mismatch.status, 422);
+    assert.match(mismatch.body.error, /key-1 was already used with a different request/);
+    assert.deepStrictEqual((await post('/other', {}, 'key-1')).body, { key: 'key-1' });
+    assert.strictEqual((await post('/execute', { task: { data: {} } }, 'x'.repeat(256))).status, 400);
+    await post('/execute', { task: { data: {} } });
+    await post('/execute', { task: { data: {} } });
+    assert.strictEqual(calls.execute, 4);
+    console.log('✓ A key reused with another body is refused; keys are per route and optional');
+
+    assert.strictEqual((await post('/flaky', {}, 'key-3')).status, 503);
+    assert.deepStrictEqual((await post('/flaky', {}, 'key-3')).body, { attempt: 2 });
+    assert.strictEqual((await post('/flaky', {}, 'key-3')).replayed, 'true');
+    now = 1000;
+    const expired = await post('/execute', { task: { data: { n: 1 } }, extra: { a: 1, b: 2 } }, 'key-1');
+    assert.strictEqual(expired.replayed, null);
+    assert.notStrictEqual(expired.body.runId, first.body.runId);
+    console.log('✓ Server errors are not stored, and responses are kept only for the retention window');
+
+    const run = await orchestrator.getRun(first.body.runId);
+    assert.strictEqual(run.idempotencyKey, 'key-1');
+    const runs = await orchestrator.listRuns({ idempotencyKey: 'key-2' });
+    assert.deepStrictEqual(runs.map(listed => listed.id), [concurrent[0].body.runId]);
+
+    const small = new IdempotencyStore({ maxEntries: 1 });
+    const fingerprint = IdempotencyStore.fingerprint({});
+    (await small.acquire('s', 'a', fingerprint)).complete({ status: 200, body: '{}' });
+    (await small.acquire('s', 'b', fingerprint)).complete({ status: 200, body: '{}' });
+    assert.strictEqual(small.size, 1);
+    assert.ok((await small.acquire('s', 'b', fingerprint)).response);
+    console.log('✓ Runs record their key, and the oldest responses are dropped past the limit\n');
+  } catch (error) {
+    console.error('✗ Idempotency keys failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (idempotencyServer) idempotencyServer.close();
+  }
+
   console.log('═══════════════════════════════════════');
   console.log('All tests passed successfully! ✓');
   console.log('═══════════════════════════════════════\n');
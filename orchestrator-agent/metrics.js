@@ -0,0 +1,313 @@
+/**
+ * Prometheus metrics
+ *
+ * Counters, gauges and histograms kept in a registry and served on `GET /metrics`
+ * in the Prometheus text format (version 0.0.4). Every metric can have labels;
+ * each combination of label values is its own series:
+ *
+ *   const requests = registry.counter('jobs_total', 'Jobs processed', ['outcome']);
+ *   requests.inc({ outcome: 'ok' });
+ *
+ * A gauge can be given a `collect` function that sets it when scraped, for values
+ * the service already keeps (queue depth, paused state).
+ *
+ * This file is the same in every service, which each deploy on their own. Edit it
+ * in multi-agent-system/lib and copy it over with `npm run sync-shared`.
+ */
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Seconds; covers quick HTTP handlers up to slow agent steps
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    const invalid = labelNames.find(label => !LABEL_PATTERN.test(label) || label.startsWith('__') || label === 'le');
+    if (invalid) {
+      throw new Error(`Invalid label name for ${name}: ${invalid}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Label values in label name order; missing labels are empty
+   */
+  labelValues(labels = {}) {
+    const unknown = Object.keys(labels).find(label => !this.labelNames.includes(label));
+    if (unknown) {
+      throw new Error(`Unknown label for ${this.name}: ${unknown}`);
+    }
+    return this.labelNames.map(label => (labels[label] === undefined || labels[label] === null ? '' : String(labels[label])));
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    // Without labels there is one series; show it from the start so rate() sees the first increase
+    if (this.labelNames.length === 0) {
+      this.seriesFor({}, () => ({ value: 0 }));
+    }
+  }
+
+  inc(labels, amount = 1) {
+    if (typeof labels === 'number') {
+      [labels, amount] = [{}, labels];
+    }
+    if (!(amount >= 0)) {
+      throw new Error(`Counter ${this.name} can only increase`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  get(labels) {
+    const series = this.series.get(JSON.stringify(this.labelValues(labels)));
+    return series ? series.value : 0;
+  }
+
+  lines() {
+    return Array.from(this.series.values()).map(series =>
+      `${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Function} [collect] - Called with the gauge before each scrape
+   */
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, amount = 1) {
+    if (typeof labels === 'number') {
+      [labels, amount] = [{}, labels];
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  dec(labels, amount = 1) {
+    if (typeof labels === 'number') {
+      [labels, amount] = [{}, labels];
+    }
+    this.inc(labels, -amount);
+  }
+
+  get(labels) {
+    const series = this.series.get(JSON.stringify(this.labelValues(labels)));
+    return series ? series.value : 0;
+  }
+
+  lines() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return Array.from(this.series.values()).map(series =>
+      `${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {number[]} [buckets] - Upper bounds, ascending; +Inf is added
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    if (buckets.length === 0 || buckets.some((bound, index) => index > 0 && bound <= buckets[index - 1])) {
+      throw new Error(`Histogram ${name} buckets must be ascending`);
+    }
+    this.buckets = buckets.filter(bound => bound !== Infinity);
+  }
+
+  observe(labels, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; call the returned function to observe the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  get(labels) {
+    const series = this.series.get(JSON.stringify(this.labelValues(labels)));
+    return series ? { count: series.count, sum: series.sum } : { count: 0, sum: 0 };
+  }
+
+  lines() {
+    return Array.from(this.series.values()).flatMap(series => [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels(this.labelNames, series.values, `le="${formatValue(bound)}"`)} ${series.counts[index]}`),
+      `${this.name}_bucket${formatLabels(this.labelNames, series.values, 'le="+Inf"')} ${series.count}`,
+      `${this.name}_sum${formatLabels(this.labelNames, series.values)} ${formatValue(series.sum)}`,
+      `${this.name}_count${formatLabels(this.labelNames, series.values)} ${series.count}`
+    ]);
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Process metrics: start time, memory and heap
+   */
+  collectDefaultMetrics() {
+    const startTime = Math.round(Date.now() / 1000 - process.uptime());
+
+    this.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', [],
+      gauge => gauge.set(startTime));
+    this.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [],
+      gauge => gauge.set(process.memoryUsage().rss));
+    this.gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes', [],
+      gauge => gauge.set(process.memoryUsage().heapUsed));
+    return this;
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   */
+  render() {
+    return Array.from(this.metrics.values())
+      .flatMap(metric => [...metric.header(), ...metric.lines()])
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Express middleware timing requests into http_request_duration_seconds
+   * Requests are labelled with the matched route pattern (not the raw path, which would
+   * make a series per run ID); requests that match no route are labelled `unmatched`.
+   */
+  middleware() {
+    const histogram = this.get('http_request_duration_seconds') || this.histogram(
+      'http_request_duration_seconds',
+      'HTTP request latency in seconds',
+      ['method', 'route', 'status_code']
+    );
+
+    return (req, res, next) => {
+      const end = histogram.startTimer({ method: req.method });
+      let done = false;
+
+      const finish = () => {
+        if (done) return;
+        done = true;
+        end({
+          route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+          status_code: res.statusCode
+        });
+      };
+      res.once('finish', finish);
+      res.once('close', finish);
+
+      next();
+    };
+  }
+
+  /**
+   * Express handler serving the metrics
+   */
+  handler() {
+    return (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.render());
+    };
+  }
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS
+};
@@ -5,11 +5,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const winston = require('winston');
 require('dotenv').config();
+const { Tracer, traceFields } = require('./tracing');
+const { Registry } = require('./metrics');
 
-// Configure structured logging
+// Configure structured logging; entries logged inside a traced request carry its trace ID
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    winston.format(info => Object.assign(info, traceFields()))(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.json()
@@ -26,6 +29,15 @@ const logger = winston.createLogger({
   ]
 });
 
+// Trace requests; exported to TRACE_FILE and/or OTEL_EXPORTER_OTLP_ENDPOINT
+const tracer = Tracer.fromEnv('orchestrator', logger);
+
+// Prometheus metrics, served on GET /metrics
+const metrics = new Registry().collectDefaultMetrics();
+const rateLimited = metrics.counter('http_rate_limited_total', 'Requests rejected by the rate limiter');
+const orchestrations = metrics.counter('orchestrations_total', 'Workflows orchestrated');
+const orchestrationSteps = metrics.counter('orchestration_steps_total', 'Workflow steps processed');
+
 // State management class instead of mutable global
 class OrchestratorState {
   constructor() {
@@ -52,6 +64,8 @@ class OrchestratorState {
 
 const state = new OrchestratorState();
 
+metrics.gauge('agent_paused', '1 while the agent is paused', [], gauge => gauge.set(state.isPaused() ? 1 : 0));
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -73,6 +87,15 @@ app.use(compression());
 // Request size limits (100kb)
 app.use(express.json({ limit: '100kb' }));
 
+// Continue the caller's trace (W3C traceparent); after body parsing, which loses the async context
+app.use(tracer.middleware());
+
+// Time every request, by route
+app.use(metrics.middleware());
+
+// Prometheus scrape endpoint, ahead of the rate limit so scrapes are never refused
+app.get('/metrics', metrics.handler());
+
 // Rate limiting - 100 requests per 15 minutes per IP
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -81,6 +104,7 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler: (req, res) => {
+    rateLimited.inc();
     logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
     res.status(429).json({ error: 'Too many requests, please try again later' });
   }
@@ -165,6 +189,8 @@ app.post('/orchestrate', (req, res, next) => {
       }
     }
 
+    orchestrations.inc();
+    orchestrationSteps.inc(workflow.length);
     logger.info(`Orchestration completed: ${workflow.length} steps`);
     res.json({ result: output, steps: workflow.length });
   } catch (error) {
@@ -241,9 +267,10 @@ const gracefulShutdown = (signal) => {
     logger.info('HTTP server closed');
 
     // Close other resources here (database connections, etc.)
-
-    logger.info('Graceful shutdown completed');
-    process.exit(0);
+    tracer.shutdown().finally(() => {
+      logger.info('Graceful shutdown completed');
+      process.exit(0);
+    });
   });
 
   // Force shutdown after 30 seconds
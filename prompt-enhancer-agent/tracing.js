@@ -0,0 +1,436 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Distributed tracing with W3C Trace Context
+ *
+ * A span covers one unit of work (an HTTP request, a workflow run, a step, an agent
+ * call) and belongs to a trace shared by everything one request caused. The active
+ * span follows async code, so spans started inside it become its children. Incoming
+ * requests continue the trace named by their `traceparent` header and outgoing ones
+ * carry it on:
+ *
+ *   traceparent: 00-<32 hex trace ID>-<16 hex parent span ID>-<2 hex flags>
+ *
+ * Ended spans are batched to exporters: a JSON-lines file and/or an OTLP/HTTP endpoint.
+ *
+ * This file is the same in every service, which each deploy on their own. Edit it
+ * in multi-agent-system/lib and copy it over with `npm run sync-shared`.
+ */
+
+const storage = new AsyncLocalStorage();
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * Parse a traceparent header
+ * @returns {Object|null} - { traceId, spanId, flags }, or null when missing or invalid
+ */
+function parseTraceparent(header) {
+  const match = typeof header === 'string' && TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], spanId: match[3], flags: match[4] };
+}
+
+function formatTraceparent({ traceId, spanId, flags = '01' }) {
+  return `00-${traceId}-${spanId}-${flags}`;
+}
+
+/**
+ * The span active in the current async context, if any
+ */
+function currentSpan() {
+  return storage.getStore();
+}
+
+/**
+ * Trace and span IDs of the active span, for log entries
+ * @returns {Object} - { traceId, spanId }, or {} outside a span
+ */
+function traceFields() {
+  const span = currentSpan();
+  return span ? { traceId: span.traceId, spanId: span.spanId } : {};
+}
+
+class Span {
+  constructor(tracer, name, { traceId, parentSpanId, flags, kind, attributes }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.flags = flags;
+    this.kind = kind;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'unset' };
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.setAttributes(attributes);
+  }
+
+  /**
+   * Set an attribute; undefined values are left out
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: Date.now(), attributes });
+    return this;
+  }
+
+  /**
+   * @param {string} code - 'ok' or 'error'
+   */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  recordError(error) {
+    this.addEvent('exception', { 'exception.type': error.name, 'exception.message': error.message });
+    return this.setStatus('error', error.message);
+  }
+
+  traceparent() {
+    return formatTraceparent(this);
+  }
+
+  end() {
+    if (this.endTime === null) {
+      this.endTime = Date.now();
+      this.tracer.onEnd(this);
+    }
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      service: this.tracer.serviceName,
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: new Date(this.endTime).toISOString(),
+      durationMs: this.endTime - this.startTime,
+      attributes: this.attributes,
+      status: this.status,
+      events: this.events.map(event => ({ ...event, time: new Date(event.time).toISOString() }))
+    };
+  }
+}
+
+/**
+ * Tracer - Starts spans, keeps the active one and hands ended ones to exporters
+ */
+class Tracer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.serviceName] - Reported as the spans' service.name
+   * @param {Object[]} [options.exporters] - Objects with `export(spans)` (a promise) and optionally `shutdown()`
+   * @param {Object} [options.logger] - Where export failures are logged
+   * @param {number} [options.batchSize] - Ended spans that trigger an export (default 100)
+   * @param {number} [options.flushIntervalMs] - Longest wait before ended spans are exported (default 2000)
+   */
+  constructor(options = {}) {
+    this.serviceName = options.serviceName || 'unknown-service';
+    this.exporters = options.exporters || [];
+    this.logger = options.logger;
+    this.batchSize = options.batchSize || 100;
+    this.flushIntervalMs = options.flushIntervalMs || 2000;
+    this.pending = [];
+    this.flushTimer = null;
+    this.exporting = Promise.resolve();
+  }
+
+  /**
+   * Tracer configured from the environment: TRACE_FILE names a JSON-lines file and
+   * OTEL_EXPORTER_OTLP_ENDPOINT an OTLP/HTTP collector; OTEL_SERVICE_NAME overrides the name
+   */
+  static fromEnv(serviceName, logger, env = process.env) {
+    const exporters = [];
+    if (env.TRACE_FILE) {
+      exporters.push(new JsonlSpanExporter(env.TRACE_FILE));
+    }
+    if (env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+      exporters.push(new OtlpHttpExporter(env.OTEL_EXPORTER_OTLP_ENDPOINT));
+    }
+    return new Tracer({ serviceName: env.OTEL_SERVICE_NAME || serviceName, exporters, logger });
+  }
+
+  /**
+   * Start a span
+   * @param {Object} [options]
+   * @param {Span|string} [options.parent] - Parent span or traceparent header; defaults to the active span.
+   *   An invalid header starts a new trace.
+   * @param {string} [options.kind] - 'internal' (default), 'server' or 'client'
+   * @param {Object} [options.attributes]
+   */
+  startSpan(name, options = {}) {
+    const parent = typeof options.parent === 'string'
+      ? parseTraceparent(options.parent)
+      : (options.parent || currentSpan());
+
+    return new Span(this, name, {
+      traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parent ? parent.spanId : undefined,
+      flags: parent ? parent.flags : '01',
+      kind: options.kind || 'internal',
+      attributes: options.attributes
+    });
+  }
+
+  /**
+   * Call `fn` with `span` active
+   */
+  withSpan(span, fn) {
+    return storage.run(span, fn);
+  }
+
+  /**
+   * Run `fn(span)` in a new active span, ended when `fn` settles; a throw marks it as an error
+   * @param {Object} [options] - As for startSpan()
+   */
+  async trace(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    try {
+      return await this.withSpan(span, () => fn(span));
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  currentSpan() {
+    return currentSpan();
+  }
+
+  /**
+   * traceparent header of the active span, or undefined outside a span
+   */
+  traceparent() {
+    const span = currentSpan();
+    return span ? span.traceparent() : undefined;
+  }
+
+  /**
+   * Add the active span's traceparent to outgoing request headers
+   */
+  inject(headers = {}) {
+    const traceparent = this.traceparent();
+    return traceparent ? { ...headers, traceparent } : headers;
+  }
+
+  /**
+   * fetch() in a client span, sending its traceparent
+   */
+  fetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+
+    return this.trace(`HTTP ${method}`, { kind: 'client', attributes: { 'http.method': method, 'http.url': String(url) } }, async span => {
+      const response = await fetch(url, { ...options, headers: { ...options.headers, traceparent: span.traceparent() } });
+      span.setAttribute('http.status_code', response.status);
+      if (response.status >= 400) {
+        span.setStatus('error', `HTTP ${response.status}`);
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Express middleware: each request becomes a server span, continuing the trace in
+   * its traceparent header. The span's own traceparent is returned in `traceresponse`
+   * so a caller can pass it on to the next service. Mount it after body parsing.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const span = this.startSpan(`${req.method} ${req.path}`, {
+        kind: 'server',
+        parent: req.get('traceparent'),
+        attributes: { 'http.method': req.method, 'http.target': req.originalUrl }
+      });
+
+      res.setHeader('traceresponse', span.traceparent());
+
+      const finish = () => {
+        if (req.route) {
+          span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+        }
+        span.setAttribute('http.status_code', res.statusCode);
+        if (res.statusCode >= 500) {
+          span.setStatus('error', `HTTP ${res.statusCode}`);
+        }
+        span.end();
+      };
+      res.once('finish', finish);
+      res.once('close', finish);
+
+      this.withSpan(span, next);
+    };
+  }
+
+  onEnd(span) {
+    if (this.exporters.length === 0) {
+      return;
+    }
+
+    this.pending.push(span);
+    if (this.pending.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Export the spans ended so far; a failing exporter is logged and its spans dropped
+   * @returns {Promise} - Settles once every export started so far has finished
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const spans = this.pending.splice(0);
+
+    if (spans.length > 0) {
+      this.exporting = Promise.all([this.exporting, ...this.exporters.map(exporter => Promise.resolve()
+        .then(() => exporter.export(spans, this))
+        .catch(error => {
+          if (this.logger) {
+            this.logger.warn(`Span export failed: ${error.message}`, { component: 'Tracer', exporter: exporter.constructor.name, spans: spans.length });
+          }
+        }))]);
+    }
+    return this.exporting;
+  }
+
+  async shutdown() {
+    await this.flush();
+    await Promise.all(this.exporters.map(exporter => exporter.shutdown && exporter.shutdown()));
+  }
+}
+
+/**
+ * Appends each span as a JSON line to a file
+ */
+class JsonlSpanExporter {
+  constructor(filePath) {
+    this.path = filePath;
+    this.writing = Promise.resolve();
+  }
+
+  export(spans) {
+    const lines = spans.map(span => `${JSON.stringify(span.toJSON())}\n`).join('');
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => fs.promises.mkdir(path.dirname(this.path), { recursive: true }))
+      .then(() => fs.promises.appendFile(this.path, lines));
+    return this.writing;
+  }
+}
+
+function otlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(otlpValue) } };
+  return { stringValue: String(value) };
+}
+
+function otlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: otlpValue(value) }));
+}
+
+function unixNano(ms) {
+  return `${BigInt(ms) * 1000000n}`;
+}
+
+/**
+ * Posts spans as OTLP/HTTP JSON to `<endpoint>/v1/traces`
+ */
+class OtlpHttpExporter {
+  /**
+   * @param {string} endpoint - Collector base URL, e.g. http://localhost:4318
+   * @param {Object} [options] - { headers, timeoutMs (default 10000) }
+   */
+  constructor(endpoint, options = {}) {
+    this.url = `${endpoint.replace(/\/+$/, '')}/v1/traces`;
+    this.headers = options.headers || {};
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  /**
+   * The OTLP request body for a batch of spans
+   */
+  static encode(spans, serviceName) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: otlpAttributes({ 'service.name': serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'ai-productivity-os' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId,
+            name: span.name,
+            kind: SPAN_KINDS[span.kind],
+            startTimeUnixNano: unixNano(span.startTime),
+            endTimeUnixNano: unixNano(span.endTime),
+            attributes: otlpAttributes(span.attributes),
+            events: span.events.map(event => ({
+              name: event.name,
+              timeUnixNano: unixNano(event.time),
+              attributes: otlpAttributes(event.attributes)
+            })),
+            status: { code: STATUS_CODES[span.status.code], message: span.status.message }
+          }))
+        }]
+      }]
+    };
+  }
+
+  async export(spans, tracer) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(OtlpHttpExporter.encode(spans, tracer.serviceName)),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTLP endpoint responded ${response.status}`);
+    }
+  }
+}
+
+module.exports = {
+  Tracer,
+  Span,
+  JsonlSpanExporter,
+  OtlpHttpExporter,
+  parseTraceparent,
+  formatTraceparent,
+  currentSpan,
+  traceFields
+};
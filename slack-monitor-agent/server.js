@@ -6,11 +6,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const winston = require('winston');
 require('dotenv').config();
+const { Tracer, traceFields } = require('./tracing');
+const { Registry } = require('./metrics');
 
-// Configure structured logging
+// Configure structured logging; entries logged inside a traced request carry its trace ID
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    winston.format(info => Object.assign(info, traceFields()))(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.json()
@@ -27,6 +30,15 @@ const logger = winston.createLogger({
   ]
 });
 
+// Trace requests; exported to TRACE_FILE and/or OTEL_EXPORTER_OTLP_ENDPOINT
+const tracer = Tracer.fromEnv('slack-monitor', logger);
+
+// Prometheus metrics, served on GET /metrics
+const metrics = new Registry().collectDefaultMetrics();
+const rateLimited = metrics.counter('http_rate_limited_total', 'Requests rejected by the rate limiter');
+const slackEvents = metrics.counter('slack_events_received_total', 'Slack events received, paused or not');
+const slackTriggers = metrics.counter('slack_triggers_detected_total', 'Slack events containing the trigger keyword');
+
 // State management class instead of mutable global
 class SlackMonitorState {
   constructor() {
@@ -50,10 +62,12 @@ class SlackMonitorState {
 
   incrementEvents() {
     this.eventsReceived++;
+    slackEvents.inc();
   }
 
   incrementTriggers() {
     this.triggersDetected++;
+    slackTriggers.inc();
   }
 
   getStats() {
@@ -66,6 +80,8 @@ class SlackMonitorState {
 
 const state = new SlackMonitorState();
 
+metrics.gauge('agent_paused', '1 while the agent is paused', [], gauge => gauge.set(state.isPaused() ? 1 : 0));
+
 const app = express();
 
 // Security headers
@@ -86,6 +102,15 @@ app.use(compression());
 // Request size limits (100kb)
 app.use(body.json({ limit: '100kb' }));
 
+// Continue the caller's trace (W3C traceparent); after body parsing, which loses the async context
+app.use(tracer.middleware());
+
+// Time every request, by route
+app.use(metrics.middleware());
+
+// Prometheus scrape endpoint, ahead of the rate limit so scrapes are never refused
+app.get('/metrics', metrics.handler());
+
 // Rate limiting - 100 requests per 15 minutes per IP
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -94,6 +119,7 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler: (req, res) => {
+    rateLimited.inc();
     logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
     res.status(429).json({ error: 'Too many requests, please try again later' });
   }
@@ -236,9 +262,10 @@ const gracefulShutdown = (signal) => {
     logger.info('HTTP server closed');
 
     // Close other resources here (database connections, etc.)
-
-    logger.info('Graceful shutdown completed');
-    process.exit(0);
+    tracer.shutdown().finally(() => {
+      logger.info('Graceful shutdown completed');
+      process.exit(0);
+    });
   });
 
   // Force shutdown after 30 seconds